@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { validateTopology } from '../src/utils/TopologySchema.js';
+import { migrateTopology, CURRENT_TOPOLOGY_VERSION } from '../src/utils/TopologyMigrations.js';
+import { getNetworkStatistics } from '../src/utils/TopologyStatistics.js';
+
+/**
+ * Command-line tool for diagram files
+ *
+ *   networkmap validate <file...>           check files against the topology schema
+ *   networkmap stats <file> [--json]        network, node and link statistics
+ *   networkmap convert <input> <output>     convert between diagram JSON and bundle ZIP
+ *   networkmap migrate <file...> [--dry-run] upgrade files to the current format
+ *
+ * Files are diagram documents (`.json`, any format version) or bundles
+ * (`.zip`) as exported by the server. Bundles are created with the icons and
+ * device configurations of this checkout. The exit code is 1 when a file is
+ * invalid or cannot be processed and 2 for usage errors.
+ */
+
+const USAGE = `Usage:
+  networkmap validate <file...>
+  networkmap stats <file> [--json]
+  networkmap convert <input> <output>
+  networkmap migrate <file...> [--dry-run]
+
+Files are diagrams (.json) or bundles (.zip).`;
+
+const FORMATS = {
+  DIAGRAM: '.json',
+  BUNDLE: '.zip'
+};
+
+/**
+ * Error for a file that could not be read or is invalid
+ * `errors` lists schema errors as `{ pointer, message }`.
+ */
+class DiagramFileError extends Error {
+  constructor(file, message, errors = []) {
+    super(message);
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+class UsageError extends Error {}
+
+/**
+ * Get the format of a file from its extension
+ * @param {string} file - File path
+ * @returns {string} FORMATS value
+ * @throws {UsageError} If the extension is not supported
+ */
+function formatOf(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (!Object.values(FORMATS).includes(extension)) {
+    throw new UsageError(`Unsupported file type: ${file} (expected ${Object.values(FORMATS).join(' or ')})`);
+  }
+  return extension;
+}
+
+// The bundle format is shared with the server and only loaded when needed
+const loadBundles = () => import('../server/bundleFormat.js');
+
+/**
+ * Read a diagram file or bundle
+ * @param {string} file - File path
+ * @returns {Promise<Object>} `{ original, migration }`; `original` is the
+ *   document as stored, `migration` the result of migrateTopology
+ * @throws {DiagramFileError} If the file cannot be read or upgraded
+ */
+async function readDiagram(file) {
+  let contents;
+  try {
+    contents = await fs.readFile(file);
+  } catch (error) {
+    throw new DiagramFileError(file, `Cannot read file: ${error.message}`);
+  }
+
+  let original;
+  if (formatOf(file) === FORMATS.BUNDLE) {
+    const { readBundle } = await loadBundles();
+    try {
+      original = readBundle(contents).document;
+    } catch (error) {
+      throw new DiagramFileError(file, error.message, error.errors);
+    }
+  } else {
+    try {
+      original = JSON.parse(contents.toString('utf8'));
+    } catch (error) {
+      throw new DiagramFileError(file, `Invalid JSON: ${error.message}`);
+    }
+  }
+
+  try {
+    return { original, migration: migrateTopology(original) };
+  } catch (error) {
+    throw new DiagramFileError(file, error.message);
+  }
+}
+
+/**
+ * Read a diagram and check it against the schema
+ * @param {string} file - File path
+ * @returns {Promise<Object>} `{ original, migration }` of a valid diagram
+ * @throws {DiagramFileError} If the diagram is unreadable or invalid
+ */
+async function readValidDiagram(file) {
+  const diagram = await readDiagram(file);
+  const validation = validateTopology(diagram.migration.document);
+  if (!validation.valid) {
+    throw new DiagramFileError(file, 'Invalid topology configuration', validation.errors);
+  }
+  return diagram;
+}
+
+/**
+ * Print the problem with a file and flag the run as failed
+ * @param {DiagramFileError} error - Problem with the file
+ */
+function reportFailure(error) {
+  console.error(`${error.file}: ${error.message}`);
+  (error.errors || []).forEach(({ pointer, message }) => {
+    console.error(`  ${pointer || '/'} ${message}`);
+  });
+  process.exitCode = 1;
+}
+
+/**
+ * Format rows as left-aligned columns
+ * @param {Array<Array<string>>} rows - Rows, the first one being the header
+ * @returns {string} Table
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+  return rows
+    .map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
+
+async function validateCommand(files) {
+  if (files.length === 0) throw new UsageError('validate needs at least one file');
+
+  for (const file of files) {
+    try {
+      const { migration } = await readValidDiagram(file);
+      const upgrade = migration.migrated ? `, upgrades from format ${migration.fromVersion}` : '';
+      console.log(`${file}: valid (format ${migration.toVersion}${upgrade})`);
+    } catch (error) {
+      if (!(error instanceof DiagramFileError)) throw error;
+      reportFailure(error);
+    }
+  }
+}
+
+async function statsCommand([file, ...rest], { json }) {
+  if (!file || rest.length > 0) throw new UsageError('stats needs exactly one file');
+
+  const { migration } = await readValidDiagram(file);
+  const stats = getNetworkStatistics(migration.document);
+
+  if (json) {
+    console.log(JSON.stringify(stats, null, 2));
+    return;
+  }
+
+  const { totals } = stats;
+  console.log(`${file}`);
+  console.log(`  Nodes: ${totals.totalNodes}  Connections: ${totals.totalConnections}  Interfaces: ${totals.totalEndpoints}`);
+
+  if (stats.nodes.length > 0) {
+    console.log('');
+    console.log(formatTable([
+      ['Node', 'Type', 'Interfaces', 'Connected', 'Free', 'Neighbors'],
+      ...stats.nodes.map(node => [
+        node.name || node.id,
+        node.type || '',
+        node.interfaces,
+        node.connectedInterfaces,
+        node.freeInterfaces,
+        node.neighbors.join(', ')
+      ])
+    ]));
+  }
+
+  if (stats.links.length > 0) {
+    console.log('');
+    console.log(formatTable([
+      ['Source', 'Interface', 'Target', 'Interface', 'Type', 'Speed'],
+      ...stats.links.map(link => [
+        link.source.node,
+        link.source.interface || '',
+        link.target.node,
+        link.target.interface || '',
+        link.source.type || link.target.type || '',
+        link.source.speed || link.target.speed || ''
+      ])
+    ]));
+  }
+}
+
+async function convertCommand([input, output, ...rest]) {
+  if (!input || !output || rest.length > 0) throw new UsageError('convert needs an input and an output file');
+
+  const targetFormat = formatOf(output);
+  const { migration } = await readValidDiagram(input);
+
+  if (targetFormat === FORMATS.BUNDLE) {
+    const { createBundle } = await loadBundles();
+    const name = path.basename(input, path.extname(input));
+    const { archive, manifest } = await createBundle(migration.document, { name, path: name });
+    await fs.writeFile(output, archive);
+    console.log(`${output}: bundle with ${Object.keys(manifest.icons).length} icon(s) and ${manifest.deviceConfigs.length} device configuration(s)`);
+    manifest.missingIcons.forEach(icon => console.warn(`  missing icon: ${icon}`));
+    return;
+  }
+
+  await fs.writeFile(output, JSON.stringify(migration.document, null, 2));
+  console.log(`${output}: diagram in format ${migration.toVersion}`);
+}
+
+async function migrateCommand(files, { 'dry-run': dryRun }) {
+  if (files.length === 0) throw new UsageError('migrate needs at least one file');
+
+  for (const file of files) {
+    try {
+      if (formatOf(file) !== FORMATS.DIAGRAM) {
+        throw new DiagramFileError(file, 'Only diagram files can be migrated; bundles are upgraded on import');
+      }
+      const { migration } = await readValidDiagram(file);
+      if (!migration.migrated) {
+        console.log(`${file}: current (format ${CURRENT_TOPOLOGY_VERSION})`);
+        continue;
+      }
+
+      if (!dryRun) {
+        await fs.writeFile(file, JSON.stringify(migration.document, null, 2));
+      }
+      console.log(`${file}: ${dryRun ? 'would migrate' : 'migrated'} from format ${migration.fromVersion} to ${migration.toVersion}`);
+      migration.changes.forEach(change => console.log(`  ${change.from} -> ${change.to}: ${change.description}`));
+    } catch (error) {
+      if (!(error instanceof DiagramFileError)) throw error;
+      reportFailure(error);
+    }
+  }
+}
+
+const COMMANDS = {
+  validate: validateCommand,
+  stats: statsCommand,
+  convert: convertCommand,
+  migrate: migrateCommand
+};
+
+async function main(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const [command, ...files] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command: ${command}`);
+
+  await COMMANDS[command](files, values);
+}
+
+main(process.argv.slice(2)).catch(error => {
+  if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+  if (error instanceof DiagramFileError) {
+    reportFailure(error);
+    return;
+  }
+  console.error('networkmap failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,114 @@
+/**
+ * Uniform error responses for the API
+ *
+ * Every error answered under /api has the shape `{ code, message, ... }`:
+ * `code` is a machine-readable ERROR_CODES value, `message` is meant for
+ * people, and route-specific details such as `errors`, `current` or `lock`
+ * sit next to them. Handlers keep answering with plain JSON; errorEnvelope
+ * fills in what they leave out.
+ */
+
+export const ERROR_CODES = {
+  INVALID_REQUEST: 'invalid_request',
+  VALIDATION_FAILED: 'validation_failed',
+  UNAUTHORIZED: 'unauthorized',
+  FORBIDDEN: 'forbidden',
+  NOT_FOUND: 'not_found',
+  CONFLICT: 'conflict',
+  // The target name is taken
+  EXISTS: 'exists',
+  // The stored copy changed since the client loaded it
+  MODIFIED: 'modified',
+  // The client's lock expired or was taken over
+  LOST: 'lost',
+  PAYLOAD_TOO_LARGE: 'payload_too_large',
+  UNSUPPORTED_MEDIA_TYPE: 'unsupported_media_type',
+  LOCKED: 'locked',
+  PRECONDITION_REQUIRED: 'precondition_required',
+  INTERNAL_ERROR: 'internal_error'
+};
+
+// Code used for a status when the handler gives no more specific one
+const STATUS_CODES = {
+  400: ERROR_CODES.INVALID_REQUEST,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+  415: ERROR_CODES.UNSUPPORTED_MEDIA_TYPE,
+  423: ERROR_CODES.LOCKED,
+  428: ERROR_CODES.PRECONDITION_REQUIRED
+};
+
+const STATUS_MESSAGES = {
+  400: 'Invalid request',
+  401: 'Authentication required',
+  403: 'Access denied',
+  404: 'Not found',
+  500: 'Internal server error'
+};
+
+const KNOWN_CODES = new Set(Object.values(ERROR_CODES));
+
+/**
+ * Pick the code of an error response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @returns {string} ERROR_CODES value
+ */
+const resolveCode = (status, body) => {
+  if (KNOWN_CODES.has(body.code)) return body.code;
+  if (KNOWN_CODES.has(body.reason)) return body.reason;
+  if (status === 400 && Array.isArray(body.errors)) return ERROR_CODES.VALIDATION_FAILED;
+  return STATUS_CODES[status] || (status >= 500 ? ERROR_CODES.INTERNAL_ERROR : ERROR_CODES.INVALID_REQUEST);
+};
+
+/**
+ * Bring an error response body into the `{ code, message, ... }` shape
+ * Older handlers answer with `{ error }` or `{ message, error }`; the text of
+ * `error` becomes the message, or the `detail` when there is a message already.
+ * @param {number} status - HTTP status
+ * @param {*} body - Response body
+ * @returns {Object} Error envelope
+ */
+export function toErrorEnvelope(status, body) {
+  const source = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  const { code, message, error, ...details } = source;
+
+  const text = typeof error === 'string' ? error : null;
+  const envelope = {
+    code: resolveCode(status, source),
+    message: message || text || (typeof body === 'string' && body) || STATUS_MESSAGES[status] || STATUS_MESSAGES[500],
+    ...details
+  };
+  if (message && text) {
+    envelope.detail = text;
+  }
+  return envelope;
+}
+
+/**
+ * Send an error in the uniform shape
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - ERROR_CODES value
+ * @param {string} message - Human-readable message
+ * @param {Object} [details] - Additional fields
+ * @returns {Object} Express response
+ */
+export function sendError(res, status, code, message, details = {}) {
+  return res.status(status).json({ code, message, ...details });
+}
+
+/**
+ * Middleware putting every error response of the API into the uniform shape
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 ? toErrorEnvelope(res.statusCode, body) : body);
+  next();
+}
@@ -0,0 +1,211 @@
+import fs from 'fs/promises';
+import path from 'path';
+import pino from 'pino';
+import { PATHS, FILE_EXTENSIONS } from './fileUtils.js';
+
+/**
+ * Append-only audit trail of diagram mutations
+ *
+ * Every write route records who changed what as one pino JSON line in
+ * `audit.log` in the audit directory. Entries carry the action, the user,
+ * the client IP, the diagram path and, for diagram contents, how many nodes
+ * and connections were added, removed and changed. The log is never
+ * rewritten by the server; rotate it with external tooling.
+ */
+
+const AUDIT_FILE = path.join(PATHS.AUDIT, 'audit.log');
+
+export const DEFAULT_AUDIT_LIMIT = 200;
+const MAX_AUDIT_LIMIT = 1000;
+
+let logger = null;
+
+/**
+ * Get the audit logger, opening the log file on first use
+ * Writes are synchronous so entries are on disk before the response is sent.
+ * @returns {Object} Pino logger
+ */
+function getLogger() {
+  if (!logger) {
+    logger = pino({
+      base: null,
+      timestamp: pino.stdTimeFunctions.isoTime,
+      formatters: {
+        level: (label) => ({ level: label })
+      }
+    }, pino.destination({ dest: AUDIT_FILE, mkdir: true, sync: true }));
+  }
+  return logger;
+}
+
+/**
+ * Parse a file read with readWithETag into a diagram document
+ * @param {Object|null} file - `{ contents }`, or null when the file did not exist
+ * @returns {Object|null} Parsed document, or null
+ */
+export function parseSnapshot(file) {
+  if (!file) return null;
+  try {
+    return JSON.parse(file.contents);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Count added, removed and changed entries between two ID-keyed collections
+ * @param {Object} [before] - Collection before the change
+ * @param {Object} [after] - Collection after the change
+ * @returns {Object} `{ added, removed, changed }`
+ */
+const diffCollection = (before, after) => {
+  const prev = before && typeof before === 'object' ? before : {};
+  const next = after && typeof after === 'object' ? after : {};
+  const delta = { added: 0, removed: 0, changed: 0 };
+
+  Object.keys(next).forEach(id => {
+    if (!Object.prototype.hasOwnProperty.call(prev, id)) {
+      delta.added += 1;
+    } else if (JSON.stringify(prev[id]) !== JSON.stringify(next[id])) {
+      delta.changed += 1;
+    }
+  });
+  delta.removed = Object.keys(prev).filter(id => !Object.prototype.hasOwnProperty.call(next, id)).length;
+  return delta;
+};
+
+/**
+ * Summarize how a diagram changed
+ * @param {Object|null} before - Document before the change, null if it did not exist
+ * @param {Object|null} after - Document after the change, null if it was deleted
+ * @returns {Object} `{ nodes, connections }` with added, removed and changed counts
+ */
+export function summarizeDelta(before, after) {
+  return {
+    nodes: diffCollection(before?.nodes, after?.nodes),
+    connections: diffCollection(before?.connections, after?.connections)
+  };
+}
+
+/**
+ * Append an entry to the audit log
+ * Failures are reported but never fail the request that caused them.
+ * @param {Object} req - Express request object
+ * @param {Object} entry - Audit details
+ * @param {string} entry.action - Route that made the change, such as `save-diagram`
+ * @param {string} entry.path - Diagram or folder path relative to the diagrams directory
+ * @param {Object} [entry.before] - Document before the change
+ * @param {Object} [entry.after] - Document after the change
+ * @param {Object} [entry.details] - Extra fields, such as the revision
+ */
+export function recordAudit(req, { action, path: itemPath, before, after, details = {} }) {
+  try {
+    const hasContents = before !== undefined || after !== undefined;
+    getLogger().info({
+      action,
+      user: req.user?.username || null,
+      ip: req.ip || req.socket?.remoteAddress || null,
+      path: itemPath,
+      ...(hasContents && { delta: summarizeDelta(before ?? null, after ?? null) }),
+      ...details
+    }, `${action} ${itemPath}`);
+  } catch (error) {
+    console.error('Audit Log Error:', error);
+  }
+}
+
+/**
+ * Check whether an audit entry concerns a path
+ * Matches the diagram itself (with or without extension) and everything in a folder.
+ * @param {string} entryPath - Path recorded in the entry
+ * @param {string} filter - Requested path
+ * @returns {boolean} Whether the entry matches
+ */
+const matchesPath = (entryPath, filter) => typeof entryPath === 'string' && (
+  entryPath === filter
+  || entryPath === `${filter}${FILE_EXTENSIONS.DIAGRAM}`
+  || entryPath.startsWith(`${filter}/`)
+);
+
+/**
+ * Parse a time bound of an audit query
+ * @param {string} [value] - ISO date or anything Date accepts
+ * @returns {number|null|undefined} Milliseconds, null when absent, undefined when invalid
+ */
+const parseTime = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? undefined : time;
+};
+
+/**
+ * Read and filter the audit log
+ * @param {Object} [filters] - `{ path, user, from, to }`, times in milliseconds
+ * @returns {Promise<Array>} Matching entries, newest first
+ */
+export async function readAuditLog({ path: pathFilter, user, from, to } = {}) {
+  let contents;
+  try {
+    contents = await fs.readFile(AUDIT_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return contents.split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        // A line cut short by a crash is skipped
+        return null;
+      }
+    })
+    .filter(entry => {
+      if (!entry) return false;
+      const time = new Date(entry.time).getTime();
+      if (from && time < from) return false;
+      if (to && time > to) return false;
+      if (user && entry.user !== user) return false;
+      return !pathFilter || matchesPath(entry.path, pathFilter);
+    })
+    .reverse();
+}
+
+/**
+ * Query the audit log with `?path=&user=&from=&to=&limit=`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getAuditLog(req, res) {
+  try {
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+
+    const limit = Math.min(Number(req.query.limit) || DEFAULT_AUDIT_LIMIT, MAX_AUDIT_LIMIT);
+    const pathFilter = String(req.query.path || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+
+    const entries = await readAuditLog({
+      path: pathFilter,
+      user: req.query.user ? String(req.query.user).toLowerCase() : null,
+      from,
+      to
+    });
+
+    return res.status(200).json({
+      total: entries.length,
+      entries: entries.slice(0, limit)
+    });
+
+  } catch (error) {
+    console.error('Audit Log Read Error:', error);
+    return res.status(500).json({
+      message: 'Failed to read audit log',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,445 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { PATHS, ensureDir } from './fileUtils.js';
+import { withFileLock } from './concurrency.js';
+
+/**
+ * Local user accounts and token authentication
+ *
+ * Accounts live in `users.json` inside the auth directory (`.auth`, override
+ * with `AUTH_DIR`), which is kept outside the statically served tree.
+ * Passwords are stored as scrypt hashes. A login returns a bearer token signed
+ * with HMAC-SHA256; the signing secret comes from `AUTH_SECRET` or is
+ * generated on first use and kept next to the accounts, so tokens survive
+ * restarts. While no account exists the first one can be created without
+ * logging in and becomes an administrator.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERS_FILE = path.join(PATHS.AUTH, 'users.json');
+const SECRET_FILE = path.join(PATHS.AUTH, 'secret');
+
+export const ROLES = ['admin', 'user'];
+
+// Tokens expire after AUTH_TOKEN_TTL_HOURS, 12 hours by default
+const TOKEN_TTL_MS = (Number(process.env.AUTH_TOKEN_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const HASH_BYTES = 64;
+
+let secret = null;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} `scrypt$<salt>$<hash>`, base64 encoded
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, HASH_BYTES);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Get the token signing secret, creating it on first use
+ * @returns {Promise<string>} Secret
+ */
+async function getSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  if (secret) return secret;
+
+  try {
+    secret = (await fs.readFile(SECRET_FILE, 'utf8')).trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    await ensureDir(PATHS.AUTH);
+    secret = crypto.randomBytes(32).toString('hex');
+    await fs.writeFile(SECRET_FILE, secret, { mode: 0o600 });
+  }
+  return secret;
+}
+
+/**
+ * Sign a token payload
+ * @param {string} payload - Base64url encoded payload
+ * @returns {Promise<string>} Base64url encoded signature
+ */
+async function sign(payload) {
+  return crypto.createHmac('sha256', await getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a bearer token for a user
+ * @param {Object} user - User account
+ * @returns {Promise<Object>} `{ token, expiresAt }`
+ */
+async function issueToken(user) {
+  const expiresAt = Date.now() + TOKEN_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({ sub: user.username, exp: expiresAt })).toString('base64url');
+  return {
+    token: `${payload}.${await sign(payload)}`,
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+}
+
+/**
+ * Verify a bearer token
+ * @param {string} token - Token from issueToken
+ * @returns {Promise<string|null>} Username, or null if the token is invalid or expired
+ */
+export async function verifyToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(await sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return typeof sub === 'string' && exp > Date.now() ? sub : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read all user accounts
+ * @returns {Promise<Object>} Accounts keyed by username
+ */
+export async function readUsers() {
+  try {
+    return JSON.parse(await fs.readFile(USERS_FILE, 'utf8')).users || {};
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+/**
+ * Change the user accounts under the file lock
+ * @param {Function} update - Receives the accounts, mutates them and returns a result
+ * @returns {Promise<*>} Result of update
+ */
+async function updateUsers(update) {
+  return withFileLock(USERS_FILE, async () => {
+    const users = await readUsers();
+    const result = await update(users);
+    await ensureDir(PATHS.AUTH);
+    await fs.writeFile(USERS_FILE, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+    return result;
+  });
+}
+
+/**
+ * Strip the password hash from an account
+ * @param {Object} user - User account
+ * @returns {Object} `{ username, displayName, email, role }`
+ */
+export const toPublicUser = (user) => ({
+  username: user.username,
+  displayName: user.displayName || user.username,
+  email: user.email || null,
+  role: user.role
+});
+
+/**
+ * Check account fields
+ * @param {Object} fields - Fields to check
+ * @param {boolean} create - Whether username and password are required
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+const checkAccountFields = ({ username, password, role }, create) => {
+  if (create && !USERNAME_PATTERN.test(String(username || ''))) {
+    return 'Username must be 2-32 lower case letters, digits, ".", "_" or "-"';
+  }
+  if ((create || password !== undefined) && String(password || '').length < MIN_PASSWORD_LENGTH) {
+    return `Password must have at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return `Role must be one of ${ROLES.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Resolve the user of a request from its bearer token
+ * Sets `req.user` for valid tokens and leaves it unset otherwise.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme === 'Bearer' && token) {
+      const username = await verifyToken(token);
+      const user = username && (await readUsers())[username];
+      if (user) {
+        req.user = toPublicUser(user);
+      }
+    }
+    next();
+  } catch (error) {
+    console.error('Authentication Error:', error);
+    res.status(500).json({ message: 'Failed to authenticate request', error: error.message });
+  }
+}
+
+/**
+ * Reject requests without an authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  next();
+}
+
+/**
+ * Reject requests from users who are not administrators
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Administrator role required' });
+  }
+  next();
+}
+
+/**
+ * Report whether accounts still have to be set up
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function authStatus(req, res) {
+  try {
+    const users = await readUsers();
+    return res.status(200).json({ setupRequired: Object.keys(users).length === 0 });
+  } catch (error) {
+    console.error('Auth Status Error:', error);
+    return res.status(500).json({ message: 'Failed to read accounts', error: error.message });
+  }
+}
+
+/**
+ * Log in with `{ username, password }` and return a bearer token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function login(req, res) {
+  try {
+    const { username, password } = req.body || {};
+    const user = (await readUsers())[String(username || '').toLowerCase()];
+
+    // Same answer for unknown users and wrong passwords
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      console.log('Login failed:', { username });
+      return res.status(401).json({ message: 'Invalid username or password' });
+    }
+
+    const session = await issueToken(user);
+    console.log('User logged in:', user.username);
+    return res.status(200).json({ ...session, user: toPublicUser(user) });
+
+  } catch (error) {
+    console.error('Login Error:', error);
+    return res.status(500).json({ message: 'Failed to log in', error: error.message });
+  }
+}
+
+/**
+ * Return the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export function currentUser(req, res) {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  return res.status(200).json({ user: req.user });
+}
+
+/**
+ * List user accounts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listUsers(req, res) {
+  try {
+    const users = await readUsers();
+    return res.status(200).json({
+      users: Object.values(users)
+        .map(toPublicUser)
+        .sort((a, b) => a.username.localeCompare(b.username))
+    });
+  } catch (error) {
+    console.error('User List Error:', error);
+    return res.status(500).json({ message: 'Failed to list users', error: error.message });
+  }
+}
+
+/**
+ * Create an account from `{ username, password, displayName, email, role }`
+ * Requires an administrator, except for the first account, which is always
+ * an administrator and is logged in right away.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function createUser(req, res) {
+  try {
+    const { username, password, displayName, email, role = 'user' } = req.body || {};
+    const invalid = checkAccountFields({ username, password, role }, true);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const passwordHash = await hashPassword(password);
+    const result = await updateUsers(users => {
+      const setup = Object.keys(users).length === 0;
+      if (!setup && req.user?.role !== 'admin') {
+        return { status: req.user ? 403 : 401, body: { message: 'Administrator role required' } };
+      }
+      if (users[username]) {
+        return { status: 409, body: { message: `User ${username} already exists`, reason: 'exists' } };
+      }
+
+      users[username] = {
+        username,
+        displayName: String(displayName || '').trim() || username,
+        email: String(email || '').trim() || null,
+        role: setup ? 'admin' : role,
+        passwordHash,
+        createdAt: new Date().toISOString()
+      };
+      return { status: 201, setup, user: users[username] };
+    });
+
+    if (result.status !== 201) {
+      return res.status(result.status).json(result.body);
+    }
+
+    console.log('User created:', { username, role: result.user.role, by: req.user?.username || null });
+    return res.status(201).json({
+      message: 'User created',
+      user: toPublicUser(result.user),
+      // The first account is logged in so setup ends on the canvas
+      ...(result.setup && await issueToken(result.user))
+    });
+
+  } catch (error) {
+    console.error('User Create Error:', error);
+    return res.status(500).json({ message: 'Failed to create user', error: error.message });
+  }
+}
+
+/**
+ * Update an account with `{ password, displayName, email, role }`
+ * Users may change their own password and profile; other accounts and roles
+ * can only be changed by administrators.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function updateUser(req, res) {
+  try {
+    const { username } = req.params;
+    const { password, displayName, email, role } = req.body || {};
+    const isAdmin = req.user.role === 'admin';
+
+    if (username !== req.user.username && !isAdmin) {
+      return res.status(403).json({ message: 'Administrator role required' });
+    }
+    if (role !== undefined && !isAdmin) {
+      return res.status(403).json({ message: 'Only administrators can change roles' });
+    }
+
+    const invalid = checkAccountFields({ password, role }, false);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const passwordHash = password !== undefined ? await hashPassword(password) : null;
+    const user = await updateUsers(users => {
+      const account = users[username];
+      if (!account) return null;
+
+      if (passwordHash) account.passwordHash = passwordHash;
+      if (displayName !== undefined) account.displayName = String(displayName).trim() || username;
+      if (email !== undefined) account.email = String(email).trim() || null;
+      if (role !== undefined) account.role = role;
+      return account;
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    console.log('User updated:', { username, by: req.user.username });
+    return res.status(200).json({ message: 'User updated', user: toPublicUser(user) });
+
+  } catch (error) {
+    console.error('User Update Error:', error);
+    return res.status(500).json({ message: 'Failed to update user', error: error.message });
+  }
+}
+
+/**
+ * Delete an account
+ * Administrators cannot delete themselves, so at least one always remains.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function deleteUser(req, res) {
+  try {
+    const { username } = req.params;
+    if (username === req.user.username) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+
+    const deleted = await updateUsers(users => {
+      if (!users[username]) return false;
+      delete users[username];
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    console.log('User deleted:', { username, by: req.user.username });
+    return res.status(200).json({ message: 'User deleted', username });
+
+  } catch (error) {
+    console.error('User Delete Error:', error);
+    return res.status(500).json({ message: 'Failed to delete user', error: error.message });
+  }
+}
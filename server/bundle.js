@@ -0,0 +1,404 @@
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import {
+  PATHS,
+  FILE_EXTENSIONS,
+  ensureDir,
+  pathExists,
+  ensureFileExtension,
+  removeFileExtension,
+  validatePath,
+  toDiagramPath,
+  isValidItemName
+} from './fileUtils.js';
+import { storage, findAvailableName } from './storage/index.js';
+import { migrateTopology } from '../src/utils/TopologyMigrations.js';
+import { validateIconEntry } from '../src/utils/IconManifestSchema.js';
+import { writeIconEntry, prepareIconContents } from './icons.js';
+import { readDeviceConfigs, resolveConfigFile } from './deviceConfigFiles.js';
+import { MAX_BUNDLE_BYTES, iconFileOf, createBundle, readBundle } from './bundleFormat.js';
+import { recordChange, getRequestAuthor } from './history.js';
+import { updateSearchIndex } from './search.js';
+import { writeWithETag, withFileLock } from './concurrency.js';
+import { checkItemAccess, checkFolderAccess, normalizeFolder } from './permissions.js';
+import { recordAudit } from './audit.js';
+
+/**
+ * Bundle export and import routes
+ *
+ * The archive format is in bundleFormat.js. Importing unpacks a bundle into
+ * this instance: icons and configurations are shared by all diagrams, so
+ * identical files are reused and different ones are stored under a new name,
+ * with the diagram's references rewritten to match.
+ */
+
+export const COLLISION_MODES = {
+  RENAME: 'rename',
+  FAIL: 'fail'
+};
+
+/**
+ * Body parser for bundle uploads: the request body is the raw archive
+ */
+export const parseBundleUpload = express.raw({
+  type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+  limit: MAX_BUNDLE_BYTES
+});
+
+/**
+ * Pick a name that is neither on disk nor claimed earlier in the same import
+ * Appends `-2`, `-3`, ... since icon and configuration names may not contain spaces.
+ * @param {string} baseName - Name without extension
+ * @param {string} extension - Extension to append
+ * @param {Function} isTaken - `(name) => Promise<boolean>`
+ * @returns {Promise<string>} Available name including the extension
+ */
+async function findFreeName(baseName, extension, isTaken) {
+  let candidate = `${baseName}${extension}`;
+  for (let counter = 2; await isTaken(candidate); counter++) {
+    candidate = `${baseName}-${counter}${extension}`;
+  }
+  return candidate;
+}
+
+/**
+ * Download a diagram as a bundle
+ * `path` is the diagram path relative to the diagrams directory.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function exportBundle(req, res) {
+  try {
+    if (!req.query.path) {
+      return res.status(400).json({ message: 'Diagram path is required' });
+    }
+
+    let filename;
+    try {
+      filename = toDiagramPath(validatePath(ensureFileExtension(req.query.path, FILE_EXTENSIONS.DIAGRAM), PATHS.DIAGRAMS));
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (!(await checkItemAccess(req, res, filename, 'file', 'read'))) return;
+
+    const contents = await storage.read(filename);
+    if (contents === null) {
+      return res.status(404).json({ message: 'Topology file not found' });
+    }
+
+    let migration;
+    try {
+      migration = migrateTopology(JSON.parse(contents));
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const name = removeFileExtension(path.basename(filename), FILE_EXTENSIONS.DIAGRAM);
+    const { archive, manifest } = await createBundle(migration.document, {
+      name,
+      path: removeFileExtension(filename, FILE_EXTENSIONS.DIAGRAM),
+      createdBy: req.user?.username || null
+    });
+
+    console.log('Bundle exported:', { filename, icons: Object.keys(manifest.icons).length, deviceConfigs: manifest.deviceConfigs.length });
+
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${encodeURIComponent(name)}.zip"`);
+    return res.status(200).send(archive);
+
+  } catch (error) {
+    console.error('Bundle Export Error:', error);
+    return res.status(500).json({
+      message: 'Failed to export bundle',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Decide where each bundled icon and configuration goes
+ * @param {Object} bundle - Result of readBundle
+ * @returns {Promise<Object>} `{ icons, configs }`, each a Map from bundled name
+ *   to `{ name, action }` with action `add`, `reuse` or `rename`
+ * @throws {Error} If a configuration is bound to an icon that is nowhere to be found
+ */
+async function planDependencies(bundle) {
+  const claimed = new Set();
+  const icons = new Map();
+  const configs = new Map();
+
+  for (const [file, contents] of bundle.icons) {
+    const iconPath = path.join(PATHS.ICONS, file);
+    if (!(await pathExists(iconPath))) {
+      icons.set(file, { name: file, action: 'add' });
+    } else if ((await fs.readFile(iconPath)).equals(contents)) {
+      icons.set(file, { name: file, action: 'reuse' });
+    } else {
+      const extension = path.extname(file);
+      const name = await findFreeName(file.slice(0, -extension.length), extension, async candidate =>
+        claimed.has(candidate) || bundle.icons.has(candidate) || pathExists(path.join(PATHS.ICONS, candidate)));
+      icons.set(file, { name, action: 'rename' });
+    }
+    claimed.add(icons.get(file).name);
+  }
+
+  const existing = new Map((await readDeviceConfigs()).map(({ name, config }) => [name, config]));
+  for (const [configName, config] of bundle.configs) {
+    // Compare with the icon binding as it will be stored
+    if (config.icon && icons.has(config.icon)) {
+      config.icon = icons.get(config.icon).name;
+    } else if (config.icon && (path.basename(config.icon) !== config.icon
+      || !(await pathExists(path.join(PATHS.ICONS, config.icon))))) {
+      throw new Error(`Device configuration ${configName} references unknown icon "${config.icon}"`);
+    }
+
+    if (!existing.has(configName)) {
+      configs.set(configName, { name: configName, action: 'add' });
+    } else if (isDeepStrictEqual(existing.get(configName), config)) {
+      configs.set(configName, { name: configName, action: 'reuse' });
+    } else {
+      const name = await findFreeName(configName, '', async candidate =>
+        existing.has(candidate) || bundle.configs.has(candidate) || [...configs.values()].some(plan => plan.name === candidate));
+      configs.set(configName, { name, action: 'rename' });
+    }
+  }
+
+  return { icons, configs };
+}
+
+/**
+ * Build the manifest entries of the icons an import stores
+ * Icons that moved to a new name, or whose configuration did, get an explicit
+ * binding so they keep the configuration they had in the source instance.
+ * @param {Object} bundle - Result of readBundle
+ * @param {Object} plan - Result of planDependencies
+ * @returns {Map<string, Object>} Entry by stored icon filename
+ * @throws {Error} If bundled metadata does not match the manifest schema
+ */
+function planIconEntries(bundle, plan) {
+  const entries = new Map();
+
+  plan.icons.forEach(({ name, action }, file) => {
+    if (action === 'reuse') return;
+
+    const { metadata, deviceConfig } = bundle.manifest.icons?.[file] || {};
+    const entry = metadata ? { ...metadata } : {};
+    delete entry.deviceConfig;
+
+    const configPlan = deviceConfig ? plan.configs.get(deviceConfig) : null;
+    if (configPlan && (metadata?.deviceConfig || action === 'rename' || configPlan.action === 'rename')) {
+      entry.deviceConfig = configPlan.name;
+    }
+    if (Object.keys(entry).length === 0) return;
+
+    const { errors } = validateIconEntry(entry);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid metadata for icon ${file}`);
+      error.errors = errors;
+      throw error;
+    }
+    entries.set(name, entry);
+  });
+
+  return entries;
+}
+
+/**
+ * Point node icon references at the names the icons were stored under
+ * @param {Object} document - Topology document, changed in place
+ * @param {Map} iconPlan - Icon plan from planDependencies
+ * @returns {number} Number of nodes changed
+ */
+function rewriteIconReferences(document, iconPlan) {
+  let changed = 0;
+  Object.values(document.nodes || {}).forEach(node => {
+    let nodeChanged = false;
+    ['iconPath', 'icon'].forEach(key => {
+      const plan = iconPlan.get(iconFileOf(node[key]));
+      if (plan && plan.action === 'rename') {
+        node[key] = node[key].replace(/[^/]+$/, plan.name);
+        nodeChanged = true;
+      }
+    });
+    if (nodeChanged) changed += 1;
+  });
+  return changed;
+}
+
+/**
+ * Summarize a dependency plan for the response
+ * @param {Map} plan - Icon or configuration plan
+ * @returns {Array} `{ name, storedAs, action }`
+ */
+const describePlan = (plan) => [...plan].map(([name, { name: storedAs, action }]) => ({ name, storedAs, action }));
+
+/**
+ * Import a bundle into a folder
+ *
+ * The body is the archive with a `Content-Type` of `application/zip`. Query
+ * parameters:
+ * - folder: target folder relative to the diagrams directory (default: root)
+ * - name: diagram name (default: the name it was exported under)
+ * - collision: `rename` stores a clashing diagram under a free name, `fail`
+ *   answers 409 when the diagram, an icon or a configuration clashes
+ * - dryRun: `true` to get the report without writing anything
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function importBundle(req, res) {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(415).json({ message: 'Bundles must be uploaded as application/zip' });
+    }
+
+    const collision = req.query.collision || COLLISION_MODES.RENAME;
+    if (!Object.values(COLLISION_MODES).includes(collision)) {
+      return res.status(400).json({ message: `Unknown collision mode: ${collision}` });
+    }
+    const dryRun = req.query.dryRun === 'true';
+
+    let bundle;
+    try {
+      bundle = readBundle(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: error.message, errors: error.errors });
+    }
+
+    let folder;
+    try {
+      folder = toDiagramPath(validatePath(normalizeFolder(req.query.folder), PATHS.DIAGRAMS));
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (folder && (await storage.stat(folder))?.type !== 'folder') {
+      return res.status(404).json({ message: 'Folder not found' });
+    }
+    if (!(await checkFolderAccess(req, res, folder, 'write'))) return;
+
+    const requestedName = removeFileExtension(String(req.query.name || bundle.manifest.diagram?.name || ''), FILE_EXTENSIONS.DIAGRAM);
+    if (!isValidItemName(requestedName)) {
+      return res.status(400).json({ message: 'Invalid diagram name' });
+    }
+
+    let plan;
+    let iconEntries;
+    try {
+      plan = await planDependencies(bundle);
+      iconEntries = planIconEntries(bundle, plan);
+    } catch (error) {
+      return res.status(400).json({ message: error.message, errors: error.errors });
+    }
+    const renamedNodes = rewriteIconReferences(bundle.document, plan.icons);
+
+    const diagramFile = await findAvailableName(folder, requestedName, FILE_EXTENSIONS.DIAGRAM);
+    const collisions = [
+      ...(diagramFile !== `${requestedName}${FILE_EXTENSIONS.DIAGRAM}`
+        ? [{ type: 'diagram', name: requestedName, storedAs: removeFileExtension(diagramFile, FILE_EXTENSIONS.DIAGRAM) }]
+        : []),
+      ...describePlan(plan.icons).filter(item => item.action === 'rename').map(({ name, storedAs }) => ({ type: 'icon', name, storedAs })),
+      ...describePlan(plan.configs).filter(item => item.action === 'rename').map(({ name, storedAs }) => ({ type: 'deviceConfig', name, storedAs }))
+    ];
+
+    const filename = folder ? `${folder}/${diagramFile}` : diagramFile;
+    const report = {
+      path: removeFileExtension(filename, FILE_EXTENSIONS.DIAGRAM),
+      icons: describePlan(plan.icons),
+      deviceConfigs: describePlan(plan.configs),
+      missingIcons: bundle.manifest.missingIcons || [],
+      renamedNodes,
+      collisions
+    };
+
+    if (collision === COLLISION_MODES.FAIL && collisions.length > 0) {
+      return res.status(409).json({
+        message: 'The bundle clashes with existing items',
+        reason: 'exists',
+        ...report
+      });
+    }
+    if (dryRun) {
+      return res.status(200).json({ message: 'Bundle checked', dryRun: true, ...report });
+    }
+
+    // Dependencies first, so the diagram never references something missing
+    for (const [file, { name, action }] of plan.icons) {
+      if (action === 'reuse') continue;
+      await fs.writeFile(path.join(PATHS.ICONS, name), prepareIconContents(bundle.icons.get(file), path.extname(name).toLowerCase()), { flag: 'wx' });
+    }
+    await ensureDir(PATHS.DEVICE_CONFIG);
+    for (const [configName, { name, action }] of plan.configs) {
+      if (action === 'reuse') continue;
+      const { filePath } = resolveConfigFile(name);
+      await fs.writeFile(filePath, JSON.stringify(bundle.configs.get(configName), null, 2), { flag: 'wx' });
+    }
+    for (const [file, entry] of iconEntries) {
+      await writeIconEntry(file, entry);
+    }
+
+    if (req.user) {
+      bundle.document.lastModifiedBy = {
+        username: req.user.username,
+        name: req.user.displayName
+      };
+    }
+
+    return await withFileLock(filename, async () => {
+      if (await storage.exists(filename)) {
+        return res.status(409).json({
+          message: 'A diagram with this name already exists',
+          reason: 'exists',
+          filename,
+          path: report.path
+        });
+      }
+
+      const etag = await writeWithETag(filename, JSON.stringify(bundle.document, null, 2));
+
+      await updateSearchIndex([filename]);
+      const revision = await recordChange([filename], {
+        author: getRequestAuthor(req),
+        message: `Import ${filename} from bundle`
+      });
+
+      recordAudit(req, {
+        action: 'bundle/import',
+        path: filename,
+        after: bundle.document,
+        details: {
+          revision,
+          source: bundle.manifest.diagram?.path || null,
+          icons: report.icons.filter(item => item.action !== 'reuse').map(item => item.storedAs),
+          deviceConfigs: report.deviceConfigs.filter(item => item.action !== 'reuse').map(item => item.storedAs)
+        }
+      });
+
+      console.log('Bundle imported:', { filename, collisions: collisions.length, revision });
+
+      res.set('ETag', etag);
+      return res.status(201).json({
+        message: 'Bundle imported',
+        filename,
+        etag,
+        revision,
+        ...report
+      });
+    });
+
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return res.status(409).json({
+        message: 'An icon or device configuration was added while importing, try again',
+        reason: 'exists'
+      });
+    }
+    console.error('Bundle Import Error:', error);
+    return res.status(500).json({
+      message: 'Failed to import bundle',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,181 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { PATHS, FILE_EXTENSIONS, pathExists } from './fileUtils.js';
+import { validateTopology } from '../src/utils/TopologySchema.js';
+import { migrateTopology } from '../src/utils/TopologyMigrations.js';
+import { validateDeviceConfig } from '../src/utils/DeviceConfigSchema.js';
+import { ICON_EXTENSIONS, MAX_ICON_BYTES, readIconManifest, toIconFilename } from './iconFiles.js';
+import { readDeviceConfigs, resolveConfigFile, resolveIconConfig } from './deviceConfigFiles.js';
+import { createZip, readZip } from './zip.js';
+
+/**
+ * Portable diagram bundles
+ *
+ * A bundle is a ZIP archive holding a diagram together with the icons and
+ * device configurations it needs, so it can be moved to another instance:
+ *
+ *   manifest.json             format, version, source diagram and icon metadata
+ *   topology.json             the diagram, upgraded to the current format
+ *   icons/<file>              every icon the nodes reference
+ *   deviceconfig/<name>.json  the device configuration of each icon
+ *
+ * This module packs and unpacks archives. It only depends on Node built-ins
+ * and the shared topology code, so the command-line tool can use it without
+ * the server's packages; the import and export routes are in bundle.js.
+ */
+
+export const BUNDLE_FORMAT = 'networkmap-bundle';
+export const BUNDLE_VERSION = 1;
+
+// Largest accepted upload, in bytes; also bounds the unpacked contents
+export const MAX_BUNDLE_BYTES = Number(process.env.BUNDLE_MAX_BYTES || 20 * 1024 * 1024);
+
+const MANIFEST_ENTRY = 'manifest.json';
+const TOPOLOGY_ENTRY = 'topology.json';
+const ICONS_FOLDER = 'icons/';
+const DEVICE_CONFIG_FOLDER = 'deviceconfig/';
+
+const ICON_REFERENCE = /^\/?net_icons\/([^/]+)$/;
+
+/**
+ * Get the icon file a node reference points at
+ * @param {*} reference - `iconPath` or `icon` of a node
+ * @returns {string|null} Icon filename, or null for anything but a network icon
+ */
+export const iconFileOf = (reference) => {
+  const match = typeof reference === 'string' ? reference.match(ICON_REFERENCE) : null;
+  return match ? match[1] : null;
+};
+
+/**
+ * Pack a diagram into a bundle
+ * Icons and device configurations are taken from this instance.
+ * @param {Object} document - Diagram in the current format
+ * @param {Object} source - `{ name, path, createdBy }` recorded in the manifest
+ * @returns {Promise<Object>} `{ archive, manifest }` with the ZIP archive as a Buffer
+ */
+export async function createBundle(document, { name, path: diagramPath, createdBy = null }) {
+  const [manifest, configs] = await Promise.all([readIconManifest(), readDeviceConfigs()]);
+
+  const iconFiles = new Set();
+  Object.values(document.nodes || {}).forEach(node => {
+    [node.iconPath, node.icon].map(iconFileOf).filter(Boolean).forEach(file => iconFiles.add(file));
+  });
+
+  const icons = {};
+  const missingIcons = [];
+  const configNames = new Set();
+
+  for (const file of iconFiles) {
+    if (path.basename(file) !== file || !(await pathExists(path.join(PATHS.ICONS, file)))) {
+      missingIcons.push(file);
+      continue;
+    }
+    const deviceConfig = resolveIconConfig(file, manifest, configs);
+    if (deviceConfig) configNames.add(deviceConfig);
+    icons[file] = { metadata: manifest.icons[file] || null, deviceConfig };
+  }
+
+  // Configurations stay valid only together with the icon they are bound to
+  const bundledConfigs = configs.filter(({ name }) => configNames.has(name));
+  for (const { config } of bundledConfigs) {
+    if (config.icon && !icons[config.icon] && path.basename(config.icon) === config.icon
+      && await pathExists(path.join(PATHS.ICONS, config.icon))) {
+      icons[config.icon] = { metadata: manifest.icons[config.icon] || null, deviceConfig: null };
+    }
+  }
+
+  const entries = [];
+  for (const file of Object.keys(icons).sort()) {
+    entries.push({ name: `${ICONS_FOLDER}${file}`, data: await fs.readFile(path.join(PATHS.ICONS, file)) });
+  }
+  bundledConfigs.forEach(({ name, config }) => {
+    entries.push({
+      name: `${DEVICE_CONFIG_FOLDER}${name}${FILE_EXTENSIONS.DIAGRAM}`,
+      data: JSON.stringify(config, null, 2)
+    });
+  });
+
+  const bundleManifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    createdBy,
+    diagram: { name, path: diagramPath },
+    icons,
+    deviceConfigs: [...configNames].sort(),
+    missingIcons
+  };
+
+  const archive = createZip([
+    { name: MANIFEST_ENTRY, data: JSON.stringify(bundleManifest, null, 2) },
+    { name: TOPOLOGY_ENTRY, data: JSON.stringify(document, null, 2) },
+    ...entries
+  ]);
+
+  return { archive, manifest: bundleManifest };
+}
+
+/**
+ * Unpack and check a bundle
+ * @param {Buffer} buffer - Uploaded archive
+ * @returns {Object} `{ manifest, document, icons, configs }` with icon contents
+ *   and parsed configurations by name
+ * @throws {Error} If the archive is not a valid bundle; `errors` lists schema errors
+ */
+export function readBundle(buffer) {
+  const files = readZip(buffer, { maxBytes: MAX_BUNDLE_BYTES });
+
+  const readJson = (name) => {
+    if (!files.has(name)) throw new Error(`Bundle has no ${name}`);
+    try {
+      return JSON.parse(files.get(name).toString('utf8'));
+    } catch {
+      throw new Error(`${name} is not valid JSON`);
+    }
+  };
+
+  const manifest = readJson(MANIFEST_ENTRY);
+  if (manifest?.format !== BUNDLE_FORMAT) {
+    throw new Error('File is not a diagram bundle');
+  }
+  if (manifest.version !== BUNDLE_VERSION) {
+    throw new Error(`Unsupported bundle version: ${manifest.version}`);
+  }
+
+  const { document } = migrateTopology(readJson(TOPOLOGY_ENTRY));
+  const validation = validateTopology(document);
+  if (!validation.valid) {
+    const error = new Error('Invalid topology configuration');
+    error.errors = validation.errors;
+    throw error;
+  }
+
+  const icons = new Map();
+  const configs = new Map();
+  for (const [name, contents] of files) {
+    if (name.startsWith(ICONS_FOLDER)) {
+      const file = name.slice(ICONS_FOLDER.length);
+      const extension = path.extname(file).toLowerCase();
+      if (!Object.values(ICON_EXTENSIONS).includes(extension) || toIconFilename(file, extension) !== file) {
+        throw new Error(`Invalid icon name in bundle: ${file}`);
+      }
+      if (contents.length > MAX_ICON_BYTES) {
+        throw new Error(`Icon ${file} is larger than the ${Math.round(MAX_ICON_BYTES / 1024)} KB limit`);
+      }
+      icons.set(file, contents);
+    } else if (name.startsWith(DEVICE_CONFIG_FOLDER)) {
+      const configName = resolveConfigFile(name.slice(DEVICE_CONFIG_FOLDER.length)).name;
+      const config = readJson(name);
+      const { errors } = validateDeviceConfig(config);
+      if (errors.length > 0) {
+        const error = new Error(`Invalid device configuration ${configName}`);
+        error.errors = errors;
+        throw error;
+      }
+      configs.set(configName, config);
+    }
+  }
+
+  return { manifest, document, icons, configs };
+}
@@ -0,0 +1,449 @@
+import crypto from 'crypto';
+import { WebSocketServer, WebSocket } from 'ws';
+import {
+  PATHS,
+  FILE_EXTENSIONS,
+  ensureFileExtension,
+  validatePath,
+  toDiagramPath
+} from './fileUtils.js';
+import { readWithETag } from './concurrency.js';
+import { verifyToken, readUsers, toPublicUser } from './auth.js';
+import { readPermissionRules, resolveAccess, folderOf, hasAccess } from './permissions.js';
+import { migrateTopology } from '../src/utils/TopologyMigrations.js';
+import { applyOperation, checkOperation } from '../src/utils/TopologyOperations.js';
+import { getBlockingLock, getPublicLock, onLockChanged } from './locks.js';
+
+/**
+ * Real-time collaborative editing
+ *
+ * Clients open a WebSocket to `/api/collab?path=<diagram>&token=<token>` for
+ * the diagram on their canvas. Everyone with the same diagram open shares a
+ * room whose document starts as the file on disk. Edits arrive as operations
+ * (see src/utils/TopologyOperations.js); the server applies each one to the
+ * room document, numbers it and broadcasts it to every client in the room,
+ * the sender included. Applying operations in sequence order makes all
+ * canvases converge. Operations that conflict with an earlier one are
+ * answered with `rejected` to the sender only.
+ *
+ * The room also shares presence: who is there, where their pointer is on the
+ * canvas and which nodes they have selected or are dragging. A closed tab
+ * leaves the room at once; a client that stops answering pings is dropped
+ * after two heartbeats.
+ *
+ * While another user has the diagram checked out (see locks.js), operations
+ * are rejected and the room is told about every change of the lock.
+ *
+ * Messages from the server:
+ * - `welcome` `{ clientId, seq, snapshot, canWrite, lock, self, peers }` after joining
+ * - `op` `{ seq, id, clientId, user, op }` for every accepted operation
+ * - `rejected` `{ id, op, reason }` for an operation that was not applied
+ * - `snapshot` `{ seq, snapshot }` in answer to `resync`, or when a restore
+ *   replaced the diagram
+ * - `saved` `{ etag, revision, user }` when the diagram was saved
+ * - `peerJoined` `{ peer }`, `presence` `{ peer }` and `peerLeft` `{ clientId }`
+ *   for the other clients of the room
+ * - `lock` `{ lock }` when the diagram was checked out or in (lock is null)
+ *
+ * Messages from clients are `op` `{ id, op }`, `resync` and `presence`
+ * `{ cursor, selection, dragging }`. The room only lives in memory; saving
+ * still goes through /api/topology/save.
+ */
+
+export const COLLABORATION_PATH = '/api/collab';
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+// Colors handed out to the clients of a room, in order
+const PRESENCE_COLORS = ['#e53935', '#8e24aa', '#3949ab', '#00897b', '#7cb342', '#fb8c00', '#6d4c41', '#d81b60'];
+const MAX_PRESENCE_NODES = 50;
+
+// Rooms by diagram path, as promises while the file is being read
+const rooms = new Map();
+
+/**
+ * Send a message to one client
+ * @param {WebSocket} ws - Client socket
+ * @param {Object} message - Message to send as JSON
+ */
+const send = (ws, message) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Send a message to every client of a room
+ * @param {Object} room - Room
+ * @param {Object} message - Message to send as JSON
+ * @param {WebSocket} [except] - Client to leave out
+ */
+const broadcast = (room, message, except = null) => {
+  const data = JSON.stringify(message);
+  room.clients.forEach(ws => {
+    if (ws !== except && ws.readyState === WebSocket.OPEN) ws.send(data);
+  });
+};
+
+/**
+ * Pick the first color no other client of a room has
+ * @param {Object} room - Room
+ * @returns {string} CSS color
+ */
+const pickColor = (room) => {
+  const used = new Set([...room.clients].map(ws => ws.presence.color));
+  return PRESENCE_COLORS.find(color => !used.has(color))
+    || PRESENCE_COLORS[room.clients.size % PRESENCE_COLORS.length];
+};
+
+/**
+ * Check a presence update sent by a client
+ * @param {Object} update - `{ cursor, selection, dragging }`, each optional
+ * @returns {Object} Fields that are present and well formed
+ */
+const sanitizePresence = (update = {}) => {
+  const changes = {};
+  const nodeIds = (value) => (Array.isArray(value)
+    ? value.filter(id => typeof id === 'string').slice(0, MAX_PRESENCE_NODES)
+    : []);
+
+  if (update.cursor === null) {
+    changes.cursor = null;
+  } else if (update.cursor && Number.isFinite(update.cursor.x) && Number.isFinite(update.cursor.y)) {
+    changes.cursor = { x: update.cursor.x, y: update.cursor.y };
+  }
+  if (update.selection !== undefined) changes.selection = nodeIds(update.selection);
+  if (update.dragging !== undefined) changes.dragging = nodeIds(update.dragging);
+  return changes;
+};
+
+/**
+ * Answer an upgrade request with an HTTP error and close the socket
+ * @param {Object} socket - Network socket of the request
+ * @param {number} status - HTTP status code
+ * @param {string} reason - Status text
+ */
+const rejectUpgrade = (socket, status, reason) => {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Resolve the diagram, user and access of a collaboration request
+ * @param {URL} url - Request URL with `path` and optional `token`
+ * @returns {Promise<Object>} `{ session }`, or `{ status, reason }` to reject the request
+ */
+async function authorizeUpgrade(url) {
+  const diagramPath = String(url.searchParams.get('path') || '').replace(/^[/\\]+/, '');
+  if (!diagramPath) {
+    return { status: 400, reason: 'Bad Request' };
+  }
+
+  let filename;
+  try {
+    filename = toDiagramPath(validatePath(ensureFileExtension(diagramPath, FILE_EXTENSIONS.DIAGRAM), PATHS.DIAGRAMS));
+  } catch {
+    return { status: 400, reason: 'Bad Request' };
+  }
+
+  // Browsers cannot set headers on WebSockets, so the token comes in the query
+  let user = null;
+  const token = url.searchParams.get('token');
+  if (token) {
+    const username = await verifyToken(token);
+    const account = username && (await readUsers())[username];
+    if (!account) {
+      return { status: 401, reason: 'Unauthorized' };
+    }
+    user = toPublicUser(account);
+  }
+
+  const access = resolveAccess(await readPermissionRules(), user, folderOf(filename));
+  if (!hasAccess(access, 'read')) {
+    return { status: 403, reason: 'Forbidden' };
+  }
+
+  return {
+    session: {
+      filename,
+      user,
+      canWrite: hasAccess(access, 'write')
+    }
+  };
+}
+
+/**
+ * Create a room from the stored diagram
+ * A diagram that does not exist yet starts empty.
+ * @param {string} filename - Diagram path relative to the diagrams directory
+ * @returns {Promise<Object>} Room
+ */
+async function loadRoom(filename) {
+  const file = await readWithETag(filename);
+  const doc = file
+    ? migrateTopology(JSON.parse(file.contents)).document
+    : { nodes: {}, connections: {} };
+
+  return {
+    filename,
+    doc,
+    seq: 0,
+    clients: new Set(),
+    closed: false
+  };
+}
+
+/**
+ * Get the room of a diagram, creating it on first use
+ * @param {Object} session - Session from authorizeUpgrade
+ * @returns {Promise<Object>} Open room
+ */
+async function getRoom({ filename }) {
+  for (;;) {
+    if (!rooms.has(filename)) {
+      const pending = loadRoom(filename);
+      rooms.set(filename, pending);
+      pending.catch(() => {
+        if (rooms.get(filename) === pending) rooms.delete(filename);
+      });
+    }
+
+    const room = await rooms.get(filename);
+    // The last client may have left while the room was being read
+    if (!room.closed) return room;
+  }
+}
+
+/**
+ * Apply an operation from a client and broadcast it
+ * @param {WebSocket} ws - Sending client
+ * @param {Object} room - Room of the client
+ * @param {Object} message - `{ id, op }`
+ */
+function handleOperation(ws, room, { id, op }) {
+  const reject = (reason) => send(ws, { type: 'rejected', id, op, reason });
+
+  if (!ws.session.canWrite) {
+    return reject('Write access is required');
+  }
+
+  const lock = getBlockingLock(room.filename, ws.session.user);
+  if (lock) {
+    return reject(`The diagram is checked out by ${lock.displayName}`);
+  }
+
+  const invalid = checkOperation(op);
+  if (invalid) {
+    return reject(invalid);
+  }
+
+  const result = applyOperation(room.doc, op);
+  if (!result.ok) {
+    return reject(result.reason);
+  }
+  if (!result.changed) return;
+
+  room.seq += 1;
+  broadcast(room, {
+    type: 'op',
+    seq: room.seq,
+    id,
+    clientId: ws.clientId,
+    user: ws.session.user?.username || null,
+    op
+  });
+}
+
+/**
+ * Handle a message from a client
+ * @param {WebSocket} ws - Sending client
+ * @param {Object} room - Room of the client
+ * @param {Buffer} data - Raw message
+ */
+function handleMessage(ws, room, data) {
+  let message;
+  try {
+    message = JSON.parse(data.toString('utf8'));
+  } catch {
+    return send(ws, { type: 'error', message: 'Messages must be JSON' });
+  }
+
+  switch (message?.type) {
+    case 'op':
+      return handleOperation(ws, room, message);
+    case 'resync':
+      return send(ws, { type: 'snapshot', seq: room.seq, snapshot: room.doc });
+    case 'presence':
+      ws.presence = { ...ws.presence, ...sanitizePresence(message) };
+      return broadcast(room, { type: 'presence', peer: ws.presence }, ws);
+    default:
+      return send(ws, { type: 'error', message: `Unknown message type: ${message?.type}` });
+  }
+}
+
+/**
+ * Add a connected client to the room of its diagram
+ * @param {WebSocket} ws - Client socket
+ * @param {Object} session - Session from authorizeUpgrade
+ */
+async function joinRoom(ws, session) {
+  ws.session = session;
+  ws.clientId = crypto.randomUUID();
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  let room;
+  try {
+    room = await getRoom(session);
+  } catch (error) {
+    console.error('Collaboration Room Error:', error);
+    ws.close(1011, 'Failed to open diagram');
+    return;
+  }
+
+  if (ws.readyState !== WebSocket.OPEN) {
+    if (room.clients.size === 0) closeRoom(room);
+    return;
+  }
+
+  ws.presence = {
+    clientId: ws.clientId,
+    username: session.user?.username || null,
+    displayName: session.user?.displayName || 'Guest',
+    color: pickColor(room),
+    cursor: null,
+    selection: [],
+    dragging: []
+  };
+  const peers = [...room.clients].map(client => client.presence);
+
+  room.clients.add(ws);
+  ws.on('message', data => handleMessage(ws, room, data));
+  ws.on('close', () => {
+    room.clients.delete(ws);
+    if (room.clients.size === 0) {
+      closeRoom(room);
+    } else {
+      broadcast(room, { type: 'peerLeft', clientId: ws.clientId });
+    }
+  });
+
+  send(ws, {
+    type: 'welcome',
+    clientId: ws.clientId,
+    seq: room.seq,
+    snapshot: room.doc,
+    canWrite: session.canWrite,
+    lock: getPublicLock(room.filename),
+    self: ws.presence,
+    peers
+  });
+  broadcast(room, { type: 'peerJoined', peer: ws.presence }, ws);
+}
+
+/**
+ * Drop a room nobody is in anymore
+ * @param {Object} room - Room
+ */
+function closeRoom(room) {
+  room.closed = true;
+  rooms.delete(room.filename);
+}
+
+/**
+ * Tell the clients of a diagram that it was saved
+ * Lets them pick up the new ETag, so their next save is not seen as a conflict.
+ * Writes that replace the contents, such as restoring a revision, also pass
+ * the new document; it becomes the room document and is sent as a snapshot.
+ * Single edits made through the REST API pass their operations instead, which
+ * are applied like those of a client so unsaved edits in the room are kept.
+ * @param {string} filename - Diagram path relative to the diagrams directory
+ * @param {Object} details - `{ etag, revision, user }`
+ * @param {Object} [options] - Notification options
+ * @param {Object} [options.document] - Document that replaces the room document
+ * @param {Array} [options.operations] - Operations to apply to the room document
+ */
+export function notifyDiagramSaved(filename, details, { document, operations = [] } = {}) {
+  const pending = rooms.get(filename);
+  if (!pending) return;
+
+  pending
+    .then(room => {
+      if (room.closed) return;
+
+      if (document) {
+        room.doc = migrateTopology(document).document;
+        room.seq += 1;
+        broadcast(room, { type: 'snapshot', seq: room.seq, snapshot: room.doc });
+      }
+      operations.forEach(op => {
+        const result = applyOperation(room.doc, op);
+        if (!result.ok || !result.changed) return;
+        room.seq += 1;
+        broadcast(room, { type: 'op', seq: room.seq, id: null, clientId: null, user: details.user, op });
+      });
+      broadcast(room, { type: 'saved', ...details });
+    })
+    .catch(error => {
+      console.error('Collaboration Notify Error:', error);
+    });
+}
+
+// Keep the rooms of checked out diagrams up to date
+onLockChanged((filename, lock) => {
+  const pending = rooms.get(filename);
+  if (!pending) return;
+
+  pending
+    .then(room => {
+      if (!room.closed) broadcast(room, { type: 'lock', lock });
+    })
+    .catch(error => {
+      console.error('Collaboration Notify Error:', error);
+    });
+});
+
+/**
+ * Serve collaboration WebSockets on an HTTP server
+ * @param {Object} server - HTTP server returned by app.listen
+ * @returns {WebSocketServer} WebSocket server
+ */
+export function attachCollaboration(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== COLLABORATION_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    authorizeUpgrade(url)
+      .then(({ status, reason, session }) => {
+        if (status) return rejectUpgrade(socket, status, reason);
+        wss.handleUpgrade(req, socket, head, ws => joinRoom(ws, session));
+      })
+      .catch(error => {
+        console.error('Collaboration Upgrade Error:', error);
+        rejectUpgrade(socket, 500, 'Internal Server Error');
+      });
+  });
+
+  // Drop clients that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
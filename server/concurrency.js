@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import { storage } from './storage/index.js';
+
+/**
+ * Optimistic concurrency helpers for diagram writes
+ *
+ * Load responses carry an ETag computed from the file contents. Writes to an
+ * existing file must send it back in `If-Match`; if the file changed in the
+ * meantime the write is refused with 409 and the current server copy.
+ */
+
+// Pending writes per file, so a precondition check and its write never interleave
+const fileLocks = new Map();
+
+/**
+ * Compute the ETag of file contents
+ * @param {string|Buffer} contents - File contents
+ * @returns {string} Quoted strong ETag
+ */
+export function computeETag(contents) {
+  return `"${crypto.createHash('sha1').update(contents).digest('hex')}"`;
+}
+
+/**
+ * Read a diagram together with its ETag
+ * @param {string} diagramPath - File path relative to the diagrams directory
+ * @returns {Promise<Object|null>} `{ contents, etag }`, or null if the file does not exist
+ */
+export async function readWithETag(diagramPath) {
+  const contents = await storage.read(diagramPath);
+  return contents === null ? null : { contents, etag: computeETag(contents) };
+}
+
+/**
+ * Write a diagram and return its new ETag
+ * @param {string} diagramPath - File path relative to the diagrams directory
+ * @param {string} contents - File contents
+ * @returns {Promise<string>} ETag of the written contents
+ */
+export async function writeWithETag(diagramPath, contents) {
+  await storage.write(diagramPath, contents);
+  return computeETag(contents);
+}
+
+/**
+ * Parse an `If-Match` header
+ * @param {string} [header] - Header value
+ * @returns {Array<string>|null} Listed ETags, `['*']`, or null when absent
+ */
+const parseIfMatch = (header) => {
+  if (!header) return null;
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).filter(Boolean);
+};
+
+/**
+ * Check the `If-Match` precondition of a write
+ * @param {Object} req - Express request object
+ * @param {string} diagramPath - Path of the file about to be written, relative to the diagrams directory
+ * @returns {Promise<Object>} `{ ok: true, current }` or `{ ok: false, status, body }`
+ */
+export async function checkWritePrecondition(req, diagramPath) {
+  const expected = parseIfMatch(req.get('If-Match'));
+  const current = await readWithETag(diagramPath);
+
+  if (!current) {
+    // Creating a new file needs no token, but a token for a file that is gone is stale
+    if (expected && !expected.includes('*')) {
+      return {
+        ok: false,
+        status: 409,
+        body: {
+          message: 'The diagram was deleted on the server',
+          reason: 'modified',
+          etag: null,
+          current: null
+        }
+      };
+    }
+    return { ok: true, current: null };
+  }
+
+  if (!expected) {
+    return {
+      ok: false,
+      status: 428,
+      body: { message: 'If-Match header is required to overwrite an existing diagram' }
+    };
+  }
+
+  if (!expected.includes('*') && !expected.includes(current.etag)) {
+    let serverCopy = null;
+    try {
+      serverCopy = JSON.parse(current.contents);
+    } catch {
+      // Leave the copy out if the stored file is not JSON
+    }
+    return {
+      ok: false,
+      status: 409,
+      body: {
+        message: 'The diagram was changed on the server since it was loaded',
+        reason: 'modified',
+        etag: current.etag,
+        current: serverCopy
+      }
+    };
+  }
+
+  return { ok: true, current };
+}
+
+/**
+ * Run a task while holding the write lock of a file
+ * Diagrams are locked by their path relative to the diagrams directory,
+ * other files by their absolute path.
+ * @param {string} filePath - Lock key
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Task result
+ */
+export async function withFileLock(filePath, task) {
+  const previous = fileLocks.get(filePath) || Promise.resolve();
+  const run = previous.then(task);
+  const settled = run.catch(() => {});
+  fileLocks.set(filePath, settled);
+
+  try {
+    return await run;
+  } finally {
+    if (fileLocks.get(filePath) === settled) {
+      fileLocks.delete(filePath);
+    }
+  }
+}
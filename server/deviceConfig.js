@@ -0,0 +1,217 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { PATHS, ensureDir, pathExists } from './fileUtils.js';
+import { validateDeviceConfig } from '../src/utils/DeviceConfigSchema.js';
+import { resolveConfigFile, readDeviceConfigs } from './deviceConfigFiles.js';
+import { withFileLock } from './concurrency.js';
+import { withIconManifest } from './icons.js';
+
+/**
+ * Device configuration management
+ *
+ * Each device type is a JSON file in `public/deviceconfig` named after the
+ * configuration (`<name>.json`). It lists the interfaces new nodes of that
+ * type get and may bind the configuration to an icon in `public/net_icons`.
+ */
+
+/**
+ * Validate a device configuration, including its icon binding
+ * @param {Object} config - Device configuration
+ * @returns {Promise<Array>} Errors as `{ pointer, message }`
+ */
+async function checkDeviceConfig(config) {
+  const { errors } = validateDeviceConfig(config);
+
+  // The icon binding is a file name in the icons directory, not a path
+  if (errors.length === 0 && config.icon) {
+    const iconName = path.basename(config.icon);
+    if (iconName !== config.icon || iconName.startsWith('.') || !(await pathExists(path.join(PATHS.ICONS, iconName)))) {
+      errors.push({ pointer: '/icon', message: `references unknown icon "${config.icon}"` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * List device configurations with their icon bindings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listDeviceConfigs(req, res) {
+  try {
+    const configs = await readDeviceConfigs();
+    return res.status(200).json(configs.map(({ name, config }) => ({
+      name,
+      deviceType: config.deviceType || null,
+      icon: config.icon || null,
+      interfaceCount: Array.isArray(config.interfaces) ? config.interfaces.length : 0
+    })));
+
+  } catch (error) {
+    console.error('Device Config List Error:', error);
+    return res.status(500).json({
+      message: 'Failed to list device configurations',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Load a device configuration
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function loadDeviceConfig(req, res) {
+  try {
+    let filePath;
+    try {
+      ({ filePath } = resolveConfigFile(req.params.name));
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (!(await pathExists(filePath))) {
+      return res.status(404).json({ message: 'Device configuration not found' });
+    }
+
+    const config = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return res.status(200).json(config);
+
+  } catch (error) {
+    console.error('Device Config Load Error:', error);
+    return res.status(500).json({
+      message: 'Failed to load device configuration',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Write a device configuration after validating it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} name - Configuration name
+ * @param {boolean} create - Whether the configuration must not exist yet
+ */
+async function writeDeviceConfig(req, res, name, create) {
+  let resolved;
+  try {
+    resolved = resolveConfigFile(name);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  const config = req.body?.config;
+  const errors = await checkDeviceConfig(config);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      message: 'Invalid device configuration',
+      errors
+    });
+  }
+
+  return withFileLock(resolved.filePath, async () => {
+    const exists = await pathExists(resolved.filePath);
+    if (create && exists) {
+      return res.status(409).json({
+        message: `Device configuration ${resolved.name} already exists`,
+        reason: 'exists'
+      });
+    }
+    if (!create && !exists) {
+      return res.status(404).json({ message: 'Device configuration not found' });
+    }
+
+    await ensureDir(PATHS.DEVICE_CONFIG);
+    await fs.writeFile(resolved.filePath, JSON.stringify(config, null, 2));
+    console.log(`Device configuration ${create ? 'created' : 'updated'}:`, resolved.name);
+
+    return res.status(create ? 201 : 200).json({
+      message: `Device configuration ${create ? 'created' : 'updated'}`,
+      name: resolved.name,
+      config
+    });
+  });
+}
+
+/**
+ * Create a device configuration from `{ name, config }`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function createDeviceConfig(req, res) {
+  try {
+    return await writeDeviceConfig(req, res, req.body?.name, true);
+  } catch (error) {
+    console.error('Device Config Create Error:', error);
+    return res.status(500).json({
+      message: 'Failed to create device configuration',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Replace a device configuration with `{ config }`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function updateDeviceConfig(req, res) {
+  try {
+    return await writeDeviceConfig(req, res, req.params.name, false);
+  } catch (error) {
+    console.error('Device Config Update Error:', error);
+    return res.status(500).json({
+      message: 'Failed to update device configuration',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Delete a device configuration
+ * Configurations still bound to an icon in the icon manifest are kept (409).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function deleteDeviceConfig(req, res) {
+  try {
+    let resolved;
+    try {
+      resolved = resolveConfigFile(req.params.name);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    // Hold the manifest so no icon gets bound to the configuration meanwhile
+    return await withIconManifest(manifest => withFileLock(resolved.filePath, async () => {
+      if (!(await pathExists(resolved.filePath))) {
+        return res.status(404).json({ message: 'Device configuration not found' });
+      }
+
+      // Nodes dropped from a bound icon would get no interfaces
+      const icons = Object.entries(manifest.icons)
+        .filter(([, entry]) => entry.deviceConfig === resolved.name)
+        .map(([filename]) => filename)
+        .sort();
+      if (icons.length > 0) {
+        return res.status(409).json({
+          message: `Device configuration is bound to ${icons.length === 1 ? 'icon' : 'icons'} ${icons.join(', ')}`,
+          icons
+        });
+      }
+
+      await fs.unlink(resolved.filePath);
+      console.log('Device configuration deleted:', resolved.name);
+      return res.status(200).json({ message: 'Device configuration deleted', name: resolved.name });
+    }));
+
+  } catch (error) {
+    console.error('Device Config Delete Error:', error);
+    return res.status(500).json({
+      message: 'Failed to delete device configuration',
+      error: error.message
+    });
+  }
+}
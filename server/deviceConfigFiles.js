@@ -0,0 +1,79 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  PATHS,
+  FILE_EXTENSIONS,
+  ensureDir,
+  ensureFileExtension,
+  removeFileExtension,
+  validatePath
+} from './fileUtils.js';
+
+/**
+ * Device configuration files
+ *
+ * Reading side of the device configurations in `public/deviceconfig`, shared
+ * by the device configuration routes, node edits, bundles and the
+ * command-line tool. Only depends on Node built-ins, so it loads without the
+ * server's packages.
+ */
+
+// Names end up in file names and URLs, so keep them simple
+const CONFIG_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Resolve and check the file of a device configuration
+ * @param {string} name - Configuration name, with or without extension
+ * @returns {Object} `{ name, filePath }`
+ * @throws {Error} If the name is invalid
+ */
+export function resolveConfigFile(name) {
+  const baseName = removeFileExtension(String(name || ''), FILE_EXTENSIONS.DIAGRAM);
+  if (!CONFIG_NAME_PATTERN.test(baseName)) {
+    throw new Error('Invalid device configuration name: use letters, digits, ".", "_" and "-"');
+  }
+  return {
+    name: baseName,
+    filePath: validatePath(ensureFileExtension(baseName, FILE_EXTENSIONS.DIAGRAM), PATHS.DEVICE_CONFIG)
+  };
+}
+
+/**
+ * Read every device configuration
+ * @returns {Promise<Array>} `{ name, config }` for each configuration, sorted by name
+ */
+export async function readDeviceConfigs() {
+  await ensureDir(PATHS.DEVICE_CONFIG);
+  const items = await fs.readdir(PATHS.DEVICE_CONFIG, { withFileTypes: true });
+
+  const configs = await Promise.all(items
+    .filter(item => item.isFile() && item.name.endsWith(FILE_EXTENSIONS.DIAGRAM))
+    .map(async item => {
+      try {
+        const contents = await fs.readFile(path.join(PATHS.DEVICE_CONFIG, item.name), 'utf8');
+        return { name: removeFileExtension(item.name, FILE_EXTENSIONS.DIAGRAM), config: JSON.parse(contents) };
+      } catch (error) {
+        console.error(`Skipping unreadable device config ${item.name}:`, error.message);
+        return null;
+      }
+    }));
+
+  return configs.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find the device configuration a node with this icon gets
+ * Same order as the client: the manifest binding, then a configuration bound
+ * to the icon, then the one named after the icon file.
+ * @param {string} filename - Icon filename
+ * @param {Object} manifest - Icon manifest
+ * @param {Array} configs - `{ name, config }` from readDeviceConfigs
+ * @returns {string|null} Configuration name, or null if there is none
+ */
+export const resolveIconConfig = (filename, manifest, configs) => {
+  const baseName = filename.replace(/\.(svg|png)$/i, '');
+  const name = manifest.icons[filename]?.deviceConfig
+    || configs.find(({ config }) => config.icon?.toLowerCase() === filename.toLowerCase())?.name
+    || baseName;
+  return configs.some(config => config.name === name) ? name : null;
+};
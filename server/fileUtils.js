@@ -0,0 +1,118 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Constants for paths
+export const PATHS = {
+  PUBLIC: path.join(__dirname, '../public'),
+  DIAGRAMS: path.join(__dirname, '../public/diagrams'),
+  ICONS: path.join(__dirname, '../public/net_icons'),
+  DEVICE_CONFIG: path.join(__dirname, '../public/deviceconfig'),
+  // Git directory for diagram revisions, kept outside the statically served tree
+  HISTORY: process.env.DIAGRAM_HISTORY_DIR || path.join(__dirname, '../.diagram-history'),
+  // Database of the SQLite storage backend, also outside the served tree
+  SQLITE: process.env.STORAGE_SQLITE_FILE || path.join(__dirname, '../.diagrams.sqlite'),
+  // User accounts and the token secret, also outside the served tree
+  AUTH: process.env.AUTH_DIR || path.join(__dirname, '../.auth'),
+  // Audit log of diagram mutations
+  AUDIT: process.env.AUDIT_DIR || path.join(__dirname, '../logs')
+};
+
+// Constants for file extensions and types
+export const FILE_EXTENSIONS = {
+  DIAGRAM: '.json'
+};
+
+/**
+ * Helper function to ensure directory exists
+ * @param {string} dirPath - Path to directory
+ */
+export async function ensureDir(dirPath) {
+  try {
+    await fs.access(dirPath);
+  } catch {
+    await fs.mkdir(dirPath, { recursive: true });
+  }
+}
+
+/**
+ * Helper function to check whether a file or directory exists
+ * @param {string} itemPath - Path to check
+ * @returns {Promise<boolean>} Whether the path exists
+ */
+export async function pathExists(itemPath) {
+  try {
+    await fs.access(itemPath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Helper function to handle file extensions consistently
+ * @param {string} fileName - Name of the file
+ * @param {string} extension - Extension to ensure
+ * @returns {string} Filename with proper extension
+ */
+export function ensureFileExtension(fileName, extension) {
+  return fileName.endsWith(extension) ? fileName : `${fileName}${extension}`;
+}
+
+/**
+ * Helper function to remove file extension
+ * @param {string} fileName - Name of the file
+ * @param {string} extension - Extension to remove
+ * @returns {string} Filename without extension
+ */
+export function removeFileExtension(fileName, extension) {
+  return extension && fileName.endsWith(extension) ? fileName.slice(0, -extension.length) : fileName;
+}
+
+/**
+ * Validate and normalize file path
+ * @param {string} filePath - Path to validate
+ * @param {string} baseDir - Base directory to check against
+ * @returns {string} Normalized path
+ * @throws {Error} If path is invalid or outside base directory
+ */
+export function validatePath(filePath, baseDir) {
+  const normalizedPath = filePath ? filePath.replace(/\.\./g, '') : '';
+  const fullPath = path.join(baseDir, normalizedPath);
+
+  if (!fullPath.startsWith(baseDir)) {
+    throw new Error('Invalid path: Path is outside allowed directory');
+  }
+
+  // Hidden entries such as the trash are only reachable through their own APIs
+  if (path.relative(baseDir, fullPath).split(path.sep).some(segment => segment.startsWith('.'))) {
+    throw new Error('Invalid path: Hidden files are not accessible');
+  }
+
+  return fullPath;
+}
+
+/**
+ * Convert an absolute path inside the diagrams directory to the
+ * forward-slash relative form used by the API and the FileExplorer tree
+ * @param {string} fullPath - Absolute path inside PATHS.DIAGRAMS
+ * @returns {string} Relative path using forward slashes
+ */
+export function toDiagramPath(fullPath) {
+  return path.relative(PATHS.DIAGRAMS, fullPath).split(path.sep).join('/');
+}
+
+/**
+ * Check that a file or folder name is usable as a single path segment
+ * @param {string} name - Name to check
+ * @returns {boolean} Whether the name is valid
+ */
+export function isValidItemName(name) {
+  return typeof name === 'string'
+    && name.trim() !== ''
+    && !/[/\\]/.test(name)
+    && !name.startsWith('.');
+}
@@ -0,0 +1,231 @@
+import {
+  PATHS,
+  FILE_EXTENSIONS,
+  ensureFileExtension,
+  validatePath,
+  toDiagramPath
+} from './fileUtils.js';
+import { storage, DEFAULT_AUTHOR } from './storage/index.js';
+import { readWithETag, writeWithETag, withFileLock } from './concurrency.js';
+import { updateSearchIndex } from './search.js';
+import { checkItemAccess } from './permissions.js';
+import { recordAudit, parseSnapshot } from './audit.js';
+import { notifyDiagramSaved } from './collaboration.js';
+import { checkItemLock } from './locks.js';
+
+const REVISION_PATTERN = /^[0-9a-f]{4,40}$/i;
+
+/**
+ * Resolve the author of a request from its authenticated user
+ * @param {Object} req - Express request object
+ * @returns {Object} Author `{ name, email }`
+ */
+export function getRequestAuthor(req) {
+  if (!req.user) return DEFAULT_AUTHOR;
+  return {
+    // Angle brackets and line breaks would end the git author field early
+    name: (req.user.displayName || req.user.username).replace(/[<>\r\n]/g, ''),
+    // Git needs an address; accounts without one get a local placeholder
+    email: req.user.email || `${req.user.username}@networkmap.localhost`
+  };
+}
+
+/**
+ * Commit the current state of diagram paths
+ * @param {Array<string>} diagramPaths - Paths relative to the diagrams directory
+ * @param {Object} options - Commit options
+ * @param {Object} [options.author] - Author `{ name, email }`
+ * @param {string} options.message - Commit message
+ * @returns {Promise<string|null>} New revision ID, or null if nothing changed
+ */
+export async function commitChanges(diagramPaths, { author = DEFAULT_AUTHOR, message }) {
+  return storage.commit(diagramPaths, { author, message });
+}
+
+/**
+ * Record a change without letting history failures break the request
+ * @param {Array<string>} diagramPaths - Paths relative to the diagrams directory
+ * @param {Object} options - Commit options, see commitChanges
+ * @returns {Promise<string|null>} New revision ID, or null
+ */
+export async function recordChange(diagramPaths, options) {
+  try {
+    return await commitChanges(diagramPaths, options);
+  } catch (error) {
+    console.error('Failed to record diagram history:', error.message);
+    return null;
+  }
+}
+
+/**
+ * List the revisions of a diagram, newest first
+ * @param {string} diagramPath - File path relative to the diagrams directory
+ * @returns {Promise<Array>} Revisions `{ id, author, date, message, path }`, with
+ *   the path the diagram had at each revision
+ */
+export async function listFileRevisions(diagramPath) {
+  return storage.listRevisions(diagramPath);
+}
+
+/**
+ * Read a diagram as it was at a revision
+ * @param {string} diagramPath - Current file path relative to the diagrams directory
+ * @param {string} revision - Revision ID
+ * @returns {Promise<string|null>} File contents, or null if the file did not exist there
+ */
+export async function readFileRevision(diagramPath, revision) {
+  return storage.readRevision(diagramPath, revision);
+}
+
+/**
+ * Resolve the `path` parameter of a history request
+ * @param {string} diagramPath - Diagram path with or without extension
+ * @returns {Object} Path relative to the diagrams directory
+ * @throws {Error} If the path is missing or invalid
+ */
+function resolveDiagramFile(diagramPath) {
+  if (!diagramPath) {
+    throw new Error('Path is required');
+  }
+  const filePath = validatePath(ensureFileExtension(diagramPath, FILE_EXTENSIONS.DIAGRAM), PATHS.DIAGRAMS);
+  return { relativePath: toDiagramPath(filePath) };
+}
+
+/**
+ * List the revisions of a diagram
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listHistory(req, res) {
+  try {
+    let file;
+    try {
+      file = resolveDiagramFile(req.query.path);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (!(await checkItemAccess(req, res, file.relativePath, 'file', 'read'))) return;
+
+    const revisions = await listFileRevisions(file.relativePath);
+    return res.status(200).json({ path: file.relativePath, revisions });
+
+  } catch (error) {
+    console.error('History List Error:', error);
+    return res.status(500).json({
+      message: 'Failed to list revisions',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Fetch a diagram as it was at a revision
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function loadRevision(req, res) {
+  try {
+    const { revision } = req.query;
+
+    let file;
+    try {
+      file = resolveDiagramFile(req.query.path);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (!(await checkItemAccess(req, res, file.relativePath, 'file', 'read'))) return;
+    if (!REVISION_PATTERN.test(revision || '')) {
+      return res.status(400).json({ message: 'A valid revision is required' });
+    }
+
+    const contents = await readFileRevision(file.relativePath, revision);
+    if (contents === null) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    return res.status(200).json(JSON.parse(contents));
+
+  } catch (error) {
+    console.error('History Load Error:', error);
+    return res.status(500).json({
+      message: 'Failed to load revision',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Restore a diagram to a past revision
+ * The restore itself is committed, so it can be undone the same way.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function restoreRevision(req, res) {
+  try {
+    const { revision } = req.body || {};
+
+    let file;
+    try {
+      file = resolveDiagramFile(req.body?.path);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (!(await checkItemAccess(req, res, file.relativePath, 'file', 'write'))) return;
+    if (!checkItemLock(req, res, file.relativePath)) return;
+    if (!REVISION_PATTERN.test(revision || '')) {
+      return res.status(400).json({ message: 'A valid revision is required' });
+    }
+
+    const contents = await readFileRevision(file.relativePath, revision);
+    if (contents === null) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    let before = null;
+    const etag = await withFileLock(file.relativePath, async () => {
+      before = parseSnapshot(await readWithETag(file.relativePath));
+      return writeWithETag(file.relativePath, contents);
+    });
+
+    await updateSearchIndex([file.relativePath]);
+    const newRevision = await commitChanges([file.relativePath], {
+      author: getRequestAuthor(req),
+      message: `Restore ${file.relativePath} to ${revision.slice(0, 7)}`
+    });
+
+    recordAudit(req, {
+      action: 'history/restore',
+      path: file.relativePath,
+      before,
+      after: parseSnapshot({ contents }),
+      details: { restoredRevision: revision, revision: newRevision }
+    });
+
+    // Collaborators switch to the restored diagram
+    const restored = parseSnapshot({ contents });
+    if (restored) {
+      notifyDiagramSaved(file.relativePath, {
+        etag,
+        revision: newRevision,
+        user: req.user?.username || null
+      }, { document: restored });
+    }
+
+    console.log('Diagram restored:', { path: file.relativePath, revision, newRevision });
+
+    res.set('ETag', etag);
+    return res.status(200).json({
+      message: 'Revision restored',
+      path: file.relativePath,
+      etag,
+      revision: newRevision
+    });
+
+  } catch (error) {
+    console.error('History Restore Error:', error);
+    return res.status(500).json({
+      message: 'Failed to restore revision',
+      error: error.message
+    });
+  }
+}
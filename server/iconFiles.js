@@ -0,0 +1,60 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { PATHS } from './fileUtils.js';
+import { validateIconManifest } from '../src/utils/IconManifestSchema.js';
+
+/**
+ * Icon files and the icon manifest
+ *
+ * Reading side of the icon library, shared by the icon routes, bundles and
+ * the command-line tool. Only depends on Node built-ins and the shared
+ * schemas, so it loads without the server's packages.
+ */
+
+export const ICON_EXTENSIONS = {
+  'image/svg+xml': '.svg',
+  'image/png': '.png'
+};
+
+// Largest accepted upload, in bytes
+export const MAX_ICON_BYTES = Number(process.env.ICON_MAX_BYTES || 512 * 1024);
+
+export const ICON_MANIFEST_FILE = path.join(PATHS.ICONS, 'manifest.json');
+
+/**
+ * Read the icon manifest
+ * @returns {Promise<Object>} Manifest, `{ icons: {} }` if there is none yet
+ * @throws {Error} If the manifest does not match its schema
+ */
+export async function readIconManifest() {
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(ICON_MANIFEST_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { icons: {} };
+    throw error;
+  }
+
+  const validation = validateIconManifest(manifest);
+  if (!validation.valid) {
+    const error = new Error('Invalid icon manifest');
+    error.errors = validation.errors;
+    throw error;
+  }
+  return manifest;
+}
+
+/**
+ * Turn a requested icon name into a safe, lower-case file name
+ * @param {string} name - Requested name, with or without extension
+ * @param {string} extension - Extension matching the uploaded content
+ * @returns {string|null} File name, or null if nothing usable is left
+ */
+export const toIconFilename = (name, extension) => {
+  const baseName = String(name || '')
+    .replace(/\.(svg|png)$/i, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '');
+  return baseName ? `${baseName}${extension}` : null;
+};
@@ -0,0 +1,480 @@
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { PATHS, FILE_EXTENSIONS, pathExists } from './fileUtils.js';
+import { withFileLock } from './concurrency.js';
+import { validateIconEntry } from '../src/utils/IconManifestSchema.js';
+import {
+  ICON_EXTENSIONS,
+  MAX_ICON_BYTES,
+  ICON_MANIFEST_FILE,
+  readIconManifest,
+  toIconFilename
+} from './iconFiles.js';
+
+/**
+ * Network icon listing and upload
+ *
+ * Icons are served straight from `public/net_icons`, so an uploaded icon is
+ * usable as soon as it is written. Metadata (display name, category, vendor,
+ * tags, device configuration and default size) lives in `manifest.json` next
+ * to them; icons missing from it are categorized by the first word of their
+ * file name on the client.
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// SVG elements that may be kept, by lower-case local name. Anything else,
+// including scripts, foreignObject, animations and elements of other
+// namespaces, is dropped with its content.
+const ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'desc', 'title', 'metadata', 'symbol', 'use', 'switch', 'a', 'view',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan', 'textpath', 'image', 'style',
+  'lineargradient', 'radialgradient', 'stop', 'pattern', 'clippath', 'mask', 'marker',
+  'filter', 'feblend', 'fecolormatrix', 'fecomponenttransfer', 'fecomposite',
+  'feconvolvematrix', 'fediffuselighting', 'fedisplacementmap', 'fedistantlight',
+  'fedropshadow', 'feflood', 'fefunca', 'fefuncb', 'fefuncg', 'fefuncr',
+  'fegaussianblur', 'feimage', 'femerge', 'femergenode', 'femorphology', 'feoffset',
+  'fepointlight', 'fespecularlighting', 'fespotlight', 'fetile', 'feturbulence'
+]);
+
+// References may only point inside the document or at inline raster data
+const SAFE_REFERENCE = /^(#[\w.:-]*|data:image\/(png|jpe?g|gif);base64,[A-Za-z0-9+/=\s]*)$/;
+
+/**
+ * Get the lower-case local name of an element
+ * Compares safely whatever the prefix binds, e.g. `<x:script xmlns:x="…svg">`.
+ * @param {string} rawName - Qualified name as written
+ * @returns {string} Local name
+ */
+const localName = (rawName) => rawName.toLowerCase().replace(/^[^:]*:/, '');
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<\/?[A-Za-z][\w:.-]*(?:\s+[A-Za-z_:][\w:.-]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*\s*\/?>|[^<]+/gy;
+const ATTRIBUTE_PATTERN = /([A-Za-z_:][\w:.-]*)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g;
+
+// CSS functions that load a resource, from a url or a plain string
+const RESOURCE_FUNCTIONS = /(?:-webkit-)?\b(?:url|src|image|image-set|cross-fade)\(/gi;
+
+// A url() that points at a paint server or filter in this document
+const LOCAL_URL = /^url\(\s*(['"]?)#[^'"()\s]*\1\s*\)$/i;
+
+/**
+ * Neutralize CSS that could load external resources
+ * @param {string} css - Stylesheet or style attribute
+ * @returns {string|null} Safe CSS, or null if it cannot be made safe
+ */
+const sanitizeCss = (css) => {
+  // Escapes and entities could spell out any of the checks below
+  if (/[\\&]/.test(css)) return null;
+
+  // Replace each resource function call with `none`; its end is found by
+  // counting parentheses outside quoted strings, which may hold a `)`
+  let safe = '';
+  let index = 0;
+  RESOURCE_FUNCTIONS.lastIndex = 0;
+  for (let match; (match = RESOURCE_FUNCTIONS.exec(css));) {
+    let end = RESOURCE_FUNCTIONS.lastIndex;
+    let quote = null;
+    for (let depth = 1; end < css.length && depth > 0; end++) {
+      const char = css[end];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(') {
+        depth += 1;
+      } else if (char === ')') {
+        depth -= 1;
+      }
+    }
+    const call = css.slice(match.index, end);
+    safe += css.slice(index, match.index) + (LOCAL_URL.test(call) ? call : 'none');
+    index = RESOURCE_FUNCTIONS.lastIndex = end;
+  }
+  safe += css.slice(index);
+
+  return safe
+    .replace(/@import[^;]*;?/gi, '')
+    .replace(/expression\s*\(|javascript:/gi, '');
+};
+
+/**
+ * Decode the character references an XML parser would resolve
+ * @param {string} value - Attribute value as written
+ * @returns {string} Decoded value
+ */
+const decodeEntities = (value) => value
+  .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#([0-9]+);?/g, (_, dec) => String.fromCodePoint(Number(dec)))
+  .replace(/&(lt|gt|quot|apos|amp);/g, (_, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[name]);
+
+/**
+ * Check whether an attribute may be kept
+ * @param {string} name - Attribute name, lower case
+ * @param {string} value - Decoded attribute value
+ * @returns {boolean} Whether the attribute is safe
+ */
+const isSafeAttribute = (name, value) => {
+  if (name.startsWith('on')) return false;
+  if (name === 'href' || name.endsWith(':href')) return SAFE_REFERENCE.test(value.trim());
+  // Presentation attributes such as fill may only reference paint servers in this document
+  return !/url\(/i.test(value) || /^\s*url\(\s*['"]?#[^)]*\)\s*$/i.test(value);
+};
+
+/**
+ * Sanitize a single start tag
+ * @param {string} tag - Tag markup, e.g. `<path d="…" onclick="…">`
+ * @returns {string} Tag without event handlers or external references
+ */
+const sanitizeTag = (tag) => {
+  const [, name, rest] = tag.match(/^<([\w:.-]+)([\s\S]*?)\/?>$/);
+  const attributes = [];
+
+  for (const [, attrName, rawValue = '""'] of rest.matchAll(ATTRIBUTE_PATTERN)) {
+    const lowerName = attrName.toLowerCase();
+    const value = decodeEntities(rawValue.replace(/^(["'])([\s\S]*)\1$/, '$2'));
+
+    if (lowerName === 'style') {
+      const css = sanitizeCss(value);
+      if (css !== null) attributes.push(`${attrName}="${css.replace(/"/g, '&quot;')}"`);
+    } else if (isSafeAttribute(lowerName, value)) {
+      attributes.push(`${attrName}=${/^["']/.test(rawValue) ? rawValue : `"${rawValue}"`}`);
+    }
+  }
+
+  return `<${name}${attributes.map(attribute => ` ${attribute}`).join('')}${tag.endsWith('/>') ? '/>' : '>'}`;
+};
+
+/**
+ * Sanitize SVG markup
+ *
+ * Keeps only known SVG elements, so scripts and elements of other namespaces
+ * are removed whatever their prefix. Also removes event handlers, document
+ * type declarations, processing instructions other than the XML declaration,
+ * and every reference to another document (links, external images, CSS
+ * imports, urls and image sets). End tags must close the open element, so
+ * the content of every element is judged by the element a browser sees.
+ *
+ * @param {string} svg - SVG markup
+ * @returns {string} Sanitized markup
+ * @throws {Error} If the markup is not a well-formed enough SVG document
+ */
+export function sanitizeSvg(svg) {
+  if (/<!DOCTYPE[^>]*\[/i.test(svg) || /<!ENTITY/i.test(svg)) {
+    throw new Error('SVG files may not declare entities');
+  }
+
+  const output = [];
+  const openElements = [];
+  let skipDepth = 0;
+  let sawRoot = false;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < svg.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(svg);
+    if (!match || match.index !== start) {
+      throw new Error('SVG markup could not be parsed');
+    }
+    const token = match[0];
+
+    if (token.startsWith('<!--') || token.startsWith('<!') && !token.startsWith('<![CDATA[')) {
+      continue;
+    }
+    if (token.startsWith('<?')) {
+      if (/^<\?xml\s/i.test(token) && output.length === 0) output.push(token);
+      continue;
+    }
+
+    const tagMatch = token.match(/^<(\/?)([\w:.-]+)/);
+    if (!tagMatch) {
+      if (skipDepth > 0) continue;
+      if (localName(openElements[openElements.length - 1] || '') === 'style') {
+        const css = sanitizeCss(token.replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1'));
+        if (css !== null) output.push(`<![CDATA[${css.replace(/\]\]>/g, '')}]]>`);
+        continue;
+      }
+      output.push(token);
+      continue;
+    }
+
+    const [, closing, rawName] = tagMatch;
+    const name = localName(rawName);
+    const selfClosing = token.endsWith('/>');
+
+    if (!sawRoot && !closing) {
+      if (name !== 'svg') throw new Error('File is not an SVG document');
+      sawRoot = true;
+    }
+
+    if (closing) {
+      // A stray end tag would leave the sanitizer and the browser disagreeing
+      // about which element, and so which content, comes next
+      if (openElements.pop() !== rawName) {
+        throw new Error(`SVG markup has an unexpected </${rawName}>`);
+      }
+      if (skipDepth > 0) skipDepth -= 1;
+      else output.push(token);
+      continue;
+    }
+
+    if (!selfClosing) openElements.push(rawName);
+    if (skipDepth > 0 || !ALLOWED_ELEMENTS.has(name)) {
+      if (!selfClosing) skipDepth += 1;
+      continue;
+    }
+    output.push(sanitizeTag(token));
+  }
+
+  if (!sawRoot) {
+    throw new Error('File is not an SVG document');
+  }
+  return output.join('');
+}
+
+/**
+ * Run a task while holding the icon manifest lock
+ * No icon entry can change until the task settles.
+ * @param {Function} task - Receives the current manifest
+ * @returns {Promise<*>} Result of the task
+ */
+export async function withIconManifest(task) {
+  return withFileLock(ICON_MANIFEST_FILE, async () => task(await readIconManifest()));
+}
+
+/**
+ * Set or clear the manifest entry of an icon
+ * @param {string} filename - Icon filename
+ * @param {Object|null} entry - Metadata, or null to remove the entry
+ * @returns {Promise<void>}
+ */
+export async function writeIconEntry(filename, entry) {
+  await withFileLock(ICON_MANIFEST_FILE, async () => {
+    const manifest = await readIconManifest();
+    if (entry) {
+      manifest.icons[filename] = entry;
+    } else {
+      delete manifest.icons[filename];
+    }
+    await fs.writeFile(ICON_MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+  });
+}
+
+/**
+ * Validate icon metadata, including its device configuration binding
+ * @param {Object} entry - Metadata
+ * @returns {Promise<Array>} Errors as `{ pointer, message }`
+ */
+async function checkIconEntry(entry) {
+  const { errors } = validateIconEntry(entry);
+
+  if (errors.length === 0 && entry.deviceConfig) {
+    const configName = path.basename(entry.deviceConfig);
+    const configFile = path.join(PATHS.DEVICE_CONFIG, `${configName}${FILE_EXTENSIONS.DIAGRAM}`);
+    if (configName !== entry.deviceConfig || !(await pathExists(configFile))) {
+      errors.push({ pointer: '/deviceConfig', message: `references unknown device configuration "${entry.deviceConfig}"` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build icon metadata from upload query parameters
+ * Empty parameters are left out; `tags` is a comma-separated list.
+ * @param {Object} query - Request query
+ * @returns {Object|null} Metadata, or null if none was given
+ */
+const entryFromQuery = (query) => {
+  const entry = {};
+  ['displayName', 'category', 'vendor', 'deviceConfig'].forEach(key => {
+    const value = String(query[key] || '').trim();
+    if (value) entry[key] = value;
+  });
+
+  const tags = String(query.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+  if (tags.length > 0) entry.tags = tags;
+
+  return Object.keys(entry).length > 0 ? entry : null;
+};
+
+/**
+ * Check icon contents against their type
+ * PNGs must carry the PNG signature; SVGs are sanitized.
+ * @param {Buffer} contents - File contents
+ * @param {string} extension - `.svg` or `.png`
+ * @returns {Buffer|string} Contents to store
+ * @throws {Error} If the contents do not match the type
+ */
+export function prepareIconContents(contents, extension) {
+  if (extension === '.png') {
+    if (!contents.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+      throw new Error('File is not a PNG image');
+    }
+    return contents;
+  }
+  return sanitizeSvg(contents.toString('utf8'));
+}
+
+/**
+ * Body parser for icon uploads: the request body is the raw file
+ */
+export const parseIconUpload = express.raw({
+  type: Object.keys(ICON_EXTENSIONS),
+  limit: MAX_ICON_BYTES
+});
+
+/**
+ * List icons with their manifest metadata
+ * Icons missing from the manifest are returned with `listed: false`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listIcons(req, res) {
+  try {
+    let manifest;
+    try {
+      manifest = await readIconManifest();
+    } catch (error) {
+      if (!error.errors) throw error;
+      console.error('Icon manifest is invalid:', error.errors);
+      return res.status(500).json({ message: error.message, errors: error.errors });
+    }
+
+    const files = await fs.readdir(PATHS.ICONS);
+    const extensions = Object.values(ICON_EXTENSIONS);
+
+    const icons = files
+      .filter(file => extensions.includes(path.extname(file).toLowerCase()))
+      .sort()
+      .map(file => {
+        const entry = manifest.icons[file];
+        return {
+          filename: file,
+          listed: !!entry,
+          displayName: entry?.displayName || null,
+          category: entry?.category || null,
+          vendor: entry?.vendor || null,
+          tags: entry?.tags || [],
+          deviceConfig: entry?.deviceConfig || null,
+          size: entry?.size || null
+        };
+      });
+
+    return res.status(200).json({ icons });
+
+  } catch (error) {
+    console.error('Icon List Error:', error);
+    return res.status(500).json({
+      message: 'Failed to list icons',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Upload an icon
+ *
+ * The body is the file itself with a `Content-Type` of `image/svg+xml` or
+ * `image/png`. `name` and the optional manifest fields (`displayName`,
+ * `category`, `vendor`, `tags`, `deviceConfig`) come from the query string.
+ * SVGs are sanitized before they are stored.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function uploadIcon(req, res) {
+  try {
+    const extension = ICON_EXTENSIONS[req.get('Content-Type')?.split(';')[0].trim()];
+    if (!extension || !Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ message: 'Icons must be uploaded as image/svg+xml or image/png' });
+    }
+    if (req.body.length === 0) {
+      return res.status(400).json({ message: 'Icon file is empty' });
+    }
+
+    const filename = toIconFilename(req.query.name, extension);
+    if (!filename) {
+      return res.status(400).json({ message: 'Icon name is required' });
+    }
+
+    const entry = entryFromQuery(req.query);
+    const errors = entry ? await checkIconEntry(entry) : [];
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid icon metadata', errors });
+    }
+
+    let contents;
+    try {
+      contents = prepareIconContents(req.body, extension);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const iconPath = path.join(PATHS.ICONS, filename);
+    return await withFileLock(iconPath, async () => {
+      if (await pathExists(iconPath)) {
+        return res.status(409).json({
+          message: `Icon ${filename} already exists`,
+          reason: 'exists',
+          filename
+        });
+      }
+
+      await fs.writeFile(iconPath, contents);
+      if (entry) {
+        await writeIconEntry(filename, entry);
+      }
+
+      console.log('Icon uploaded:', { filename, entry, size: contents.length });
+      return res.status(201).json({
+        message: 'Icon uploaded',
+        filename,
+        category: entry?.category || null,
+        size: contents.length
+      });
+    });
+
+  } catch (error) {
+    console.error('Icon Upload Error:', error);
+    return res.status(500).json({
+      message: 'Failed to upload icon',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Replace the manifest entry of an icon
+ * An empty body removes the entry, so the icon falls back to its file name.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function updateIconMetadata(req, res) {
+  try {
+    const filename = path.basename(req.params.filename || '');
+    if (filename !== req.params.filename || !(await pathExists(path.join(PATHS.ICONS, filename)))
+      || !Object.values(ICON_EXTENSIONS).includes(path.extname(filename).toLowerCase())) {
+      return res.status(404).json({ message: 'Icon not found' });
+    }
+
+    const entry = req.body && Object.keys(req.body).length > 0 ? req.body : null;
+    const errors = entry ? await checkIconEntry(entry) : [];
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid icon metadata', errors });
+    }
+
+    await writeIconEntry(filename, entry);
+    console.log('Icon metadata updated:', { filename, entry });
+    return res.status(200).json({ message: 'Icon metadata updated', filename, entry });
+
+  } catch (error) {
+    console.error('Icon Metadata Error:', error);
+    return res.status(500).json({
+      message: 'Failed to update icon metadata',
+      error: error.message,
+      errors: error.errors
+    });
+  }
+}
@@ -1,32 +1,70 @@
 import express from 'express';
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import cors from 'cors';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Constants for paths
-const PATHS = {
-  PUBLIC: path.join(__dirname, '../public'),
-  DIAGRAMS: path.join(__dirname, '../public/diagrams'),
-  ICONS: path.join(__dirname, '../public/net_icons'),
-  DEVICE_CONFIG: path.join(__dirname, '../public/deviceconfig')
-};
-
-// Constants for file extensions and types
-const FILE_EXTENSIONS = {
-  DIAGRAM: '.json'
-};
+import {
+  PATHS,
+  FILE_EXTENSIONS,
+  ensureFileExtension,
+  removeFileExtension,
+  validatePath,
+  toDiagramPath,
+  isValidItemName
+} from './fileUtils.js';
+import { storage, findAvailableName } from './storage/index.js';
+import { recordChange, getRequestAuthor } from './history.js';
+import { buildSearchIndex, updateSearchIndex, handleSearch } from './search.js';
+import { readWithETag, writeWithETag, checkWritePrecondition, withFileLock } from './concurrency.js';
+import {
+  authenticate,
+  requireAuth,
+  requireAdmin,
+  authStatus,
+  login,
+  currentUser,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser
+} from './auth.js';
+import {
+  getAccessResolver,
+  checkFolderAccess,
+  checkItemAccess,
+  folderOf,
+  movePermissionRules,
+  getPermissions,
+  updatePermissions
+} from './permissions.js';
+import { recordAudit, parseSnapshot, getAuditLog } from './audit.js';
+import { attachCollaboration } from './collaboration.js';
+import { OPENAPI_DOCUMENT } from './openapi.js';
+import { validateRequest } from './validation.js';
+import { ERROR_CODES, errorEnvelope, sendError } from './apiErrors.js';
+import {
+  getPublicLock,
+  checkItemLock,
+  moveLocks,
+  releaseLocks,
+  scheduleLockExpiry,
+  listLocks,
+  getLockStatus,
+  acquireLock,
+  renewLock,
+  releaseLock
+} from './locks.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware setup
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag'] }));
+// Installed first so errors of the body parsers get the uniform shape too
+app.use('/api', errorEnvelope);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// Diagrams are only served through the API, which enforces folder permissions
+app.use('/diagrams', (req, res) => res.status(404).json({ message: 'Not found' }));
 app.use(express.static(PATHS.PUBLIC));
 
 // Debug middleware to log all requests
@@ -35,139 +73,259 @@ app.use((req, res, next) => {
   next();
 });
 
-/**
- * Helper function to ensure directory exists
- * @param {string} dirPath - Path to directory
- */
-async function ensureDir(dirPath) {
-  try {
-    await fs.access(dirPath);
-  } catch {
-    await fs.mkdir(dirPath, { recursive: true });
-  }
-}
+// Reads are open; every other API request needs a logged-in user, except
+// logging in and creating the first account (createUser checks the rest)
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const PUBLIC_ROUTES = ['POST /auth/login', 'POST /users'];
 
-/**
- * Helper function to recursively delete directory
- * @param {string} dirPath - Path to directory to delete
- */
-async function removeDir(dirPath) {
-  try {
-    const items = await fs.readdir(dirPath, { withFileTypes: true });
-    for (const item of items) {
-      const fullPath = path.join(dirPath, item.name);
-      if (item.isDirectory()) {
-        await removeDir(fullPath);
-      } else {
-        await fs.unlink(fullPath);
-      }
-    }
-    await fs.rmdir(dirPath);
-  } catch (error) {
-    console.error(`Error removing directory ${dirPath}:`, error);
-    throw error;
+app.use(authenticate);
+app.use('/api', (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || PUBLIC_ROUTES.includes(`${req.method} ${req.path}`)) {
+    return next();
   }
-}
-
-/**
- * Helper function to handle file extensions consistently
- * @param {string} fileName - Name of the file
- * @param {string} extension - Extension to ensure
- * @returns {string} Filename with proper extension
- */
-function ensureFileExtension(fileName, extension) {
-  return fileName.endsWith(extension) ? fileName : `${fileName}${extension}`;
-}
-
-/**
- * Helper function to remove file extension
- * @param {string} fileName - Name of the file
- * @param {string} extension - Extension to remove
- * @returns {string} Filename without extension
- */
-function removeFileExtension(fileName, extension) {
-  return fileName.endsWith(extension) ? fileName.slice(0, -extension.length) : fileName;
-}
+  requireAuth(req, res, next);
+});
+app.use('/api', validateRequest);
 
 /**
  * Helper function to get files recursively
- * @param {string} dir - Directory to scan
+ * Items are annotated with the caller's `access` level; folders the caller
+ * cannot read are left out unless a subfolder grants access again. Files
+ * that are checked out also carry their `lock`.
+ * @param {string} folder - Folder path relative to the diagrams directory
+ * @param {Function} resolveAccess - `(folderPath) => level` for the request
  * @returns {Promise<Array>} Array of file and folder objects
  */
-async function getFilesRecursively(dir) {
-  const items = await fs.readdir(dir, { withFileTypes: true });
+async function getFilesRecursively(folder, resolveAccess) {
+  const folderAccess = resolveAccess(folder);
+  const items = await storage.list(folder, { recursive: false });
   const files = await Promise.all(
     items.map(async item => {
-      const fullPath = path.join(dir, item.name);
-      const relativePath = path.relative(PATHS.DIAGRAMS, fullPath);
+      const relativePath = item.path;
+      const name = path.posix.basename(relativePath);
       
-      if (item.isDirectory()) {
-        const children = await getFilesRecursively(fullPath);
+      if (item.type === 'folder') {
+        const children = await getFilesRecursively(relativePath, resolveAccess);
+        const access = resolveAccess(relativePath);
+        if (access === 'none' && children.length === 0) return null;
         return {
-          name: item.name,
+          name,
           type: 'folder',
           path: relativePath,
+          access,
           children
         };
       }
+      if (folderAccess === 'none') return null;
       return {
         // Remove .json extension from name for consistency
-        name: removeFileExtension(item.name, FILE_EXTENSIONS.DIAGRAM),
+        name: removeFileExtension(name, FILE_EXTENSIONS.DIAGRAM),
         type: 'file',
-        path: removeFileExtension(relativePath, FILE_EXTENSIONS.DIAGRAM)
+        path: removeFileExtension(relativePath, FILE_EXTENSIONS.DIAGRAM),
+        access: folderAccess,
+        lock: getPublicLock(relativePath)
       };
     })
   );
-  return files;
-}
-
-/**
- * Validate and normalize file path
- * @param {string} filePath - Path to validate
- * @param {string} baseDir - Base directory to check against
- * @returns {string} Normalized path
- * @throws {Error} If path is invalid or outside base directory
- */
-function validatePath(filePath, baseDir) {
-  const normalizedPath = filePath ? filePath.replace(/\.\./g, '') : '';
-  const fullPath = path.join(baseDir, normalizedPath);
-  
-  if (!fullPath.startsWith(baseDir)) {
-    throw new Error('Invalid path: Path is outside allowed directory');
-  }
-  
-  return fullPath;
+  return files.filter(Boolean);
 }
 
 // Import topology handlers
-import { saveTopology, loadTopology } from './topology.js';
+import { saveTopology, loadTopology, migrateAllTopologies, listTopologies } from './topology.js';
+import { TOPOLOGY_SCHEMA } from '../src/utils/TopologySchema.js';
+import { listHistory, loadRevision, restoreRevision } from './history.js';
+import { moveToTrash, listTrash, restoreFromTrash, purgeTrash, scheduleTrashPurge } from './trash.js';
+import {
+  listDeviceConfigs,
+  loadDeviceConfig,
+  createDeviceConfig,
+  updateDeviceConfig,
+  deleteDeviceConfig
+} from './deviceConfig.js';
+import { DEVICE_CONFIG_SCHEMA } from '../src/utils/DeviceConfigSchema.js';
+import { parseIconUpload, listIcons, uploadIcon, updateIconMetadata } from './icons.js';
+import { ICON_EXTENSIONS, MAX_ICON_BYTES } from './iconFiles.js';
+import { ICON_MANIFEST_SCHEMA } from '../src/utils/IconManifestSchema.js';
+import { parseBundleUpload, exportBundle, importBundle } from './bundle.js';
+import { MAX_BUNDLE_BYTES } from './bundleFormat.js';
+import {
+  listNodes,
+  getNode,
+  addNode,
+  updateNode,
+  removeNode,
+  listConnections,
+  addConnection,
+  removeConnection
+} from './topologyEdits.js';
+
+// Authentication routes
+app.get('/api/auth/status', async (req, res) => {
+  try {
+    await authStatus(req, res);
+  } catch (error) {
+    console.error('Error in auth status route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    await login(req, res);
+  } catch (error) {
+    console.error('Error in login route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.get('/api/auth/me', currentUser);
+
+// User account routes
+app.get('/api/users', requireAdmin, async (req, res) => {
+  try {
+    await listUsers(req, res);
+  } catch (error) {
+    console.error('Error in list users route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.post('/api/users', async (req, res) => {
+  try {
+    await createUser(req, res);
+  } catch (error) {
+    console.error('Error in create user route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.put('/api/users/:username', async (req, res) => {
+  try {
+    await updateUser(req, res);
+  } catch (error) {
+    console.error('Error in update user route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.delete('/api/users/:username', requireAdmin, async (req, res) => {
+  try {
+    await deleteUser(req, res);
+  } catch (error) {
+    console.error('Error in delete user route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
 
 // API Routes
 app.get('/api/list-icons', async (req, res) => {
   try {
     const files = await fs.readdir(PATHS.ICONS);
-    res.json(files);
+    const extensions = Object.values(ICON_EXTENSIONS);
+    res.json(files.filter(file => extensions.includes(path.extname(file).toLowerCase())));
   } catch (error) {
     console.error('Error reading icons directory:', error);
     res.status(500).json({ error: 'Failed to list icons' });
   }
 });
 
-app.get('/api/device-config/:filename', async (req, res) => {
+app.get('/api/icons', async (req, res) => {
+  try {
+    await listIcons(req, res);
+  } catch (error) {
+    console.error('Error in list icons route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.post('/api/icons', (req, res) => {
+  // Report oversized or unreadable uploads as JSON instead of the default error page
+  parseIconUpload(req, res, async (parseError) => {
+    if (parseError) {
+      const tooLarge = parseError.type === 'entity.too.large';
+      return res.status(parseError.status || 400).json({
+        message: tooLarge
+          ? `Icon is larger than the ${Math.round(MAX_ICON_BYTES / 1024)} KB limit`
+          : 'Failed to read icon upload',
+        error: parseError.message
+      });
+    }
+
+    try {
+      await uploadIcon(req, res);
+    } catch (error) {
+      console.error('Error in upload icon route:', error);
+      res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+  });
+});
+
+app.get('/api/icons/manifest/schema', (req, res) => {
+  res.json(ICON_MANIFEST_SCHEMA);
+});
+
+app.put('/api/icons/:filename', async (req, res) => {
+  try {
+    await updateIconMetadata(req, res);
+  } catch (error) {
+    console.error('Error in update icon metadata route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+// Device configuration routes
+app.get('/api/device-config', async (req, res) => {
   try {
-    const configPath = validatePath(req.params.filename, PATHS.DEVICE_CONFIG);
-    const config = await fs.readFile(configPath, 'utf-8');
-    res.json(JSON.parse(config));
+    await listDeviceConfigs(req, res);
   } catch (error) {
-    console.error('Error reading device config:', error);
-    res.status(500).json({ error: 'Failed to load device configuration' });
+    console.error('Error in list device config route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.get('/api/device-config/schema', (req, res) => {
+  res.json(DEVICE_CONFIG_SCHEMA);
+});
+
+app.get('/api/device-config/:name', async (req, res) => {
+  try {
+    await loadDeviceConfig(req, res);
+  } catch (error) {
+    console.error('Error in load device config route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.post('/api/device-config', async (req, res) => {
+  try {
+    await createDeviceConfig(req, res);
+  } catch (error) {
+    console.error('Error in create device config route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.put('/api/device-config/:name', async (req, res) => {
+  try {
+    await updateDeviceConfig(req, res);
+  } catch (error) {
+    console.error('Error in update device config route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.delete('/api/device-config/:name', async (req, res) => {
+  try {
+    await deleteDeviceConfig(req, res);
+  } catch (error) {
+    console.error('Error in delete device config route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
   }
 });
 
 app.get('/api/diagrams', async (req, res) => {
   try {
-    await ensureDir(PATHS.DIAGRAMS);
-    const files = await getFilesRecursively(PATHS.DIAGRAMS);
+    const files = await getFilesRecursively('', await getAccessResolver(req));
     res.json(files);
   } catch (error) {
     console.error('Error reading diagrams directory:', error);
@@ -183,8 +341,11 @@ app.post('/api/create-folder', async (req, res) => {
       return res.status(400).json({ error: 'Folder name is required' });
     }
 
-    const fullPath = validatePath(path.join(folderPath || '', name), PATHS.DIAGRAMS);
-    await ensureDir(fullPath);
+    const diagramPath = toDiagramPath(validatePath(path.join(folderPath || '', name), PATHS.DIAGRAMS));
+    if (!(await checkFolderAccess(req, res, folderOf(diagramPath), 'write'))) return;
+
+    await storage.createFolder(diagramPath);
+    recordAudit(req, { action: 'create-folder', path: diagramPath });
     res.json({ success: true });
   } catch (error) {
     console.error('Error creating folder:', error);
@@ -201,10 +362,33 @@ app.post('/api/create-file', async (req, res) => {
     }
 
     const fileName = ensureFileExtension(name, FILE_EXTENSIONS.DIAGRAM);
-    const fullPath = validatePath(path.join(filePath || '', fileName), PATHS.DIAGRAMS);
-    await ensureDir(path.dirname(fullPath));
-    await fs.writeFile(fullPath, JSON.stringify(content || {}, null, 2));
-    res.json({ success: true });
+    const diagramPath = toDiagramPath(validatePath(path.join(filePath || '', fileName), PATHS.DIAGRAMS));
+    if (!(await checkItemAccess(req, res, diagramPath, 'file', 'write'))) return;
+    if (!checkItemLock(req, res, diagramPath)) return;
+
+    await withFileLock(diagramPath, async () => {
+      const precondition = await checkWritePrecondition(req, diagramPath);
+      if (!precondition.ok) {
+        return res.status(precondition.status).json(precondition.body);
+      }
+
+      const etag = await writeWithETag(diagramPath, JSON.stringify(content || {}, null, 2));
+
+      await updateSearchIndex([diagramPath]);
+      const revision = await recordChange([diagramPath], {
+        author: getRequestAuthor(req),
+        message: req.body.message || `Create ${diagramPath}`
+      });
+      recordAudit(req, {
+        action: 'create-file',
+        path: diagramPath,
+        before: parseSnapshot(precondition.current),
+        after: content || {},
+        details: { revision }
+      });
+      res.set('ETag', etag);
+      res.json({ success: true, etag, revision });
+    });
   } catch (error) {
     console.error('Error creating file:', error);
     res.status(500).json({ error: 'Failed to create file' });
@@ -219,32 +403,191 @@ app.delete('/api/delete-item', async (req, res) => {
       return res.status(400).json({ error: 'Path is required' });
     }
 
-    const fullPath = validatePath(
+    const diagramPath = toDiagramPath(validatePath(
       type === 'file' 
         ? ensureFileExtension(itemPath, FILE_EXTENSIONS.DIAGRAM)
         : itemPath, 
       PATHS.DIAGRAMS
-    );
+    ));
     
-    if (type === 'folder') {
-      await removeDir(fullPath);
-    } else {
-      await fs.unlink(fullPath);
+    if (diagramPath === '') {
+      return res.status(400).json({ error: 'The diagrams folder itself cannot be deleted' });
     }
-    
-    res.json({ success: true });
+    if (!(await storage.exists(diagramPath))) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    if (!(await checkItemAccess(req, res, diagramPath, type === 'folder' ? 'folder' : 'file', 'write'))
+      || !checkItemLock(req, res, diagramPath, type === 'folder' ? 'folder' : 'file')) {
+      return;
+    }
+
+    // Deleted items go to the trash so they can be restored
+    const author = getRequestAuthor(req);
+    const itemType = type === 'folder' ? 'folder' : 'file';
+    let before = null;
+    const entry = await withFileLock(diagramPath, async () => {
+      if (itemType === 'file') {
+        before = parseSnapshot(await readWithETag(diagramPath));
+      }
+      return moveToTrash(diagramPath, itemType, author);
+    });
+
+    releaseLocks(diagramPath);
+    await updateSearchIndex([diagramPath]);
+    const revision = await recordChange([diagramPath], {
+      author,
+      message: `Delete ${diagramPath}`
+    });
+    recordAudit(req, {
+      action: 'delete-item',
+      path: diagramPath,
+      // Folder contents are not summarized, only the folder itself
+      ...(itemType === 'file' && { before, after: null }),
+      details: { type: itemType, trashId: entry.id, revision }
+    });
+    res.json({ success: true, trashId: entry.id, revision });
   } catch (error) {
     console.error('Error deleting item:', error);
     res.status(500).json({ error: 'Failed to delete item' });
   }
 });
 
+// Collision strategies for /api/move-item
+const MOVE_COLLISIONS = ['fail', 'rename'];
+
+app.post('/api/move-item', async (req, res) => {
+  try {
+    console.log('Moving item:', req.body);
+    const { path: itemPath, type, destination = '', name, collision = 'fail' } = req.body;
+    if (!itemPath) {
+      return res.status(400).json({ error: 'Path is required' });
+    }
+    if (type !== 'file' && type !== 'folder') {
+      return res.status(400).json({ error: 'Type must be "file" or "folder"' });
+    }
+    if (!MOVE_COLLISIONS.includes(collision)) {
+      return res.status(400).json({ error: `Unknown collision strategy: ${collision}` });
+    }
+
+    const extension = type === 'file' ? FILE_EXTENSIONS.DIAGRAM : '';
+
+    let from;
+    let targetDir;
+    try {
+      from = toDiagramPath(validatePath(ensureFileExtension(itemPath, extension), PATHS.DIAGRAMS));
+      targetDir = toDiagramPath(validatePath(destination, PATHS.DIAGRAMS));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (from === '') {
+      return res.status(400).json({ error: 'The diagrams folder itself cannot be moved' });
+    }
+
+    const sourceStats = await storage.stat(from);
+    if (sourceStats?.type !== type) {
+      return res.status(404).json({ error: `${type === 'file' ? 'File' : 'Folder'} not found` });
+    }
+
+    const targetStats = await storage.stat(targetDir);
+    if (targetStats?.type !== 'folder') {
+      return res.status(404).json({ error: 'Destination folder not found' });
+    }
+
+    if (type === 'folder' && (targetDir === from || targetDir.startsWith(`${from}/`))) {
+      return res.status(400).json({ error: 'A folder cannot be moved into itself' });
+    }
+
+    const requestedName = String(name ?? path.posix.basename(from)).trim();
+    const baseName = removeFileExtension(requestedName, extension);
+    if (!isValidItemName(baseName)) {
+      return res.status(400).json({ error: 'Invalid name' });
+    }
+
+    const fromPath = removeFileExtension(from, extension);
+
+    if (!(await checkItemAccess(req, res, from, type, 'write'))
+      || !(await checkFolderAccess(req, res, targetDir, 'write'))
+      || !checkItemLock(req, res, from, type)) {
+      return;
+    }
+
+    // A pending save of the file finishes before it moves, and a later one sees it gone
+    await withFileLock(from, async () => {
+      let to = path.posix.join(targetDir, `${baseName}${extension}`);
+      if (to === from) {
+        return res.json({ success: true, from: fromPath, path: fromPath, revision: null });
+      }
+
+      if (await storage.exists(to)) {
+        if (collision === 'fail') {
+          return res.status(409).json({
+            error: `${to} already exists`,
+            reason: 'exists',
+            path: removeFileExtension(to, extension)
+          });
+        }
+        to = path.posix.join(targetDir, await findAvailableName(targetDir, baseName, extension));
+      }
+
+      await storage.move(from, to);
+
+      if (type === 'folder') {
+        await movePermissionRules(from, to);
+      }
+      moveLocks(from, to);
+      const isRename = path.posix.dirname(from) === path.posix.dirname(to);
+      await updateSearchIndex([from, to]);
+      const revision = await recordChange([from, to], {
+        author: getRequestAuthor(req),
+        message: `${isRename ? 'Rename' : 'Move'} ${from} to ${to}`
+      });
+
+      recordAudit(req, { action: 'move-item', path: to, details: { type, from, revision } });
+      console.log('Item moved:', { from, to, revision });
+      res.json({
+        success: true,
+        from: fromPath,
+        path: removeFileExtension(to, extension),
+        revision
+      });
+    });
+  } catch (error) {
+    console.error('Error moving item:', error);
+    res.status(500).json({ error: 'Failed to move item' });
+  }
+});
+
 app.post('/api/save-diagram', async (req, res) => {
   try {
-    const { filename, data } = req.body;
-    const configPath = validatePath(`${filename}.json`, PATHS.DIAGRAMS);
-    await fs.writeFile(configPath, JSON.stringify(data, null, 2));
-    res.json({ success: true });
+    const { filename, data, message } = req.body;
+    const diagramPath = toDiagramPath(validatePath(`${filename}.json`, PATHS.DIAGRAMS));
+    if (!(await checkItemAccess(req, res, diagramPath, 'file', 'write'))) return;
+    if (!checkItemLock(req, res, diagramPath)) return;
+
+    await withFileLock(diagramPath, async () => {
+      const precondition = await checkWritePrecondition(req, diagramPath);
+      if (!precondition.ok) {
+        return res.status(precondition.status).json(precondition.body);
+      }
+
+      const etag = await writeWithETag(diagramPath, JSON.stringify(data, null, 2));
+
+      await updateSearchIndex([diagramPath]);
+      const revision = await recordChange([diagramPath], {
+        author: getRequestAuthor(req),
+        message: message || `Save ${diagramPath}`
+      });
+      recordAudit(req, {
+        action: 'save-diagram',
+        path: diagramPath,
+        before: parseSnapshot(precondition.current),
+        after: data,
+        details: { revision }
+      });
+      res.set('ETag', etag);
+      res.json({ success: true, etag, revision });
+    });
   } catch (error) {
     console.error('Error saving diagram:', error);
     res.status(500).json({ error: 'Failed to save diagram' });
@@ -253,9 +596,15 @@ app.post('/api/save-diagram', async (req, res) => {
 
 app.get('/api/load-diagram/:filename', async (req, res) => {
   try {
-    const configPath = validatePath(`${req.params.filename}.json`, PATHS.DIAGRAMS);
-    const data = await fs.readFile(configPath, 'utf-8');
-    res.json(JSON.parse(data));
+    const diagramPath = toDiagramPath(validatePath(`${req.params.filename}.json`, PATHS.DIAGRAMS));
+    if (!(await checkItemAccess(req, res, diagramPath, 'file', 'read'))) return;
+
+    const file = await readWithETag(diagramPath);
+    if (!file) {
+      return res.status(404).json({ error: 'Diagram not found' });
+    }
+    res.set('ETag', file.etag);
+    res.json(JSON.parse(file.contents));
   } catch (error) {
     console.error('Error loading diagram:', error);
     res.status(500).json({ error: 'Failed to load diagram' });
@@ -281,63 +630,305 @@ app.get('/api/topology/load', async (req, res) => {
   }
 });
 
+app.post('/api/topology/migrate-all', requireAdmin, async (req, res) => {
+  try {
+    await migrateAllTopologies(req, res);
+  } catch (error) {
+    console.error('Error in migrate topologies route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+// Node and connection routes; `:path` is the URL-encoded diagram path
+app.get('/api/diagrams/:path/nodes', async (req, res) => {
+  try {
+    await listNodes(req, res);
+  } catch (error) {
+    console.error('Error in list nodes route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.post('/api/diagrams/:path/nodes', async (req, res) => {
+  try {
+    await addNode(req, res);
+  } catch (error) {
+    console.error('Error in add node route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.get('/api/diagrams/:path/nodes/:id', async (req, res) => {
+  try {
+    await getNode(req, res);
+  } catch (error) {
+    console.error('Error in get node route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.patch('/api/diagrams/:path/nodes/:id', async (req, res) => {
+  try {
+    await updateNode(req, res);
+  } catch (error) {
+    console.error('Error in update node route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.delete('/api/diagrams/:path/nodes/:id', async (req, res) => {
+  try {
+    await removeNode(req, res);
+  } catch (error) {
+    console.error('Error in remove node route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.get('/api/diagrams/:path/connections', async (req, res) => {
+  try {
+    await listConnections(req, res);
+  } catch (error) {
+    console.error('Error in list connections route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.post('/api/diagrams/:path/connections', async (req, res) => {
+  try {
+    await addConnection(req, res);
+  } catch (error) {
+    console.error('Error in add connection route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.delete('/api/diagrams/:path/connections/:id', async (req, res) => {
+  try {
+    await removeConnection(req, res);
+  } catch (error) {
+    console.error('Error in remove connection route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+// Bundle routes
+app.get('/api/bundle/export', async (req, res) => {
+  try {
+    await exportBundle(req, res);
+  } catch (error) {
+    console.error('Error in export bundle route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.post('/api/bundle/import', (req, res) => {
+  // Report oversized or unreadable uploads as JSON instead of the default error page
+  parseBundleUpload(req, res, async (parseError) => {
+    if (parseError) {
+      const tooLarge = parseError.type === 'entity.too.large';
+      return res.status(parseError.status || 400).json({
+        message: tooLarge
+          ? `Bundle is larger than the ${Math.round(MAX_BUNDLE_BYTES / (1024 * 1024))} MB limit`
+          : 'Failed to read bundle upload',
+        error: parseError.message
+      });
+    }
+
+    try {
+      await importBundle(req, res);
+    } catch (error) {
+      console.error('Error in import bundle route:', error);
+      res.status(500).json({ message: 'Internal server error', error: error.message });
+    }
+  });
+});
+
+app.get('/api/search', async (req, res) => {
+  try {
+    await handleSearch(req, res);
+  } catch (error) {
+    console.error('Error in search route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+// Folder permission routes
+app.get('/api/permissions', async (req, res) => {
+  try {
+    await getPermissions(req, res);
+  } catch (error) {
+    console.error('Error in permissions route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.put('/api/permissions', async (req, res) => {
+  try {
+    await updatePermissions(req, res);
+  } catch (error) {
+    console.error('Error in update permissions route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+// Diagram lock routes
+app.get('/api/locks', async (req, res) => {
+  try {
+    await listLocks(req, res);
+  } catch (error) {
+    console.error('Error in list locks route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.get('/api/locks/status', async (req, res) => {
+  try {
+    await getLockStatus(req, res);
+  } catch (error) {
+    console.error('Error in lock status route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.post('/api/locks', async (req, res) => {
+  try {
+    await acquireLock(req, res);
+  } catch (error) {
+    console.error('Error in acquire lock route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.post('/api/locks/heartbeat', async (req, res) => {
+  try {
+    await renewLock(req, res);
+  } catch (error) {
+    console.error('Error in lock heartbeat route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.delete('/api/locks', async (req, res) => {
+  try {
+    await releaseLock(req, res);
+  } catch (error) {
+    console.error('Error in release lock route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+// Audit log, administrators only
+app.get('/api/audit', requireAdmin, async (req, res) => {
+  try {
+    await getAuditLog(req, res);
+  } catch (error) {
+    console.error('Error in audit route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+// Trash routes
+app.get('/api/trash', async (req, res) => {
+  try {
+    await listTrash(req, res);
+  } catch (error) {
+    console.error('Error in trash route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.post('/api/trash/restore', async (req, res) => {
+  try {
+    await restoreFromTrash(req, res);
+  } catch (error) {
+    console.error('Error in trash restore route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.delete('/api/trash/:id?', async (req, res) => {
+  try {
+    await purgeTrash(req, res);
+  } catch (error) {
+    console.error('Error in trash purge route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+// Revision history routes
+app.get('/api/history', async (req, res) => {
+  try {
+    await listHistory(req, res);
+  } catch (error) {
+    console.error('Error in history route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.get('/api/history/revision', async (req, res) => {
+  try {
+    await loadRevision(req, res);
+  } catch (error) {
+    console.error('Error in history revision route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.post('/api/history/restore', async (req, res) => {
+  try {
+    await restoreRevision(req, res);
+  } catch (error) {
+    console.error('Error in history restore route:', error);
+    res.status(500).json({ message: 'Internal server error', error: error.message });
+  }
+});
+
+app.get('/api/topology/schema', (req, res) => {
+  res.json(TOPOLOGY_SCHEMA);
+});
+
 app.get('/api/topology/list', async (req, res) => {
   try {
-    const diagramsDir = PATHS.DIAGRAMS;
-    
-    // Ensure diagrams directory exists
-    await ensureDir(diagramsDir);
-    
-    // Get list of topology files
-    const files = await fs.readdir(diagramsDir);
-    const topologyFiles = await Promise.all(
-      files
-        .filter(file => file.endsWith('.json'))
-        .map(async filename => {
-          const filePath = path.join(diagramsDir, filename);
-          const stats = await fs.stat(filePath);
-          
-          try {
-            const content = JSON.parse(await fs.readFile(filePath, 'utf8'));
-            return {
-              filename,
-              size: stats.size,
-              created: stats.birthtime,
-              nodeCount: Object.keys(content.nodes || {}).length,
-              connectionCount: Object.keys(content.connections || {}).length
-            };
-          } catch (error) {
-            console.error(`Error reading topology file ${filename}:`, error);
-            return {
-              filename,
-              size: stats.size,
-              created: stats.birthtime,
-              nodeCount: 0,
-              connectionCount: 0,
-              error: 'Failed to parse topology file'
-            };
-          }
-        })
-    );
-    
-    // Sort by creation time, newest first
-    topologyFiles.sort((a, b) => new Date(b.created) - new Date(a.created));
-    
-    res.json({ files: topologyFiles });
+    await listTopologies(req, res);
   } catch (error) {
     console.error('Error in list topology route:', error);
-    res.status(500).json({ message: 'Failed to list topology files', error: error.message });
+    res.status(500).json({ message: 'Internal server error', error: error.message });
   }
 });
 
-// Error handling middleware
+app.get('/api/openapi.json', (req, res) => {
+  res.json(OPENAPI_DOCUMENT);
+});
+
+app.use('/api', (req, res) => {
+  sendError(res, 404, ERROR_CODES.NOT_FOUND, `No route for ${req.method} ${req.originalUrl.split('?')[0]}`);
+});
+
+// Error handling middleware; errors of the body parsers carry their own status
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ error: 'Internal server error' });
+  const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+  if (status === 500) {
+    console.error('Error:', err);
+  }
+  res.status(status).json({ message: status === 500 ? 'Internal server error' : err.message });
 });
 
 // Start the server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log('Paths:', PATHS);
+  console.log('Storage backend:', storage.name);
+
+  storage.init().catch(error => {
+    console.error('Diagram storage is unavailable:', error.message);
+  });
+  scheduleTrashPurge();
+  scheduleLockExpiry();
+  buildSearchIndex().catch(error => {
+    console.error('Failed to build search index:', error.message);
+  });
 });
+
+// Real-time collaboration shares the HTTP server
+attachCollaboration(server);
@@ -0,0 +1,385 @@
+import {
+  PATHS,
+  FILE_EXTENSIONS,
+  ensureFileExtension,
+  removeFileExtension,
+  validatePath,
+  toDiagramPath
+} from './fileUtils.js';
+import { storage } from './storage/index.js';
+import { checkItemAccess, getAccessResolver, folderOf, hasAccess } from './permissions.js';
+import { recordAudit } from './audit.js';
+
+/**
+ * Exclusive edit locks on diagrams
+ *
+ * A user with write access can check out a diagram. Until the lock is
+ * released, saves from anyone else are refused with 423 and their live edits
+ * are rejected, so the other users see the diagram read-only. The holder's
+ * canvas renews the lock with heartbeats; a lock that is not renewed for
+ * `DIAGRAM_LOCK_TTL_SECONDS` (default 90) expires, e.g. when the tab was
+ * closed. Folder admins can break the lock of another user.
+ *
+ * Locks are keyed by diagram path relative to the diagrams directory and
+ * only live in memory, so a restart releases them.
+ */
+
+export const LOCK_TTL_MS = (Number(process.env.DIAGRAM_LOCK_TTL_SECONDS) || 90) * 1000;
+
+// How often expired locks are looked for, so their release is announced
+const EXPIRY_INTERVAL_MS = 15000;
+
+const locks = new Map();
+const lockListeners = new Set();
+
+/**
+ * Resolve the diagram file of a lock request
+ * @param {string} diagramPath - Diagram path with or without extension
+ * @returns {Object} `{ filename }`
+ */
+function resolveLockFile(diagramPath) {
+  const relativePath = String(diagramPath || '').replace(/^[/\\]+/, '');
+  if (!relativePath) {
+    throw new Error('Path is required');
+  }
+  const filePath = validatePath(ensureFileExtension(relativePath, FILE_EXTENSIONS.DIAGRAM), PATHS.DIAGRAMS);
+  return { filename: toDiagramPath(filePath) };
+}
+
+/**
+ * Get the public description of a lock
+ * @param {Object|null} lock - Stored lock
+ * @returns {Object|null} `{ path, username, displayName, acquiredAt, expiresAt }`
+ */
+const toPublicLock = (lock) => lock && {
+  path: removeFileExtension(lock.filename, FILE_EXTENSIONS.DIAGRAM),
+  username: lock.username,
+  displayName: lock.displayName,
+  acquiredAt: new Date(lock.acquiredAt).toISOString(),
+  expiresAt: new Date(lock.expiresAt).toISOString()
+};
+
+/**
+ * Tell the listeners that the lock of a diagram changed
+ * @param {string} filename - Diagram path relative to the diagrams directory
+ */
+const notifyLockChanged = (filename) => {
+  const lock = toPublicLock(getLock(filename));
+  lockListeners.forEach(listener => {
+    try {
+      listener(filename, lock);
+    } catch (error) {
+      console.error('Lock Listener Error:', error);
+    }
+  });
+};
+
+/**
+ * Listen for locks being taken, released or expiring
+ * @param {Function} listener - `(filename, lock)`; lock is null once released
+ */
+export function onLockChanged(listener) {
+  lockListeners.add(listener);
+}
+
+/**
+ * Get the lock of a diagram, dropping it if it expired
+ * @param {string} filename - Diagram path relative to the diagrams directory
+ * @returns {Object|null} Stored lock
+ */
+export function getLock(filename) {
+  const lock = locks.get(filename);
+  if (lock && lock.expiresAt <= Date.now()) {
+    locks.delete(filename);
+    return null;
+  }
+  return lock || null;
+}
+
+/**
+ * Get the public description of the lock of a diagram
+ * @param {string} filename - Diagram path relative to the diagrams directory
+ * @returns {Object|null} Public lock, or null if the diagram is not checked out
+ */
+export function getPublicLock(filename) {
+  return toPublicLock(getLock(filename));
+}
+
+/**
+ * Get the lock that keeps a user from writing a diagram
+ * @param {string} filename - Diagram path relative to the diagrams directory
+ * @param {Object|null} user - Authenticated user, or null
+ * @returns {Object|null} Public lock held by someone else, or null
+ */
+export function getBlockingLock(filename, user) {
+  const lock = getLock(filename);
+  if (!lock || (user && lock.username === user.username)) return null;
+  return toPublicLock(lock);
+}
+
+/**
+ * Check that no other user holds the lock of a diagram, or of any diagram in
+ * a folder, and answer 423 when one does
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} itemPath - Item path relative to the diagrams directory
+ * @param {string} [type] - `file` or `folder`
+ * @returns {boolean} Whether the request may continue
+ */
+export function checkItemLock(req, res, itemPath, type = 'file') {
+  const candidates = type === 'folder'
+    ? [...locks.keys()].filter(filename => filename.startsWith(`${itemPath}/`))
+    : [itemPath];
+  const lock = candidates.map(filename => getBlockingLock(filename, req.user)).find(Boolean);
+  if (!lock) return true;
+
+  res.status(423).json({
+    message: `${lock.path} is checked out by ${lock.displayName}`,
+    reason: 'locked',
+    path: itemPath,
+    lock
+  });
+  return false;
+}
+
+/**
+ * Move the locks of a diagram or folder along with it
+ * @param {string} from - Old path relative to the diagrams directory
+ * @param {string} to - New path relative to the diagrams directory
+ */
+export function moveLocks(from, to) {
+  [...locks.keys()]
+    .filter(filename => filename === from || filename.startsWith(`${from}/`))
+    .forEach(filename => {
+      const target = `${to}${filename.slice(from.length)}`;
+      locks.set(target, { ...locks.get(filename), filename: target });
+      locks.delete(filename);
+      notifyLockChanged(filename);
+      notifyLockChanged(target);
+    });
+}
+
+/**
+ * Release the locks of a deleted diagram or folder
+ * @param {string} itemPath - Path relative to the diagrams directory
+ */
+export function releaseLocks(itemPath) {
+  [...locks.keys()]
+    .filter(filename => filename === itemPath || filename.startsWith(`${itemPath}/`))
+    .forEach(filename => {
+      locks.delete(filename);
+      notifyLockChanged(filename);
+    });
+}
+
+/**
+ * Look for expired locks periodically, so their release is announced
+ */
+export function scheduleLockExpiry() {
+  setInterval(() => {
+    const now = Date.now();
+    [...locks.values()]
+      .filter(lock => lock.expiresAt <= now)
+      .forEach(lock => {
+        locks.delete(lock.filename);
+        console.log('Diagram lock expired:', { path: lock.filename, username: lock.username });
+        notifyLockChanged(lock.filename);
+      });
+  }, EXPIRY_INTERVAL_MS).unref();
+}
+
+/**
+ * List the active locks in folders the caller can read
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listLocks(req, res) {
+  try {
+    const resolveAccess = await getAccessResolver(req);
+    const visible = [...locks.keys()]
+      .map(getLock)
+      .filter(lock => lock && hasAccess(resolveAccess(folderOf(lock.filename)), 'read'))
+      .map(toPublicLock);
+
+    return res.status(200).json({ locks: visible });
+
+  } catch (error) {
+    console.error('Lock List Error:', error);
+    return res.status(500).json({
+      message: 'Failed to list locks',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get the lock of one diagram and what the caller may do with it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getLockStatus(req, res) {
+  try {
+    let file;
+    try {
+      file = resolveLockFile(req.query.path);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const access = (await getAccessResolver(req))(folderOf(file.filename));
+    if (!hasAccess(access, 'read')) {
+      return res.status(403).json({ message: 'Read access is required', reason: 'forbidden', path: file.filename, access });
+    }
+
+    const lock = getLock(file.filename);
+    return res.status(200).json({
+      path: removeFileExtension(file.filename, FILE_EXTENSIONS.DIAGRAM),
+      lock: toPublicLock(lock),
+      canLock: !!req.user && hasAccess(access, 'write'),
+      canOverride: !!req.user && hasAccess(access, 'admin')
+    });
+
+  } catch (error) {
+    console.error('Lock Status Error:', error);
+    return res.status(500).json({
+      message: 'Failed to read lock',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Check out a diagram with `{ path, force }`
+ * Checking out a diagram the caller already holds renews the lock. `force`
+ * takes the lock over from another user and needs admin access on the folder.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function acquireLock(req, res) {
+  try {
+    let file;
+    try {
+      file = resolveLockFile(req.body?.path);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (!(await storage.exists(file.filename))) {
+      return res.status(404).json({ message: 'Diagram not found' });
+    }
+    const force = req.body?.force === true;
+    if (!(await checkItemAccess(req, res, file.filename, 'file', force ? 'admin' : 'write'))) return;
+
+    const current = getLock(file.filename);
+    const isOverride = !!current && current.username !== req.user.username;
+    if (isOverride && !force) {
+      return res.status(409).json({
+        message: `${removeFileExtension(file.filename, FILE_EXTENSIONS.DIAGRAM)} is already checked out by ${current.displayName}`,
+        reason: 'locked',
+        lock: toPublicLock(current)
+      });
+    }
+
+    const now = Date.now();
+    locks.set(file.filename, {
+      filename: file.filename,
+      username: req.user.username,
+      displayName: req.user.displayName || req.user.username,
+      acquiredAt: current && !isOverride ? current.acquiredAt : now,
+      expiresAt: now + LOCK_TTL_MS
+    });
+
+    if (isOverride) {
+      recordAudit(req, { action: 'lock/override', path: file.filename, details: { holder: current.username } });
+    }
+    console.log('Diagram checked out:', { path: file.filename, username: req.user.username, override: isOverride });
+    notifyLockChanged(file.filename);
+
+    return res.status(200).json({ lock: toPublicLock(getLock(file.filename)), ttlSeconds: LOCK_TTL_MS / 1000 });
+
+  } catch (error) {
+    console.error('Lock Acquire Error:', error);
+    return res.status(500).json({
+      message: 'Failed to check out diagram',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Renew the caller's lock with `{ path }`
+ * Unlike checking out again, this never takes a lock that was lost, e.g. to
+ * an admin override; that is answered with 409 and the current lock.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function renewLock(req, res) {
+  try {
+    let file;
+    try {
+      file = resolveLockFile(req.body?.path);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const lock = getLock(file.filename);
+    if (!lock || lock.username !== req.user.username) {
+      return res.status(409).json({
+        message: `${removeFileExtension(file.filename, FILE_EXTENSIONS.DIAGRAM)} is no longer checked out by you`,
+        reason: 'lost',
+        lock: toPublicLock(lock)
+      });
+    }
+
+    lock.expiresAt = Date.now() + LOCK_TTL_MS;
+    return res.status(200).json({ lock: toPublicLock(lock), ttlSeconds: LOCK_TTL_MS / 1000 });
+
+  } catch (error) {
+    console.error('Lock Renew Error:', error);
+    return res.status(500).json({
+      message: 'Failed to renew lock',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Check in a diagram with `?path=<diagram>`
+ * Releasing the lock of another user needs admin access on the folder.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function releaseLock(req, res) {
+  try {
+    let file;
+    try {
+      file = resolveLockFile(req.query.path);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const lock = getLock(file.filename);
+    if (!lock) {
+      return res.status(200).json({ released: false, lock: null });
+    }
+
+    const isOverride = lock.username !== req.user.username;
+    if (isOverride && !(await checkItemAccess(req, res, file.filename, 'file', 'admin'))) return;
+
+    locks.delete(file.filename);
+    if (isOverride) {
+      recordAudit(req, { action: 'lock/override', path: file.filename, details: { holder: lock.username } });
+    }
+    console.log('Diagram checked in:', { path: file.filename, username: lock.username, by: req.user.username });
+    notifyLockChanged(file.filename);
+
+    return res.status(200).json({ released: true, lock: null });
+
+  } catch (error) {
+    console.error('Lock Release Error:', error);
+    return res.status(500).json({
+      message: 'Failed to check in diagram',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,1048 @@
+import { ROLES } from './auth.js';
+import { SAVE_MODES } from './topology.js';
+import { COLLISION_MODES } from './bundle.js';
+import { ICON_EXTENSIONS } from './iconFiles.js';
+import { COLLABORATION_PATH } from './collaboration.js';
+import { ERROR_CODES } from './apiErrors.js';
+import { PERMISSION_LEVELS } from '../src/utils/Permissions.js';
+
+/**
+ * OpenAPI description of the HTTP API
+ *
+ * Served at /api/openapi.json. The request parts (path and query parameters
+ * and JSON bodies) are also what validateRequest checks before a handler
+ * runs, so they only use the keywords SchemaValidator understands. Diagram,
+ * device and icon documents are left open here and link to their published
+ * schemas instead: handlers upgrade and check them in full.
+ */
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const pathParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string', minLength: 1 }
+});
+
+const queryParam = (name, schema, description, required = false) => ({
+  name,
+  in: 'query',
+  required,
+  description,
+  schema
+});
+
+const jsonBody = (schema, required = true) => ({
+  required,
+  content: { 'application/json': { schema } }
+});
+
+const jsonResponse = (description, schema, headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { 'application/json': { schema } }
+});
+
+const errorResponses = (...statuses) => Object.fromEntries(
+  statuses.map(status => [status, { $ref: `#/components/responses/Error${status}` }])
+);
+
+const object = (properties, required = []) => ({
+  type: 'object',
+  ...(required.length > 0 && { required }),
+  properties
+});
+
+const STRING = { type: 'string' };
+const NON_EMPTY = { type: 'string', minLength: 1 };
+const BOOLEAN = { type: 'boolean' };
+const INTEGER = { type: 'integer' };
+const NULLABLE_STRING = { type: ['string', 'null'] };
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+
+const DIAGRAM_PATH_DESCRIPTION = 'Diagram path relative to the diagrams folder, with or without `.json`';
+const ETAG_HEADER = { ETag: { description: 'Version of the stored diagram, to send back in `If-Match`', schema: STRING } };
+const IF_MATCH = {
+  name: 'If-Match',
+  in: 'header',
+  required: false,
+  description: 'ETag the diagram was loaded with. Required to overwrite an existing diagram; `*` overwrites unconditionally.',
+  schema: STRING
+};
+
+const IF_MATCH_OPTIONAL = {
+  ...IF_MATCH,
+  description: 'ETag of the diagram. Optional: edits apply to the current version, but one that is sent must match.'
+};
+const DIAGRAM_PARAM = pathParam('path', 'Diagram path with or without `.json`, URL-encoded (`lab%2Fcore`)');
+
+// Node fields that can be set through the API
+const NODE_FIELDS = {
+  type: NON_EMPTY,
+  name: STRING,
+  position: schemaRef('Position'),
+  size: object({ width: { type: 'number', minimum: 0 }, height: { type: 'number', minimum: 0 } }, ['width', 'height']),
+  icon: NULLABLE_STRING,
+  iconPath: STRING,
+  properties: { type: 'object' }
+};
+
+// Reads are open to anonymous users; writes need a token
+const OPTIONAL_AUTH = [{}, { bearerAuth: [] }];
+const REQUIRED_AUTH = [{ bearerAuth: [] }];
+
+const ERROR_DESCRIPTIONS = {
+  400: 'The request is malformed or failed validation',
+  401: 'No valid token was sent',
+  403: 'The caller lacks the required access level',
+  404: 'The item does not exist',
+  409: 'The item exists already, or was changed since it was loaded',
+  413: 'The upload is too large',
+  423: 'The diagram is checked out by another user',
+  428: 'An `If-Match` header is required',
+  500: 'The server failed to handle the request'
+};
+
+const mutationResult = object({
+  success: BOOLEAN,
+  etag: STRING,
+  revision: NULLABLE_STRING
+});
+
+const paths = {
+  '/api/openapi.json': {
+    get: {
+      tags: ['Meta'],
+      summary: 'This document',
+      security: OPTIONAL_AUTH,
+      responses: { 200: jsonResponse('OpenAPI document', { type: 'object' }) }
+    }
+  },
+
+  '/api/auth/status': {
+    get: {
+      tags: ['Authentication'],
+      summary: 'Whether the first account still has to be created',
+      security: OPTIONAL_AUTH,
+      responses: {
+        200: jsonResponse('Setup state', object({ setupRequired: BOOLEAN })),
+        ...errorResponses(500)
+      }
+    }
+  },
+  '/api/auth/login': {
+    post: {
+      tags: ['Authentication'],
+      summary: 'Log in and receive a bearer token',
+      security: [{}],
+      requestBody: jsonBody(object({ username: NON_EMPTY, password: NON_EMPTY }, ['username', 'password'])),
+      responses: {
+        200: jsonResponse('Session', schemaRef('Session')),
+        ...errorResponses(400, 401, 500)
+      }
+    }
+  },
+  '/api/auth/me': {
+    get: {
+      tags: ['Authentication'],
+      summary: 'The logged-in user',
+      security: REQUIRED_AUTH,
+      responses: {
+        200: jsonResponse('Current user', object({ user: schemaRef('User') })),
+        ...errorResponses(401)
+      }
+    }
+  },
+
+  '/api/users': {
+    get: {
+      tags: ['Users'],
+      summary: 'List accounts (administrators)',
+      security: REQUIRED_AUTH,
+      responses: {
+        200: jsonResponse('Accounts', object({ users: { type: 'array', items: schemaRef('User') } })),
+        ...errorResponses(401, 403, 500)
+      }
+    },
+    post: {
+      tags: ['Users'],
+      summary: 'Create an account',
+      description: 'Open to anyone while no account exists; the first account becomes an administrator and is logged in. Afterwards administrators only.',
+      security: OPTIONAL_AUTH,
+      requestBody: jsonBody(object({
+        username: NON_EMPTY,
+        password: NON_EMPTY,
+        displayName: STRING,
+        email: STRING,
+        role: { type: 'string', enum: ROLES }
+      }, ['username', 'password'])),
+      responses: {
+        201: jsonResponse('Account created', object({
+          message: STRING,
+          user: schemaRef('User'),
+          token: STRING,
+          expiresAt: TIMESTAMP
+        })),
+        ...errorResponses(400, 401, 403, 409, 500)
+      }
+    }
+  },
+  '/api/users/{username}': {
+    parameters: [pathParam('username', 'Account name')],
+    put: {
+      tags: ['Users'],
+      summary: 'Update an account',
+      description: 'Users may change their own password, display name and email; administrators may change anything.',
+      security: REQUIRED_AUTH,
+      requestBody: jsonBody(object({
+        password: NON_EMPTY,
+        displayName: STRING,
+        email: STRING,
+        role: { type: 'string', enum: ROLES }
+      })),
+      responses: {
+        200: jsonResponse('Account updated', object({ message: STRING, user: schemaRef('User') })),
+        ...errorResponses(400, 401, 403, 404, 500)
+      }
+    },
+    delete: {
+      tags: ['Users'],
+      summary: 'Delete an account (administrators)',
+      security: REQUIRED_AUTH,
+      responses: {
+        200: jsonResponse('Account deleted', object({ message: STRING, username: STRING })),
+        ...errorResponses(400, 401, 403, 404, 500)
+      }
+    }
+  },
+
+  '/api/list-icons': {
+    get: {
+      tags: ['Icons'],
+      summary: 'Icon file names',
+      security: OPTIONAL_AUTH,
+      responses: {
+        200: jsonResponse('File names', { type: 'array', items: STRING }),
+        ...errorResponses(500)
+      }
+    }
+  },
+  '/api/icons': {
+    get: {
+      tags: ['Icons'],
+      summary: 'Icons with their manifest metadata',
+      security: OPTIONAL_AUTH,
+      responses: {
+        200: jsonResponse('Icons', object({ icons: { type: 'array', items: schemaRef('Icon') } })),
+        ...errorResponses(500)
+      }
+    },
+    post: {
+      tags: ['Icons'],
+      summary: 'Upload an icon',
+      description: 'The body is the image itself. SVGs are sanitized before they are stored.',
+      security: REQUIRED_AUTH,
+      parameters: [
+        queryParam('name', NON_EMPTY, 'File name, lower-cased and stripped of unsafe characters', true),
+        queryParam('displayName', STRING, 'Name shown in the icon menu'),
+        queryParam('category', STRING, 'Icon menu category'),
+        queryParam('vendor', STRING, 'Vendor'),
+        queryParam('tags', STRING, 'Comma-separated tags'),
+        queryParam('deviceConfig', STRING, 'Device configuration used by nodes with this icon')
+      ],
+      requestBody: {
+        required: true,
+        content: Object.fromEntries(Object.keys(ICON_EXTENSIONS).map(type => [type, { schema: { type: 'string', format: 'binary' } }]))
+      },
+      responses: {
+        201: jsonResponse('Icon stored', object({ message: STRING, filename: STRING, category: NULLABLE_STRING, size: INTEGER })),
+        ...errorResponses(400, 401, 409, 413, 500)
+      }
+    }
+  },
+  '/api/icons/manifest/schema': {
+    get: {
+      tags: ['Icons'],
+      summary: 'JSON Schema of the icon manifest',
+      security: OPTIONAL_AUTH,
+      responses: { 200: jsonResponse('JSON Schema', { type: 'object' }) }
+    }
+  },
+  '/api/icons/{filename}': {
+    parameters: [pathParam('filename', 'Icon file name')],
+    put: {
+      tags: ['Icons'],
+      summary: 'Replace the manifest metadata of an icon',
+      description: 'An empty body removes the metadata.',
+      security: REQUIRED_AUTH,
+      requestBody: jsonBody(schemaRef('IconEntry'), false),
+      responses: {
+        200: jsonResponse('Metadata updated', object({ message: STRING, filename: STRING, entry: { type: ['object', 'null'] } })),
+        ...errorResponses(400, 401, 404, 500)
+      }
+    }
+  },
+
+  '/api/device-config': {
+    get: {
+      tags: ['Device configurations'],
+      summary: 'Device configurations',
+      security: OPTIONAL_AUTH,
+      responses: {
+        200: jsonResponse('Summaries', {
+          type: 'array',
+          items: object({ name: STRING, deviceType: NULLABLE_STRING, icon: NULLABLE_STRING, interfaceCount: INTEGER })
+        }),
+        ...errorResponses(500)
+      }
+    },
+    post: {
+      tags: ['Device configurations'],
+      summary: 'Create a device configuration',
+      security: REQUIRED_AUTH,
+      requestBody: jsonBody(object({ name: NON_EMPTY, config: schemaRef('DeviceConfig') }, ['name', 'config'])),
+      responses: {
+        201: jsonResponse('Created', object({ message: STRING, name: STRING })),
+        ...errorResponses(400, 401, 409, 500)
+      }
+    }
+  },
+  '/api/device-config/schema': {
+    get: {
+      tags: ['Device configurations'],
+      summary: 'JSON Schema of device configurations',
+      security: OPTIONAL_AUTH,
+      responses: { 200: jsonResponse('JSON Schema', { type: 'object' }) }
+    }
+  },
+  '/api/device-config/{name}': {
+    parameters: [pathParam('name', 'Configuration name, the file name without `.json`')],
+    get: {
+      tags: ['Device configurations'],
+      summary: 'A device configuration',
+      security: OPTIONAL_AUTH,
+      responses: {
+        200: jsonResponse('Configuration', schemaRef('DeviceConfig')),
+        ...errorResponses(400, 404, 500)
+      }
+    },
+    put: {
+      tags: ['Device configurations'],
+      summary: 'Replace a device configuration',
+      security: REQUIRED_AUTH,
+      requestBody: jsonBody(object({ config: schemaRef('DeviceConfig') }, ['config'])),
+      responses: {
+        200: jsonResponse('Updated', object({ message: STRING, name: STRING })),
+        ...errorResponses(400, 401, 404, 500)
+      }
+    },
+    delete: {
+      tags: ['Device configurations'],
+      summary: 'Delete a device configuration',
+      description: 'Answers 409 with the bound `icons` while the icon manifest binds the configuration to an icon.',
+      security: REQUIRED_AUTH,
+      responses: {
+        200: jsonResponse('Deleted', object({ message: STRING, name: STRING })),
+        ...errorResponses(400, 401, 404, 409, 500)
+      }
+    }
+  },
+
+  '/api/diagrams': {
+    get: {
+      tags: ['Diagrams'],
+      summary: 'Folder tree with the caller\'s access level on every item',
+      security: OPTIONAL_AUTH,
+      responses: {
+        200: jsonResponse('Top-level items', { type: 'array', items: schemaRef('TreeItem') }),
+        ...errorResponses(500)
+      }
+    }
+  },
+  '/api/create-folder': {
+    post: {
+      tags: ['Diagrams'],
+      summary: 'Create a folder',
+      security: REQUIRED_AUTH,
+      requestBody: jsonBody(object({
+        path: { ...STRING, description: 'Parent folder, empty for the top level' },
+        name: NON_EMPTY
+      }, ['name'])),
+      responses: {
+        200: jsonResponse('Created', object({ success: BOOLEAN })),
+        ...errorResponses(400, 401, 403, 500)
+      }
+    }
+  },
+  '/api/create-file': {
+    post: {
+      tags: ['Diagrams'],
+      summary: 'Create a diagram',
+      security: REQUIRED_AUTH,
+      parameters: [IF_MATCH],
+      requestBody: jsonBody(object({
+        path: { ...STRING, description: 'Parent folder, empty for the top level' },
+        name: NON_EMPTY,
+        content: schemaRef('Topology'),
+        message: { ...STRING, description: 'Revision message' }
+      }, ['name'])),
+      responses: {
+        200: jsonResponse('Created', mutationResult, ETAG_HEADER),
+        ...errorResponses(400, 401, 403, 409, 423, 428, 500)
+      }
+    }
+  },
+  '/api/delete-item': {
+    delete: {
+      tags: ['Diagrams'],
+      summary: 'Move a diagram or folder to the trash',
+      security: REQUIRED_AUTH,
+      requestBody: jsonBody(object({
+        path: NON_EMPTY,
+        type: { type: 'string', enum: ['file', 'folder'] }
+      }, ['path'])),
+      responses: {
+        200: jsonResponse('Moved to the trash', object({ success: BOOLEAN, trashId: STRING, revision: NULLABLE_STRING })),
+        ...errorResponses(400, 401, 403, 404, 423, 500)
+      }
+    }
+  },
+  '/api/move-item': {
+    post: {
+      tags: ['Diagrams'],
+      summary: 'Move or rename a diagram or folder',
+      security: REQUIRED_AUTH,
+      requestBody: jsonBody(object({
+        path: NON_EMPTY,
+        type: { type: 'string', enum: ['file', 'folder'] },
+        destination: { ...STRING, description: 'Target folder, empty for the top level' },
+        name: { ...STRING, description: 'New name, defaults to the current one' },
+        collision: { type: 'string', enum: ['fail', 'rename'] }
+      }, ['path', 'type'])),
+      responses: {
+        200: jsonResponse('Moved', object({ success: BOOLEAN, from: STRING, path: STRING, revision: NULLABLE_STRING })),
+        ...errorResponses(400, 401, 403, 404, 409, 423, 500)
+      }
+    }
+  },
+  '/api/save-diagram': {
+    post: {
+      tags: ['Diagrams'],
+      summary: 'Write a diagram as it is',
+      description: 'Unlike /api/topology/save the document is neither upgraded nor validated.',
+      security: REQUIRED_AUTH,
+      parameters: [IF_MATCH],
+      requestBody: jsonBody(object({
+        filename: { ...NON_EMPTY, description: 'Diagram path without `.json`' },
+        data: schemaRef('Topology'),
+        message: { ...STRING, description: 'Revision message' }
+      }, ['filename', 'data'])),
+      responses: {
+        200: jsonResponse('Saved', mutationResult, ETAG_HEADER),
+        ...errorResponses(400, 401, 403, 409, 423, 428, 500)
+      }
+    }
+  },
+  '/api/load-diagram/{filename}': {
+    parameters: [pathParam('filename', 'Diagram path without `.json`, URL-encoded')],
+    get: {
+      tags: ['Diagrams'],
+      summary: 'Read a diagram as it is stored',
+      security: OPTIONAL_AUTH,
+      responses: {
+        200: jsonResponse('Diagram', schemaRef('Topology'), ETAG_HEADER),
+        ...errorResponses(403, 404, 500)
+      }
+    }
+  },
+
+  '/api/topology/save': {
+    post: {
+      tags: ['Topology'],
+      summary: 'Upgrade, validate and save a diagram',
+      description: 'Older clients may send the topology itself as the body; it is then saved under a timestamped name.',
+      security: REQUIRED_AUTH,
+      parameters: [IF_MATCH],
+      requestBody: jsonBody(object({
+        topology: schemaRef('Topology'),
+        path: { ...NULLABLE_STRING, description: DIAGRAM_PATH_DESCRIPTION },
+        mode: { type: 'string', enum: Object.values(SAVE_MODES) },
+        message: { ...STRING, description: 'Revision message' }
+      })),
+      responses: {
+        200: jsonResponse('Saved', object({
+          message: STRING,
+          filename: STRING,
+          path: STRING,
+          created: BOOLEAN,
+          etag: STRING,
+          revision: NULLABLE_STRING
+        }), ETAG_HEADER),
+        ...errorResponses(400, 401, 403, 409, 423, 428, 500)
+      }
+    }
+  },
+  '/api/topology/load': {
+    get: {
+      tags: ['Topology'],
+      summary: 'Read a diagram after checking it upgrades cleanly',
+      security: OPTIONAL_AUTH,
+      parameters: [queryParam('filename', NON_EMPTY, DIAGRAM_PATH_DESCRIPTION, true)],
+      responses: {
+        200: jsonResponse('Diagram as stored', schemaRef('Topology'), ETAG_HEADER),
+        ...errorResponses(400, 403, 404, 500)
+      }
+    }
+  },
+  '/api/topology/list': {
+    get: {
+      tags: ['Topology'],
+      summary: 'Diagrams at the top level',
+      security: OPTIONAL_AUTH,
+      responses: {
+        200: jsonResponse('Diagrams', object({
+          files: {
+            type: 'array',
+            items: object({
+              filename: STRING,
+              size: INTEGER,
+              created: TIMESTAMP,
+              nodeCount: INTEGER,
+              connectionCount: INTEGER,
+              error: STRING
+            })
+          }
+        })),
+        ...errorResponses(500)
+      }
+    }
+  },
+  '/api/topology/schema': {
+    get: {
+      tags: ['Topology'],
+      summary: 'JSON Schema of diagrams',
+      security: OPTIONAL_AUTH,
+      responses: { 200: jsonResponse('JSON Schema', { type: 'object' }) }
+    }
+  },
+  '/api/topology/migrate-all': {
+    post: {
+      tags: ['Topology'],
+      summary: 'Upgrade every diagram to the current format (administrators)',
+      description: 'Diagrams checked out by another user are skipped with status `locked`.',
+      security: REQUIRED_AUTH,
+      requestBody: jsonBody(object({ dryRun: BOOLEAN }), false),
+      responses: {
+        200: jsonResponse('Migration report', object({
+          message: STRING,
+          dryRun: BOOLEAN,
+          revision: NULLABLE_STRING,
+          summary: { type: 'object', additionalProperties: INTEGER },
+          results: { type: 'array', items: { type: 'object' } }
+        })),
+        ...errorResponses(401, 403, 500)
+      }
+    }
+  },
+
+  '/api/diagrams/{path}/nodes': {
+    parameters: [DIAGRAM_PARAM],
+    get: {
+      tags: ['Nodes and connections'],
+      summary: 'Nodes of a diagram',
+      security: OPTIONAL_AUTH,
+      responses: {
+        200: jsonResponse('Nodes', object({ path: STRING, nodes: { type: 'array', items: schemaRef('Node') } }), ETAG_HEADER),
+        ...errorResponses(400, 403, 404, 500)
+      }
+    },
+    post: {
+      tags: ['Nodes and connections'],
+      summary: 'Add a node',
+      description: 'Missing fields get the defaults of the canvas; the ID is generated when left out. Endpoints only need a `name` and `type`; without them the node gets the interfaces of the device configuration of its icon, as on the canvas.',
+      security: REQUIRED_AUTH,
+      parameters: [IF_MATCH_OPTIONAL],
+      requestBody: jsonBody(object({
+        id: NON_EMPTY,
+        ...NODE_FIELDS,
+        endpoints: { type: 'array', items: object({ name: NON_EMPTY, type: STRING }, ['name']) },
+        interfaces: { type: 'array', items: object({ name: NON_EMPTY, type: STRING }, ['name']) }
+      }, ['type', 'name'])),
+      responses: {
+        201: jsonResponse('Added', object({ node: schemaRef('Node'), etag: STRING, revision: NULLABLE_STRING }), ETAG_HEADER),
+        ...errorResponses(400, 401, 403, 404, 409, 423, 500)
+      }
+    }
+  },
+  '/api/diagrams/{path}/nodes/{id}': {
+    parameters: [DIAGRAM_PARAM, pathParam('id', 'Node ID')],
+    get: {
+      tags: ['Nodes and connections'],
+      summary: 'A node of a diagram',
+      security: OPTIONAL_AUTH,
+      responses: {
+        200: jsonResponse('Node', object({ node: schemaRef('Node') }), ETAG_HEADER),
+        ...errorResponses(400, 403, 404, 500)
+      }
+    },
+    patch: {
+      tags: ['Nodes and connections'],
+      summary: 'Change fields of a node',
+      security: REQUIRED_AUTH,
+      parameters: [IF_MATCH_OPTIONAL],
+      requestBody: jsonBody(object(NODE_FIELDS)),
+      responses: {
+        200: jsonResponse('Updated', object({ node: schemaRef('Node'), etag: STRING, revision: NULLABLE_STRING }), ETAG_HEADER),
+        ...errorResponses(400, 401, 403, 404, 409, 423, 500)
+      }
+    },
+    delete: {
+      tags: ['Nodes and connections'],
+      summary: 'Remove a node and its connections',
+      security: REQUIRED_AUTH,
+      parameters: [IF_MATCH_OPTIONAL],
+      responses: {
+        200: jsonResponse('Removed', object({
+          node: schemaRef('Node'),
+          removedConnections: { type: 'array', items: STRING },
+          etag: STRING,
+          revision: NULLABLE_STRING
+        }), ETAG_HEADER),
+        ...errorResponses(400, 401, 403, 404, 409, 423, 500)
+      }
+    }
+  },
+  '/api/diagrams/{path}/connections': {
+    parameters: [DIAGRAM_PARAM],
+    get: {
+      tags: ['Nodes and connections'],
+      summary: 'Connections of a diagram',
+      security: OPTIONAL_AUTH,
+      responses: {
+        200: jsonResponse('Connections', object({ path: STRING, connections: { type: 'array', items: schemaRef('Connection') } }), ETAG_HEADER),
+        ...errorResponses(400, 403, 404, 500)
+      }
+    },
+    post: {
+      tags: ['Nodes and connections'],
+      summary: 'Connect two interfaces',
+      description: 'Refused with 400 when the interface types are incompatible and with 409 when an interface is already connected. The ID is derived from the two ends.',
+      security: REQUIRED_AUTH,
+      parameters: [IF_MATCH_OPTIONAL],
+      requestBody: jsonBody(object({
+        sourceNode: schemaRef('ConnectionEnd'),
+        targetNode: schemaRef('ConnectionEnd'),
+        connectionStyle: { type: 'object' },
+        properties: { type: 'object' }
+      }, ['sourceNode', 'targetNode'])),
+      responses: {
+        201: jsonResponse('Connected', object({ connection: schemaRef('Connection'), etag: STRING, revision: NULLABLE_STRING }), ETAG_HEADER),
+        ...errorResponses(400, 401, 403, 404, 409, 423, 500)
+      }
+    }
+  },
+  '/api/diagrams/{path}/connections/{id}': {
+    parameters: [DIAGRAM_PARAM, pathParam('id', 'Connection ID')],
+    delete: {
+      tags: ['Nodes and connections'],
+      summary: 'Remove a connection',
+      security: REQUIRED_AUTH,
+      parameters: [IF_MATCH_OPTIONAL],
+      responses: {
+        200: jsonResponse('Removed', object({ connection: schemaRef('Connection'), etag: STRING, revision: NULLABLE_STRING }), ETAG_HEADER),
+        ...errorResponses(400, 401, 403, 404, 409, 423, 500)
+      }
+    }
+  },
+
+  '/api/bundle/export': {
+    get: {
+      tags: ['Bundles'],
+      summary: 'Download a diagram with its icons and device configurations as ZIP',
+      security: OPTIONAL_AUTH,
+      parameters: [queryParam('path', NON_EMPTY, DIAGRAM_PATH_DESCRIPTION, true)],
+      responses: {
+        200: { description: 'Bundle', content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } } },
+        ...errorResponses(400, 403, 404, 500)
+      }
+    }
+  },
+  '/api/bundle/import': {
+    post: {
+      tags: ['Bundles'],
+      summary: 'Import a bundle',
+      security: REQUIRED_AUTH,
+      parameters: [
+        queryParam('folder', STRING, 'Target folder, empty for the top level'),
+        queryParam('name', STRING, 'Diagram name, defaults to the exported one'),
+        queryParam('collision', { type: 'string', enum: Object.values(COLLISION_MODES) }, 'What to do when names are taken'),
+        queryParam('dryRun', BOOLEAN, 'Only report what would be imported')
+      ],
+      requestBody: { required: true, content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } } },
+      responses: {
+        200: jsonResponse('Dry run report', schemaRef('BundleReport')),
+        201: jsonResponse('Imported', schemaRef('BundleReport'), ETAG_HEADER),
+        ...errorResponses(400, 401, 403, 404, 409, 413, 500)
+      }
+    }
+  },
+
+  '/api/search': {
+    get: {
+      tags: ['Search'],
+      summary: 'Full-text search over readable diagrams',
+      security: OPTIONAL_AUTH,
+      parameters: [
+        queryParam('q', NON_EMPTY, 'Search terms', true),
+        queryParam('limit', { type: 'integer', minimum: 1 }, 'Most matches to return, at most 500')
+      ],
+      responses: {
+        200: jsonResponse('Results', object({ query: STRING, total: INTEGER, results: { type: 'array', items: { type: 'object' } } })),
+        ...errorResponses(400, 500)
+      }
+    }
+  },
+
+  '/api/permissions': {
+    get: {
+      tags: ['Permissions'],
+      summary: 'The caller\'s access on a folder, and its rules for folder admins',
+      security: OPTIONAL_AUTH,
+      parameters: [queryParam('path', STRING, 'Folder, empty for the top level')],
+      responses: {
+        200: jsonResponse('Access', object({
+          path: STRING,
+          access: { type: 'string', enum: PERMISSION_LEVELS },
+          rule: { oneOf: [schemaRef('PermissionRule'), { type: 'null' }] },
+          inherited: { type: 'array', items: object({ path: STRING, rule: schemaRef('PermissionRule') }) },
+          levels: { type: 'array', items: STRING },
+          defaultLevel: STRING
+        })),
+        ...errorResponses(403, 500)
+      }
+    },
+    put: {
+      tags: ['Permissions'],
+      summary: 'Replace the rule of a folder (folder admins)',
+      security: REQUIRED_AUTH,
+      requestBody: jsonBody(object({
+        path: { ...STRING, description: 'Folder, empty for the top level' },
+        rule: { type: ['object', 'null'], description: 'New rule; null or an empty rule removes it' }
+      })),
+      responses: {
+        200: jsonResponse('Updated', object({ message: STRING, path: STRING, rule: { type: ['object', 'null'] } })),
+        ...errorResponses(400, 401, 403, 404, 500)
+      }
+    }
+  },
+
+  '/api/locks': {
+    get: {
+      tags: ['Locks'],
+      summary: 'Checked-out diagrams the caller can read',
+      security: OPTIONAL_AUTH,
+      responses: {
+        200: jsonResponse('Locks', object({ locks: { type: 'array', items: schemaRef('Lock') } })),
+        ...errorResponses(500)
+      }
+    },
+    post: {
+      tags: ['Locks'],
+      summary: 'Check out a diagram',
+      security: REQUIRED_AUTH,
+      requestBody: jsonBody(object({
+        path: { ...NON_EMPTY, description: DIAGRAM_PATH_DESCRIPTION },
+        force: { ...BOOLEAN, description: 'Take over another user\'s lock (folder admins)' }
+      }, ['path'])),
+      responses: {
+        200: jsonResponse('Checked out', object({ lock: schemaRef('Lock'), ttlSeconds: INTEGER })),
+        ...errorResponses(400, 401, 403, 404, 423, 500)
+      }
+    },
+    delete: {
+      tags: ['Locks'],
+      summary: 'Check in a diagram',
+      security: REQUIRED_AUTH,
+      parameters: [queryParam('path', NON_EMPTY, DIAGRAM_PATH_DESCRIPTION, true)],
+      responses: {
+        200: jsonResponse('Checked in', object({ released: BOOLEAN, lock: { type: 'null' } })),
+        ...errorResponses(400, 401, 403, 500)
+      }
+    }
+  },
+  '/api/locks/status': {
+    get: {
+      tags: ['Locks'],
+      summary: 'Lock of a diagram and what the caller may do about it',
+      security: OPTIONAL_AUTH,
+      parameters: [queryParam('path', NON_EMPTY, DIAGRAM_PATH_DESCRIPTION, true)],
+      responses: {
+        200: jsonResponse('Lock status', object({
+          path: STRING,
+          lock: { oneOf: [schemaRef('Lock'), { type: 'null' }] },
+          canLock: BOOLEAN,
+          canOverride: BOOLEAN
+        })),
+        ...errorResponses(400, 403, 500)
+      }
+    }
+  },
+  '/api/locks/heartbeat': {
+    post: {
+      tags: ['Locks'],
+      summary: 'Keep a checked-out diagram locked',
+      security: REQUIRED_AUTH,
+      requestBody: jsonBody(object({ path: { ...NON_EMPTY, description: DIAGRAM_PATH_DESCRIPTION } }, ['path'])),
+      responses: {
+        200: jsonResponse('Renewed', object({ lock: schemaRef('Lock'), ttlSeconds: INTEGER })),
+        ...errorResponses(400, 401, 409, 500)
+      }
+    }
+  },
+
+  '/api/audit': {
+    get: {
+      tags: ['Audit'],
+      summary: 'Query the audit log (administrators)',
+      security: REQUIRED_AUTH,
+      parameters: [
+        queryParam('path', STRING, 'Diagram or folder'),
+        queryParam('user', STRING, 'Username'),
+        queryParam('from', STRING, 'Earliest time, ISO 8601'),
+        queryParam('to', STRING, 'Latest time, ISO 8601'),
+        queryParam('limit', { type: 'integer', minimum: 1 }, 'Most entries to return')
+      ],
+      responses: {
+        200: jsonResponse('Entries, newest first', object({ total: INTEGER, entries: { type: 'array', items: { type: 'object' } } })),
+        ...errorResponses(400, 401, 403, 500)
+      }
+    }
+  },
+
+  '/api/trash': {
+    get: {
+      tags: ['Trash'],
+      summary: 'Trashed items from readable folders',
+      security: OPTIONAL_AUTH,
+      responses: {
+        200: jsonResponse('Trash', object({ items: { type: 'array', items: schemaRef('TrashEntry') }, retentionDays: { type: 'number' } })),
+        ...errorResponses(500)
+      }
+    },
+    delete: {
+      tags: ['Trash'],
+      summary: 'Empty the trash of writable folders',
+      security: REQUIRED_AUTH,
+      responses: {
+        200: jsonResponse('Purged', object({ message: STRING, purged: { type: 'array', items: STRING } })),
+        ...errorResponses(401, 500)
+      }
+    }
+  },
+  '/api/trash/{id}': {
+    parameters: [pathParam('id', 'Trash entry ID')],
+    delete: {
+      tags: ['Trash'],
+      summary: 'Permanently delete a trashed item',
+      security: REQUIRED_AUTH,
+      responses: {
+        200: jsonResponse('Purged', object({ message: STRING, purged: { type: 'array', items: STRING } })),
+        ...errorResponses(400, 401, 403, 404, 500)
+      }
+    }
+  },
+  '/api/trash/restore': {
+    post: {
+      tags: ['Trash'],
+      summary: 'Restore a trashed item to its original path',
+      security: REQUIRED_AUTH,
+      requestBody: jsonBody(object({
+        id: NON_EMPTY,
+        collision: { type: 'string', enum: ['fail', 'rename'] }
+      }, ['id'])),
+      responses: {
+        200: jsonResponse('Restored', object({ message: STRING, type: STRING, path: STRING, revision: NULLABLE_STRING })),
+        ...errorResponses(401, 403, 404, 409, 500)
+      }
+    }
+  },
+
+  '/api/history': {
+    get: {
+      tags: ['History'],
+      summary: 'Revisions of a diagram, newest first',
+      security: OPTIONAL_AUTH,
+      parameters: [queryParam('path', NON_EMPTY, DIAGRAM_PATH_DESCRIPTION, true)],
+      responses: {
+        200: jsonResponse('Revisions', object({ path: STRING, revisions: { type: 'array', items: schemaRef('Revision') } })),
+        ...errorResponses(400, 403, 500)
+      }
+    }
+  },
+  '/api/history/revision': {
+    get: {
+      tags: ['History'],
+      summary: 'A diagram as it was at a revision',
+      security: OPTIONAL_AUTH,
+      parameters: [
+        queryParam('path', NON_EMPTY, DIAGRAM_PATH_DESCRIPTION, true),
+        queryParam('revision', { type: 'string', pattern: '^[0-9a-fA-F]{4,40}$' }, 'Revision ID or an unambiguous prefix', true)
+      ],
+      responses: {
+        200: jsonResponse('Diagram', schemaRef('Topology')),
+        ...errorResponses(400, 403, 404, 500)
+      }
+    }
+  },
+  '/api/history/restore': {
+    post: {
+      tags: ['History'],
+      summary: 'Restore a diagram to a revision, recorded as a new revision',
+      security: REQUIRED_AUTH,
+      requestBody: jsonBody(object({
+        path: { ...NON_EMPTY, description: DIAGRAM_PATH_DESCRIPTION },
+        revision: { type: 'string', pattern: '^[0-9a-fA-F]{4,40}$' }
+      }, ['path', 'revision'])),
+      responses: {
+        200: jsonResponse('Restored', object({ message: STRING, path: STRING, etag: STRING, revision: NULLABLE_STRING }), ETAG_HEADER),
+        ...errorResponses(400, 401, 403, 404, 423, 500)
+      }
+    }
+  }
+};
+
+const schemas = {
+  Error: object({
+    code: { type: 'string', enum: Object.values(ERROR_CODES) },
+    message: STRING,
+    detail: { ...STRING, description: 'Underlying error, for server errors' },
+    errors: {
+      type: 'array',
+      description: 'Validation errors',
+      items: object({
+        pointer: { ...STRING, description: 'JSON pointer into the checked value' },
+        in: { type: 'string', enum: ['path', 'query', 'body'] },
+        message: STRING
+      })
+    },
+    reason: { ...STRING, description: 'Older name of `code` for conflicts and locks' }
+  }, ['code', 'message']),
+  Session: object({ token: STRING, expiresAt: TIMESTAMP, user: schemaRef('User') }),
+  User: object({
+    username: STRING,
+    displayName: STRING,
+    email: NULLABLE_STRING,
+    role: { type: 'string', enum: ROLES }
+  }),
+  Topology: {
+    type: 'object',
+    description: 'Diagram document. Older format versions are upgraded before they are checked against the schema.',
+    externalDocs: { description: 'Diagram JSON Schema', url: '/api/topology/schema' }
+  },
+  Position: object({ x: { type: 'number' }, y: { type: 'number' } }, ['x', 'y']),
+  Node: {
+    type: 'object',
+    description: 'Node as stored in diagrams',
+    externalDocs: { description: 'Diagram JSON Schema', url: '/api/topology/schema' }
+  },
+  Connection: {
+    type: 'object',
+    description: 'Connection as stored in diagrams',
+    externalDocs: { description: 'Diagram JSON Schema', url: '/api/topology/schema' }
+  },
+  ConnectionEnd: object({
+    id: { ...NON_EMPTY, description: 'Node ID' },
+    interface: { ...NON_EMPTY, description: 'Interface name' },
+    interfaceType: { ...STRING, description: 'Interface type, taken from the node when left out' }
+  }, ['id', 'interface']),
+  DeviceConfig: {
+    type: 'object',
+    description: 'Device configuration',
+    externalDocs: { description: 'Device configuration JSON Schema', url: '/api/device-config/schema' }
+  },
+  IconEntry: {
+    type: 'object',
+    description: 'Icon manifest entry',
+    externalDocs: { description: 'Icon manifest JSON Schema', url: '/api/icons/manifest/schema' }
+  },
+  Icon: object({
+    filename: STRING,
+    displayName: NULLABLE_STRING,
+    category: NULLABLE_STRING,
+    vendor: NULLABLE_STRING,
+    tags: { type: 'array', items: STRING },
+    deviceConfig: NULLABLE_STRING,
+    size: { type: ['object', 'null'] }
+  }),
+  TreeItem: object({
+    name: STRING,
+    type: { type: 'string', enum: ['file', 'folder'] },
+    path: { ...STRING, description: 'Path without `.json`' },
+    access: { type: 'string', enum: PERMISSION_LEVELS },
+    lock: { oneOf: [schemaRef('Lock'), { type: 'null' }] },
+    children: { type: 'array', items: schemaRef('TreeItem') }
+  }),
+  PermissionRule: object({
+    default: { type: 'string', enum: PERMISSION_LEVELS },
+    users: { type: 'object', additionalProperties: { type: 'string', enum: PERMISSION_LEVELS } }
+  }),
+  Lock: object({
+    path: STRING,
+    username: STRING,
+    displayName: STRING,
+    acquiredAt: TIMESTAMP,
+    expiresAt: TIMESTAMP
+  }),
+  TrashEntry: object({
+    id: STRING,
+    type: { type: 'string', enum: ['file', 'folder'] },
+    name: STRING,
+    originalPath: STRING,
+    deletedAt: TIMESTAMP,
+    deletedBy: NULLABLE_STRING
+  }),
+  Revision: object({
+    id: STRING,
+    author: object({ name: STRING, email: STRING }),
+    date: TIMESTAMP,
+    message: STRING,
+    path: { ...STRING, description: 'Path of the diagram at this revision, which differs after a move' }
+  }),
+  BundleReport: object({
+    path: STRING,
+    icons: { type: 'array', items: object({ name: STRING, storedAs: STRING, action: STRING }) },
+    deviceConfigs: { type: 'array', items: object({ name: STRING, storedAs: STRING, action: STRING }) },
+    missingIcons: { type: 'array', items: STRING },
+    renamedNodes: { type: 'array', items: STRING },
+    collisions: { type: 'array', items: object({ type: STRING, name: STRING, storedAs: STRING }) }
+  })
+};
+
+export const OPENAPI_DOCUMENT = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Network Map API',
+    version: '1.0.0',
+    description: [
+      'Diagrams, folders, icons and device configurations of Network Map.',
+      'Reads are open; everything else needs a bearer token from `POST /api/auth/login`.',
+      'Every error is answered with `{ code, message }` plus details such as validation `errors`.',
+      `Live editing uses a WebSocket at \`${COLLABORATION_PATH}?path=<diagram>&token=<token>\`, which is not described here.`
+    ].join(' ')
+  },
+  servers: [{ url: '/' }],
+  security: OPTIONAL_AUTH,
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer' }
+    },
+    schemas,
+    responses: Object.fromEntries(Object.entries(ERROR_DESCRIPTIONS).map(([status, description]) => [
+      `Error${status}`,
+      jsonResponse(description, schemaRef('Error'))
+    ]))
+  }
+};
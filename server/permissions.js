@@ -0,0 +1,297 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { PATHS, ensureDir, validatePath, toDiagramPath } from './fileUtils.js';
+import { withFileLock } from './concurrency.js';
+import { storage } from './storage/index.js';
+import { PERMISSION_LEVELS, DEFAULT_PERMISSION, hasAccess } from '../src/utils/Permissions.js';
+
+export { PERMISSION_LEVELS, DEFAULT_PERMISSION, hasAccess };
+
+/**
+ * Folder permissions for the diagrams tree
+ *
+ * Rules are kept in `permissions.json` in the auth directory, keyed by folder
+ * path relative to the diagrams directory (`''` is the root):
+ *
+ *   { "folders": { "production": { "default": "read", "users": { "alice": "write" } } } }
+ *
+ * A folder without a rule inherits from its parent. The deepest rule that
+ * names the user, or has a default, decides the access level, except that an
+ * explicit `admin` grant also covers every subfolder. Folders without any rule
+ * up to the root are writable, so existing installs keep working. Users with
+ * the administrator role always have admin access; requests without a user
+ * never get more than read access.
+ */
+
+const PERMISSIONS_FILE = path.join(PATHS.AUTH, 'permissions.json');
+
+/**
+ * Normalize a folder path to the form used as rule key
+ * @param {string} folderPath - Folder path relative to the diagrams directory
+ * @returns {string} Path with forward slashes and no leading or trailing slash
+ */
+export const normalizeFolder = (folderPath) => String(folderPath || '')
+  .replace(/\\/g, '/')
+  .split('/')
+  .filter(segment => segment && segment !== '.')
+  .join('/');
+
+/**
+ * Get the folder containing a diagram
+ * @param {string} diagramPath - Diagram path relative to the diagrams directory
+ * @returns {string} Folder path, empty for the root
+ */
+export const folderOf = (diagramPath) => {
+  const normalized = normalizeFolder(diagramPath);
+  const index = normalized.lastIndexOf('/');
+  return index === -1 ? '' : normalized.slice(0, index);
+};
+
+/**
+ * Read the permission rules
+ * @returns {Promise<Object>} Rules keyed by folder path
+ */
+export async function readPermissionRules() {
+  try {
+    return JSON.parse(await fs.readFile(PERMISSIONS_FILE, 'utf8')).folders || {};
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+/**
+ * Change the permission rules under the file lock
+ * @param {Function} update - Receives the rules and mutates them
+ * @returns {Promise<void>}
+ */
+async function updatePermissionRules(update) {
+  await withFileLock(PERMISSIONS_FILE, async () => {
+    const folders = await readPermissionRules();
+    update(folders);
+    await ensureDir(PATHS.AUTH);
+    await fs.writeFile(PERMISSIONS_FILE, JSON.stringify({ folders }, null, 2));
+  });
+}
+
+/**
+ * Resolve the access level of a user on a folder
+ * @param {Object} rules - Rules from readPermissionRules
+ * @param {Object|null} user - Authenticated user, or null
+ * @param {string} folderPath - Folder path relative to the diagrams directory
+ * @returns {string} One of PERMISSION_LEVELS
+ */
+export function resolveAccess(rules, user, folderPath) {
+  if (user?.role === 'admin') return 'admin';
+
+  const segments = normalizeFolder(folderPath).split('/').filter(Boolean);
+  let level = DEFAULT_PERMISSION;
+  let folderAdmin = false;
+
+  for (let depth = 0; depth <= segments.length; depth++) {
+    const rule = rules[segments.slice(0, depth).join('/')];
+    if (!rule) continue;
+
+    const own = user ? rule.users?.[user.username] : undefined;
+    level = own || rule.default || level;
+    if (own === 'admin') folderAdmin = true;
+  }
+
+  if (folderAdmin) return 'admin';
+  if (!user) return hasAccess(level, 'read') ? 'read' : 'none';
+  return level;
+}
+
+/**
+ * Create an access resolver for one request
+ * Reads the rules once, for listings that check many folders.
+ * @param {Object} req - Express request object
+ * @returns {Promise<Function>} `(folderPath) => level`
+ */
+export async function getAccessResolver(req) {
+  const rules = await readPermissionRules();
+  return (folderPath) => resolveAccess(rules, req.user || null, folderPath);
+}
+
+/**
+ * Check the access of a request on a folder and answer 403 when it is missing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} folderPath - Folder path relative to the diagrams directory
+ * @param {string} required - Required level
+ * @returns {Promise<boolean>} Whether the request may continue
+ */
+export async function checkFolderAccess(req, res, folderPath, required) {
+  const folder = normalizeFolder(folderPath);
+  const access = resolveAccess(await readPermissionRules(), req.user || null, folder);
+  if (hasAccess(access, required)) return true;
+
+  res.status(403).json({
+    message: `${required.charAt(0).toUpperCase()}${required.slice(1)} access to ${folder || 'the diagrams folder'} is required`,
+    reason: 'forbidden',
+    path: folder,
+    access,
+    required
+  });
+  return false;
+}
+
+/**
+ * Check the access of a request on a diagram or folder
+ * Files are governed by their folder. Folders also need the level on their
+ * parent, since moving or deleting one changes the parent's contents.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} itemPath - Item path relative to the diagrams directory
+ * @param {string} type - `file` or `folder`
+ * @param {string} required - Required level
+ * @returns {Promise<boolean>} Whether the request may continue
+ */
+export async function checkItemAccess(req, res, itemPath, type, required) {
+  if (type === 'folder' && !(await checkFolderAccess(req, res, itemPath, required))) {
+    return false;
+  }
+  return checkFolderAccess(req, res, folderOf(itemPath), required);
+}
+
+/**
+ * Move the rules of a folder and its subfolders along with a folder move
+ * @param {string} fromPath - Old folder path
+ * @param {string} toPath - New folder path
+ * @returns {Promise<void>}
+ */
+export async function movePermissionRules(fromPath, toPath) {
+  const from = normalizeFolder(fromPath);
+  const to = normalizeFolder(toPath);
+  const rules = await readPermissionRules();
+  if (!Object.keys(rules).some(key => key === from || key.startsWith(`${from}/`))) return;
+
+  await updatePermissionRules(folders => {
+    Object.keys(folders)
+      .filter(key => key === from || key.startsWith(`${from}/`))
+      .forEach(key => {
+        folders[`${to}${key.slice(from.length)}`] = folders[key];
+        delete folders[key];
+      });
+  });
+}
+
+/**
+ * Check a rule sent by a client
+ * @param {Object} rule - `{ default, users }`
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+const checkRule = (rule) => {
+  if (typeof rule !== 'object' || Array.isArray(rule)) {
+    return 'Rule must be an object with "default" and "users"';
+  }
+  if (rule.default !== undefined && !PERMISSION_LEVELS.includes(rule.default)) {
+    return `Default must be one of ${PERMISSION_LEVELS.join(', ')}`;
+  }
+  if (rule.users !== undefined && (typeof rule.users !== 'object' || Array.isArray(rule.users))) {
+    return 'Users must map usernames to levels';
+  }
+  const invalid = Object.entries(rule.users || {}).find(([, level]) => !PERMISSION_LEVELS.includes(level));
+  if (invalid) {
+    return `Level of ${invalid[0]} must be one of ${PERMISSION_LEVELS.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Get the access of the current user on a folder and the rules that apply
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getPermissions(req, res) {
+  try {
+    const folder = normalizeFolder(req.query.path);
+    const rules = await readPermissionRules();
+    const access = resolveAccess(rules, req.user || null, folder);
+    if (!hasAccess(access, 'read')) {
+      return res.status(403).json({ message: 'Read access is required', reason: 'forbidden', path: folder, access });
+    }
+
+    // Rules of the folder and its ancestors, root first
+    const segments = folder.split('/').filter(Boolean);
+    const inherited = [];
+    for (let depth = 0; depth < segments.length; depth++) {
+      const ancestor = segments.slice(0, depth).join('/');
+      if (rules[ancestor]) inherited.push({ path: ancestor, rule: rules[ancestor] });
+    }
+
+    return res.status(200).json({
+      path: folder,
+      access,
+      // Only folder admins see who else has access
+      rule: access === 'admin' ? rules[folder] || null : undefined,
+      inherited: access === 'admin' ? inherited : undefined,
+      levels: PERMISSION_LEVELS,
+      defaultLevel: DEFAULT_PERMISSION
+    });
+
+  } catch (error) {
+    console.error('Permissions Read Error:', error);
+    return res.status(500).json({
+      message: 'Failed to read permissions',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Set or remove the rule of a folder with `{ path, rule }`
+ * Requires admin access on the folder; a null or empty rule removes it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function updatePermissions(req, res) {
+  try {
+    const folder = normalizeFolder(req.body?.path);
+    const rule = req.body?.rule || null;
+
+    const invalid = rule && checkRule(rule);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    let folderPath;
+    try {
+      folderPath = validatePath(folder, PATHS.DIAGRAMS);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    const stats = await storage.stat(toDiagramPath(folderPath));
+    if (stats?.type !== 'folder') {
+      return res.status(404).json({ message: 'Folder not found' });
+    }
+
+    if (!(await checkFolderAccess(req, res, folder, 'admin'))) return;
+
+    const isEmpty = !rule || (rule.default === undefined && Object.keys(rule.users || {}).length === 0);
+    await updatePermissionRules(folders => {
+      if (isEmpty) {
+        delete folders[folder];
+      } else {
+        folders[folder] = {
+          ...(rule.default && { default: rule.default }),
+          users: { ...(rule.users || {}) }
+        };
+      }
+    });
+
+    console.log('Folder permissions updated:', { path: folder, rule: isEmpty ? null : rule, by: req.user.username });
+    return res.status(200).json({
+      message: 'Permissions updated',
+      path: folder,
+      rule: isEmpty ? null : (await readPermissionRules())[folder]
+    });
+
+  } catch (error) {
+    console.error('Permissions Update Error:', error);
+    return res.status(500).json({
+      message: 'Failed to update permissions',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,282 @@
+import path from 'path';
+import { FILE_EXTENSIONS, removeFileExtension } from './fileUtils.js';
+import { storage } from './storage/index.js';
+import { getAccessResolver, hasAccess, folderOf } from './permissions.js';
+
+/**
+ * Full-text search over saved diagrams
+ *
+ * The index is kept in memory: one record per diagram holding its file
+ * metadata and a list of searchable entries (nodes, interfaces, properties
+ * and connections). It is built on startup and updated whenever a write
+ * route reports the paths it touched.
+ */
+
+export const DEFAULT_SEARCH_LIMIT = 50;
+
+// Diagram path (with extension) -> indexed record
+const index = new Map();
+let ready = null;
+
+/**
+ * Lower-case a value for matching
+ * @param {*} value - Value to normalize
+ * @returns {string} Normalized text
+ */
+const normalize = (value) => String(value ?? '').toLowerCase();
+
+/**
+ * Build the searchable entries of a topology document
+ *
+ * `text` is what all query terms must occur in; `own` is the part at least
+ * one term must hit, so a node name alone does not match every field of it.
+ *
+ * @param {Object} doc - Topology document
+ * @returns {Array} Entries `{ kind, nodeId, nodeName, field, value, text, own }`
+ */
+function buildEntries(doc) {
+  const entries = [];
+  const nodes = doc?.nodes && typeof doc.nodes === 'object' ? doc.nodes : {};
+  const connections = doc?.connections && typeof doc.connections === 'object' ? doc.connections : {};
+
+  /**
+   * Add an entry searchable together with its node name
+   * @param {Object} node - Node document
+   * @param {string} field - Matched field
+   * @param {*} value - Field value
+   */
+  const addNodeEntry = (node, field, value) => {
+    if (value === undefined || value === null || value === '') return;
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    entries.push({
+      kind: 'node',
+      nodeId: node.id,
+      nodeName: node.name,
+      field,
+      value: text,
+      text: normalize(`${node.name} ${text}`),
+      own: normalize(text)
+    });
+  };
+
+  Object.entries(nodes).forEach(([nodeId, node]) => {
+    const indexedNode = { ...node, id: node?.id || nodeId };
+    addNodeEntry(indexedNode, 'name', indexedNode.name);
+    addNodeEntry(indexedNode, 'type', indexedNode.type);
+
+    const interfaces = [...(node?.endpoints || []), ...(node?.interfaces || [])];
+    const seen = new Set();
+    interfaces.forEach(iface => {
+      if (!iface?.name || seen.has(iface.name)) return;
+      seen.add(iface.name);
+      addNodeEntry(indexedNode, 'interface', [iface.name, iface.type, iface.speed].filter(Boolean).join(' '));
+    });
+
+    Object.entries(node?.properties || {}).forEach(([key, value]) => {
+      addNodeEntry(indexedNode, `properties.${key}`, value);
+    });
+  });
+
+  Object.entries(connections).forEach(([connId, conn]) => {
+    const ends = [conn?.sourceNode, conn?.targetNode].map(end => ({
+      id: end?.id,
+      name: nodes[end?.id]?.name || end?.id,
+      interface: end?.interface || ''
+    }));
+
+    // Index the link once per end so "switch-2 Gi0/3" finds where that port goes
+    ends.forEach((end, endIndex) => {
+      const peer = ends[1 - endIndex];
+      const own = normalize(`${end.name} ${end.interface} ${Object.values(conn?.properties || {}).join(' ')}`);
+      entries.push({
+        kind: 'connection',
+        connectionId: conn?.id || connId,
+        nodeId: end.id,
+        nodeName: end.name,
+        field: 'connection',
+        value: `${end.name} ${end.interface} -> ${peer.name} ${peer.interface}`.replace(/\s+/g, ' ').trim(),
+        text: own,
+        own
+      });
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * List the diagram files in a folder and its subfolders
+ * @param {string} folder - Folder path relative to the diagrams directory
+ * @returns {Promise<Array<string>>} File paths relative to the diagrams directory
+ */
+async function listDiagramFiles(folder) {
+  const items = await storage.list(folder);
+  return items
+    .filter(item => item.type === 'file' && item.path.endsWith(FILE_EXTENSIONS.DIAGRAM))
+    .map(item => item.path);
+}
+
+/**
+ * Index a single diagram file
+ * @param {string} diagramFile - File path relative to the diagrams directory
+ * @returns {Promise<void>}
+ */
+async function indexFile(diagramFile) {
+  try {
+    const [contents, stats] = await Promise.all([storage.read(diagramFile), storage.stat(diagramFile)]);
+    if (contents === null || !stats) {
+      index.delete(diagramFile);
+      return;
+    }
+
+    let doc = null;
+    try {
+      doc = JSON.parse(contents);
+    } catch {
+      // Unparseable files stay findable by name
+    }
+
+    const diagramPath = removeFileExtension(diagramFile, FILE_EXTENSIONS.DIAGRAM);
+    index.set(diagramFile, {
+      path: diagramPath,
+      filename: diagramFile,
+      name: path.posix.basename(diagramPath),
+      modified: stats.modified.toISOString(),
+      size: stats.size,
+      version: doc?.version || null,
+      timestamp: doc?.timestamp || null,
+      nodeCount: Object.keys(doc?.nodes || {}).length,
+      connectionCount: Object.keys(doc?.connections || {}).length,
+      text: normalize(`${diagramPath} ${doc?.version || ''} ${doc?.timestamp || ''}`),
+      entries: buildEntries(doc)
+    });
+  } catch (error) {
+    index.delete(diagramFile);
+    console.error(`Failed to index ${diagramFile}:`, error.message);
+  }
+}
+
+/**
+ * Build the index from scratch
+ * @returns {Promise<void>}
+ */
+export function buildSearchIndex() {
+  ready = (async () => {
+    index.clear();
+    const filePaths = await listDiagramFiles('');
+    for (const filePath of filePaths) {
+      await indexFile(filePath);
+    }
+    console.log(`Search index built: ${index.size} diagram(s)`);
+  })();
+  return ready;
+}
+
+/**
+ * Refresh the index for paths that were written, moved or deleted
+ * Folders are refreshed recursively; missing paths are dropped.
+ * @param {Array<string>} diagramPaths - Paths relative to the diagrams directory
+ * @returns {Promise<void>}
+ */
+export async function updateSearchIndex(diagramPaths) {
+  try {
+    await (ready || buildSearchIndex());
+
+    for (const diagramPath of diagramPaths) {
+      const prefix = `${diagramPath}/`;
+      [...index.keys()]
+        .filter(key => key === diagramPath || key.startsWith(prefix))
+        .forEach(key => index.delete(key));
+
+      const stats = await storage.stat(diagramPath);
+      if (stats?.type === 'folder') {
+        const filePaths = await listDiagramFiles(diagramPath);
+        for (const filePath of filePaths) {
+          await indexFile(filePath);
+        }
+      } else if (stats && diagramPath.endsWith(FILE_EXTENSIONS.DIAGRAM)) {
+        await indexFile(diagramPath);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to update search index:', error.message);
+  }
+}
+
+/**
+ * Search the index
+ * Every whitespace-separated term must occur in a match, and at least one
+ * of them in the matched value itself.
+ * @param {string} query - Search query
+ * @param {number} [limit] - Maximum number of matches
+ * @param {Function} [canRead] - `(diagramPath) => boolean`, diagrams it rejects are skipped
+ * @returns {Promise<Object>} `{ results, total }` grouped by diagram
+ */
+export async function searchDiagrams(query, limit = DEFAULT_SEARCH_LIMIT, canRead = () => true) {
+  await (ready || buildSearchIndex());
+
+  const terms = normalize(query).split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return { results: [], total: 0 };
+
+  const matchesAll = (text) => terms.every(term => text.includes(term));
+  const results = [];
+  let total = 0;
+
+  [...index.values()]
+    .filter(record => canRead(record.path))
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .forEach(record => {
+      const fileMatch = matchesAll(record.text);
+      const matches = record.entries
+        .filter(entry => matchesAll(entry.text) && terms.some(term => entry.own.includes(term)))
+        .map(({ text, own, ...entry }) => entry);
+
+      if (!fileMatch && matches.length === 0) return;
+
+      total += matches.length || 1;
+      const { text, entries, ...metadata } = record;
+      results.push({ ...metadata, fileMatch, matches });
+    });
+
+  // Trim the match lists once the limit is reached; `total` still counts everything
+  let remaining = limit;
+  results.forEach(result => {
+    result.matches = result.matches.slice(0, Math.max(remaining, 0));
+    remaining -= result.matches.length;
+  });
+
+  return {
+    results: results.filter(result => result.fileMatch || result.matches.length > 0),
+    total
+  };
+}
+
+/**
+ * Search saved diagrams
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function handleSearch(req, res) {
+  try {
+    const query = String(req.query.q || '').trim();
+    const limit = Math.min(Number(req.query.limit) || DEFAULT_SEARCH_LIMIT, 500);
+
+    if (!query) {
+      return res.status(400).json({ message: 'Query parameter "q" is required' });
+    }
+
+    // Diagrams in folders the caller cannot read are not searched
+    const resolveAccess = await getAccessResolver(req);
+    const canRead = (diagramPath) => hasAccess(resolveAccess(folderOf(diagramPath)), 'read');
+
+    const { results, total } = await searchDiagrams(query, limit, canRead);
+    return res.status(200).json({ query, total, results });
+
+  } catch (error) {
+    console.error('Search Error:', error);
+    return res.status(500).json({
+      message: 'Failed to search diagrams',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,268 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { ensureDir, pathExists } from '../fileUtils.js';
+
+const execFileAsync = promisify(execFile);
+
+// Field and record separators for `git log` output
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+
+/**
+ * Filesystem storage backend
+ *
+ * Items are plain files and folders below the root directory. History is a
+ * git repository whose work tree is the root; its git directory lives
+ * elsewhere so it is never served to the browser.
+ *
+ * @param {Object} options - Backend options
+ * @param {string} options.root - Directory holding the items
+ * @param {string} options.historyDir - Git directory of the history
+ * @param {Object} options.committer - Committer and default author `{ name, email }`
+ * @returns {Object} Storage, see storage/index.js
+ */
+export function createFileStorage({ root, historyDir, committer }) {
+  // Git commands touching the index must not overlap
+  let queue = Promise.resolve();
+  let ready = null;
+
+  /**
+   * Run tasks one after another
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  /**
+   * Resolve an item path below the root
+   * Unlike validatePath, hidden entries such as the trash are reachable.
+   * @param {string} itemPath - Path relative to the root, empty for the root itself
+   * @returns {string} Absolute path
+   * @throws {Error} If the path leaves the root
+   */
+  const resolve = (itemPath) => {
+    const fullPath = path.resolve(root, itemPath || '');
+    if (fullPath !== root && !fullPath.startsWith(`${root}${path.sep}`)) {
+      throw new Error('Invalid path: Path must be within the base directory');
+    }
+    return fullPath;
+  };
+
+  /**
+   * Run a git command against the history repository
+   * @param {Array<string>} args - Git arguments
+   * @returns {Promise<string>} Standard output
+   */
+  const git = async (args) => {
+    const { stdout } = await execFileAsync('git', [
+      `--git-dir=${historyDir}`,
+      `--work-tree=${root}`,
+      '-c', 'commit.gpgsign=false',
+      ...args
+    ], {
+      maxBuffer: 32 * 1024 * 1024,
+      env: {
+        ...process.env,
+        GIT_COMMITTER_NAME: committer.name,
+        GIT_COMMITTER_EMAIL: committer.email
+      }
+    });
+    return stdout;
+  };
+
+  /**
+   * Check whether anything is staged
+   * @returns {Promise<boolean>} Whether the index differs from HEAD
+   */
+  const hasStagedChanges = async () => {
+    try {
+      await git(['diff', '--cached', '--quiet']);
+      return false;
+    } catch (error) {
+      if (error.code === 1) return true;
+      throw error;
+    }
+  };
+
+  /**
+   * Create the root and the history repository, importing existing items
+   * @returns {Promise<void>}
+   */
+  const init = () => {
+    if (!ready) {
+      ready = enqueue(async () => {
+        await ensureDir(root);
+        const initialized = await pathExists(path.join(historyDir, 'HEAD'));
+        if (!initialized) {
+          await git(['init', '--quiet']);
+        }
+
+        // Hidden entries such as the trash are not part of the history
+        await ensureDir(path.join(historyDir, 'info'));
+        await fs.writeFile(path.join(historyDir, 'info', 'exclude'), '.*\n');
+        if (initialized) return;
+
+        await git(['add', '-A']);
+        if (await hasStagedChanges()) {
+          await git([
+            'commit', '--quiet',
+            '-m', 'Import existing diagrams',
+            `--author=${committer.name} <${committer.email}>`
+          ]);
+        }
+        console.log('Diagram history initialized:', historyDir);
+      });
+      // Allow a retry after a failed initialization
+      ready.catch(() => {
+        ready = null;
+      });
+    }
+    return ready;
+  };
+
+  const list = async (folder = '', { recursive = true, hidden = false } = {}) => {
+    let entries;
+    try {
+      entries = await fs.readdir(resolve(folder), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return [];
+      throw error;
+    }
+
+    const items = [];
+    for (const entry of entries) {
+      if (!hidden && entry.name.startsWith('.')) continue;
+      const itemPath = folder ? `${folder}/${entry.name}` : entry.name;
+      const type = entry.isDirectory() ? 'folder' : 'file';
+      items.push({ path: itemPath, type });
+      if (type === 'folder' && recursive) {
+        items.push(...await list(itemPath, { recursive, hidden }));
+      }
+    }
+    return items;
+  };
+
+  const stat = async (itemPath) => {
+    try {
+      const stats = await fs.stat(resolve(itemPath));
+      return {
+        type: stats.isDirectory() ? 'folder' : 'file',
+        size: stats.size,
+        created: stats.birthtime,
+        modified: stats.mtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const read = async (itemPath) => {
+    try {
+      return await fs.readFile(resolve(itemPath), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const write = async (itemPath, contents, { modified } = {}) => {
+    const filePath = resolve(itemPath);
+    await ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, contents);
+    if (modified) {
+      await fs.utimes(filePath, modified, modified);
+    }
+  };
+
+  const move = async (from, to) => {
+    const targetPath = resolve(to);
+    await ensureDir(path.dirname(targetPath));
+    await fs.rename(resolve(from), targetPath);
+  };
+
+  const commit = async (itemPaths, { author = committer, message }) => {
+    await init();
+
+    return enqueue(async () => {
+      // Paths that are gone and were never committed have nothing to record
+      const paths = [];
+      for (const itemPath of itemPaths) {
+        // Git does not accept an empty pathspec for the root
+        const pathspec = itemPath || '.';
+        const onDisk = await pathExists(resolve(itemPath));
+        const tracked = onDisk || (await git(['ls-files', '--', pathspec])).trim() !== '';
+        if (tracked) paths.push(pathspec);
+      }
+      if (paths.length === 0) return null;
+
+      await git(['add', '-A', '--', ...paths]);
+      if (!(await hasStagedChanges())) return null;
+
+      await git([
+        'commit', '--quiet',
+        '-m', message,
+        `--author=${author.name} <${author.email}>`
+      ]);
+      return (await git(['rev-parse', 'HEAD'])).trim();
+    });
+  };
+
+  const listRevisions = async (filePath) => {
+    await init();
+
+    const output = await git([
+      '-c', 'core.quotePath=false',
+      'log', '--follow', '-M', '--name-status',
+      `--format=${RECORD_SEPARATOR}%H${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%ae${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%s`,
+      '--', filePath
+    ]);
+
+    const revisions = [];
+    for (const record of output.split(RECORD_SEPARATOR).filter(record => record.trim())) {
+      const [header, ...lines] = record.trim().split('\n');
+      const [id, name, email, date, message] = header.split(FIELD_SEPARATOR);
+      // Status line is `M<TAB>path` or `R100<TAB>old<TAB>new`; the last path is the file at this revision
+      const [status, ...paths] = (lines.find(line => line.includes('\t')) || '').split('\t');
+      revisions.push({ id, author: { name, email }, date, message, path: paths.at(-1) || filePath });
+      // `--follow` also reports copies; the file was created here, and older
+      // revisions belong to whichever file it resembled
+      if (status.startsWith('C')) break;
+    }
+    return revisions;
+  };
+
+  const readRevision = async (filePath, revision) => {
+    await init();
+
+    // Revisions from before a move are stored under the earlier path
+    const listed = (await listRevisions(filePath)).find(({ id }) => id.startsWith(revision.toLowerCase()));
+    try {
+      return await git(['show', `${revision}:${listed?.path || filePath}`]);
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    name: 'fs',
+    init,
+    list,
+    stat,
+    exists: async (itemPath) => pathExists(resolve(itemPath)),
+    read,
+    write,
+    createFolder: async (folderPath) => ensureDir(resolve(folderPath)),
+    move,
+    remove: async (itemPath) => fs.rm(resolve(itemPath), { recursive: true, force: true }),
+    commit,
+    listRevisions,
+    readRevision
+  };
+}
@@ -0,0 +1,82 @@
+import { PATHS } from '../fileUtils.js';
+import { createFileStorage } from './fileStorage.js';
+
+/**
+ * Diagram storage
+ *
+ * Diagrams, their folders, the trash and the revision history go through one
+ * backend chosen with `STORAGE_BACKEND`:
+ * - `fs` (default) keeps plain files below public/diagrams with a git history
+ * - `sqlite` keeps everything in the database file `STORAGE_SQLITE_FILE`
+ *
+ * Every backend exposes the same interface. Paths are relative to the storage
+ * root with forward slashes; the empty path is the root itself. Callers
+ * validate paths first, so backends only guard against leaving the root.
+ * - `init()` prepares the backend and its history
+ * - `list(folder, { recursive, hidden })` lists `{ path, type }` below a folder
+ * - `stat(path)` returns `{ type, size, created, modified }`, or null
+ * - `exists(path)`, `read(path)` (null if missing) and `write(path, contents, { modified })`
+ * - `createFolder(path)`, `move(from, to)` and `remove(path)`, which is recursive
+ * - `commit(paths, { author, message })` records the current state of paths
+ *   and returns the revision ID, or null if nothing changed
+ * - `listRevisions(path)` lists `{ id, author, date, message, path }` newest
+ *   first, following the file back through moves; `path` is where it was then
+ * - `readRevision(path, revision)` reads a file as of a revision, also one from
+ *   before a move, or returns null
+ *
+ * Icons, device types, accounts and permissions stay in their own files.
+ */
+
+export const STORAGE_BACKENDS = {
+  FS: 'fs',
+  SQLITE: 'sqlite'
+};
+
+/**
+ * Author recorded when a request does not identify one
+ */
+export const DEFAULT_AUTHOR = {
+  name: 'Network Map',
+  email: 'networkmap@localhost'
+};
+
+export const STORAGE_BACKEND = process.env.STORAGE_BACKEND || STORAGE_BACKENDS.FS;
+
+/**
+ * Create a storage backend
+ * @param {string} backend - One of STORAGE_BACKENDS
+ * @returns {Promise<Object>} Storage
+ * @throws {Error} If the backend is unknown
+ */
+export async function createStorage(backend) {
+  switch (backend) {
+    case STORAGE_BACKENDS.FS:
+      return createFileStorage({ root: PATHS.DIAGRAMS, historyDir: PATHS.HISTORY, committer: DEFAULT_AUTHOR });
+    case STORAGE_BACKENDS.SQLITE: {
+      // Loaded on demand so the filesystem backend works without the native module
+      const { createSqliteStorage } = await import('./sqliteStorage.js');
+      return createSqliteStorage({ file: PATHS.SQLITE, committer: DEFAULT_AUTHOR });
+    }
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+export const storage = await createStorage(STORAGE_BACKEND);
+
+/**
+ * Find a free name in a folder
+ * Appends ` (2)`, ` (3)`, ... to the base name until nothing exists with that name.
+ * @param {string} folder - Folder path relative to the storage root
+ * @param {string} baseName - Name without extension
+ * @param {string} [extension] - Extension to append
+ * @returns {Promise<string>} Available name including the extension
+ */
+export async function findAvailableName(folder, baseName, extension = '') {
+  const pathOf = (name) => (folder ? `${folder}/${name}` : name);
+  let candidate = `${baseName}${extension}`;
+  for (let counter = 2; await storage.exists(pathOf(candidate)); counter++) {
+    candidate = `${baseName} (${counter})${extension}`;
+  }
+  return candidate;
+}
@@ -0,0 +1,52 @@
+import { PATHS } from '../fileUtils.js';
+import { STORAGE_BACKENDS, DEFAULT_AUTHOR, createStorage } from './index.js';
+
+/**
+ * Copy the diagrams of the filesystem backend into the SQLite backend
+ *
+ * Run it offline, with the server stopped:
+ *   node server/storage/migrateToSqlite.js [--force]
+ *
+ * Every file and folder below public/diagrams is copied, the trash included,
+ * keeping modification times. The copy becomes the first revision of the new
+ * history; the git history is left where it is but not carried over. A
+ * database that already holds items is only written with `--force`.
+ */
+
+async function migrate({ force }) {
+  const source = await createStorage(STORAGE_BACKENDS.FS);
+  const target = await createStorage(STORAGE_BACKENDS.SQLITE);
+  await target.init();
+
+  if ((await target.list('', { hidden: true })).length > 0 && !force) {
+    throw new Error(`${PATHS.SQLITE} already holds diagrams, pass --force to copy over them`);
+  }
+
+  const items = await source.list('', { hidden: true });
+  let files = 0;
+  for (const item of items) {
+    if (item.type === 'folder') {
+      await target.createFolder(item.path);
+      continue;
+    }
+    const stats = await source.stat(item.path);
+    await target.write(item.path, await source.read(item.path), { modified: stats.modified });
+    files++;
+  }
+
+  const revision = await target.commit([''], { author: DEFAULT_AUTHOR, message: 'Import existing diagrams' });
+  target.close();
+
+  console.log('Diagrams copied:', {
+    from: PATHS.DIAGRAMS,
+    to: PATHS.SQLITE,
+    files,
+    folders: items.length - files,
+    revision
+  });
+}
+
+migrate({ force: process.argv.includes('--force') }).catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+});
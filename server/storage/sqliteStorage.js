@@ -0,0 +1,326 @@
+import path from 'path';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import { ensureDir } from '../fileUtils.js';
+
+/**
+ * SQLite storage backend
+ *
+ * Items live in one database file, so large deployments do not need
+ * thousands of loose files. Folders are rows of their own so empty folders
+ * survive. Every commit stores the contents of the files it changed; a file
+ * as of a revision is its newest row at or before that revision.
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS items (
+    path TEXT PRIMARY KEY,
+    type TEXT NOT NULL CHECK (type IN ('file', 'folder')),
+    contents TEXT,
+    created TEXT NOT NULL,
+    modified TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS revisions (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    author_name TEXT NOT NULL,
+    author_email TEXT NOT NULL,
+    message TEXT NOT NULL,
+    date TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS revision_files (
+    seq INTEGER NOT NULL REFERENCES revisions (seq),
+    path TEXT NOT NULL,
+    contents TEXT,
+    renamed_from TEXT,
+    PRIMARY KEY (path, seq)
+  );
+`;
+
+/**
+ * Normalize an item path to its key
+ * @param {string} itemPath - Path relative to the root, empty for the root itself
+ * @returns {string} Forward-slash path without leading or trailing slashes
+ * @throws {Error} If the path leaves the root
+ */
+const toKey = (itemPath) => {
+  const key = path.posix.normalize(String(itemPath || '').replace(/\\/g, '/')).replace(/^\/+|\/+$/g, '');
+  if (key === '.') return '';
+  if (key === '..' || key.startsWith('../')) {
+    throw new Error('Invalid path: Path must be within the base directory');
+  }
+  return key;
+};
+
+/**
+ * Get the folders containing an item, outermost first
+ * @param {string} key - Item key
+ * @returns {Array<string>} Folder keys, without the root
+ */
+const ancestorsOf = (key) => key.split('/').slice(0, -1).map((_, index, parts) => parts.slice(0, index + 1).join('/'));
+
+const isHidden = (key) => key.split('/').some(part => part.startsWith('.'));
+
+/**
+ * SQL condition matching an item and everything below it
+ * Uses substr instead of LIKE so `%` and `_` in names match literally.
+ * @param {string} column - Path column
+ * @returns {string} Condition taking the key, the prefix length and the prefix
+ */
+const underCondition = (column) => `(${column} = ? OR substr(${column}, 1, ?) = ?)`;
+
+const underParams = (key) => [key, key.length + 1, `${key}/`];
+
+/**
+ * Open a SQLite storage backend
+ * @param {Object} options - Backend options
+ * @param {string} options.file - Database file
+ * @param {Object} options.committer - Default author `{ name, email }`
+ * @returns {Object} Storage, see storage/index.js
+ */
+export function createSqliteStorage({ file, committer }) {
+  let db = null;
+
+  // Moves not yet committed, new file key -> old file key, so history can follow them
+  const pendingRenames = new Map();
+
+  const open = () => {
+    if (!db) {
+      db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      db.pragma('foreign_keys = ON');
+      db.exec(SCHEMA);
+    }
+    return db;
+  };
+
+  const init = async () => {
+    await ensureDir(path.dirname(file));
+    open();
+  };
+
+  const getItem = (key) => open().prepare('SELECT * FROM items WHERE path = ?').get(key);
+
+  /**
+   * List the keys of an item and everything below it
+   * @param {string} key - Item key, empty for the root
+   * @returns {Array<Object>} Item rows
+   */
+  const selectUnder = (key) => key
+    ? open().prepare(`SELECT * FROM items WHERE ${underCondition('path')} ORDER BY path`).all(...underParams(key))
+    : open().prepare('SELECT * FROM items ORDER BY path').all();
+
+  const createFolders = (keys, now) => {
+    const insert = open().prepare(
+      'INSERT INTO items (path, type, contents, created, modified) VALUES (?, \'folder\', NULL, ?, ?) ON CONFLICT (path) DO NOTHING'
+    );
+    keys.forEach(folderKey => {
+      const existing = getItem(folderKey);
+      if (existing && existing.type !== 'folder') {
+        throw new Error(`${folderKey} is not a folder`);
+      }
+      insert.run(folderKey, now, now);
+    });
+  };
+
+  const list = async (folder = '', { recursive = true, hidden = false } = {}) => {
+    const key = toKey(folder);
+    const depth = key ? key.split('/').length + 1 : 1;
+
+    return selectUnder(key)
+      .filter(row => row.path !== key)
+      .filter(row => recursive || row.path.split('/').length === depth)
+      .filter(row => hidden || !isHidden(key ? row.path.slice(key.length + 1) : row.path))
+      .map(row => ({ path: row.path, type: row.type }));
+  };
+
+  const stat = async (itemPath) => {
+    const key = toKey(itemPath);
+    if (!key) {
+      return { type: 'folder', size: 0, created: null, modified: null };
+    }
+    const row = getItem(key);
+    return row && {
+      type: row.type,
+      size: row.contents === null ? 0 : Buffer.byteLength(row.contents),
+      created: new Date(row.created),
+      modified: new Date(row.modified)
+    };
+  };
+
+  const read = async (itemPath) => {
+    const row = getItem(toKey(itemPath));
+    return row?.type === 'file' ? row.contents : null;
+  };
+
+  const write = async (itemPath, contents, { modified } = {}) => {
+    const key = toKey(itemPath);
+    const now = (modified || new Date()).toISOString();
+
+    open().transaction(() => {
+      if (getItem(key)?.type === 'folder') {
+        throw new Error(`${key} is a folder`);
+      }
+      createFolders(ancestorsOf(key), now);
+      open().prepare(`
+        INSERT INTO items (path, type, contents, created, modified) VALUES (?, 'file', ?, ?, ?)
+        ON CONFLICT (path) DO UPDATE SET contents = excluded.contents, modified = excluded.modified
+      `).run(key, String(contents), now, now);
+    })();
+  };
+
+  const createFolder = async (folderPath) => {
+    const key = toKey(folderPath);
+    if (!key) return;
+    open().transaction(() => createFolders([...ancestorsOf(key), key], new Date().toISOString()))();
+  };
+
+  const move = async (from, to) => {
+    const fromKey = toKey(from);
+    const toKeyValue = toKey(to);
+
+    open().transaction(() => {
+      const rows = selectUnder(fromKey);
+      if (!rows.some(row => row.path === fromKey)) {
+        throw new Error(`${fromKey} does not exist`);
+      }
+      if (getItem(toKeyValue)) {
+        throw new Error(`${toKeyValue} already exists`);
+      }
+
+      createFolders(ancestorsOf(toKeyValue), new Date().toISOString());
+      open().prepare(`UPDATE items SET path = ? || substr(path, ?) WHERE ${underCondition('path')}`)
+        .run(toKeyValue, fromKey.length + 1, ...underParams(fromKey));
+
+      rows.filter(row => row.type === 'file').forEach(row => {
+        const newKey = `${toKeyValue}${row.path.slice(fromKey.length)}`;
+        pendingRenames.set(newKey, pendingRenames.get(row.path) || row.path);
+        pendingRenames.delete(row.path);
+      });
+    })();
+  };
+
+  const remove = async (itemPath) => {
+    const key = toKey(itemPath);
+    [...pendingRenames.keys()]
+      .filter(fileKey => !key || fileKey === key || fileKey.startsWith(`${key}/`))
+      .forEach(fileKey => pendingRenames.delete(fileKey));
+
+    if (!key) {
+      open().prepare('DELETE FROM items').run();
+      return;
+    }
+    open().prepare(`DELETE FROM items WHERE ${underCondition('path')}`).run(...underParams(key));
+  };
+
+  /**
+   * Get the newest committed state of every file at or below a key
+   * @param {string} key - Item key, empty for the root
+   * @returns {Map<string, string|null>} Contents by file key, null once deleted
+   */
+  const committedUnder = (key) => {
+    const rows = open().prepare(`
+      SELECT path, contents FROM revision_files AS files
+      WHERE seq = (SELECT MAX(seq) FROM revision_files WHERE path = files.path)
+      ${key ? `AND ${underCondition('files.path')}` : ''}
+    `).all(...(key ? underParams(key) : []));
+    return new Map(rows.map(row => [row.path, row.contents]));
+  };
+
+  const commit = async (itemPaths, { author = committer, message }) => open().transaction(() => {
+    const changes = new Map();
+
+    itemPaths.map(toKey).forEach(key => {
+      const committed = committedUnder(key);
+      const current = selectUnder(key).filter(row => row.type === 'file' && !isHidden(row.path));
+
+      current.forEach(row => {
+        if (committed.get(row.path) !== row.contents) {
+          changes.set(row.path, { contents: row.contents, renamedFrom: pendingRenames.get(row.path) || null });
+        }
+      });
+      committed.forEach((contents, fileKey) => {
+        if (contents !== null && !current.some(row => row.path === fileKey)) {
+          changes.set(fileKey, { contents: null, renamedFrom: null });
+        }
+      });
+    });
+
+    [...changes.keys()].forEach(fileKey => pendingRenames.delete(fileKey));
+    if (changes.size === 0) return null;
+
+    const id = crypto.randomBytes(20).toString('hex');
+    const { lastInsertRowid: seq } = open().prepare(
+      'INSERT INTO revisions (id, author_name, author_email, message, date) VALUES (?, ?, ?, ?, ?)'
+    ).run(id, author.name, author.email, message, new Date().toISOString());
+
+    const insert = open().prepare('INSERT INTO revision_files (seq, path, contents, renamed_from) VALUES (?, ?, ?, ?)');
+    changes.forEach(({ contents, renamedFrom }, fileKey) => insert.run(seq, fileKey, contents, renamedFrom));
+    return id;
+  })();
+
+  const listRevisions = async (filePath) => {
+    const select = open().prepare(`
+      SELECT revisions.seq, id, author_name, author_email, message, date, renamed_from
+      FROM revision_files JOIN revisions ON revisions.seq = revision_files.seq
+      WHERE path = ? AND revisions.seq < ?
+      ORDER BY revisions.seq DESC
+    `);
+
+    // Follow renames back to where the file was created, like `git log --follow`
+    const revisions = [];
+    let key = toKey(filePath);
+    let before = Number.MAX_SAFE_INTEGER;
+    while (key) {
+      const rows = select.all(key, before);
+      const origin = rows.findIndex(row => row.renamed_from);
+      const segment = origin === -1 ? rows : rows.slice(0, origin + 1);
+      revisions.push(...segment.map(row => ({ ...row, path: key })));
+
+      key = origin === -1 ? null : rows[origin].renamed_from;
+      before = origin === -1 ? before : rows[origin].seq;
+    }
+
+    return revisions.map(row => ({
+      id: row.id,
+      author: { name: row.author_name, email: row.author_email },
+      date: row.date,
+      message: row.message,
+      path: row.path
+    }));
+  };
+
+  const readRevision = async (filePath, revision) => {
+    // Abbreviated IDs work as long as they are unambiguous, as with git
+    const matches = open().prepare('SELECT seq FROM revisions WHERE substr(id, 1, ?) = ? LIMIT 2')
+      .all(revision.length, revision.toLowerCase());
+    if (matches.length !== 1) return null;
+
+    // Revisions from before a move are stored under the earlier key
+    const listed = (await listRevisions(filePath)).find(({ id }) => id.startsWith(revision.toLowerCase()));
+    const row = open().prepare(
+      'SELECT contents FROM revision_files WHERE path = ? AND seq <= ? ORDER BY seq DESC LIMIT 1'
+    ).get(listed ? listed.path : toKey(filePath), matches[0].seq);
+    return row?.contents ?? null;
+  };
+
+  return {
+    name: 'sqlite',
+    init,
+    list,
+    stat,
+    exists: async (itemPath) => !toKey(itemPath) || !!getItem(toKey(itemPath)),
+    read,
+    write,
+    createFolder,
+    move,
+    remove,
+    commit,
+    listRevisions,
+    readRevision,
+    close: () => {
+      db?.close();
+      db = null;
+    }
+  };
+}
@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createBundle, readBundle, BUNDLE_FORMAT } from '../bundleFormat.js';
+import { createZip } from '../zip.js';
+import { PATHS } from '../fileUtils.js';
+
+const DIAGRAM = 'network-topology-2025-02-01T02-14-19-811Z.json';
+const ICON = 'router-2d-gen-dark-s.svg';
+
+const loadDiagram = async () => JSON.parse(await fs.readFile(path.join(PATHS.DIAGRAMS, DIAGRAM), 'utf8'));
+
+describe('bundle format', () => {
+  it('reads back the diagram, icons and device configurations it packed', async () => {
+    const document = await loadDiagram();
+    const { archive, manifest } = await createBundle(document, { name: DIAGRAM, path: DIAGRAM });
+
+    assert.equal(manifest.format, BUNDLE_FORMAT);
+    assert.equal(manifest.icons[ICON].deviceConfig, 'router-2d-gen-dark-s');
+    assert.deepEqual(manifest.missingIcons, []);
+
+    const bundle = readBundle(archive);
+    assert.deepEqual(Object.keys(bundle.document.nodes).sort(), Object.keys(document.nodes).sort());
+    assert.deepEqual(bundle.icons.get(ICON), await fs.readFile(path.join(PATHS.ICONS, ICON)));
+    assert.deepEqual(bundle.configs.get('router-2d-gen-dark-s'),
+      JSON.parse(await fs.readFile(path.join(PATHS.DEVICE_CONFIG, 'router-2d-gen-dark-s.json'), 'utf8')));
+  });
+
+  it('rejects archives that are not bundles', () => {
+    const archive = createZip([{ name: 'manifest.json', data: JSON.stringify({ format: 'other' }) }]);
+    assert.throws(() => readBundle(archive), /not a diagram bundle/);
+  });
+
+  it('rejects icon entries with unsafe names', async () => {
+    const document = await loadDiagram();
+    const archive = createZip([
+      { name: 'manifest.json', data: JSON.stringify({ format: BUNDLE_FORMAT, version: 1 }) },
+      { name: 'topology.json', data: JSON.stringify(document) },
+      { name: 'icons/../evil.svg', data: '<svg/>' }
+    ]);
+    assert.throws(() => readBundle(archive), /Invalid icon name/);
+  });
+});
@@ -0,0 +1,254 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createRequest, createResponse, connectClient } from './helpers.js';
+import { applyOperation, OPERATION_TYPES } from '../../src/utils/TopologyOperations.js';
+
+// Keep diagrams, accounts and the audit log of the test out of the checkout
+const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'networkmap-collab-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(scratchDir, 'diagrams.sqlite');
+process.env.AUTH_DIR = path.join(scratchDir, 'auth');
+process.env.AUDIT_DIR = path.join(scratchDir, 'audit');
+
+const { attachCollaboration } = await import('../collaboration.js');
+const { createUser, login } = await import('../auth.js');
+const { storage } = await import('../storage/index.js');
+
+const PASSWORD = 'correct horse battery';
+
+const node = (id, x = 0) => ({
+  id,
+  name: id,
+  type: 'switch',
+  position: { x, y: 0 },
+  endpoints: ['eth0', 'eth1'].map(name => ({ id: `${id}-${name}`, name, type: 'ethernet' }))
+});
+
+const connection = (id, source, target) => ({
+  id,
+  sourceNode: { id: source[0], interface: source[1], interfaceType: 'ethernet' },
+  targetNode: { id: target[0], interface: target[1], interfaceType: 'ethernet' },
+  connectionStyle: {},
+  properties: {}
+});
+
+/**
+ * Create an account and log it in
+ * The first account becomes the administrator.
+ * @param {string} username - Account name
+ * @returns {Promise<string>} Bearer token
+ */
+const createAccount = async (username) => {
+  const created = createResponse();
+  await createUser(createRequest({ body: { username, password: PASSWORD }, user: { username: 'setup', role: 'admin' } }), created);
+  assert.equal(created.statusCode, 201);
+
+  const res = createResponse();
+  await login(createRequest({ body: { username, password: PASSWORD } }), res);
+  return res.body.token;
+};
+
+describe('collaboration rooms', () => {
+  let server;
+  let wss;
+  const tokens = {};
+  let clients = [];
+  let diagramCount = 0;
+
+  /**
+   * Store a new diagram for one test
+   * @param {Object} doc - Nodes and connections
+   * @returns {Promise<string>} Diagram path without extension
+   */
+  const createDiagram = async ({ nodes = [], connections = [] }) => {
+    diagramCount += 1;
+    const diagramPath = `collab/test-${diagramCount}`;
+    await storage.write(`${diagramPath}.json`, JSON.stringify({
+      version: '1.1',
+      nodes: Object.fromEntries(nodes.map(entry => [entry.id, entry])),
+      connections: Object.fromEntries(connections.map(entry => [entry.id, entry]))
+    }));
+    return diagramPath;
+  };
+
+  /**
+   * Join a diagram like the canvas does, keeping a local copy of the document
+   * @param {string} diagramPath - Diagram path without extension
+   * @param {string} [username] - Account to join as, anonymous if omitted
+   * @returns {Promise<Object>} Client with `doc` and `seq`
+   */
+  const join = async (diagramPath, username) => {
+    const { port } = server.address();
+    const params = new URLSearchParams({ path: diagramPath, ...(username && { token: tokens[username] }) });
+    const client = await connectClient(`ws://127.0.0.1:${port}/api/collab?${params}`);
+    clients.push(client);
+
+    const welcome = await client.next('welcome');
+    client.doc = structuredClone(welcome.snapshot);
+    client.seq = welcome.seq;
+    client.canWrite = welcome.canWrite;
+    return client;
+  };
+
+  // Apply a local edit at once and send it, as the canvas does
+  let nextId = 1;
+  const edit = (client, op) => {
+    applyOperation(client.doc, op);
+    client.send({ type: 'op', id: nextId++, op });
+  };
+
+  /**
+   * Apply the next operations from the server in sequence order
+   * @param {Object} client - Client from join
+   * @param {number} count - Number of operations to wait for
+   */
+  const receive = async (client, count) => {
+    for (let index = 0; index < count; index++) {
+      const { seq, op } = await client.next('op');
+      assert.equal(seq, client.seq + 1, 'operations arrive in sequence order');
+      client.seq = seq;
+      applyOperation(client.doc, op);
+    }
+  };
+
+  /**
+   * Undo a rejected edit, as the canvas does
+   * @param {Object} client - Client from join
+   * @returns {Promise<Object>} Rejection message
+   */
+  const handleRejected = async (client) => {
+    const rejected = await client.next('rejected');
+    if (rejected.op?.type === OPERATION_TYPES.CONNECTION_ADDED) {
+      applyOperation(client.doc, { type: OPERATION_TYPES.CONNECTION_REMOVED, connectionId: rejected.op.connection.id });
+    } else {
+      client.send({ type: 'resync' });
+      const { seq, snapshot } = await client.next('snapshot');
+      client.doc = snapshot;
+      client.seq = seq;
+    }
+    return rejected;
+  };
+
+  /**
+   * Check that every client shows the room document
+   * @param {Array<Object>} roomClients - Clients of one room
+   */
+  const assertConverged = async (roomClients) => {
+    const [first] = roomClients;
+    first.send({ type: 'resync' });
+    const { snapshot } = await first.next('snapshot');
+    roomClients.forEach(client => {
+      assert.deepEqual(client.doc.nodes, snapshot.nodes);
+      assert.deepEqual(client.doc.connections, snapshot.connections);
+    });
+  };
+
+  before(async () => {
+    for (const username of ['alice', 'bob']) {
+      tokens[username] = await createAccount(username);
+    }
+
+    server = http.createServer();
+    wss = attachCollaboration(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(() => {
+    clients.forEach(client => client.ws.close());
+    clients = [];
+  });
+
+  after(async () => {
+    wss.clients.forEach(ws => ws.terminate());
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+    storage.close();
+    await fs.rm(scratchDir, { recursive: true, force: true });
+  });
+
+  it('orders concurrent moves so the last one wins everywhere', async () => {
+    const diagramPath = await createDiagram({ nodes: [node('n1'), node('n2', 100)] });
+    const alice = await join(diagramPath, 'alice');
+    const bob = await join(diagramPath, 'bob');
+
+    edit(alice, { type: OPERATION_TYPES.NODE_MOVED, nodeId: 'n1', position: { x: 10, y: 10 } });
+    edit(bob, { type: OPERATION_TYPES.NODE_MOVED, nodeId: 'n1', position: { x: 20, y: 20 } });
+    edit(bob, { type: OPERATION_TYPES.NODE_MOVED, nodeId: 'n2', position: { x: 30, y: 30 } });
+    await Promise.all([receive(alice, 3), receive(bob, 3)]);
+
+    assert.equal(alice.seq, bob.seq);
+    assert.deepEqual(alice.doc.nodes.n1.position, bob.doc.nodes.n1.position);
+    assert.deepEqual(alice.doc.nodes.n2.position, { x: 30, y: 30 });
+    await assertConverged([alice, bob]);
+  });
+
+  it('rejects edits of a node another user removed', async () => {
+    const diagramPath = await createDiagram({
+      nodes: [node('n1'), node('n2', 100), node('n3', 200)],
+      connections: [connection('c1', ['n1', 'eth0'], ['n2', 'eth0'])]
+    });
+    const alice = await join(diagramPath, 'alice');
+    const bob = await join(diagramPath, 'bob');
+
+    edit(alice, { type: OPERATION_TYPES.NODE_REMOVED, nodeId: 'n1' });
+    await receive(alice, 1);
+
+    // Bob has not seen the removal yet and keeps editing the node
+    edit(bob, { type: OPERATION_TYPES.NODE_MOVED, nodeId: 'n1', position: { x: 50, y: 50 } });
+    edit(bob, { type: OPERATION_TYPES.CONNECTION_ADDED, connection: connection('c2', ['n1', 'eth1'], ['n3', 'eth0']) });
+    await receive(bob, 1);
+
+    const moveRejected = await handleRejected(bob);
+    const connectRejected = await handleRejected(bob);
+    assert.equal(moveRejected.reason, 'Node no longer exists');
+    assert.equal(connectRejected.reason, 'Connected node no longer exists');
+
+    assert.equal(alice.doc.nodes.n1, undefined);
+    assert.deepEqual(alice.doc.connections, {}, 'connections of the removed node are gone');
+    await assertConverged([alice, bob]);
+  });
+
+  it('gives an interface to the first connection in server order', async () => {
+    const diagramPath = await createDiagram({ nodes: [node('n1'), node('n2', 100), node('n3', 200)] });
+    const alice = await join(diagramPath, 'alice');
+    const bob = await join(diagramPath, 'bob');
+
+    edit(alice, { type: OPERATION_TYPES.CONNECTION_ADDED, connection: connection('from-alice', ['n1', 'eth0'], ['n2', 'eth0']) });
+    await receive(alice, 1);
+    edit(bob, { type: OPERATION_TYPES.CONNECTION_ADDED, connection: connection('from-bob', ['n3', 'eth0'], ['n2', 'eth0']) });
+
+    const rejected = await handleRejected(bob);
+    assert.equal(rejected.reason, 'Interface is already connected');
+    await receive(bob, 1);
+
+    assert.deepEqual(Object.keys(bob.doc.connections), ['from-alice']);
+    await assertConverged([alice, bob]);
+  });
+
+  it('rejects malformed operations and edits without write access', async () => {
+    const diagramPath = await createDiagram({ nodes: [node('n1')] });
+    const alice = await join(diagramPath, 'alice');
+    const guest = await join(diagramPath);
+    assert.equal(guest.canWrite, false);
+
+    guest.send({ type: 'op', id: 1, op: { type: OPERATION_TYPES.NODE_REMOVED, nodeId: 'n1' } });
+    assert.equal((await guest.next('rejected')).reason, 'Write access is required');
+
+    alice.send({ type: 'op', id: 2, op: { type: OPERATION_TYPES.NODE_MOVED, nodeId: 'n1', position: { x: 'left' } } });
+    assert.equal((await alice.next('rejected')).reason, 'nodeId and a numeric position are required');
+    alice.send({ type: 'op', id: 3, op: { type: 'nodeRenamed', nodeId: 'n1' } });
+    assert.equal((await alice.next('rejected')).reason, 'Unknown operation type: nodeRenamed');
+
+    // Replaying an add is accepted but changes nothing, so nobody receives it
+    alice.send({ type: 'op', id: 4, op: { type: OPERATION_TYPES.NODE_ADDED, node: node('n1', 500) } });
+    alice.send({ type: 'resync' });
+    const { seq, snapshot } = await alice.next('snapshot');
+    assert.equal(seq, 0);
+    assert.deepEqual(snapshot.nodes.n1.position, { x: 0, y: 0 });
+    assert.deepEqual(guest.messages.filter(message => message.type === 'op'), []);
+  });
+});
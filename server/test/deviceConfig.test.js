@@ -0,0 +1,48 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { deleteDeviceConfig } from '../deviceConfig.js';
+import { readIconManifest } from '../iconFiles.js';
+import { PATHS, pathExists } from '../fileUtils.js';
+import { createRequest, createResponse } from './helpers.js';
+
+const deleteConfig = async (name) => {
+  const res = createResponse();
+  await deleteDeviceConfig(createRequest({ params: { name } }), res);
+  return res;
+};
+
+describe('deleteDeviceConfig', () => {
+  const unboundName = `test-unbound-${process.pid}`;
+  const unboundFile = path.join(PATHS.DEVICE_CONFIG, `${unboundName}.json`);
+
+  after(() => fs.rm(unboundFile, { force: true }));
+
+  it('keeps a configuration the icon manifest binds to an icon', async () => {
+    const manifest = await readIconManifest();
+    const [iconFile, { deviceConfig }] = Object.entries(manifest.icons).find(([, entry]) => entry.deviceConfig);
+    const configFile = path.join(PATHS.DEVICE_CONFIG, `${deviceConfig}.json`);
+    const before = await fs.readFile(configFile, 'utf8');
+
+    const res = await deleteConfig(deviceConfig);
+
+    assert.equal(res.statusCode, 409);
+    assert.ok(res.body.icons.includes(iconFile));
+    assert.equal(await fs.readFile(configFile, 'utf8'), before);
+  });
+
+  it('deletes a configuration no icon is bound to', async () => {
+    await fs.writeFile(unboundFile, JSON.stringify({ deviceType: 'test', interfaces: [] }));
+
+    const res = await deleteConfig(unboundName);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(await pathExists(unboundFile), false);
+  });
+
+  it('answers 404 for an unknown configuration', async () => {
+    const res = await deleteConfig(unboundName);
+    assert.equal(res.statusCode, 404);
+  });
+});
@@ -0,0 +1,94 @@
+import { WebSocket } from 'ws';
+
+/**
+ * Minimal Express request and response stand-ins for calling handlers
+ * directly, and a WebSocket client for the collaboration server
+ */
+
+const MESSAGE_TIMEOUT_MS = 2000;
+
+/**
+ * Build a request
+ * @param {Object} [fields] - `params`, `query`, `body`, `headers` and `user`
+ * @returns {Object} Request
+ */
+export const createRequest = ({ params = {}, query = {}, body, headers = {}, user = null } = {}) => ({
+  params,
+  query,
+  body,
+  headers,
+  user,
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  }
+});
+
+/**
+ * Build a response that records what the handler sent
+ * @returns {Object} Response with `statusCode`, `headers` and `body`
+ */
+export const createResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  set(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  },
+  setHeader(name, value) {
+    return this.set(name, value);
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+/**
+ * Connect to the collaboration server
+ * Received messages are queued until a test takes them with `next`.
+ * @param {string} url - WebSocket URL including `path` and `token`
+ * @returns {Promise<Object>} `{ ws, next(type), send(message), messages }`
+ */
+export const connectClient = (url) => new Promise((resolve, reject) => {
+  const ws = new WebSocket(url);
+  const messages = [];
+  const waiting = [];
+
+  // Hand queued messages to the tests waiting for their type
+  const deliver = () => {
+    waiting.slice().forEach(waiter => {
+      const index = messages.findIndex(message => message.type === waiter.type);
+      if (index === -1) return;
+      waiting.splice(waiting.indexOf(waiter), 1);
+      clearTimeout(waiter.timer);
+      waiter.resolve(messages.splice(index, 1)[0]);
+    });
+  };
+
+  const client = {
+    ws,
+    messages,
+    send: (message) => ws.send(JSON.stringify(message)),
+    next: (type) => new Promise((resolveMessage, rejectMessage) => {
+      const waiter = { type, resolve: resolveMessage };
+      waiter.timer = setTimeout(() => {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        rejectMessage(new Error(`No ${type} message within ${MESSAGE_TIMEOUT_MS} ms`));
+      }, MESSAGE_TIMEOUT_MS);
+      waiting.push(waiter);
+      deliver();
+    })
+  };
+
+  ws.on('message', data => {
+    messages.push(JSON.parse(data.toString('utf8')));
+    deliver();
+  });
+  ws.once('open', () => resolve(client));
+  ws.once('error', reject);
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { sanitizeSvg } from '../icons.js';
+import { PATHS } from '../fileUtils.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+const elementNames = (svg) => [...svg.matchAll(/<([A-Za-z][\w:.-]*)/g)].map(([, name]) => name);
+
+describe('sanitizeSvg', () => {
+  it('drops scripts under any namespace prefix', () => {
+    const svgPrefixed = sanitizeSvg(`<svg xmlns="${SVG_NS}"><x:script xmlns:x="${SVG_NS}">alert(document.domain)</x:script></svg>`);
+    assert.equal(svgPrefixed, `<svg xmlns="${SVG_NS}"></svg>`);
+
+    const xhtmlPrefixed = sanitizeSvg(`<svg xmlns="${SVG_NS}"><h:script xmlns:h="${XHTML_NS}">alert(document.domain)</h:script><rect/></svg>`);
+    assert.equal(xhtmlPrefixed, `<svg xmlns="${SVG_NS}"><rect/></svg>`);
+  });
+
+  it('sanitizes prefixed style elements', () => {
+    const output = sanitizeSvg(`<svg xmlns="${SVG_NS}"><x:style xmlns:x="${SVG_NS}">rect { fill: url(http://evil/steal) }</x:style></svg>`);
+    assert.ok(!output.includes('evil'), output);
+    assert.match(output, /fill: none/);
+  });
+
+  it('rejects end tags that do not close the open element', () => {
+    assert.throws(() => sanitizeSvg(`<svg xmlns="${SVG_NS}"><style></x>@import url(http://evil/a.css);</style></svg>`), /unexpected <\/x>/);
+    assert.throws(() => sanitizeSvg(`<svg xmlns="${SVG_NS}"><x:script xmlns:x="${SVG_NS}"></y:script><rect/></svg>`), /unexpected/);
+    assert.throws(() => sanitizeSvg(`<svg xmlns="${SVG_NS}"></g></svg>`), /unexpected/);
+  });
+
+  it('neutralizes image sets and other resource functions in CSS', () => {
+    const output = sanitizeSvg(`<svg xmlns="${SVG_NS}"><style>`
+      + 'rect { fill: url(#grad); background: image-set("http://evil/x.png" 1x, url(http://evil/y.png) 2x) }'
+      + " g { background:-webkit-image-set('http://evil/a.png' 1x) }"
+      + ' path { background: image-set("http://evil/b.png" type("image/png")); mask: url("http://evil/c)d") }'
+      + '</style>'
+      + `<rect style="background: image-set(&quot;http://evil/x.png&quot; 1x)"/>`
+      + `<path style="background:-webkit-image-set('http://evil/a.png' 1x); fill: url(#grad)"/></svg>`);
+    assert.ok(!output.includes('evil'), output);
+    assert.match(output, /rect \{ fill: url\(#grad\); background: none \}/);
+    assert.match(output, /g \{ background:none \}/);
+    assert.match(output, /<path style="background:none; fill: url\(#grad\)"\/>/);
+  });
+
+  it('drops elements that are not SVG drawing elements, with their content', () => {
+    const output = sanitizeSvg(`<svg xmlns="${SVG_NS}">`
+      + `<foreignObject><h:iframe xmlns:h="${XHTML_NS}" src="http://evil/"/><div><script>alert(1)</script></div></foreignObject>`
+      + `<h:img xmlns:h="${XHTML_NS}" src="x" onerror="alert(1)"/>`
+      + `<set attributeName="href" to="javascript:alert(1)"/>`
+      + `<g><path d="M0 0"/></g></svg>`);
+    assert.equal(output, `<svg xmlns="${SVG_NS}"><g><path d="M0 0"/></g></svg>`);
+  });
+
+  it('removes event handlers and external references', () => {
+    const output = sanitizeSvg(`<svg xmlns="${SVG_NS}"><a href="javascript:alert(1)"><rect onclick="alert(1)" fill="url(#grad)"/></a>`
+      + `<image href="http://evil/x.png"/></svg>`);
+    assert.equal(output, `<svg xmlns="${SVG_NS}"><a><rect fill="url(#grad)"/></a><image/></svg>`);
+  });
+
+  it('rejects documents that are not SVG', () => {
+    assert.throws(() => sanitizeSvg(`<h:html xmlns:h="${XHTML_NS}"><h:script>alert(1)</h:script></h:html>`), /not an SVG document/);
+    assert.throws(() => sanitizeSvg('<!DOCTYPE svg [<!ENTITY x "y">]><svg/>'), /entities/);
+  });
+
+  it('keeps the drawing elements of the shipped icons', () => {
+    const icons = fs.readdirSync(PATHS.ICONS).filter(file => file.endsWith('.svg'));
+    assert.ok(icons.length > 0);
+    icons.forEach(file => {
+      const svg = fs.readFileSync(path.join(PATHS.ICONS, file), 'utf8');
+      assert.deepEqual(elementNames(sanitizeSvg(svg)), elementNames(svg.replace(/<!--[\s\S]*?-->/g, '')), file);
+    });
+  });
+});
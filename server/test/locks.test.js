@@ -0,0 +1,140 @@
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createRequest, createResponse } from './helpers.js';
+
+// Keep diagrams, rules and the audit log of the test out of the checkout
+const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'networkmap-locks-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(scratchDir, 'diagrams.sqlite');
+process.env.AUTH_DIR = path.join(scratchDir, 'auth');
+process.env.AUDIT_DIR = path.join(scratchDir, 'audit');
+
+const { acquireLock, renewLock, releaseLock, getLockStatus, checkItemLock, LOCK_TTL_MS } = await import('../locks.js');
+const { updatePermissions } = await import('../permissions.js');
+const { saveTopology } = await import('../topology.js');
+const { storage } = await import('../storage/index.js');
+const { PATHS } = await import('../fileUtils.js');
+const { CURRENT_TOPOLOGY_VERSION } = await import('../../src/utils/TopologyMigrations.js');
+
+const admin = { username: 'root', displayName: 'Root', role: 'admin' };
+const user = (username) => ({ username, displayName: username, role: 'user' });
+
+/**
+ * Call a handler and return its response
+ * @param {Function} handler - Route handler
+ * @param {Object} request - Fields for createRequest
+ * @returns {Promise<Object>} Response
+ */
+const call = async (handler, request) => {
+  const res = createResponse();
+  await handler(createRequest(request), res);
+  return res;
+};
+
+const readAudit = async () => (await fs.readFile(path.join(PATHS.AUDIT, 'audit.log'), 'utf8'))
+  .split('\n')
+  .filter(Boolean)
+  .map(line => JSON.parse(line));
+
+describe('diagram locks', () => {
+  const topology = { version: CURRENT_TOPOLOGY_VERSION, nodes: {}, connections: {} };
+  let diagramCount = 0;
+
+  /**
+   * Store a new diagram for one test
+   * @returns {Promise<string>} Diagram path without extension
+   */
+  const createDiagram = async () => {
+    diagramCount += 1;
+    const diagramPath = `team/locked-${diagramCount}`;
+    await storage.write(`${diagramPath}.json`, JSON.stringify(topology));
+    return diagramPath;
+  };
+
+  const lock = (diagramPath, by, force) => call(acquireLock, { body: { path: diagramPath, ...(force && { force }) }, user: by });
+  const save = (diagramPath, by) => call(saveTopology, {
+    body: { topology, path: diagramPath, mode: 'overwrite' },
+    headers: { 'if-match': '*' },
+    user: by
+  });
+
+  before(async () => {
+    await storage.write('team/plan.json', JSON.stringify(topology));
+    const res = await call(updatePermissions, {
+      body: { path: 'team', rule: { default: 'write', users: { lead: 'admin' } } },
+      user: admin
+    });
+    assert.equal(res.statusCode, 200);
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  after(async () => {
+    storage.close();
+    await fs.rm(scratchDir, { recursive: true, force: true });
+  });
+
+  it('refuses saves and checks of other users with 423', async () => {
+    const diagramPath = await createDiagram();
+    assert.equal((await lock(diagramPath, user('alice'))).statusCode, 200);
+
+    const refused = await save(diagramPath, user('bob'));
+    assert.equal(refused.statusCode, 423);
+    assert.equal(refused.body.reason, 'locked');
+    assert.equal(refused.body.lock.username, 'alice');
+    assert.equal(refused.body.lock.path, diagramPath);
+
+    assert.equal((await save(diagramPath, user('alice'))).statusCode, 200, 'the holder keeps saving');
+
+    const folderCheck = createResponse();
+    assert.equal(checkItemLock(createRequest({ user: user('bob') }), folderCheck, 'team', 'folder'), false);
+    assert.equal(folderCheck.statusCode, 423);
+    assert.equal(checkItemLock(createRequest({ user: user('alice') }), createResponse(), 'team', 'folder'), true);
+  });
+
+  it('releases a lock that is not renewed in time', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const diagramPath = await createDiagram();
+    assert.equal((await lock(diagramPath, user('alice'))).statusCode, 200);
+
+    mock.timers.tick(LOCK_TTL_MS - 1000);
+    assert.equal((await call(renewLock, { body: { path: diagramPath }, user: user('alice') })).statusCode, 200);
+    mock.timers.tick(LOCK_TTL_MS - 1000);
+    assert.equal((await save(diagramPath, user('bob'))).statusCode, 423, 'the renewal extended the lock');
+
+    mock.timers.tick(1000);
+    const status = await call(getLockStatus, { query: { path: diagramPath }, user: user('bob') });
+    assert.equal(status.body.lock, null);
+    assert.equal((await save(diagramPath, user('bob'))).statusCode, 200);
+
+    const renewed = await call(renewLock, { body: { path: diagramPath }, user: user('alice') });
+    assert.equal(renewed.statusCode, 409);
+    assert.equal(renewed.body.reason, 'lost');
+  });
+
+  it('lets only folder admins take over or release the lock of another user', async () => {
+    const diagramPath = await createDiagram();
+    assert.equal((await lock(diagramPath, user('alice'))).statusCode, 200);
+
+    const taken = await lock(diagramPath, user('bob'));
+    assert.equal(taken.statusCode, 409);
+    assert.equal(taken.body.lock.username, 'alice');
+    assert.equal((await lock(diagramPath, user('bob'), true)).statusCode, 403);
+    assert.equal((await call(releaseLock, { query: { path: diagramPath }, user: user('bob') })).statusCode, 403);
+
+    const takeover = await lock(diagramPath, user('lead'), true);
+    assert.equal(takeover.statusCode, 200);
+    assert.equal(takeover.body.lock.username, 'lead');
+    assert.equal((await save(diagramPath, user('alice'))).statusCode, 423, 'the previous holder is locked out');
+    assert.equal((await call(renewLock, { body: { path: diagramPath }, user: user('alice') })).body.reason, 'lost');
+
+    const overrides = (await readAudit()).filter(entry => entry.action === 'lock/override');
+    assert.deepEqual(overrides.map(entry => [entry.user, entry.path, entry.holder]),
+      [['lead', `${diagramPath}.json`, 'alice']]);
+  });
+});
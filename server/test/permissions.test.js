@@ -0,0 +1,135 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createRequest, createResponse } from './helpers.js';
+
+// Keep diagrams and rules of the test out of the checkout
+const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'networkmap-permissions-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(scratchDir, 'diagrams.sqlite');
+process.env.AUTH_DIR = path.join(scratchDir, 'auth');
+process.env.AUDIT_DIR = path.join(scratchDir, 'audit');
+
+const { resolveAccess, updatePermissions, getPermissions } = await import('../permissions.js');
+const { saveTopology, loadTopology, listTopologies } = await import('../topology.js');
+const { acquireLock } = await import('../locks.js');
+const { storage } = await import('../storage/index.js');
+const { CURRENT_TOPOLOGY_VERSION } = await import('../../src/utils/TopologyMigrations.js');
+
+const admin = { username: 'root', displayName: 'Root', role: 'admin' };
+const user = (username) => ({ username, displayName: username, role: 'user' });
+
+/**
+ * Call a handler and return its response
+ * @param {Function} handler - Route handler
+ * @param {Object} request - Fields for createRequest
+ * @returns {Promise<Object>} Response
+ */
+const call = async (handler, request) => {
+  const res = createResponse();
+  await handler(createRequest(request), res);
+  return res;
+};
+
+describe('resolveAccess', () => {
+  const rules = {
+    prod: { default: 'read', users: { alice: 'write', carol: 'admin' } },
+    'prod/lab': { users: { bob: 'write', carol: 'read' } },
+    'prod/lab/secret': { default: 'none' },
+    archive: { default: 'none', users: { bob: 'read' } }
+  };
+
+  it('leaves folders without any rule writable', () => {
+    assert.equal(resolveAccess({}, user('bob'), ''), 'write');
+    assert.equal(resolveAccess(rules, user('bob'), 'scratch/deep'), 'write');
+  });
+
+  it('inherits the nearest rule that names the user or has a default', () => {
+    assert.equal(resolveAccess(rules, user('dave'), 'prod'), 'read');
+    assert.equal(resolveAccess(rules, user('dave'), 'prod/lab'), 'read');
+    assert.equal(resolveAccess(rules, user('bob'), 'prod/lab'), 'write');
+    assert.equal(resolveAccess(rules, user('alice'), 'prod/lab/more'), 'write');
+    assert.equal(resolveAccess(rules, user('alice'), 'prod/lab/secret'), 'none');
+    assert.equal(resolveAccess(rules, user('bob'), 'archive/2023'), 'read');
+  });
+
+  it('lets an explicit admin grant cover every subfolder', () => {
+    assert.equal(resolveAccess(rules, user('carol'), 'prod/lab'), 'admin');
+    assert.equal(resolveAccess(rules, user('carol'), 'prod/lab/secret'), 'admin');
+  });
+
+  it('gives administrators admin access and anonymous requests at most read access', () => {
+    assert.equal(resolveAccess(rules, admin, 'archive'), 'admin');
+    assert.equal(resolveAccess({}, null, ''), 'read');
+    assert.equal(resolveAccess(rules, null, 'archive'), 'none');
+  });
+});
+
+describe('folder permissions on the routes', () => {
+  const topology = { version: CURRENT_TOPOLOGY_VERSION, nodes: {}, connections: {} };
+
+  const setRule = async (folder, rule, by = admin) => call(updatePermissions, { body: { path: folder, rule }, user: by });
+  const save = (diagramPath, by) => call(saveTopology, {
+    body: { topology, path: diagramPath, mode: 'overwrite' },
+    headers: { 'if-match': '*' },
+    user: by
+  });
+  const load = (diagramPath, by) => call(loadTopology, { query: { filename: diagramPath }, user: by });
+
+  before(async () => {
+    await storage.write('team/plan.json', JSON.stringify(topology));
+    await storage.write('team/private/notes.json', JSON.stringify(topology));
+    await storage.write('top.json', JSON.stringify(topology));
+
+    assert.equal((await setRule('team', { default: 'read', users: { writer: 'write', lead: 'admin' } })).statusCode, 200);
+    assert.equal((await setRule('team/private', { default: 'none', users: { writer: 'read' } })).statusCode, 200);
+  });
+
+  after(async () => {
+    storage.close();
+    await fs.rm(scratchDir, { recursive: true, force: true });
+  });
+
+  it('needs read access to load', async () => {
+    const denied = await load('team/private/notes', user('reader'));
+    assert.equal(denied.statusCode, 403);
+    assert.equal(denied.body.reason, 'forbidden');
+    assert.equal(denied.body.access, 'none');
+    assert.equal(denied.body.required, 'read');
+
+    assert.equal((await load('team/private/notes', user('writer'))).statusCode, 200);
+    assert.equal((await load('team/plan', user('reader'))).statusCode, 200);
+    assert.equal((await load('team/plan', null)).statusCode, 200);
+  });
+
+  it('needs write access to save', async () => {
+    assert.equal((await save('team/plan', user('reader'))).statusCode, 403);
+    assert.equal((await save('team/private/notes', user('writer'))).statusCode, 403);
+    assert.equal((await save('team/plan', user('writer'))).statusCode, 200);
+    assert.equal((await save('top', null)).statusCode, 403, 'anonymous requests never write');
+  });
+
+  it('needs admin access on the folder to change its rule or break a lock', async () => {
+    assert.equal((await setRule('team', { default: 'write' }, user('writer'))).statusCode, 403);
+
+    const adminView = await call(getPermissions, { query: { path: 'team/private' }, user: user('lead') });
+    assert.equal(adminView.body.access, 'admin');
+    assert.deepEqual(adminView.body.rule, { default: 'none', users: { writer: 'read' } });
+    assert.deepEqual(adminView.body.inherited.map(({ path: folder }) => folder), ['team']);
+    assert.equal((await call(getPermissions, { query: { path: 'team' }, user: user('writer') })).body.rule, undefined);
+
+    assert.equal((await call(acquireLock, { body: { path: 'team/plan' }, user: user('writer') })).statusCode, 200);
+    assert.equal((await call(acquireLock, { body: { path: 'team/plan', force: true }, user: user('reader') })).statusCode, 403);
+    assert.equal((await call(acquireLock, { body: { path: 'team/plan', force: true }, user: user('lead') })).statusCode, 200);
+  });
+
+  it('hides the diagram list when the root is not readable', async () => {
+    assert.equal((await call(listTopologies, { user: user('reader') })).body.files.length, 1);
+
+    assert.equal((await setRule('', { default: 'none', users: { root: 'read' } })).statusCode, 200);
+    assert.deepEqual((await call(listTopologies, { user: user('reader') })).body.files, []);
+    assert.equal((await load('top', user('reader'))).statusCode, 403);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createFileStorage } from '../storage/fileStorage.js';
+import { createSqliteStorage } from '../storage/sqliteStorage.js';
+
+const COMMITTER = { name: 'Tester', email: 'tester@localhost' };
+
+const diagram = (name) => JSON.stringify({
+  version: '1.1',
+  nodes: Object.fromEntries(Array.from({ length: 20 }, (_, index) => [`n${index}`, { id: `n${index}`, name: `${name}-${index}` }])),
+  connections: {}
+}, null, 2);
+
+const BACKENDS = {
+  fs: (scratch) => createFileStorage({
+    root: path.join(scratch, 'diagrams'),
+    historyDir: path.join(scratch, 'history'),
+    committer: COMMITTER
+  }),
+  sqlite: (scratch) => createSqliteStorage({ file: path.join(scratch, 'diagrams.sqlite'), committer: COMMITTER })
+};
+
+for (const [backend, createStorage] of Object.entries(BACKENDS)) {
+  describe(`${backend} storage history`, () => {
+    let scratch;
+    let storage;
+
+    before(async () => {
+      scratch = await fs.mkdtemp(path.join(os.tmpdir(), 'networkmap-storage-'));
+      storage = createStorage(scratch);
+      await storage.init();
+    });
+
+    after(async () => {
+      storage.close?.();
+      await fs.rm(scratch, { recursive: true, force: true });
+    });
+
+    it('reads revisions from before a move through the current path', async () => {
+      await storage.write('lab/moved.json', diagram('first'));
+      const first = await storage.commit(['lab/moved.json'], { message: 'Create' });
+      await storage.write('lab/moved.json', diagram('second'));
+      await storage.commit(['lab/moved.json'], { message: 'Save' });
+      await storage.move('lab/moved.json', 'archive/renamed.json');
+      await storage.commit(['lab/moved.json', 'archive/renamed.json'], { message: 'Move' });
+
+      const revisions = await storage.listRevisions('archive/renamed.json');
+      assert.deepEqual(revisions.map(({ message }) => message), ['Move', 'Save', 'Create']);
+      assert.deepEqual(revisions.map(({ path: revisionPath }) => revisionPath),
+        ['archive/renamed.json', 'lab/moved.json', 'lab/moved.json']);
+
+      assert.equal(await storage.readRevision('archive/renamed.json', first), diagram('first'));
+      assert.equal(await storage.readRevision('archive/renamed.json', first.slice(0, 8)), diagram('first'));
+    });
+
+    it('does not list the history of a file a new diagram resembles', async () => {
+      await storage.write('original.json', diagram('shared'));
+      await storage.commit(['original.json'], { message: 'Create original' });
+      await storage.write('lab/copy.json', diagram('shared'));
+      const created = await storage.commit(['lab/copy.json'], { message: 'Create copy' });
+
+      const revisions = await storage.listRevisions('lab/copy.json');
+      assert.deepEqual(revisions.map(({ id }) => id), [created]);
+      assert.equal(await storage.readRevision('lab/copy.json', created), diagram('shared'));
+    });
+  });
+}
@@ -0,0 +1,96 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createRequest, createResponse, connectClient } from './helpers.js';
+
+// Migrate a scratch database instead of the diagrams in the checkout
+const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'networkmap-topology-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(scratchDir, 'diagrams.sqlite');
+process.env.AUTH_DIR = path.join(scratchDir, 'auth');
+process.env.AUDIT_DIR = path.join(scratchDir, 'audit');
+
+const { migrateAllTopologies } = await import('../topology.js');
+const { acquireLock } = await import('../locks.js');
+const { attachCollaboration } = await import('../collaboration.js');
+const { storage } = await import('../storage/index.js');
+const { PATHS } = await import('../fileUtils.js');
+const { CURRENT_TOPOLOGY_VERSION } = await import('../../src/utils/TopologyMigrations.js');
+
+// A diagram saved before format versions existed
+const LEGACY_DIAGRAM = 'network-topology-2025-01-31T11-16-49-462Z.json';
+
+const admin = { username: 'admin', displayName: 'Admin', role: 'admin' };
+const holder = { username: 'holder', displayName: 'Holder', role: 'user' };
+
+const readAudit = async () => (await fs.readFile(path.join(PATHS.AUDIT, 'audit.log'), 'utf8'))
+  .split('\n')
+  .filter(Boolean)
+  .map(line => JSON.parse(line));
+
+describe('migrateAllTopologies', () => {
+  let legacy;
+  let server;
+  let wss;
+
+  before(async () => {
+    legacy = await fs.readFile(path.join(PATHS.DIAGRAMS, LEGACY_DIAGRAM), 'utf8');
+    await storage.write('lab/open.json', legacy);
+    await storage.write('lab/locked.json', legacy);
+
+    const res = createResponse();
+    await acquireLock(createRequest({ body: { path: 'lab/locked' }, user: holder }), res);
+    assert.equal(res.statusCode, 200);
+
+    server = http.createServer();
+    wss = attachCollaboration(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    wss.clients.forEach(ws => ws.terminate());
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+    storage.close();
+    await fs.rm(scratchDir, { recursive: true, force: true });
+  });
+
+  it('skips diagrams checked out by another user', async () => {
+    const res = createResponse();
+    await migrateAllTopologies(createRequest({ body: { dryRun: true }, user: admin }), res);
+
+    const locked = res.body.results.find(result => result.filename === 'lab/locked.json');
+    assert.equal(locked.status, 'locked');
+    assert.equal(locked.lock.username, 'holder');
+    assert.equal(res.body.results.find(result => result.filename === 'lab/open.json').status, 'migrated');
+  });
+
+  it('audits the migrated diagrams and updates their open canvases', async () => {
+    const { port } = server.address();
+    const client = await connectClient(`ws://127.0.0.1:${port}/api/collab?path=lab/open`);
+    await client.next('welcome');
+
+    const res = createResponse();
+    await migrateAllTopologies(createRequest({ body: {}, user: admin }), res);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.summary, { locked: 1, migrated: 1 });
+    assert.ok(res.body.revision);
+
+    assert.equal(await storage.read('lab/locked.json'), legacy);
+    assert.equal(JSON.parse(await storage.read('lab/open.json')).version, CURRENT_TOPOLOGY_VERSION);
+
+    const entries = (await readAudit()).filter(entry => entry.action === 'topology/migrate');
+    assert.deepEqual(entries.map(entry => entry.path), ['lab/open.json']);
+    assert.equal(entries[0].user, 'admin');
+    assert.equal(entries[0].revision, res.body.revision);
+
+    const snapshot = await client.next('snapshot');
+    assert.equal(snapshot.snapshot.version, CURRENT_TOPOLOGY_VERSION);
+    const saved = await client.next('saved');
+    assert.equal(saved.revision, res.body.revision);
+    client.ws.close();
+  });
+});
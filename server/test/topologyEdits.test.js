@@ -0,0 +1,79 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createRequest, createResponse } from './helpers.js';
+
+// Keep revisions, accounts and the audit log of the test out of the checkout
+const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'networkmap-edits-'));
+process.env.DIAGRAM_HISTORY_DIR = path.join(scratchDir, 'history');
+process.env.AUTH_DIR = path.join(scratchDir, 'auth');
+process.env.AUDIT_DIR = path.join(scratchDir, 'audit');
+
+const { addNode } = await import('../topologyEdits.js');
+const { PATHS } = await import('../fileUtils.js');
+
+const diagramName = `test-edits-${process.pid}`;
+const diagramFile = path.join(PATHS.DIAGRAMS, `${diagramName}.json`);
+const user = { username: 'tester', displayName: 'Tester', role: 'user' };
+
+const postNode = async (body) => {
+  const res = createResponse();
+  await addNode(createRequest({ params: { path: diagramName }, body, user }), res);
+  return res;
+};
+
+const readConfigInterfaces = async (name) => JSON.parse(
+  await fs.readFile(path.join(PATHS.DEVICE_CONFIG, `${name}.json`), 'utf8')
+).interfaces;
+
+describe('addNode', () => {
+  before(() => fs.writeFile(diagramFile, JSON.stringify({ version: '1.1', nodes: {}, connections: {} })));
+
+  after(async () => {
+    await fs.rm(diagramFile, { force: true });
+    await fs.rm(scratchDir, { recursive: true, force: true });
+  });
+
+  it('gives a node without endpoints the interfaces of its device configuration', async () => {
+    const res = await postNode({ name: 'sw1', type: 'switch' });
+
+    assert.equal(res.statusCode, 201);
+    const { node } = res.body;
+    const interfaces = await readConfigInterfaces('switch');
+    assert.ok(interfaces.length > 0);
+    assert.deepEqual(node.endpoints.map(endpoint => endpoint.name), interfaces.map(iface => iface.name));
+    node.endpoints.forEach(endpoint => {
+      assert.equal(endpoint.nodeId, node.id);
+      assert.equal(endpoint.originalName, endpoint.name);
+      assert.ok(endpoint.id);
+    });
+
+    const stored = JSON.parse(await fs.readFile(diagramFile, 'utf8'));
+    assert.deepEqual(stored.nodes[node.id].endpoints, node.endpoints);
+  });
+
+  it('follows the icon manifest binding', async () => {
+    // router-2d-gen-grey-s.svg is bound to the "router" configuration
+    const res = await postNode({ name: 'r1', type: 'router', iconPath: '/net_icons/router-2d-gen-grey-s.svg' });
+
+    assert.equal(res.statusCode, 201);
+    const interfaces = await readConfigInterfaces('router');
+    assert.deepEqual(res.body.node.endpoints.map(endpoint => endpoint.name), interfaces.map(iface => iface.name));
+  });
+
+  it('keeps endpoints given in the body', async () => {
+    const res = await postNode({ name: 'sw2', type: 'switch', endpoints: [{ name: 'uplink', type: 'ethernet' }] });
+
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(res.body.node.endpoints.map(endpoint => endpoint.name), ['uplink']);
+  });
+
+  it('adds no endpoints when no device configuration matches', async () => {
+    const res = await postNode({ name: 'x1', type: `no-such-type-${process.pid}` });
+
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(res.body.node.endpoints, []);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRequest, findOperation } from '../validation.js';
+import { createRequest, createResponse } from './helpers.js';
+
+/**
+ * Run a request through the middleware
+ * @param {string} method - HTTP method
+ * @param {string} url - Path below /api, with an optional query string
+ * @param {*} [body] - Parsed JSON body
+ * @returns {Object} `{ res, passed }`; passed tells whether next was called
+ */
+const validate = (method, url, body) => {
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  const req = {
+    ...createRequest({ query: Object.fromEntries(searchParams), body }),
+    method,
+    baseUrl: '/api',
+    path: pathname
+  };
+  const res = createResponse();
+  let passed = false;
+  validateRequest(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+};
+
+describe('validateRequest', () => {
+  it('answers 400 validation_failed with a JSON pointer for each body error', () => {
+    const { res, passed } = validate('POST', '/users', { username: '', role: 'root', displayName: 7 });
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'validation_failed');
+    assert.deepEqual(res.body.errors, [
+      { pointer: '/password', message: 'is required', in: 'body' },
+      { pointer: '/username', message: 'must be at least 1 character(s) long', in: 'body' },
+      { pointer: '/role', message: 'must be one of: admin, user', in: 'body' },
+      { pointer: '/displayName', message: 'must be of type string', in: 'body' }
+    ]);
+  });
+
+  it('checks path and query parameters after converting them', () => {
+    assert.equal(validate('GET', '/audit?limit=20').passed, true);
+
+    const { res } = validate('GET', '/audit?limit=0');
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.errors, [{ pointer: '/limit', message: 'must be >= 1', in: 'query' }]);
+
+    assert.equal(validate('GET', '/audit?limit=many').res.body.errors[0].message, 'must be of type integer');
+    assert.equal(validate('GET', '/device-config/%E0%A4%A').res.body.code, 'invalid_request');
+  });
+
+  it('passes requests the document does not describe', () => {
+    assert.equal(validate('GET', '/not-documented').passed, true);
+    assert.equal(validate('PATCH', '/users').passed, true);
+  });
+
+  it('matches literal paths before templated ones', () => {
+    assert.equal(findOperation('GET', '/api/device-config/schema').operation.summary,
+      'JSON Schema of device configurations');
+    assert.deepEqual(findOperation('GET', '/api/device-config/schema').pathValues, {});
+    assert.deepEqual(findOperation('GET', '/api/device-config/router').pathValues, { name: 'router' });
+
+    // A literal path without the method falls through to the template
+    assert.deepEqual(findOperation('PUT', '/api/device-config/schema').pathValues, { name: 'schema' });
+    assert.equal(validate('PUT', '/device-config/schema', {}).res.body.errors[0].pointer, '/config');
+  });
+});
@@ -1,71 +1,158 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import {
+  PATHS,
+  FILE_EXTENSIONS,
+  ensureFileExtension,
+  removeFileExtension,
+  validatePath,
+  toDiagramPath
+} from './fileUtils.js';
+import { storage } from './storage/index.js';
+import { validateTopology } from '../src/utils/TopologySchema.js';
+import { migrateTopology, CURRENT_TOPOLOGY_VERSION } from '../src/utils/TopologyMigrations.js';
+import { recordChange, getRequestAuthor } from './history.js';
+import { updateSearchIndex } from './search.js';
+import { readWithETag, writeWithETag, checkWritePrecondition, withFileLock } from './concurrency.js';
+import { getAccessResolver, checkItemAccess } from './permissions.js';
+import { recordAudit, parseSnapshot } from './audit.js';
+import { notifyDiagramSaved } from './collaboration.js';
+import { checkItemLock, getBlockingLock } from './locks.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Constants for paths
-const PATHS = {
-  DIAGRAMS: path.join(__dirname, '../public/diagrams')
+/**
+ * Supported save modes for /api/topology/save
+ * - overwrite: write to the target path, replacing any existing file
+ * - saveAs: write to the target path only if no file exists there yet
+ */
+export const SAVE_MODES = {
+  OVERWRITE: 'overwrite',
+  SAVE_AS: 'saveAs'
 };
 
 /**
- * Helper function to ensure directory exists
- * @param {string} dirPath - Path to directory
+ * Resolve the file a topology should be written to
+ * @param {string} [targetPath] - Diagram path relative to the diagrams directory
+ * @returns {string} Path of the target file relative to the diagrams directory
  */
-async function ensureDir(dirPath) {
-  try {
-    await fs.access(dirPath);
-  } catch {
-    await fs.mkdir(dirPath, { recursive: true });
+function resolveTopologyFile(targetPath) {
+  if (!targetPath) {
+    // Generate a unique filename with timestamp when no target is given
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `network-topology-${timestamp}${FILE_EXTENSIONS.DIAGRAM}`;
   }
+
+  const relativePath = targetPath.replace(/^[/\\]+/, '');
+  return toDiagramPath(validatePath(ensureFileExtension(relativePath, FILE_EXTENSIONS.DIAGRAM), PATHS.DIAGRAMS));
 }
 
 /**
  * Save topology configuration
+ *
+ * The request body is either `{ topology, path, mode, message }` or, for older
+ * clients, the topology itself (which is saved under a timestamped name).
+ * Overwriting an existing file requires the ETag it was loaded with in
+ * `If-Match`; a stale ETag is answered with 409 and the current server copy.
+ * A diagram checked out by another user is answered with 423.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export async function saveTopology(req, res) {
   try {
-    // Log debug information
-    console.log('Save Topology Request:', {
-      body: req.body,
-      diagramsDir: PATHS.DIAGRAMS
-    });
-
-    // Ensure diagrams directory exists
-    await ensureDir(PATHS.DIAGRAMS);
+    const body = req.body || {};
+    const isWrapped = Object.prototype.hasOwnProperty.call(body, 'topology');
 
     // Get topology configuration from request body
-    const topologyConfig = req.body;
+    const topologyConfig = isWrapped ? body.topology : body;
+    const targetPath = isWrapped ? body.path : undefined;
+    const mode = (isWrapped && body.mode) || SAVE_MODES.OVERWRITE;
 
-    // Validate configuration
-    if (!topologyConfig || !topologyConfig.nodes || !topologyConfig.connections) {
-      return res.status(400).json({ message: 'Invalid topology configuration' });
+    // Older clients may still send previous format versions
+    let migration;
+    try {
+      migration = migrateTopology(topologyConfig);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
     }
 
-    // Generate a unique filename with timestamp
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `network-topology-${timestamp}.json`;
-    const savePath = path.join(PATHS.DIAGRAMS, filename);
+    // Validate configuration against the topology schema
+    const validation = validateTopology(migration.document);
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: 'Invalid topology configuration',
+        errors: validation.errors
+      });
+    }
 
-    // Write the file
-    await fs.writeFile(savePath, JSON.stringify(topologyConfig, null, 2));
+    if (!Object.values(SAVE_MODES).includes(mode)) {
+      return res.status(400).json({ message: `Unknown save mode: ${mode}` });
+    }
 
-    // Log success
-    console.log('Topology saved successfully:', {
-      filename,
-      savePath,
-      stats: await fs.stat(savePath)
-    });
+    let filename;
+    try {
+      filename = resolveTopologyFile(targetPath);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
 
-    // Return success response
-    return res.status(200).json({
-      message: 'Topology saved successfully',
-      filename,
-      path: `/diagrams/${filename}`
+    if (!(await checkItemAccess(req, res, filename, 'file', 'write'))) return;
+    if (!checkItemLock(req, res, filename)) return;
+
+    return await withFileLock(filename, async () => {
+      const exists = await storage.exists(filename);
+
+      if (exists && mode === SAVE_MODES.SAVE_AS) {
+        return res.status(409).json({
+          message: 'A diagram with this name already exists',
+          reason: 'exists',
+          filename,
+          path: removeFileExtension(filename, FILE_EXTENSIONS.DIAGRAM)
+        });
+      }
+
+      // Refuse to overwrite changes the client has not seen
+      const precondition = await checkWritePrecondition(req, filename);
+      if (!precondition.ok) {
+        return res.status(precondition.status).json(precondition.body);
+      }
+
+      // Record who saved this version in the document itself
+      if (req.user) {
+        migration.document.lastModifiedBy = {
+          username: req.user.username,
+          name: req.user.displayName
+        };
+      }
+
+      // Missing parent folders are created by the storage
+      const etag = await writeWithETag(filename, JSON.stringify(migration.document, null, 2));
+
+      await updateSearchIndex([filename]);
+      const revision = await recordChange([filename], {
+        author: getRequestAuthor(req),
+        message: (isWrapped && body.message) || `${exists ? 'Update' : 'Create'} ${filename}`
+      });
+
+      recordAudit(req, {
+        action: 'topology/save',
+        path: filename,
+        before: parseSnapshot(precondition.current),
+        after: migration.document,
+        details: { mode, revision }
+      });
+
+      notifyDiagramSaved(filename, { etag, revision, user: req.user?.username || null });
+
+      console.log('Topology saved successfully:', { filename, mode, created: !exists, revision });
+
+      // Return success response
+      res.set('ETag', etag);
+      return res.status(200).json({
+        message: 'Topology saved successfully',
+        filename,
+        path: removeFileExtension(filename, FILE_EXTENSIONS.DIAGRAM),
+        created: !exists,
+        etag,
+        revision
+      });
     });
 
   } catch (error) {
@@ -90,24 +177,40 @@ export async function loadTopology(req, res) {
       return res.status(400).json({ message: 'Filename is required' });
     }
 
-    const filePath = path.join(PATHS.DIAGRAMS, filename);
-
-    // Check if file exists
+    let diagramPath;
     try {
-      await fs.access(filePath);
-    } catch {
+      diagramPath = toDiagramPath(validatePath(ensureFileExtension(filename, FILE_EXTENSIONS.DIAGRAM), PATHS.DIAGRAMS));
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (!(await checkItemAccess(req, res, diagramPath, 'file', 'read'))) return;
+
+    // Read the file along with the ETag writes must send back
+    const file = await readWithETag(diagramPath);
+    if (!file) {
       return res.status(404).json({ message: 'Topology file not found' });
     }
+    const topologyConfig = JSON.parse(file.contents);
 
-    // Read and parse file
-    const fileContents = await fs.readFile(filePath, 'utf8');
-    const topologyConfig = JSON.parse(fileContents);
+    // Refuse to hand out documents that would only partially render once upgraded.
+    // The original document is returned so the client can report the migration.
+    let migration;
+    try {
+      migration = migrateTopology(topologyConfig);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
 
-    // Validate configuration
-    if (!topologyConfig.nodes || !topologyConfig.connections) {
-      return res.status(400).json({ message: 'Invalid topology configuration' });
+    const validation = validateTopology(migration.document);
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: 'Invalid topology configuration',
+        errors: validation.errors
+      });
     }
 
+    res.set('ETag', file.etag);
     return res.status(200).json(topologyConfig);
 
   } catch (error) {
@@ -120,40 +223,143 @@ export async function loadTopology(req, res) {
 }
 
 /**
- * List topology files
+ * Upgrade every diagram to the current format version
+ *
+ * Files are only rewritten when a migration changed them and the result
+ * validates. Diagrams checked out by another user are skipped and reported as
+ * `locked`. Every rewritten file is audited and pushed to its open canvases,
+ * like a save. Pass `{ dryRun: true }` to get the report without writing.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function migrateAllTopologies(req, res) {
+  try {
+    const dryRun = Boolean(req.body?.dryRun);
+
+    const filenames = (await storage.list(''))
+      .filter(item => item.type === 'file' && item.path.endsWith(FILE_EXTENSIONS.DIAGRAM))
+      .map(item => item.path);
+
+    const results = [];
+    // Written files by name, `{ before, after, etag }`
+    const written = new Map();
+    for (const filename of filenames.sort()) {
+      try {
+        // Hold the file lock so a concurrent save is not overwritten
+        results.push(await withFileLock(filename, async () => {
+          const lock = getBlockingLock(filename, req.user);
+          if (lock) {
+            return { filename, status: 'locked', lock };
+          }
+
+          const current = await readWithETag(filename);
+          const { document, fromVersion, toVersion, changes, migrated } = migrateTopology(JSON.parse(current.contents));
+          const validation = validateTopology(document);
+
+          if (!validation.valid) {
+            return { filename, status: 'invalid', fromVersion, toVersion, changes, errors: validation.errors };
+          }
+
+          if (!migrated) {
+            return { filename, status: 'current', fromVersion, toVersion, changes };
+          }
+
+          if (!dryRun) {
+            const etag = await writeWithETag(filename, JSON.stringify(document, null, 2));
+            written.set(filename, { before: parseSnapshot(current), after: document, etag });
+          }
+          return { filename, status: 'migrated', fromVersion, toVersion, changes };
+        }));
+      } catch (error) {
+        results.push({ filename, status: 'failed', error: error.message });
+      }
+    }
+
+    const migratedFiles = [...written.keys()];
+    if (!dryRun) {
+      await updateSearchIndex(migratedFiles);
+    }
+    const revision = migratedFiles.length > 0
+      ? await recordChange(migratedFiles, {
+        author: getRequestAuthor(req),
+        message: `Migrate ${migratedFiles.length} diagram(s) to format ${CURRENT_TOPOLOGY_VERSION}`
+      })
+      : null;
+
+    written.forEach(({ before, after, etag }, filename) => {
+      recordAudit(req, {
+        action: 'topology/migrate',
+        path: filename,
+        before,
+        after,
+        details: { toVersion: CURRENT_TOPOLOGY_VERSION, revision }
+      });
+      notifyDiagramSaved(filename, { etag, revision, user: req.user?.username || null }, { document: after });
+    });
+
+    const summary = results.reduce((acc, { status }) => {
+      acc[status] = (acc[status] || 0) + 1;
+      return acc;
+    }, {});
+
+    console.log('Topology migration finished:', { dryRun, ...summary });
+
+    return res.status(200).json({
+      message: dryRun ? 'Migration dry run complete' : 'Migration complete',
+      dryRun,
+      revision,
+      summary,
+      results
+    });
+
+  } catch (error) {
+    console.error('Topology Migration Error:', error);
+    return res.status(500).json({
+      message: 'Failed to migrate topologies',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * List the diagrams at the top level of the diagrams directory
+ * Only the top level is listed, so the root folder decides what is visible.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export async function listTopologies(req, res) {
   try {
-    // Ensure directory exists
-    await ensureDir(PATHS.DIAGRAMS);
+    const resolveAccess = await getAccessResolver(req);
+    if (resolveAccess('') === 'none') {
+      return res.status(200).json({ files: [] });
+    }
 
-    // Read directory contents
-    const fileNames = await fs.readdir(PATHS.DIAGRAMS);
+    const items = await storage.list('', { recursive: false });
     const files = await Promise.all(
-      fileNames
-        .filter(file => file.endsWith('.json'))
-        .map(async filename => {
-          const fullPath = path.join(PATHS.DIAGRAMS, filename);
-          const stats = await fs.stat(fullPath);
+      items
+        .filter(item => item.type === 'file' && item.path.endsWith(FILE_EXTENSIONS.DIAGRAM))
+        .map(async ({ path: filename }) => {
+          const stats = await storage.stat(filename);
 
           try {
-            const content = JSON.parse(await fs.readFile(fullPath, 'utf8'));
+            const content = JSON.parse(await storage.read(filename));
             return {
               filename,
               size: stats.size,
-              created: stats.birthtime,
+              created: stats.created,
               nodeCount: Object.keys(content.nodes || {}).length,
               connectionCount: Object.keys(content.connections || {}).length
             };
-          } catch {
+          } catch (error) {
+            console.error(`Error reading topology file ${filename}:`, error);
             return {
               filename,
               size: stats.size,
-              created: stats.birthtime,
+              created: stats.created,
               nodeCount: 0,
-              connectionCount: 0
+              connectionCount: 0,
+              error: 'Failed to parse topology file'
             };
           }
         })
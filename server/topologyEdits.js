@@ -0,0 +1,495 @@
+import crypto from 'crypto';
+import path from 'path';
+import {
+  PATHS,
+  FILE_EXTENSIONS,
+  ensureFileExtension,
+  validatePath,
+  toDiagramPath
+} from './fileUtils.js';
+import { validateTopology } from '../src/utils/TopologySchema.js';
+import { migrateTopology } from '../src/utils/TopologyMigrations.js';
+import { serializeConnection } from '../src/utils/TopologySerializer.js';
+import { OPERATION_TYPES } from '../src/utils/TopologyOperations.js';
+import {
+  CONNECTION_ERRORS,
+  checkConnection,
+  createTopologyConnection,
+  createTopologyNode,
+  createNodeEndpoints
+} from '../src/utils/TopologyRules.js';
+import { recordChange, getRequestAuthor } from './history.js';
+import { updateSearchIndex } from './search.js';
+import { readWithETag, writeWithETag, checkWritePrecondition, withFileLock } from './concurrency.js';
+import { checkItemAccess } from './permissions.js';
+import { recordAudit, parseSnapshot } from './audit.js';
+import { notifyDiagramSaved } from './collaboration.js';
+import { checkItemLock } from './locks.js';
+import { readDeviceConfigs, resolveIconConfig } from './deviceConfigFiles.js';
+import { readIconManifest } from './iconFiles.js';
+
+/**
+ * Node and connection edits on stored diagrams
+ *
+ * Lets scripts change a diagram without a canvas. Every edit reads the
+ * stored diagram, applies the same rules as TopologyManager (see
+ * src/utils/TopologyRules.js), validates the result against the topology
+ * schema and writes it back as a new revision. Edits are applied to the
+ * current version, so no `If-Match` is needed; one that is sent must match.
+ * Collaborators with the diagram open receive the edit as an operation.
+ */
+
+// Node fields a PATCH may change
+const NODE_UPDATE_FIELDS = ['name', 'type', 'position', 'size', 'icon', 'iconPath', 'properties'];
+
+// Refused connections that clash with existing ones rather than being malformed
+const CONNECTION_CONFLICTS = [
+  CONNECTION_ERRORS.SOURCE_IN_USE,
+  CONNECTION_ERRORS.TARGET_IN_USE,
+  CONNECTION_ERRORS.DUPLICATE
+];
+
+/**
+ * Resolve the diagram named in the `:path` route parameter
+ * @param {string} diagramPath - Diagram path, with or without `.json`
+ * @returns {string} Diagram path relative to the diagrams directory
+ * @throws {Error} If the path is missing or invalid
+ */
+function resolveDiagramFile(diagramPath) {
+  if (!diagramPath) {
+    throw new Error('Path is required');
+  }
+  return toDiagramPath(validatePath(ensureFileExtension(diagramPath, FILE_EXTENSIONS.DIAGRAM), PATHS.DIAGRAMS));
+}
+
+/**
+ * Read a stored diagram in the current format
+ * @param {string} filename - Diagram path relative to the diagrams directory
+ * @returns {Promise<Object|null>} `{ file, document }`, or null if the diagram does not exist
+ */
+async function readDiagram(filename) {
+  const file = await readWithETag(filename);
+  if (!file) return null;
+  return { file, document: migrateTopology(JSON.parse(file.contents)).document };
+}
+
+/**
+ * Answer a read of a stored diagram
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} respond - `(document, filename) => body`, or `{ status, body }` for errors
+ */
+async function readElements(req, res, respond) {
+  let filename;
+  try {
+    filename = resolveDiagramFile(req.params.path);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  if (!(await checkItemAccess(req, res, filename, 'file', 'read'))) return;
+
+  const diagram = await readDiagram(filename);
+  if (!diagram) {
+    return res.status(404).json({ message: 'Diagram not found' });
+  }
+
+  const result = respond(diagram.document, filename);
+  if (result.status) {
+    return res.status(result.status).json(result.body);
+  }
+  res.set('ETag', diagram.file.etag);
+  return res.status(200).json(result);
+}
+
+/**
+ * Apply an edit to a stored diagram and write it back
+ *
+ * `edit(document)` changes the document in place and returns
+ * `{ status, body }` to refuse the request, or `{ result, message, details,
+ * operation }` on success. `operation` is passed to collaborators; edits
+ * without one send them the whole document.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - `{ action, status, edit }`
+ */
+async function editDiagram(req, res, { action, status = 200, edit }) {
+  let filename;
+  try {
+    filename = resolveDiagramFile(req.params.path);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  if (!(await checkItemAccess(req, res, filename, 'file', 'write'))) return;
+  if (!checkItemLock(req, res, filename)) return;
+
+  return withFileLock(filename, async () => {
+    if (req.get('If-Match')) {
+      const precondition = await checkWritePrecondition(req, filename);
+      if (!precondition.ok) {
+        return res.status(precondition.status).json(precondition.body);
+      }
+    }
+
+    let diagram;
+    try {
+      diagram = await readDiagram(filename);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (!diagram) {
+      return res.status(404).json({ message: 'Diagram not found' });
+    }
+
+    const { document } = diagram;
+    const change = edit(document);
+    if (change.status) {
+      return res.status(change.status).json(change.body);
+    }
+
+    const validation = validateTopology(document);
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: 'Invalid topology configuration',
+        errors: validation.errors
+      });
+    }
+
+    if (req.user) {
+      document.lastModifiedBy = {
+        username: req.user.username,
+        name: req.user.displayName
+      };
+    }
+
+    const etag = await writeWithETag(filename, JSON.stringify(document, null, 2));
+
+    await updateSearchIndex([filename]);
+    const revision = await recordChange([filename], {
+      author: getRequestAuthor(req),
+      message: `${change.message} in ${filename}`
+    });
+
+    recordAudit(req, {
+      action,
+      path: filename,
+      before: parseSnapshot(diagram.file),
+      after: document,
+      details: { ...change.details, revision }
+    });
+
+    notifyDiagramSaved(
+      filename,
+      { etag, revision, user: req.user?.username || null },
+      change.operation ? { operations: [change.operation] } : { document }
+    );
+
+    res.set('ETag', etag);
+    return res.status(status).json({ ...change.result, etag, revision });
+  });
+}
+
+/**
+ * Respond with the error of a failed route
+ * @param {Object} res - Express response object
+ * @param {string} message - Message for the client
+ * @param {Error} error - Error that was thrown
+ */
+function handleError(res, message, error) {
+  console.error('Topology Edit Error:', error);
+  return res.status(500).json({ message, error: error.message });
+}
+
+/**
+ * List the nodes of a diagram
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listNodes(req, res) {
+  try {
+    await readElements(req, res, (document, filename) => ({
+      path: filename,
+      nodes: Object.values(document.nodes)
+    }));
+  } catch (error) {
+    return handleError(res, 'Failed to list nodes', error);
+  }
+}
+
+/**
+ * Get a node of a diagram
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getNode(req, res) {
+  try {
+    await readElements(req, res, (document) => {
+      const node = document.nodes[req.params.id];
+      return node ? { node } : { status: 404, body: { message: 'Node not found' } };
+    });
+  } catch (error) {
+    return handleError(res, 'Failed to load node', error);
+  }
+}
+
+/**
+ * Find the interfaces and default size of a node with this icon
+ * The interfaces come from the device configuration the canvas would use
+ * (see resolveIconConfig), the size from the icon manifest.
+ * @param {string} [iconPath] - Icon path of the node, e.g. `/net_icons/switch.svg`
+ * @returns {Promise<Object>} `{ interfaces, size }`; `size` is null without a default
+ */
+async function resolveNodeDefaults(iconPath) {
+  const iconFile = iconPath ? path.basename(iconPath).toLowerCase() : '';
+  if (!iconFile) return { interfaces: [], size: null };
+
+  const [manifest, configs] = await Promise.all([readIconManifest(), readDeviceConfigs()]);
+  const configName = resolveIconConfig(iconFile, manifest, configs);
+  return {
+    interfaces: configs.find(({ name }) => name === configName)?.config.interfaces || [],
+    size: manifest.icons[iconFile]?.size || null
+  };
+}
+
+/**
+ * Add a node to a diagram
+ * The body is a node as stored in diagrams; `id` is generated when left out
+ * and missing fields get the defaults the canvas uses. Endpoints only need a
+ * `name` and `type`; without them the node gets the interfaces of the device
+ * configuration of its icon.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function addNode(req, res) {
+  try {
+    const body = req.body || {};
+    const id = body.id || crypto.randomUUID();
+    const node = createTopologyNode({ ...body, id });
+
+    // Without endpoints the node gets the interfaces of its device configuration, as on the canvas
+    let interfaces = body.endpoints;
+    if (!interfaces) {
+      const defaults = await resolveNodeDefaults(node.iconPath);
+      interfaces = defaults.interfaces;
+      if (!body.size && defaults.size) node.size = defaults.size;
+    }
+    node.endpoints = createNodeEndpoints(id, interfaces, () => crypto.randomUUID());
+
+    await editDiagram(req, res, {
+      action: 'node/add',
+      status: 201,
+      edit: (document) => {
+        if (document.nodes[id]) {
+          return { status: 409, body: { message: `Node ${id} already exists`, reason: 'exists' } };
+        }
+        // Drop the fields createTopologyNode leaves undefined
+        document.nodes[id] = JSON.parse(JSON.stringify(node));
+        return {
+          result: { node: document.nodes[id] },
+          message: `Add node ${node.name || id}`,
+          details: { nodeId: id },
+          operation: { type: OPERATION_TYPES.NODE_ADDED, node: document.nodes[id] }
+        };
+      }
+    });
+  } catch (error) {
+    return handleError(res, 'Failed to add node', error);
+  }
+}
+
+/**
+ * Change fields of a node: name, type, position, size, icon, iconPath and properties
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function updateNode(req, res) {
+  try {
+    const changes = Object.fromEntries(
+      Object.entries(req.body || {}).filter(([key]) => NODE_UPDATE_FIELDS.includes(key))
+    );
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ message: `Nothing to change, expected one of: ${NODE_UPDATE_FIELDS.join(', ')}` });
+    }
+
+    await editDiagram(req, res, {
+      action: 'node/update',
+      edit: (document) => {
+        const node = document.nodes[req.params.id];
+        if (!node) {
+          return { status: 404, body: { message: 'Node not found' } };
+        }
+        Object.assign(node, JSON.parse(JSON.stringify(changes)));
+
+        // A move reaches collaborators as such; other changes as a new document
+        const moved = Object.keys(changes).length === 1 && changes.position;
+        return {
+          result: { node },
+          message: `Update node ${node.name || node.id}`,
+          details: { nodeId: node.id, fields: Object.keys(changes) },
+          operation: moved
+            ? { type: OPERATION_TYPES.NODE_MOVED, nodeId: node.id, position: node.position }
+            : null
+        };
+      }
+    });
+  } catch (error) {
+    return handleError(res, 'Failed to update node', error);
+  }
+}
+
+/**
+ * Remove a node and its connections from a diagram
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function removeNode(req, res) {
+  try {
+    await editDiagram(req, res, {
+      action: 'node/remove',
+      edit: (document) => {
+        const node = document.nodes[req.params.id];
+        if (!node) {
+          return { status: 404, body: { message: 'Node not found' } };
+        }
+
+        const removedConnections = Object.values(document.connections)
+          .filter(conn => conn.sourceNode?.id === node.id || conn.targetNode?.id === node.id)
+          .map(conn => conn.id);
+        removedConnections.forEach(connId => delete document.connections[connId]);
+        delete document.nodes[node.id];
+
+        return {
+          result: { node, removedConnections },
+          message: `Remove node ${node.name || node.id}`,
+          details: { nodeId: node.id, removedConnections },
+          operation: { type: OPERATION_TYPES.NODE_REMOVED, nodeId: node.id }
+        };
+      }
+    });
+  } catch (error) {
+    return handleError(res, 'Failed to remove node', error);
+  }
+}
+
+/**
+ * List the connections of a diagram
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listConnections(req, res) {
+  try {
+    await readElements(req, res, (document, filename) => ({
+      path: filename,
+      connections: Object.values(document.connections)
+    }));
+  } catch (error) {
+    return handleError(res, 'Failed to list connections', error);
+  }
+}
+
+/**
+ * Connect two interfaces of a diagram
+ * The body names the ends as stored in diagrams:
+ * `{ sourceNode: { id, interface }, targetNode: { id, interface }, connectionStyle, properties }`.
+ * The connection ID is derived from the ends, as on the canvas.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function addConnection(req, res) {
+  try {
+    const body = req.body || {};
+
+    await editDiagram(req, res, {
+      action: 'connection/add',
+      status: 201,
+      edit: (document) => {
+        const ends = [body.sourceNode, body.targetNode].map(end => {
+          const node = document.nodes[end.id];
+          const known = node && [...(node.endpoints || []), ...(node.interfaces || [])];
+          const iface = known?.find(candidate => candidate.name === end.interface);
+          return { end, node, iface, known };
+        });
+
+        const missingNode = ends.find(({ node }) => !node);
+        if (missingNode) {
+          return { status: 400, body: { message: `Unknown node: ${missingNode.end.id}` } };
+        }
+        const missingInterface = ends.find(({ iface, known }) => !iface && known.length > 0);
+        if (missingInterface) {
+          return {
+            status: 400,
+            body: { message: `Unknown interface ${missingInterface.end.interface} on node ${missingInterface.node.name || missingInterface.node.id}` }
+          };
+        }
+
+        // Interfaces as TopologyManager sees them on the canvas
+        const [source, target] = ends.map(({ end, iface }) => ({
+          ...iface,
+          nodeId: end.id,
+          name: end.interface,
+          type: end.interfaceType || iface?.type
+        }));
+
+        const check = checkConnection(source, target, {
+          nodes: document.nodes,
+          connections: document.connections,
+          isEndpointInUse: (nodeId, interfaceName) => Object.values(document.connections).some(conn =>
+            [conn.sourceNode, conn.targetNode].some(end => end?.id === nodeId && end?.interface === interfaceName)
+          )
+        });
+        if (!check.ok) {
+          return {
+            status: CONNECTION_CONFLICTS.includes(check.error) ? 409 : 400,
+            body: { message: check.reason, sourceType: check.sourceType, targetType: check.targetType }
+          };
+        }
+
+        const [sourceNode, targetNode] = ends.map(({ node }) => node);
+        const connection = serializeConnection({
+          ...createTopologyConnection(sourceNode, targetNode, source, target),
+          connectionStyle: body.connectionStyle,
+          properties: body.properties
+        });
+        document.connections[connection.id] = connection;
+
+        return {
+          result: { connection },
+          message: `Connect ${sourceNode.name || sourceNode.id} ${source.name} to ${targetNode.name || targetNode.id} ${target.name}`,
+          details: { connectionId: connection.id },
+          operation: { type: OPERATION_TYPES.CONNECTION_ADDED, connection }
+        };
+      }
+    });
+  } catch (error) {
+    return handleError(res, 'Failed to add connection', error);
+  }
+}
+
+/**
+ * Remove a connection from a diagram
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function removeConnection(req, res) {
+  try {
+    await editDiagram(req, res, {
+      action: 'connection/remove',
+      edit: (document) => {
+        const connection = document.connections[req.params.id];
+        if (!connection) {
+          return { status: 404, body: { message: 'Connection not found' } };
+        }
+        delete document.connections[connection.id];
+
+        return {
+          result: { connection },
+          message: `Remove connection ${connection.id}`,
+          details: { connectionId: connection.id },
+          operation: { type: OPERATION_TYPES.CONNECTION_REMOVED, connectionId: connection.id }
+        };
+      }
+    });
+  } catch (error) {
+    return handleError(res, 'Failed to remove connection', error);
+  }
+}
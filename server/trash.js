@@ -0,0 +1,286 @@
+import path from 'path';
+import crypto from 'crypto';
+import { FILE_EXTENSIONS, removeFileExtension } from './fileUtils.js';
+import { storage, findAvailableName } from './storage/index.js';
+import { recordChange, getRequestAuthor } from './history.js';
+import { updateSearchIndex } from './search.js';
+import { withFileLock } from './concurrency.js';
+import { getAccessResolver, checkItemAccess, hasAccess, folderOf } from './permissions.js';
+import { recordAudit } from './audit.js';
+
+/**
+ * Trash bin for deleted diagrams and folders
+ *
+ * Each deleted item is moved to `.trash/<id>/item/<name>` in the diagram
+ * storage, next to a `meta.json` holding its original path and deletion time. Items older than
+ * `TRASH_RETENTION_DAYS` (default 30, 0 keeps them forever) are purged
+ * automatically.
+ */
+
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+
+// How often expired items are looked for
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const TRASH_DIR = '.trash';
+const META_FILE = 'meta.json';
+const ITEM_DIR = 'item';
+
+const TRASH_ID_PATTERN = /^[0-9]+-[0-9a-f]+$/;
+
+/**
+ * Resolve the directory of a trash entry
+ * @param {string} id - Trash entry ID
+ * @returns {string} Directory path in the diagram storage
+ * @throws {Error} If the ID is malformed
+ */
+function getEntryDir(id) {
+  if (!TRASH_ID_PATTERN.test(id || '')) {
+    throw new Error('Invalid trash item ID');
+  }
+  return `${TRASH_DIR}/${id}`;
+}
+
+/**
+ * Read the metadata of a trash entry
+ * @param {string} id - Trash entry ID
+ * @returns {Promise<Object|null>} Metadata, or null if the entry does not exist
+ */
+async function readEntry(id) {
+  try {
+    return JSON.parse(await storage.read(`${getEntryDir(id)}/${META_FILE}`));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List all trash entries, newest first
+ * @returns {Promise<Array>} Metadata of every entry
+ */
+export async function listTrashEntries() {
+  const items = await storage.list(TRASH_DIR, { recursive: false, hidden: true });
+  const ids = items.map(item => path.posix.basename(item.path)).filter(id => TRASH_ID_PATTERN.test(id));
+  const entries = await Promise.all(ids.map(readEntry));
+  return entries
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+}
+
+/**
+ * Move a file or folder into the trash
+ * @param {string} diagramPath - Path relative to the diagrams directory
+ * @param {string} type - `file` or `folder`
+ * @param {Object} [author] - Who deleted it, `{ name, email }`
+ * @returns {Promise<Object>} Metadata of the new trash entry
+ */
+export async function moveToTrash(diagramPath, type, author) {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const entryDir = getEntryDir(id);
+  const name = path.posix.basename(diagramPath);
+
+  const entry = {
+    id,
+    type,
+    name: type === 'file' ? removeFileExtension(name, FILE_EXTENSIONS.DIAGRAM) : name,
+    originalPath: removeFileExtension(diagramPath, type === 'file' ? FILE_EXTENSIONS.DIAGRAM : ''),
+    deletedAt: new Date().toISOString(),
+    deletedBy: author?.name || null
+  };
+
+  await storage.move(diagramPath, `${entryDir}/${ITEM_DIR}/${name}`);
+  await storage.write(`${entryDir}/${META_FILE}`, JSON.stringify(entry, null, 2));
+  return entry;
+}
+
+/**
+ * Permanently delete a trash entry
+ * @param {string} id - Trash entry ID
+ * @returns {Promise<boolean>} Whether the entry existed
+ */
+export async function purgeTrashEntry(id) {
+  const entryDir = getEntryDir(id);
+  if (!(await storage.exists(entryDir))) return false;
+  await storage.remove(entryDir);
+  return true;
+}
+
+/**
+ * Purge entries older than the retention period
+ * @param {number} [retentionDays] - Age in days after which entries are purged
+ * @returns {Promise<Array<string>>} IDs of the purged entries
+ */
+export async function purgeExpiredTrash(retentionDays = TRASH_RETENTION_DAYS) {
+  if (!(retentionDays > 0)) return [];
+
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const expired = (await listTrashEntries()).filter(entry => new Date(entry.deletedAt).getTime() < cutoff);
+
+  for (const entry of expired) {
+    await purgeTrashEntry(entry.id);
+  }
+  if (expired.length > 0) {
+    console.log('Purged expired trash items:', expired.map(entry => entry.originalPath));
+  }
+  return expired.map(entry => entry.id);
+}
+
+/**
+ * Purge expired items now and then periodically
+ */
+export function scheduleTrashPurge() {
+  const purge = () => purgeExpiredTrash().catch(error => {
+    console.error('Failed to purge expired trash items:', error.message);
+  });
+
+  purge();
+  setInterval(purge, PURGE_INTERVAL_MS).unref();
+}
+
+/**
+ * Check whether a trash entry came from a folder the caller has a level on
+ * @param {Function} resolveAccess - Resolver from getAccessResolver
+ * @param {Object} entry - Trash entry
+ * @param {string} required - Required level
+ * @returns {boolean} Whether the level is granted
+ */
+const canAccessEntry = (resolveAccess, entry, required) => {
+  const folders = entry.type === 'folder'
+    ? [entry.originalPath, folderOf(entry.originalPath)]
+    : [folderOf(entry.originalPath)];
+  return folders.every(folder => hasAccess(resolveAccess(folder), required));
+};
+
+/**
+ * List trashed items from folders the caller can read
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listTrash(req, res) {
+  try {
+    const resolveAccess = await getAccessResolver(req);
+    const items = (await listTrashEntries()).filter(entry => canAccessEntry(resolveAccess, entry, 'read'));
+    return res.status(200).json({ items, retentionDays: TRASH_RETENTION_DAYS });
+
+  } catch (error) {
+    console.error('Trash List Error:', error);
+    return res.status(500).json({
+      message: 'Failed to list trash',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Restore a trashed item to its original path
+ *
+ * Missing parent folders are recreated. If something else now lives at the
+ * original path the request fails with 409, unless `collision` is `rename`.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function restoreFromTrash(req, res) {
+  try {
+    const { id, collision = 'fail' } = req.body || {};
+
+    const entry = await readEntry(id);
+    if (!entry) {
+      return res.status(404).json({ message: 'Trash item not found' });
+    }
+    if (!(await checkItemAccess(req, res, entry.originalPath, entry.type, 'write'))) return;
+
+    const extension = entry.type === 'file' ? FILE_EXTENSIONS.DIAGRAM : '';
+    const originalFile = `${entry.originalPath}${extension}`;
+    const targetDir = path.posix.dirname(originalFile);
+    const storedPath = `${getEntryDir(id)}/${ITEM_DIR}/${entry.name}${extension}`;
+
+    return await withFileLock(originalFile, async () => {
+      let restoredPath = originalFile;
+      if (await storage.exists(restoredPath)) {
+        if (collision !== 'rename') {
+          return res.status(409).json({
+            message: `${entry.originalPath} already exists`,
+            reason: 'exists',
+            path: entry.originalPath
+          });
+        }
+        const folder = targetDir === '.' ? '' : targetDir;
+        restoredPath = path.posix.join(folder, await findAvailableName(folder, entry.name, extension));
+      }
+
+      await storage.move(storedPath, restoredPath);
+      await storage.remove(getEntryDir(id));
+
+      await updateSearchIndex([restoredPath]);
+      const revision = await recordChange([restoredPath], {
+        author: getRequestAuthor(req),
+        message: `Restore ${restoredPath} from trash`
+      });
+
+      recordAudit(req, {
+        action: 'trash/restore',
+        path: restoredPath,
+        details: { type: entry.type, trashId: id, revision }
+      });
+      console.log('Trash item restored:', { id, path: restoredPath, revision });
+
+      return res.status(200).json({
+        message: 'Item restored',
+        type: entry.type,
+        path: removeFileExtension(restoredPath, extension),
+        revision
+      });
+    });
+
+  } catch (error) {
+    console.error('Trash Restore Error:', error);
+    return res.status(500).json({
+      message: 'Failed to restore item',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Permanently delete one trashed item, or all of them when no ID is given
+ * Emptying the trash only removes items from folders the caller can write.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function purgeTrash(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!id) {
+      const resolveAccess = await getAccessResolver(req);
+      const entries = (await listTrashEntries()).filter(entry => canAccessEntry(resolveAccess, entry, 'write'));
+      for (const entry of entries) {
+        await purgeTrashEntry(entry.id);
+      }
+      return res.status(200).json({ message: 'Trash emptied', purged: entries.map(entry => entry.id) });
+    }
+
+    const entry = await readEntry(id);
+    if (entry && !(await checkItemAccess(req, res, entry.originalPath, entry.type, 'write'))) return;
+
+    let purged;
+    try {
+      purged = await purgeTrashEntry(id);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (!purged) {
+      return res.status(404).json({ message: 'Trash item not found' });
+    }
+
+    return res.status(200).json({ message: 'Item purged', purged: [id] });
+
+  } catch (error) {
+    console.error('Trash Purge Error:', error);
+    return res.status(500).json({
+      message: 'Failed to purge trash',
+      error: error.message
+    });
+  }
+}
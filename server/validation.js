@@ -0,0 +1,159 @@
+import { OPENAPI_DOCUMENT } from './openapi.js';
+import { ERROR_CODES, sendError } from './apiErrors.js';
+import { validateSchema, toPointer } from '../src/utils/SchemaValidator.js';
+
+/**
+ * Request validation against the OpenAPI document
+ *
+ * Path and query parameters and JSON bodies are checked before a route
+ * handler runs, so handlers only see requests of the documented shape.
+ * Requests the document does not describe are passed through untouched.
+ */
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+/**
+ * Compile a path template such as `/api/users/{username}` into a matcher
+ * @param {string} template - OpenAPI path template
+ * @returns {Object} `{ pattern, names }`
+ */
+const compileTemplate = (template) => {
+  const names = [];
+  const source = template
+    .split(/(\{[^}]+\})/)
+    .map(part => {
+      if (part.startsWith('{')) {
+        names.push(part.slice(1, -1));
+        return '([^/]+)';
+      }
+      return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return { pattern: new RegExp(`^${source}/?$`), names };
+};
+
+// Literal paths win over templated ones, so /api/device-config/schema is
+// not taken for the configuration named "schema"
+const ROUTES = Object.entries(OPENAPI_DOCUMENT.paths)
+  .map(([template, item]) => ({ template, item, ...compileTemplate(template) }))
+  .sort((a, b) => a.names.length - b.names.length);
+
+/**
+ * Find the operation describing a request
+ * @param {string} method - HTTP method
+ * @param {string} requestPath - Path including the /api prefix
+ * @returns {Object|null} `{ operation, parameters, pathValues }`
+ */
+export const findOperation = (method, requestPath) => {
+  const key = method.toLowerCase();
+  if (!METHODS.includes(key)) return null;
+
+  for (const route of ROUTES) {
+    const operation = route.item[key];
+    const match = operation && route.pattern.exec(requestPath);
+    if (!match) continue;
+
+    const pathValues = {};
+    route.names.forEach((name, index) => {
+      pathValues[name] = match[index + 1];
+    });
+    return {
+      operation,
+      parameters: [...(route.item.parameters || []), ...(operation.parameters || [])],
+      pathValues
+    };
+  }
+  return null;
+};
+
+/**
+ * Convert a path or query string to the type its schema expects
+ * Values that do not convert are left as strings so validation reports them.
+ * @param {string} value - Raw value
+ * @param {Object} schema - Parameter schema
+ * @returns {*} Converted value
+ */
+const coerceParameter = (value, schema) => {
+  if (typeof value !== 'string') return value;
+  const types = [].concat(schema.type || []);
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+/**
+ * Check the path and query parameters of a request
+ * @param {Array} parameters - Parameter objects of the operation
+ * @param {Object} values - `{ path, query }` raw values
+ * @returns {Array} Errors as `{ pointer, message, in }`
+ */
+const validateParameters = (parameters, values) => {
+  const errors = [];
+  parameters
+    .filter(parameter => parameter.in === 'path' || parameter.in === 'query')
+    .forEach(parameter => {
+      const raw = values[parameter.in][parameter.name];
+      const pointer = toPointer(parameter.name);
+      if (raw === undefined || raw === '') {
+        if (parameter.required) {
+          errors.push({ pointer, message: 'is required', in: parameter.in });
+        }
+        return;
+      }
+      if (Array.isArray(raw)) {
+        errors.push({ pointer, message: 'must be given once', in: parameter.in });
+        return;
+      }
+      validateSchema(parameter.schema, coerceParameter(raw, parameter.schema)).errors.forEach(error => {
+        errors.push({ ...error, pointer: `${pointer}${error.pointer}`, in: parameter.in });
+      });
+    });
+  return errors;
+};
+
+/**
+ * Check a JSON request body
+ * @param {Object} requestBody - Request body object of the operation
+ * @param {*} body - Parsed body
+ * @returns {Array} Errors as `{ pointer, message, in }`
+ */
+const validateBody = (requestBody, body) => {
+  const schema = requestBody?.content?.['application/json']?.schema;
+  if (!schema) return [];
+  // Resolve `#/components/...` references against the document
+  const { errors } = validateSchema({ ...schema, components: OPENAPI_DOCUMENT.components }, body ?? {});
+  return errors.map(error => ({ ...error, in: 'body' }));
+};
+
+/**
+ * Middleware rejecting API requests that do not match the OpenAPI document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export function validateRequest(req, res, next) {
+  const match = findOperation(req.method, `${req.baseUrl}${req.path}`);
+  if (!match) return next();
+
+  const pathValues = {};
+  try {
+    Object.entries(match.pathValues).forEach(([name, value]) => {
+      pathValues[name] = decodeURIComponent(value);
+    });
+  } catch {
+    return sendError(res, 400, ERROR_CODES.INVALID_REQUEST, 'Malformed URL encoding');
+  }
+
+  const errors = [
+    ...validateParameters(match.parameters, { path: pathValues, query: req.query }),
+    ...validateBody(match.operation.requestBody, req.body)
+  ];
+  if (errors.length > 0) {
+    return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Invalid request', { errors });
+  }
+  next();
+}
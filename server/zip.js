@@ -0,0 +1,195 @@
+import zlib from 'zlib';
+
+/**
+ * Minimal ZIP archive support for diagram bundles
+ *
+ * Archives are written with deflated entries (or stored ones, when deflating
+ * does not help) and read back with either method, which covers what common
+ * zip tools produce. ZIP64, encrypted and multi-disk archives are refused.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_OF_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+const ZIP_VERSION = 20;
+
+/**
+ * Convert a date to the MS-DOS format used in ZIP headers
+ * @param {Date} date - Date to convert
+ * @returns {Object} `{ time, date }` as 16-bit values
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Create a ZIP archive
+ * @param {Array} entries - `{ name, data }` with data as Buffer or string
+ * @param {Date} [modified] - Modification time of every entry
+ * @returns {Buffer} Archive contents
+ */
+export function createZip(entries, modified = new Date()) {
+  const { time, date } = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const contents = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const fileName = Buffer.from(name, 'utf8');
+    const deflated = zlib.deflateRawSync(contents);
+    const method = deflated.length < contents.length ? METHOD_DEFLATED : METHOD_STORED;
+    const body = method === METHOD_DEFLATED ? deflated : contents;
+    const crc = zlib.crc32(contents);
+
+    const local = Buffer.alloc(LOCAL_HEADER_SIZE);
+    local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    local.writeUInt16LE(ZIP_VERSION, 4);
+    local.writeUInt16LE(FLAG_UTF8, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(contents.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(CENTRAL_HEADER_SIZE);
+    central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+    central.writeUInt16LE(ZIP_VERSION, 4);
+    central.writeUInt16LE(ZIP_VERSION, 6);
+    central.writeUInt16LE(FLAG_UTF8, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(contents.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, fileName, body);
+    centralParts.push(central, fileName);
+    offset += local.length + fileName.length + body.length;
+  });
+
+  const directory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(END_OF_DIRECTORY_SIZE);
+  end.writeUInt32LE(END_OF_DIRECTORY_SIGNATURE, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, directory, end]);
+}
+
+/**
+ * Find the end of central directory record
+ * @param {Buffer} buffer - Archive contents
+ * @returns {number} Offset of the record
+ * @throws {Error} If the buffer is not a ZIP archive
+ */
+function findEndOfDirectory(buffer) {
+  const lowest = Math.max(0, buffer.length - END_OF_DIRECTORY_SIZE - MAX_COMMENT_SIZE);
+  for (let offset = buffer.length - END_OF_DIRECTORY_SIZE; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_DIRECTORY_SIGNATURE) return offset;
+  }
+  throw new Error('File is not a ZIP archive');
+}
+
+/**
+ * Read the files of a ZIP archive
+ * Folder entries are skipped.
+ * @param {Buffer} buffer - Archive contents
+ * @param {Object} [options] - Read options
+ * @param {number} [options.maxBytes] - Largest total size of the unpacked files
+ * @returns {Map<string, Buffer>} File contents by entry name
+ * @throws {Error} If the archive is malformed, unsupported or too large
+ */
+export function readZip(buffer, { maxBytes = Infinity } = {}) {
+  if (buffer.length < END_OF_DIRECTORY_SIZE) {
+    throw new Error('File is not a ZIP archive');
+  }
+
+  const end = findEndOfDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  const directoryOffset = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const files = new Map();
+  let unpacked = 0;
+  let offset = directoryOffset;
+
+  for (let index = 0; index < count; index++) {
+    if (offset + CENTRAL_HEADER_SIZE > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('ZIP central directory is damaged');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + CENTRAL_HEADER_SIZE, offset + CENTRAL_HEADER_SIZE + nameLength);
+    offset += CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & FLAG_ENCRYPTED) {
+      throw new Error(`${name} is encrypted`);
+    }
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+      throw new Error(`${name} uses an unsupported compression method`);
+    }
+
+    unpacked += size;
+    if (unpacked > maxBytes) {
+      throw new Error('Archive contents are too large');
+    }
+
+    if (localOffset + LOCAL_HEADER_SIZE > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`${name} is damaged`);
+    }
+    const dataStart = localOffset + LOCAL_HEADER_SIZE
+      + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (dataStart + compressedSize > buffer.length) {
+      throw new Error(`${name} is damaged`);
+    }
+
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    let data;
+    try {
+      // The declared size also bounds what a crafted entry can inflate to
+      data = method === METHOD_STORED
+        ? Buffer.from(raw)
+        : zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    } catch {
+      throw new Error(`${name} is damaged`);
+    }
+    if (data.length !== size || zlib.crc32(data) !== crc) {
+      throw new Error(`${name} is damaged`);
+    }
+
+    files.set(name, data);
+  }
+
+  return files;
+}
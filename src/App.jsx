@@ -1,5 +1,8 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
+import { useNavigate, useMatch, useLocation } from 'react-router-dom';
 import FileExplorer from './components/FileExplorer';
+import SaveAsDialog from './components/SaveAsDialog';
+import ConflictDialog from './components/ConflictDialog';
 import Toolbar from './components/Toolbar/Toolbar'; // Import from the Toolbar directory
 import IconMenu from './components/IconMenu';
 import NetworkDiagram from './components/NetworkDiagram';
@@ -8,7 +11,10 @@ import { CANVAS_THEMES } from './constants/themes';
 import Logger from './utils/Logger';
 import './styles/App.css';
 import TopologyManager from './utils/TopologyManager'; // Import TopologyManager
+import CollaborationClient from './utils/CollaborationClient';
+import useDiagramLock from './hooks/useDiagramLock';
 import toast from './utils/toast'; // Import toast
+import { formatValidationErrors } from './utils/SchemaValidator';
 import axios from 'axios'; // Import axios
 
 /**
@@ -23,6 +29,29 @@ function App() {
     const [currentTheme, setCurrentTheme] = useState(CANVAS_THEMES.GRID_LIGHT.id);
     const [hasCanvasActivity, setHasCanvasActivity] = useState(false);
 
+    // Diagram file currently open on the canvas, relative to the diagrams folder
+    const [currentFile, setCurrentFile] = useState(null);
+    // ETag of the open file as last loaded or saved, sent back in If-Match
+    const [currentETag, setCurrentETag] = useState(null);
+    const [pendingSaveConfig, setPendingSaveConfig] = useState(null);
+    const [suggestedSavePath, setSuggestedSavePath] = useState(null);
+    const [saveConflict, setSaveConflict] = useState(null);
+    const [fileTreeVersion, setFileTreeVersion] = useState(0);
+    const navigate = useNavigate();
+    const diagramMatch = useMatch('/diagram/*');
+    const location = useLocation();
+
+    // Exclusive edit lock of the open file; the canvas is read only while someone else holds it
+    const diagramLock = useDiagramLock(currentFile);
+    const lockHolder = diagramLock.lock?.username || null;
+
+    // Node to bring into view, from the `focus` query parameter set by search results.
+    // The location key makes clicking the same result again scroll back to it.
+    const focusRequest = useMemo(() => {
+        const nodeId = new URLSearchParams(location.search).get('focus');
+        return nodeId ? { nodeId, key: location.key } : null;
+    }, [location.search, location.key]);
+
     // Set CSS variables for layout dimensions
     useEffect(() => {
         document.documentElement.style.setProperty('--icon-menu-width', `${LAYOUT.ICON_MENU_WIDTH}px`);
@@ -47,6 +76,38 @@ function App() {
         };
     }, []);
 
+    // Tell the user when an older diagram was upgraded on load
+    useEffect(() => {
+        const handleTopologyMigrated = ({ fromVersion, toVersion, changes }) => {
+            toast.info(`Diagram upgraded from format ${fromVersion} to ${toVersion}`, {
+                description: changes.map(change => change.description).join('\n')
+            });
+        };
+
+        TopologyManager.on('topologyMigrated', handleTopologyMigrated);
+        return () => TopologyManager.off('topologyMigrated', handleTopologyMigrated);
+    }, []);
+
+    // Share edits live with everyone who has the same diagram open
+    useEffect(() => {
+        if (!currentFile) return undefined;
+
+        // A collaborator's save changes the file we would overwrite next
+        const handleSaved = ({ etag }) => setCurrentETag(etag);
+
+        CollaborationClient.connect(currentFile);
+        CollaborationClient.on('saved', handleSaved);
+        return () => {
+            CollaborationClient.off('saved', handleSaved);
+            CollaborationClient.disconnect();
+        };
+    }, [currentFile]);
+
+    // Show checkouts of the open diagram in the File Explorer
+    useEffect(() => {
+        setFileTreeVersion(version => version + 1);
+    }, [lockHolder]);
+
     // Toolbar handlers
     const handleUndo = useCallback(() => {
         Logger.info('Undo action triggered');
@@ -61,8 +122,17 @@ function App() {
         Logger.info('Theme changed:', { theme });
     }, []);
 
-    const handleSaveDiagram = useCallback(async (config) => {
-        Logger.info('Save diagram triggered');
+    /**
+     * Send a topology to the server
+     * @param {Object} config - Topology configuration
+     * @param {string} [targetPath] - Diagram path to write to
+     * @param {string} [mode] - Save mode, `overwrite` or `saveAs`
+     * @param {Object} [options] - Save options
+     * @param {string} [options.ifMatch] - ETag to send instead of the one of the open file,
+     *   `*` for an overwrite the user confirmed
+     * @returns {Promise<string>} `saved`, `conflict`, `stale` or `failed`
+     */
+    const saveTopologyToServer = useCallback(async (config, targetPath, mode = 'overwrite', options = {}) => {
         try {
             // Validate topology before saving
             const nodeCount = Object.keys(config.nodes).length;
@@ -70,23 +140,40 @@ function App() {
 
             if (nodeCount === 0) {
                 toast.warning('No nodes in the topology to save');
-                return;
+                return 'failed';
             }
 
             Logger.debug('Saving Topology Configuration', {
+                targetPath,
+                mode,
                 nodeCount,
                 connectionCount,
-                configSize: JSON.stringify(config).length,
-                nodes: Object.keys(config.nodes),
-                connections: Object.keys(config.connections)
+                configSize: JSON.stringify(config).length
             });
 
+            // Overwriting the open file must match what we loaded. Without an
+            // ETag the header is left out, so the server refuses to overwrite
+            // and we ask first; only a confirmed overwrite passes `*`.
+            const headers = { 'Content-Type': 'application/json' };
+            const ifMatch = options.ifMatch || (targetPath === currentFile && currentETag);
+            if (mode === 'overwrite' && ifMatch) {
+                headers['If-Match'] = ifMatch;
+            }
+
             // Send topology to server for saving
-            const response = await axios.post('/api/topology/save', config, {
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            });
+            const response = await axios.post('/api/topology/save', {
+                topology: config,
+                path: targetPath,
+                mode
+            }, { headers });
+
+            // Remember the saved file so Ctrl+S keeps updating it in place
+            setCurrentFile(response.data.path);
+            setCurrentETag(response.data.etag);
+            setFileTreeVersion(version => version + 1);
+            if (response.data.path !== currentFile) {
+                navigate(`/diagram/${response.data.path}`);
+            }
 
             // Show success toast
             toast.success(`Topology saved as ${response.data.filename}`, {
@@ -96,27 +183,208 @@ function App() {
             // Log successful save
             Logger.info('Topology Saved Successfully', {
                 filename: response.data.filename,
-                serverPath: response.data.path
+                created: response.data.created
             });
 
+            return 'saved';
         } catch (error) {
+            if (error.response?.status === 409) {
+                if (error.response.data?.reason !== 'modified') {
+                    return 'conflict';
+                }
+
+                // Someone else saved this file since we loaded it
+                setSaveConflict({
+                    config,
+                    targetPath,
+                    serverCopy: error.response.data.current,
+                    etag: error.response.data.etag
+                });
+                return 'stale';
+            }
+
+            if (error.response?.status === 428) {
+                // We do not know which version we loaded, so show the stored one before overwriting it
+                try {
+                    const stored = await axios.get('/api/topology/load', { params: { filename: targetPath } });
+                    setSaveConflict({
+                        config,
+                        targetPath,
+                        serverCopy: stored.data,
+                        etag: stored.headers.etag || null,
+                        unverified: true
+                    });
+                    return 'stale';
+                } catch (loadError) {
+                    Logger.error('Failed to load the stored diagram', { targetPath, error: loadError.message });
+                }
+            }
+
             // Log detailed error information
             Logger.error('Topology Save Error', {
                 error: error.message,
                 stack: error.stack,
-                responseData: error.response?.data,
-                requestConfig: error.config
+                responseData: error.response?.data
             });
             
             // Check if it's an axios error with response
             const errorMessage = error.response?.data?.message || error.message;
+            const validationErrors = formatValidationErrors(error.response?.data?.errors);
             
             toast.error('Failed to save topology', {
-                description: errorMessage
+                description: [errorMessage, ...validationErrors].join('\n')
             });
+            return 'failed';
         }
+    }, [currentFile, currentETag, navigate]);
+
+    const handleSaveDiagramAs = useCallback((config) => {
+        Logger.info('Save diagram as triggered');
+        setSuggestedSavePath(null);
+        setPendingSaveConfig(config);
     }, []);
 
+    const handleSaveDiagram = useCallback((config) => {
+        Logger.info('Save diagram triggered');
+        if (!currentFile) {
+            // Nothing is open yet, ask where the diagram should go
+            handleSaveDiagramAs(config);
+            return;
+        }
+        if (diagramLock.isLockedByOther) {
+            toast.warning(`${currentFile} is checked out by ${diagramLock.lock.displayName}`, {
+                description: 'Use Save As to keep your changes in a copy'
+            });
+            return;
+        }
+        saveTopologyToServer(config, currentFile, 'overwrite');
+    }, [currentFile, diagramLock, handleSaveDiagramAs, saveTopologyToServer]);
+
+    const handleSaveAsSubmit = useCallback(async (targetPath, mode) => {
+        // The dialog only offers to overwrite after the user confirmed it
+        const options = mode === 'overwrite' ? { ifMatch: '*' } : {};
+        const result = await saveTopologyToServer(pendingSaveConfig, targetPath, mode, options);
+        if (result === 'saved') {
+            setPendingSaveConfig(null);
+        }
+        return result;
+    }, [pendingSaveConfig, saveTopologyToServer]);
+
+    // Keyboard shortcuts: Ctrl+S saves in place, Ctrl+Shift+S saves as
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 's') {
+                return;
+            }
+            event.preventDefault();
+
+            const config = TopologyManager.getTopology();
+            if (event.shiftKey) {
+                handleSaveDiagramAs(config);
+            } else {
+                handleSaveDiagram(config);
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [handleSaveDiagram, handleSaveDiagramAs]);
+
+    /**
+     * Fetch a diagram from the server and show it on the canvas
+     * @param {string} diagramPath - Diagram path without extension
+     */
+    const openDiagram = useCallback(async (diagramPath) => {
+        try {
+            Logger.debug('Opening diagram:', diagramPath);
+            const response = await axios.get('/api/topology/load', {
+                params: { filename: diagramPath }
+            });
+
+            if (TopologyManager.loadTopology(response.data)) {
+                setCurrentFile(diagramPath);
+                setCurrentETag(response.headers.etag || null);
+                toast.success(`Opened ${diagramPath}`);
+            } else {
+                toast.error('Failed to load diagram: Invalid configuration');
+            }
+        } catch (error) {
+            Logger.error('Failed to open diagram:', {
+                diagramPath,
+                error: error.message
+            });
+            toast.error('Failed to open diagram', {
+                description: [
+                    error.response?.data?.message || error.message,
+                    ...formatValidationErrors(error.response?.data?.errors)
+                ].join('\n')
+            });
+        }
+    }, []);
+
+    // Open the diagram referenced by the /diagram/<path> route
+    useEffect(() => {
+        const diagramPath = diagramMatch?.params['*'];
+        if (!diagramPath || diagramPath === currentFile) {
+            return;
+        }
+
+        openDiagram(diagramPath);
+    }, [diagramMatch, currentFile, openDiagram]);
+
+    const handleRevisionRestored = useCallback((restoredPath) => {
+        // History paths carry the extension, routes and currentFile do not
+        const diagramPath = restoredPath.replace(/\.json$/, '');
+        setFileTreeVersion(version => version + 1);
+        if (diagramPath === currentFile) {
+            openDiagram(diagramPath);
+        }
+    }, [currentFile, openDiagram]);
+
+    const handleItemMoved = useCallback((fromPath, toPath, type) => {
+        if (!currentFile) return;
+
+        // Follow the open diagram when it or its folder was moved
+        let movedFile = null;
+        if (type === 'file' && currentFile === fromPath) {
+            movedFile = toPath;
+        } else if (type === 'folder' && currentFile.startsWith(`${fromPath}/`)) {
+            movedFile = `${toPath}${currentFile.slice(fromPath.length)}`;
+        }
+
+        if (movedFile) {
+            setCurrentFile(movedFile);
+            navigate(`/diagram/${movedFile}`);
+        }
+    }, [currentFile, navigate]);
+
+    const handleConflictOverwrite = useCallback(() => {
+        const { config, targetPath, etag } = saveConflict;
+        setSaveConflict(null);
+        // A deleted file has no ETag, so recreate it unconditionally
+        saveTopologyToServer(config, targetPath, 'overwrite', { ifMatch: etag || '*' });
+    }, [saveConflict, saveTopologyToServer]);
+
+    const handleConflictReload = useCallback(() => {
+        const { targetPath } = saveConflict;
+        setSaveConflict(null);
+        openDiagram(targetPath);
+    }, [saveConflict, openDiagram]);
+
+    const handleConflictSaveAsCopy = useCallback(() => {
+        const { config, targetPath } = saveConflict;
+        setSaveConflict(null);
+        setSuggestedSavePath(`${targetPath}-copy`);
+        setPendingSaveConfig(config);
+    }, [saveConflict]);
+
+    const handleResetDiagram = useCallback(() => {
+        // A reset canvas is no longer backed by a file
+        setCurrentFile(null);
+        setCurrentETag(null);
+        navigate('/');
+    }, [navigate]);
+
     const handleLoadDiagram = useCallback(() => {
         Logger.info('Load diagram triggered');
         try {
@@ -163,7 +431,11 @@ function App() {
                         onThemeChange={handleThemeChange}
                         hasCanvasActivity={hasCanvasActivity}
                         onSaveDiagram={handleSaveDiagram}
+                        onSaveDiagramAs={handleSaveDiagramAs}
+                        currentFile={currentFile}
+                        diagramLock={diagramLock}
                         onLoadDiagram={handleLoadDiagram}
+                        onResetDiagram={handleResetDiagram}
                         onUploadFile={handleUploadFile}
                         onToggleListView={handleToggleListView}
                     />
@@ -172,12 +444,32 @@ function App() {
                     <NetworkDiagram
                         currentTheme={currentTheme}
                         onCanvasActivityChange={setHasCanvasActivity}
+                        focusRequest={focusRequest}
+                        readOnly={diagramLock.isLockedByOther}
                     />
                 </div>
             </div>
             <div className="right-sidebar">
-                <FileExplorer />
+                <FileExplorer
+                    activeFile={currentFile}
+                    refreshToken={fileTreeVersion}
+                    onRevisionRestored={handleRevisionRestored}
+                    onItemMoved={handleItemMoved}
+                />
             </div>
+            <SaveAsDialog
+                open={!!pendingSaveConfig}
+                defaultPath={suggestedSavePath || currentFile || ''}
+                onClose={() => setPendingSaveConfig(null)}
+                onSave={handleSaveAsSubmit}
+            />
+            <ConflictDialog
+                conflict={saveConflict}
+                onClose={() => setSaveConflict(null)}
+                onOverwrite={handleConflictOverwrite}
+                onReload={handleConflictReload}
+                onSaveAsCopy={handleConflictSaveAsCopy}
+            />
         </div>
     );
 }
@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Box,
+    TextField,
+    Autocomplete,
+    Typography,
+    MenuItem,
+    Alert
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import axios from 'axios';
+import Logger from '../utils/Logger';
+import toast from '../utils/toast';
+import { PATHS } from '../constants/paths';
+
+// Upload content types by file extension, for browsers that leave File.type empty
+const CONTENT_TYPES = {
+    svg: 'image/svg+xml',
+    png: 'image/png'
+};
+
+/**
+ * Get the upload content type of a file
+ * @param {File} file - Selected file
+ * @returns {string|null} Content type, or null if the file is not SVG or PNG
+ */
+const getContentType = (file) => {
+    if (Object.values(CONTENT_TYPES).includes(file.type)) return file.type;
+    return CONTENT_TYPES[file.name.split('.').pop().toLowerCase()] || null;
+};
+
+const EMPTY_METADATA = {
+    displayName: '',
+    category: '',
+    vendor: '',
+    tags: '',
+    deviceConfig: ''
+};
+
+/**
+ * AddIconDialog - uploads an SVG or PNG icon to the icon library
+ * SVGs are sanitized by the server; the icon is usable right away and its
+ * metadata is added to the icon manifest.
+ */
+const AddIconDialog = ({ open, categories, onClose, onUploaded }) => {
+    const [file, setFile] = useState(null);
+    const [name, setName] = useState('');
+    const [metadata, setMetadata] = useState(EMPTY_METADATA);
+    const [deviceConfigs, setDeviceConfigs] = useState([]);
+    const [error, setError] = useState(null);
+    const [isUploading, setIsUploading] = useState(false);
+
+    useEffect(() => {
+        if (!open) return;
+        setFile(null);
+        setName('');
+        setMetadata(EMPTY_METADATA);
+        setError(null);
+        axios.get('/api/device-config')
+            .then(response => setDeviceConfigs(response.data))
+            .catch(listError => Logger.error('AddIconDialog: Failed to list device configurations', {
+                error: listError.message
+            }));
+    }, [open]);
+
+    const updateMetadata = (changes) => {
+        setMetadata(prev => ({ ...prev, ...changes }));
+    };
+
+    const handleFileChange = (e) => {
+        const selected = e.target.files?.[0];
+        if (!selected) return;
+
+        setError(getContentType(selected) ? null : 'Only SVG and PNG files can be added');
+        setFile(selected);
+        setName(selected.name.replace(/\.(svg|png)$/i, ''));
+    };
+
+    const handleUpload = async () => {
+        const contentType = file && getContentType(file);
+        if (!contentType || !name.trim()) return;
+
+        setIsUploading(true);
+        try {
+            // Empty fields are left out of the manifest entry
+            const params = Object.fromEntries(
+                Object.entries(metadata)
+                    .map(([key, value]) => [key, value.trim()])
+                    .filter(([, value]) => value)
+            );
+            const response = await axios.post(PATHS.ICONS_API, file, {
+                params: { name: name.trim(), ...params },
+                headers: { 'Content-Type': contentType }
+            });
+            toast.success(`Added icon ${response.data.filename}`);
+            onUploaded?.(response.data);
+            onClose();
+        } catch (uploadError) {
+            Logger.error('AddIconDialog: Failed to upload icon', {
+                name,
+                error: uploadError.message
+            });
+            setError(uploadError.response?.data?.message || uploadError.message);
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+            <DialogTitle>Add Icon</DialogTitle>
+            <DialogContent>
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+                    <Button component="label" variant="outlined" startIcon={<UploadFileIcon />}>
+                        {file ? file.name : 'Choose SVG or PNG file'}
+                        <input type="file" accept=".svg,.png,image/svg+xml,image/png" hidden onChange={handleFileChange} />
+                    </Button>
+                    <TextField
+                        label="Name"
+                        size="small"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        helperText="Stored in lower case; the first word becomes the node type"
+                    />
+                    <TextField
+                        label="Display Name (optional)"
+                        size="small"
+                        value={metadata.displayName}
+                        onChange={(e) => updateMetadata({ displayName: e.target.value })}
+                    />
+                    <Autocomplete
+                        freeSolo
+                        options={categories}
+                        inputValue={metadata.category}
+                        onInputChange={(e, value) => updateMetadata({ category: value })}
+                        renderInput={(params) => (
+                            <TextField {...params} label="Category (optional)" size="small" />
+                        )}
+                    />
+                    <Box sx={{ display: 'flex', gap: 2 }}>
+                        <TextField
+                            label="Vendor (optional)"
+                            size="small"
+                            value={metadata.vendor}
+                            onChange={(e) => updateMetadata({ vendor: e.target.value })}
+                            fullWidth
+                        />
+                        <TextField
+                            label="Tags (optional)"
+                            size="small"
+                            value={metadata.tags}
+                            onChange={(e) => updateMetadata({ tags: e.target.value })}
+                            placeholder="firewall, edge"
+                            fullWidth
+                        />
+                    </Box>
+                    <TextField
+                        select
+                        label="Device Type"
+                        size="small"
+                        value={metadata.deviceConfig}
+                        onChange={(e) => updateMetadata({ deviceConfig: e.target.value })}
+                        helperText="Interfaces given to nodes created from this icon"
+                    >
+                        <MenuItem value="">
+                            <em>None (match by file name)</em>
+                        </MenuItem>
+                        {deviceConfigs.map(config => (
+                            <MenuItem key={config.name} value={config.name}>{config.name}</MenuItem>
+                        ))}
+                    </TextField>
+                    <Typography variant="caption" color="text.secondary">
+                        Scripts, event handlers and external references are removed from SVG files.
+                    </Typography>
+                    {error && <Alert severity="error">{error}</Alert>}
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Cancel</Button>
+                <Button
+                    onClick={handleUpload}
+                    variant="contained"
+                    color="primary"
+                    disabled={!file || !getContentType(file) || !name.trim() || isUploading}
+                >
+                    Add
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+AddIconDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    categories: PropTypes.arrayOf(PropTypes.string).isRequired,
+    onClose: PropTypes.func.isRequired,
+    onUploaded: PropTypes.func
+};
+
+export default AddIconDialog;
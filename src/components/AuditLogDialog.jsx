@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Box,
+    TextField,
+    Table,
+    TableHead,
+    TableBody,
+    TableRow,
+    TableCell,
+    Typography,
+    CircularProgress
+} from '@mui/material';
+import axios from 'axios';
+import Logger from '../utils/Logger';
+import toast from '../utils/toast';
+
+const EMPTY_FILTERS = { path: '', user: '', from: '', to: '' };
+
+/**
+ * Describe the node and connection delta of an audit entry
+ * @param {Object} [delta] - `{ nodes, connections }` with added, removed and changed counts
+ * @returns {string} Summary such as `nodes +2 −1 ~3, connections +1`
+ */
+const describeDelta = (delta) => {
+    if (!delta) return '';
+    return ['nodes', 'connections']
+        .map(kind => {
+            const { added, removed, changed } = delta[kind];
+            const parts = [
+                added && `+${added}`,
+                removed && `−${removed}`,
+                changed && `~${changed}`
+            ].filter(Boolean);
+            return parts.length ? `${kind} ${parts.join(' ')}` : null;
+        })
+        .filter(Boolean)
+        .join(', ') || 'no changes';
+};
+
+/**
+ * Convert a datetime-local input value to an ISO timestamp
+ * @param {string} value - Local date and time, or empty
+ * @returns {string|undefined} ISO timestamp
+ */
+const toIsoTime = (value) => (value ? new Date(value).toISOString() : undefined);
+
+/**
+ * AuditLogDialog - browse the audit trail of diagram changes (administrators only)
+ */
+const AuditLogDialog = ({ open, onClose }) => {
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [entries, setEntries] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [isLoading, setIsLoading] = useState(false);
+
+    const loadEntries = useCallback(async (query) => {
+        setIsLoading(true);
+        try {
+            const response = await axios.get('/api/audit', {
+                params: {
+                    path: query.path.trim() || undefined,
+                    user: query.user.trim() || undefined,
+                    from: toIsoTime(query.from),
+                    to: toIsoTime(query.to)
+                }
+            });
+            setEntries(response.data.entries);
+            setTotal(response.data.total);
+        } catch (error) {
+            Logger.error('AuditLogDialog: Failed to load audit log', { error: error.message });
+            toast.error('Failed to load audit log', {
+                description: error.response?.data?.message || error.message
+            });
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (!open) return;
+        setFilters(EMPTY_FILTERS);
+        loadEntries(EMPTY_FILTERS);
+    }, [open, loadEntries]);
+
+    const updateFilter = (field) => (e) => setFilters(prev => ({ ...prev, [field]: e.target.value }));
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+            <DialogTitle>Audit Log</DialogTitle>
+            <DialogContent dividers>
+                <Box
+                    component="form"
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        loadEntries(filters);
+                    }}
+                    sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}
+                >
+                    <TextField label="Path" size="small" value={filters.path} onChange={updateFilter('path')} />
+                    <TextField label="User" size="small" value={filters.user} onChange={updateFilter('user')} />
+                    <TextField
+                        label="From"
+                        type="datetime-local"
+                        size="small"
+                        value={filters.from}
+                        onChange={updateFilter('from')}
+                        InputLabelProps={{ shrink: true }}
+                    />
+                    <TextField
+                        label="To"
+                        type="datetime-local"
+                        size="small"
+                        value={filters.to}
+                        onChange={updateFilter('to')}
+                        InputLabelProps={{ shrink: true }}
+                    />
+                    <Button type="submit" variant="contained" disabled={isLoading}>
+                        Filter
+                    </Button>
+                </Box>
+
+                {isLoading ? (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+                        <CircularProgress size={24} />
+                    </Box>
+                ) : (
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Time</TableCell>
+                                <TableCell>User</TableCell>
+                                <TableCell>Action</TableCell>
+                                <TableCell>Path</TableCell>
+                                <TableCell>Changes</TableCell>
+                                <TableCell>Client</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {entries.map((entry, index) => (
+                                <TableRow key={`${entry.time}-${index}`}>
+                                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                                        {new Date(entry.time).toLocaleString()}
+                                    </TableCell>
+                                    <TableCell>{entry.user || 'anonymous'}</TableCell>
+                                    <TableCell>{entry.action}</TableCell>
+                                    <TableCell>
+                                        {entry.from ? `${entry.from} → ${entry.path}` : entry.path}
+                                    </TableCell>
+                                    <TableCell>{describeDelta(entry.delta)}</TableCell>
+                                    <TableCell>{entry.ip}</TableCell>
+                                </TableRow>
+                            ))}
+                            {entries.length === 0 && (
+                                <TableRow>
+                                    <TableCell colSpan={6}>
+                                        <Typography variant="body2" color="text.secondary">
+                                            No matching entries
+                                        </Typography>
+                                    </TableCell>
+                                </TableRow>
+                            )}
+                        </TableBody>
+                    </Table>
+                )}
+                {total > entries.length && (
+                    <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+                        Showing the newest {entries.length} of {total} entries
+                    </Typography>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Close</Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+AuditLogDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    onClose: PropTypes.func.isRequired
+};
+
+export default AuditLogDialog;
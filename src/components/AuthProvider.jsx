@@ -0,0 +1,98 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Box, CircularProgress } from '@mui/material';
+import axios from 'axios';
+import LoginScreen from './LoginScreen';
+import { AuthContext } from '../hooks/useAuth';
+import {
+    getSession,
+    setSession,
+    clearSession,
+    onSessionCleared,
+    installAuthInterceptors
+} from '../utils/AuthSession';
+import Logger from '../utils/Logger';
+import toast from '../utils/toast';
+
+installAuthInterceptors();
+
+/**
+ * AuthProvider - shows the login screen until a user is logged in
+ * Children are only rendered with a valid session; they read the user through useAuth.
+ */
+const AuthProvider = ({ children }) => {
+    // loading, setup, anonymous or authenticated
+    const [status, setStatus] = useState('loading');
+    const [user, setUser] = useState(null);
+
+    /**
+     * Decide between the editor, the login screen and first-time setup
+     */
+    const resolveSession = useCallback(async () => {
+        try {
+            if (getSession()) {
+                // The stored user may have been changed or deleted meanwhile
+                const response = await axios.get('/api/auth/me');
+                setUser(response.data.user);
+                setStatus('authenticated');
+                return;
+            }
+
+            const response = await axios.get('/api/auth/status');
+            setUser(null);
+            setStatus(response.data.setupRequired ? 'setup' : 'anonymous');
+        } catch (error) {
+            Logger.error('AuthProvider: Failed to resolve session', { error: error.message });
+            setUser(null);
+            setStatus('anonymous');
+        }
+    }, []);
+
+    useEffect(() => {
+        resolveSession();
+    }, [resolveSession]);
+
+    // An expired token answered with 401 ends the session
+    useEffect(() => onSessionCleared(() => {
+        setUser(null);
+        setStatus('anonymous');
+    }), []);
+
+    const handleLogin = useCallback((session) => {
+        setSession(session);
+        setUser(session.user);
+        setStatus('authenticated');
+        toast.success(`Logged in as ${session.user.displayName}`);
+    }, []);
+
+    const logout = useCallback(() => {
+        Logger.info('User logged out', { username: user?.username });
+        clearSession();
+    }, [user]);
+
+    const value = useMemo(() => ({ user, logout }), [user, logout]);
+
+    if (status === 'loading') {
+        return (
+            <Box sx={{ height: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                <CircularProgress />
+            </Box>
+        );
+    }
+
+    if (status !== 'authenticated') {
+        return <LoginScreen setupRequired={status === 'setup'} onLogin={handleLogin} />;
+    }
+
+    return (
+        <AuthContext.Provider value={value}>
+            {children}
+        </AuthContext.Provider>
+    );
+};
+
+AuthProvider.propTypes = {
+    children: PropTypes.node.isRequired
+};
+
+export default AuthProvider;
@@ -0,0 +1,75 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogContentText,
+    DialogActions,
+    Button
+} from '@mui/material';
+
+/**
+ * Describe the server copy of a conflicting diagram
+ * @param {Object|null} serverCopy - Topology document currently on the server
+ * @returns {string} Short description
+ */
+const describeServerCopy = (serverCopy) => {
+    const nodeCount = Object.keys(serverCopy?.nodes || {}).length;
+    const connectionCount = Object.keys(serverCopy?.connections || {}).length;
+    const savedAt = serverCopy?.timestamp
+        ? `, saved ${new Date(serverCopy.timestamp).toLocaleString()}`
+        : '';
+    return `The server copy has ${nodeCount} node(s) and ${connectionCount} connection(s)${savedAt}.`;
+};
+
+/**
+ * ConflictDialog - shown when a save is rejected because the diagram
+ * changed on the server after it was loaded, or because it is not known
+ * which version was loaded (`unverified`)
+ */
+const ConflictDialog = ({ conflict, onClose, onOverwrite, onReload, onSaveAsCopy }) => {
+    const isDeleted = conflict && !conflict.serverCopy && !conflict.etag;
+
+    return (
+        <Dialog open={!!conflict} onClose={onClose} maxWidth="xs" fullWidth>
+            <DialogTitle>Diagram changed on the server</DialogTitle>
+            <DialogContent>
+                {conflict && (
+                    <DialogContentText>
+                        {isDeleted && <><strong>{conflict.targetPath}</strong> was deleted on the server after you opened it.</>}
+                        {!isDeleted && conflict.unverified && <><strong>{conflict.targetPath}</strong> may have been changed on the server: the version you opened is not known. {describeServerCopy(conflict.serverCopy)}</>}
+                        {!isDeleted && !conflict.unverified && <><strong>{conflict.targetPath}</strong> was modified by someone else after you opened it. {describeServerCopy(conflict.serverCopy)}</>}
+                    </DialogContentText>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Cancel</Button>
+                <Button onClick={onReload} disabled={isDeleted}>
+                    Reload
+                </Button>
+                <Button onClick={onSaveAsCopy}>
+                    Save as Copy
+                </Button>
+                <Button onClick={onOverwrite} variant="contained" color="error">
+                    Overwrite
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+ConflictDialog.propTypes = {
+    conflict: PropTypes.shape({
+        targetPath: PropTypes.string.isRequired,
+        serverCopy: PropTypes.object,
+        etag: PropTypes.string,
+        unverified: PropTypes.bool
+    }),
+    onClose: PropTypes.func.isRequired,
+    onOverwrite: PropTypes.func.isRequired,
+    onReload: PropTypes.func.isRequired,
+    onSaveAsCopy: PropTypes.func.isRequired
+};
+
+export default ConflictDialog;
@@ -0,0 +1,340 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    List,
+    ListItemButton,
+    ListItemText,
+    Box,
+    Typography,
+    TextField,
+    MenuItem,
+    Autocomplete,
+    IconButton,
+    Divider,
+    Alert
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import AddIcon from '@mui/icons-material/Add';
+import axios from 'axios';
+import Logger from '../utils/Logger';
+import toast from '../utils/toast';
+import { PATHS } from '../constants/paths';
+import { validateDeviceConfig } from '../utils/DeviceConfigSchema';
+import { formatValidationErrors } from '../utils/SchemaValidator';
+
+// Suggestions for the interface type field; any other value is accepted too
+const INTERFACE_TYPES = ['Ethernet', 'Serial', 'Fiber', 'Console', 'Management'];
+
+const EMPTY_FORM = {
+    name: '',
+    config: { deviceType: '', icon: '', interfaces: [] }
+};
+
+/**
+ * Convert the form state into the configuration sent to the server
+ * @param {Object} config - Edited configuration
+ * @returns {Object} Configuration without an empty icon binding
+ */
+const toDeviceConfig = (config) => {
+    const { icon, ...rest } = config;
+    return icon ? { ...rest, icon } : rest;
+};
+
+/**
+ * DeviceConfigDialog - create, edit and delete device configurations
+ * Changes apply to nodes created afterwards; existing nodes keep their interfaces.
+ */
+const DeviceConfigDialog = ({ open, onClose }) => {
+    const [configs, setConfigs] = useState([]);
+    const [icons, setIcons] = useState([]);
+    // Name of the configuration being edited, null when creating a new one
+    const [editing, setEditing] = useState(null);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [errors, setErrors] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const loadConfigs = useCallback(async () => {
+        try {
+            const response = await axios.get('/api/device-config');
+            setConfigs(response.data);
+        } catch (error) {
+            Logger.error('DeviceConfigDialog: Failed to list device configurations', {
+                error: error.message
+            });
+            toast.error('Failed to load device configurations');
+        }
+    }, []);
+
+    useEffect(() => {
+        if (!open) return;
+
+        setEditing(null);
+        setForm(EMPTY_FORM);
+        setErrors([]);
+        loadConfigs();
+        axios.get('/api/list-icons')
+            .then(response => setIcons(response.data))
+            .catch(error => Logger.error('DeviceConfigDialog: Failed to list icons', { error: error.message }));
+    }, [open, loadConfigs]);
+
+    /**
+     * Load a configuration into the form
+     * @param {string} name - Configuration name
+     */
+    const handleSelect = async (name) => {
+        try {
+            const response = await axios.get(`/api/device-config/${encodeURIComponent(name)}`);
+            setEditing(name);
+            setForm({
+                name,
+                config: {
+                    ...response.data,
+                    icon: response.data.icon || '',
+                    interfaces: response.data.interfaces || []
+                }
+            });
+            setErrors([]);
+        } catch (error) {
+            Logger.error('DeviceConfigDialog: Failed to load device configuration', {
+                name,
+                error: error.message
+            });
+            toast.error(`Failed to load ${name}`, {
+                description: error.response?.data?.message || error.message
+            });
+        }
+    };
+
+    const handleNew = () => {
+        setEditing(null);
+        setForm(EMPTY_FORM);
+        setErrors([]);
+    };
+
+    const updateConfig = (changes) => {
+        setForm(prev => ({ ...prev, config: { ...prev.config, ...changes } }));
+    };
+
+    const updateInterface = (index, changes) => {
+        updateConfig({
+            interfaces: form.config.interfaces.map((iface, i) => (i === index ? { ...iface, ...changes } : iface))
+        });
+    };
+
+    const addInterface = () => {
+        updateConfig({
+            interfaces: [...form.config.interfaces, { name: '', type: 'Ethernet', speed: '' }]
+        });
+    };
+
+    const removeInterface = (index) => {
+        updateConfig({
+            interfaces: form.config.interfaces.filter((_, i) => i !== index)
+        });
+    };
+
+    const handleSave = async () => {
+        const config = toDeviceConfig(form.config);
+        const validation = validateDeviceConfig(config);
+        if (!validation.valid) {
+            setErrors(formatValidationErrors(validation.errors));
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            if (editing) {
+                await axios.put(`/api/device-config/${encodeURIComponent(editing)}`, { config });
+            } else {
+                await axios.post('/api/device-config', { name: form.name.trim(), config });
+            }
+            toast.success(`Saved device configuration ${editing || form.name.trim()}`);
+            setEditing(editing || form.name.trim());
+            setErrors([]);
+            await loadConfigs();
+        } catch (error) {
+            Logger.error('DeviceConfigDialog: Failed to save device configuration', {
+                name: editing || form.name,
+                error: error.message
+            });
+            setErrors([
+                error.response?.data?.message || error.message,
+                ...formatValidationErrors(error.response?.data?.errors)
+            ]);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!editing || !window.confirm(`Delete device configuration ${editing}?`)) return;
+
+        try {
+            await axios.delete(`/api/device-config/${encodeURIComponent(editing)}`);
+            toast.success(`Deleted device configuration ${editing}`);
+            handleNew();
+            await loadConfigs();
+        } catch (error) {
+            Logger.error('DeviceConfigDialog: Failed to delete device configuration', {
+                name: editing,
+                error: error.message
+            });
+            toast.error(`Failed to delete ${editing}`, {
+                description: error.response?.data?.message || error.message
+            });
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+            <DialogTitle>Device Types</DialogTitle>
+            <DialogContent dividers sx={{ display: 'flex', gap: 2, minHeight: 420 }}>
+                <Box sx={{ width: 200, flexShrink: 0 }}>
+                    <Button startIcon={<AddIcon />} onClick={handleNew} fullWidth>
+                        New Device Type
+                    </Button>
+                    <List dense disablePadding>
+                        {configs.map(config => (
+                            <ListItemButton
+                                key={config.name}
+                                selected={editing === config.name}
+                                onClick={() => handleSelect(config.name)}
+                            >
+                                <ListItemText
+                                    primary={config.name}
+                                    secondary={`${config.deviceType || 'untyped'} · ${config.interfaceCount} interface(s)`}
+                                />
+                            </ListItemButton>
+                        ))}
+                    </List>
+                </Box>
+
+                <Divider orientation="vertical" flexItem />
+
+                <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column', gap: 2 }}>
+                    <Box sx={{ display: 'flex', gap: 2 }}>
+                        <TextField
+                            label="Name"
+                            size="small"
+                            value={form.name}
+                            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                            disabled={!!editing}
+                            helperText={editing ? `Stored as deviceconfig/${editing}.json` : 'Letters, digits, ".", "_" and "-"'}
+                            fullWidth
+                        />
+                        <TextField
+                            label="Device Type"
+                            size="small"
+                            value={form.config.deviceType}
+                            onChange={(e) => updateConfig({ deviceType: e.target.value })}
+                            helperText="e.g. router or switch"
+                            fullWidth
+                        />
+                    </Box>
+
+                    <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+                        <TextField
+                            select
+                            label="Icon"
+                            size="small"
+                            value={form.config.icon}
+                            onChange={(e) => updateConfig({ icon: e.target.value })}
+                            helperText="Nodes created from this icon get these interfaces"
+                            fullWidth
+                        >
+                            <MenuItem value="">
+                                <em>None (match by file name)</em>
+                            </MenuItem>
+                            {icons.map(icon => (
+                                <MenuItem key={icon} value={icon}>{icon}</MenuItem>
+                            ))}
+                        </TextField>
+                        {form.config.icon && (
+                            <img
+                                src={`${PATHS.NET_ICONS}/${form.config.icon}`}
+                                alt={form.config.icon}
+                                style={{ width: 40, height: 40, objectFit: 'contain' }}
+                            />
+                        )}
+                    </Box>
+
+                    <Typography variant="subtitle2">Interfaces</Typography>
+                    {form.config.interfaces.length === 0 && (
+                        <Typography variant="body2" color="text.secondary">
+                            No interfaces defined yet.
+                        </Typography>
+                    )}
+                    {form.config.interfaces.map((iface, index) => (
+                        <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                            <TextField
+                                label="Name"
+                                size="small"
+                                value={iface.name}
+                                onChange={(e) => updateInterface(index, { name: e.target.value })}
+                                sx={{ flex: 2 }}
+                            />
+                            <Autocomplete
+                                freeSolo
+                                options={INTERFACE_TYPES}
+                                inputValue={iface.type || ''}
+                                onInputChange={(e, value) => updateInterface(index, { type: value })}
+                                renderInput={(params) => <TextField {...params} label="Type" size="small" />}
+                                sx={{ flex: 1 }}
+                            />
+                            <TextField
+                                label="Speed"
+                                size="small"
+                                value={iface.speed || ''}
+                                onChange={(e) => updateInterface(index, { speed: e.target.value })}
+                                placeholder="1000Mbps"
+                                sx={{ flex: 1 }}
+                            />
+                            <IconButton onClick={() => removeInterface(index)} title="Remove Interface">
+                                <DeleteIcon fontSize="small" />
+                            </IconButton>
+                        </Box>
+                    ))}
+                    <Box>
+                        <Button startIcon={<AddIcon />} onClick={addInterface} size="small">
+                            Add Interface
+                        </Button>
+                    </Box>
+
+                    {errors.length > 0 && (
+                        <Alert severity="error" sx={{ whiteSpace: 'pre-line' }}>
+                            {errors.join('\n')}
+                        </Alert>
+                    )}
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                {editing && (
+                    <Button onClick={handleDelete} color="error" sx={{ mr: 'auto' }}>
+                        Delete
+                    </Button>
+                )}
+                <Button onClick={onClose}>Close</Button>
+                <Button
+                    onClick={handleSave}
+                    variant="contained"
+                    color="primary"
+                    disabled={isSaving || (!editing && !form.name.trim())}
+                >
+                    Save
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+DeviceConfigDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    onClose: PropTypes.func.isRequired
+};
+
+export default DeviceConfigDialog;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import styled from "styled-components";
 import {
   FaFolder,
@@ -8,7 +8,19 @@ import {
   FaFolderPlus,
   FaTrash,
   FaChevronRight,
-  FaChevronDown
+  FaChevronDown,
+  FaHistory,
+  FaTrashAlt,
+  FaUndo,
+  FaTimes,
+  FaSearch,
+  FaCircle,
+  FaLink,
+  FaLock,
+  FaUserLock,
+  FaUserShield,
+  FaFileExport,
+  FaFileImport
 } from "react-icons/fa";
 import {
   Dialog,
@@ -17,6 +29,7 @@ import {
   DialogActions,
   Button,
   TextField,
+  InputAdornment,
   Box,
   IconButton as MuiIconButton,
   Tooltip,
@@ -28,6 +41,11 @@ import {
 } from '@mui/material';
 import axios from "axios";
 import { useNavigate, useLocation } from "react-router-dom";
+import HistoryDialog from "./HistoryDialog";
+import FolderPermissionsDialog from "./FolderPermissionsDialog";
+import ImportBundleDialog from "./ImportBundleDialog";
+import { hasAccess } from "../utils/Permissions";
+import useAuth from "../hooks/useAuth";
 
 const FileExplorerContainer = styled.div`
   width: 250px;
@@ -38,6 +56,10 @@ const FileExplorerContainer = styled.div`
   padding: 1rem;
   overflow-y: auto;
   font-family: monospace;
+
+  &:focus {
+    outline: none;
+  }
 `;
 
 const FileExplorerHeader = styled.div`
@@ -75,6 +97,11 @@ const IconButton = styled.button`
     outline: none;
     box-shadow: 0 0 0 2px ${({ theme }) => theme.colors?.primary || '#1976d2'};
   }
+
+  &:disabled {
+    opacity: 0.4;
+    cursor: not-allowed;
+  }
 `;
 
 const TreeItem = styled.div`
@@ -114,13 +141,75 @@ const TreeLine = styled.span`
   display: ${props => (props.$depth > 0 ? 'block' : 'none')};
 `;
 
+const RenameInput = styled.input`
+  flex: 1;
+  min-width: 0;
+  font: inherit;
+  padding: 0 0.25rem;
+  border: 1px solid ${({ theme }) => theme.colors?.primary || '#1976d2'};
+  border-radius: 2px;
+  outline: none;
+`;
+
 const TreeItemActions = styled.div`
   display: none;
   gap: 0.25rem;
   margin-left: auto;
 `;
 
-const FileExplorer = () => {
+const SearchResultLabel = styled.span`
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const SearchStatus = styled.div`
+  padding: 0.25rem;
+  color: #8c8c8c;
+  font-size: 0.85rem;
+`;
+
+// Delay between the last keystroke and the search request
+const SEARCH_DEBOUNCE_MS = 250;
+
+// Drag data type used when moving tree items, so canvas drags are not mistaken for moves
+const TREE_ITEM_DRAG_TYPE = 'application/x-networkmap-tree-item';
+
+/**
+ * Get the folder containing a tree item
+ * @param {string} itemPath - Item path such as `lab/core`
+ * @returns {string} Parent folder path, empty for the root
+ */
+const getParentPath = (itemPath) => {
+  const index = itemPath.lastIndexOf('/');
+  return index === -1 ? '' : itemPath.slice(0, index);
+};
+
+/**
+ * Describe a search match for the result list
+ * @param {Object} match - Match returned by `/api/search`
+ * @returns {string} Label such as `router-1 · interface: Gi0/1 ethernet`
+ */
+const describeMatch = (match) => {
+  if (match.kind === 'connection') return match.value;
+  if (match.field === 'name') return match.nodeName;
+  return `${match.nodeName} · ${match.field}: ${match.value}`;
+};
+
+/**
+ * Rewrite a path that lies inside a moved item
+ * @param {string} itemPath - Path to rewrite
+ * @param {string} fromPath - Old path of the moved item
+ * @param {string} toPath - New path of the moved item
+ * @returns {string} Rewritten path, or the original if unaffected
+ */
+const remapPath = (itemPath, fromPath, toPath) => {
+  if (itemPath === fromPath) return toPath;
+  if (itemPath.startsWith(`${fromPath}/`)) return `${toPath}${itemPath.slice(fromPath.length)}`;
+  return itemPath;
+};
+
+const FileExplorer = ({ activeFile = null, refreshToken = 0, onRevisionRestored, onItemMoved }) => {
   const [files, setFiles] = useState([]);
   const [selectedFile, setSelectedFile] = useState(null);
   const [openDialog, setOpenDialog] = useState(false);
@@ -131,32 +220,144 @@ const FileExplorer = () => {
   const [selectedItem, setSelectedItem] = useState(null);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [itemToDelete, setItemToDelete] = useState(null);
+  const [historyItem, setHistoryItem] = useState(null);
+  const [renamingPath, setRenamingPath] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [draggedItem, setDraggedItem] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [moveConflict, setMoveConflict] = useState(null);
+  const [trashItems, setTrashItems] = useState([]);
+  const [trashExpanded, setTrashExpanded] = useState(false);
+  const [purgeTarget, setPurgeTarget] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [rootAccess, setRootAccess] = useState('write');
+  const [permissionsFolder, setPermissionsFolder] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
   
   const colors = {
     folder: '#ffd700',        // Golden yellow for folders
     folderOpen: '#ffb900',    // Darker yellow for open folders
     file: '#4a90e2',         // Blue for files
     delete: '#ff4d4f',       // Red for delete button
+    history: '#8c8c8c',      // Grey for history button
+    locked: '#8c8c8c',       // Grey for the read-only badge
+    checkedOut: '#fa8c16',   // Orange for diagrams checked out by someone else
+    checkedOutSelf: '#4a90e2', // Blue for diagrams checked out by the user
+    trash: '#8c8c8c',        // Grey for the trash node
+    dropTarget: 'rgba(74, 144, 226, 0.15)', // Light blue for drop targets
     add: '#52c41a',          // Green for add button
     hover: 'rgba(0, 0, 0, 0.1)'
   };
 
   const navigate = useNavigate();
   const location = useLocation();
+  const { user } = useAuth();
 
   useEffect(() => {
     loadFiles();
-  }, []);
+    loadTrash();
+  }, [refreshToken]);
 
   const loadFiles = async () => {
     try {
-      const response = await axios.get('/api/diagrams');
+      const [response, permissions] = await Promise.all([
+        axios.get('/api/diagrams'),
+        // Without read access to the root the request fails with 403
+        axios.get('/api/permissions').catch(() => ({ data: { access: 'none' } }))
+      ]);
       setFiles(response.data);
+      setRootAccess(permissions.data.access);
     } catch (error) {
       console.error('Error loading files:', error);
     }
   };
 
+  // Access level of every folder, as reported by the tree listing
+  const folderAccess = useMemo(() => {
+    const levels = { '': rootAccess };
+    const collect = (items) => items.forEach(item => {
+      if (item.type !== 'folder') return;
+      levels[item.path] = item.access;
+      collect(item.children || []);
+    });
+    collect(files);
+    return levels;
+  }, [files, rootAccess]);
+
+  // Diagrams checked out by other users, which cannot be renamed, moved or deleted
+  const lockedByOthers = useMemo(() => {
+    const paths = [];
+    const collect = (items) => items.forEach(item => {
+      if (item.type === 'folder') {
+        collect(item.children || []);
+      } else if (item.lock && item.lock.username !== user?.username) {
+        paths.push(item.path);
+      }
+    });
+    collect(files);
+    return paths;
+  }, [files, user]);
+
+  /**
+   * Check whether an item is or contains a diagram checked out by another user
+   * @param {Object} item - Tree item
+   * @returns {boolean} Whether the item is locked
+   */
+  const isLockedByOthers = (item) => lockedByOthers.some(lockedPath => item.type === 'folder'
+    ? lockedPath.startsWith(`${item.path}/`)
+    : lockedPath === item.path);
+
+  /**
+   * Check whether new items may be created in or moved into a folder
+   * @param {string} folderPath - Folder path, empty for the root
+   * @returns {boolean} Whether the caller has write access
+   */
+  const canWriteFolder = (folderPath) => hasAccess(folderAccess[folderPath] || 'none', 'write');
+
+  /**
+   * Check whether a tree item may be renamed, moved or deleted
+   * Folders also change their parent, so both need write access.
+   * @param {Object} item - Tree item
+   * @returns {boolean} Whether the caller may modify the item
+   */
+  const canModify = (item) => hasAccess(item.access, 'write')
+    && (item.type !== 'folder' || canWriteFolder(getParentPath(item.path)))
+    && !isLockedByOthers(item);
+
+  // Search as the user types; saves and moves refresh the results too
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query) {
+      setSearchResults(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get('/api/search', { params: { q: query } });
+        if (!cancelled) setSearchResults(response.data);
+      } catch (error) {
+        console.error('Error searching diagrams:', error.response?.data?.message || error.message);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery, refreshToken]);
+
+  const loadTrash = async () => {
+    try {
+      const response = await axios.get('/api/trash');
+      setTrashItems(response.data.items);
+    } catch (error) {
+      console.error('Error loading trash:', error);
+    }
+  };
+
   const handleCreateClick = (type, item = null) => {
     const targetPath = item?.path || (selectedItem?.type === 'folder' ? selectedItem.path : '');
     console.log('Creating in path:', targetPath); 
@@ -188,7 +389,8 @@ const FileExplorer = () => {
         await axios.post('/api/create-file', {
           path: cleanPath,
           name: itemName,
-          content: {}
+          // Start new diagrams as an empty, schema-valid topology
+          content: { nodes: {}, connections: {} }
         });
       }
       await loadFiles();
@@ -198,6 +400,36 @@ const FileExplorer = () => {
     }
   };
 
+  /**
+   * Download a diagram with its icons and device configurations as a ZIP bundle
+   * @param {Object} item - File tree item
+   */
+  const handleExportBundle = async (item) => {
+    try {
+      const response = await axios.get('/api/bundle/export', {
+        params: { path: item.path },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${item.name}.zip`;
+      document.body.appendChild(link);
+      link.click();
+
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting bundle:', error);
+    }
+  };
+
+  const handleBundleImported = async (report) => {
+    await loadFiles();
+    navigate(`/diagram/${report.path}`);
+  };
+
   const handleDeleteClick = (item, e) => {
     e.stopPropagation();
     setItemToDelete(item);
@@ -216,7 +448,7 @@ const FileExplorer = () => {
           type: itemToDelete.type
         }
       });
-      await loadFiles();
+      await Promise.all([loadFiles(), loadTrash()]);
       if (selectedItem?.path === itemToDelete.path) {
         setSelectedItem(null);
       }
@@ -232,11 +464,282 @@ const FileExplorer = () => {
     setItemToDelete(null);
   };
 
+  /**
+   * Move or rename a file or folder on the server
+   * @param {Object} item - Tree item to move
+   * @param {string} destination - Target folder path, empty for the root
+   * @param {string} [name] - New name, defaults to the current one
+   * @param {string} [collision] - `fail` or `rename` when the target exists
+   */
+  const moveItem = async (item, destination, name = item.name, collision = 'fail') => {
+    try {
+      const response = await axios.post('/api/move-item', {
+        path: item.path,
+        type: item.type,
+        destination,
+        name,
+        collision
+      });
+      const { from, path: newPath } = response.data;
+      if (from === newPath) return;
+
+      // Keep selection and expanded folders pointing at the moved item
+      setExpandedFolders(prev => Object.entries(prev).reduce((acc, [folderPath, expanded]) => {
+        acc[remapPath(folderPath, from, newPath)] = expanded;
+        return acc;
+      }, destination ? { [destination]: true } : {}));
+      setSelectedItem(prev => (prev ? { ...prev, path: remapPath(prev.path, from, newPath) } : prev));
+
+      await loadFiles();
+      onItemMoved?.(from, newPath, item.type);
+    } catch (error) {
+      if (error.response?.status === 409) {
+        setMoveConflict({
+          existingPath: error.response.data.path,
+          type: item.type,
+          retry: () => moveItem(item, destination, name, 'rename')
+        });
+        return;
+      }
+      console.error(`Error moving ${item.type}:`, error.response?.data?.message || error.message);
+    }
+  };
+
+  const startRename = (item) => {
+    setRenamingPath(item.path);
+    setRenameValue(item.name);
+  };
+
+  const cancelRename = () => {
+    setRenamingPath(null);
+    setRenameValue('');
+  };
+
+  const commitRename = (item) => {
+    const name = renameValue.trim();
+    cancelRename();
+    if (name && name !== item.name) {
+      moveItem(item, getParentPath(item.path), name);
+    }
+  };
+
+  const handleExplorerKeyDown = (e) => {
+    if (e.key === 'F2' && selectedItem && canModify(selectedItem) && !renamingPath && e.target.tagName !== 'INPUT') {
+      e.preventDefault();
+      startRename(selectedItem);
+    }
+  };
+
+  /**
+   * Check whether the dragged item may be dropped into a folder
+   * @param {string} folderPath - Target folder path, empty for the root
+   * @returns {boolean} Whether the drop is allowed
+   */
+  const canDropInto = (folderPath) => {
+    if (!draggedItem || getParentPath(draggedItem.path) === folderPath || !canWriteFolder(folderPath)) return false;
+    // A folder cannot be moved into itself or one of its subfolders
+    return !(draggedItem.type === 'folder'
+      && (folderPath === draggedItem.path || folderPath.startsWith(`${draggedItem.path}/`)));
+  };
+
+  const handleDragStart = (item, e) => {
+    e.stopPropagation();
+    e.dataTransfer.setData(TREE_ITEM_DRAG_TYPE, item.path);
+    e.dataTransfer.effectAllowed = 'move';
+    setDraggedItem(item);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedItem(null);
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (folderPath, e) => {
+    if (!canDropInto(folderPath)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTarget(folderPath);
+  };
+
+  const handleDrop = (folderPath, e) => {
+    if (!canDropInto(folderPath)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const item = draggedItem;
+    handleDragEnd();
+    moveItem(item, folderPath);
+  };
+
+  /**
+   * Put a trashed item back where it was deleted from
+   * @param {Object} entry - Trash entry returned by the server
+   * @param {string} [collision] - `fail` or `rename` when the original path is taken
+   */
+  const restoreTrashItem = async (entry, collision = 'fail') => {
+    try {
+      await axios.post('/api/trash/restore', { id: entry.id, collision });
+      await Promise.all([loadFiles(), loadTrash()]);
+    } catch (error) {
+      if (error.response?.status === 409) {
+        setMoveConflict({
+          existingPath: error.response.data.path,
+          type: entry.type,
+          retry: () => restoreTrashItem(entry, 'rename')
+        });
+        return;
+      }
+      console.error('Error restoring item:', error.response?.data?.message || error.message);
+    }
+  };
+
+  const handlePurgeConfirm = async () => {
+    try {
+      // Purge a single entry, or empty the whole trash
+      await axios.delete(purgeTarget.id ? `/api/trash/${purgeTarget.id}` : '/api/trash');
+      await loadTrash();
+    } catch (error) {
+      console.error('Error purging trash:', error.response?.data?.message || error.message);
+    }
+    setPurgeTarget(null);
+  };
+
+  const renderTrash = () => (
+    <>
+      <TreeItem onClick={() => setTrashExpanded(expanded => !expanded)}>
+        <TreeItemContent $depth={0}>
+          <IconButton style={{ padding: '2px' }}>
+            {trashExpanded ? <FaChevronDown color="#666" /> : <FaChevronRight color="#666" />}
+          </IconButton>
+          <FaTrashAlt style={{ color: colors.trash }} />
+          <span>Trash{trashItems.length > 0 && ` (${trashItems.length})`}</span>
+        </TreeItemContent>
+        {trashItems.length > 0 && (
+          <TreeItemActions className="actions">
+            <Tooltip title="Empty Trash">
+              <IconButton
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setPurgeTarget({ name: 'all items in the trash' });
+                }}
+              >
+                <FaTimes style={{ color: colors.delete }} />
+              </IconButton>
+            </Tooltip>
+          </TreeItemActions>
+        )}
+      </TreeItem>
+
+      {trashExpanded && (
+        <div style={{ marginLeft: '20px' }}>
+          {trashItems.map(entry => (
+            <Tooltip
+              key={entry.id}
+              title={`Deleted from /${entry.originalPath} on ${new Date(entry.deletedAt).toLocaleString()}`}
+              placement="left"
+            >
+              <TreeItem>
+                <TreeLine $depth={1} />
+                <TreeItemContent $depth={1}>
+                  {entry.type === 'folder' ? (
+                    <FaFolder style={{ color: colors.folder, opacity: 0.6 }} />
+                  ) : (
+                    <FaFile style={{ color: colors.file, opacity: 0.6 }} />
+                  )}
+                  <span>{entry.name}</span>
+                </TreeItemContent>
+                <TreeItemActions className="actions">
+                  <Tooltip title="Restore">
+                    <IconButton onClick={() => restoreTrashItem(entry)}>
+                      <FaUndo style={{ color: colors.add }} />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete Permanently">
+                    <IconButton onClick={() => setPurgeTarget(entry)}>
+                      <FaTimes style={{ color: colors.delete }} />
+                    </IconButton>
+                  </Tooltip>
+                </TreeItemActions>
+              </TreeItem>
+            </Tooltip>
+          ))}
+        </div>
+      )}
+    </>
+  );
+
+  /**
+   * Open a search result, focusing the matched node when there is one
+   * @param {Object} result - Diagram returned by `/api/search`
+   * @param {Object} [match] - Match within the diagram
+   */
+  const openSearchResult = (result, match = null) => {
+    const focus = match?.nodeId ? `?focus=${encodeURIComponent(match.nodeId)}` : '';
+    navigate(`/diagram/${result.path}${focus}`);
+  };
+
+  const renderSearchResults = () => {
+    if (!searchResults) {
+      return <SearchStatus>Searching…</SearchStatus>;
+    }
+    if (searchResults.results.length === 0) {
+      return <SearchStatus>No matches for "{searchResults.query}"</SearchStatus>;
+    }
+
+    const shown = searchResults.results.reduce((count, result) => count + (result.matches.length || 1), 0);
+
+    return (
+      <>
+        {searchResults.results.map(result => (
+          <React.Fragment key={result.path}>
+            <Tooltip
+              title={`${result.nodeCount} node(s), ${result.connectionCount} connection(s), modified ${new Date(result.modified).toLocaleString()}`}
+              placement="left"
+            >
+              <TreeItem onClick={() => openSearchResult(result)}>
+                <TreeItemContent $depth={0}>
+                  <FaFile style={{ color: colors.file }} />
+                  <SearchResultLabel style={{ fontWeight: result.path === activeFile ? 'bold' : 'normal' }}>
+                    {result.path}
+                  </SearchResultLabel>
+                </TreeItemContent>
+              </TreeItem>
+            </Tooltip>
+            {result.matches.length > 0 && (
+              <div style={{ marginLeft: '20px' }}>
+                {result.matches.map((match, index) => (
+                  <TreeItem
+                    key={`${match.kind}-${match.connectionId || match.nodeId}-${match.field}-${index}`}
+                    onClick={() => openSearchResult(result, match)}
+                    title={describeMatch(match)}
+                  >
+                    <TreeLine $depth={1} />
+                    <TreeItemContent $depth={1}>
+                      {match.kind === 'connection' ? (
+                        <FaLink style={{ color: colors.history, flexShrink: 0 }} />
+                      ) : (
+                        <FaCircle style={{ color: colors.file, fontSize: '0.5rem', flexShrink: 0 }} />
+                      )}
+                      <SearchResultLabel>{describeMatch(match)}</SearchResultLabel>
+                    </TreeItemContent>
+                  </TreeItem>
+                ))}
+              </div>
+            )}
+          </React.Fragment>
+        ))}
+        {searchResults.total > shown && (
+          <SearchStatus>Showing {shown} of {searchResults.total} matches</SearchStatus>
+        )}
+      </>
+    );
+  };
+
   const handleFileClick = (file) => {
     setSelectedFile(file);
     setSelectedItem(file);
-    // File name already comes without extension from the backend
-    navigate(`/diagram/${file.name}`);
+    // File path already comes without extension from the backend
+    navigate(`/diagram/${file.path}`);
   };
 
   const toggleFolder = (folder, e) => {
@@ -255,13 +758,27 @@ const FileExplorer = () => {
     }
   };
 
+  // Folder the header buttons create new items in
+  const createTarget = selectedItem?.type === 'folder' ? selectedItem.path : '';
+
+  // Folders a bundle may be imported into
+  const importFolders = Object.keys(folderAccess).filter(canWriteFolder).sort();
+
   const renderTreeItems = (items, depth = 0) => {
     return items.map(item => (
       <React.Fragment key={item.path}>
         <TreeItem
           onClick={(e) => handleItemClick(item, e)}
+          draggable={renamingPath !== item.path && canModify(item)}
+          onDragStart={(e) => handleDragStart(item, e)}
+          onDragEnd={handleDragEnd}
+          onDragOver={item.type === 'folder' ? (e) => handleDragOver(item.path, e) : undefined}
+          onDragLeave={item.type === 'folder' ? () => setDropTarget(null) : undefined}
+          onDrop={item.type === 'folder' ? (e) => handleDrop(item.path, e) : undefined}
           style={{ 
-            backgroundColor: selectedItem?.path === item.path ? colors.hover : 'transparent' 
+            backgroundColor: dropTarget === item.path
+              ? colors.dropTarget
+              : selectedItem?.path === item.path ? colors.hover : 'transparent'
           }}
         >
           <TreeLine $depth={depth} />
@@ -281,10 +798,57 @@ const FileExplorer = () => {
             ) : (
               <FaFile style={{ color: colors.file }} />
             )}
-            <span>{item.name}</span>
+            {renamingPath === item.path ? (
+              <RenameInput
+                autoFocus
+                value={renameValue}
+                onChange={(e) => setRenameValue(e.target.value)}
+                onClick={(e) => e.stopPropagation()}
+                onFocus={(e) => e.target.select()}
+                onBlur={() => commitRename(item)}
+                onKeyDown={(e) => {
+                  e.stopPropagation();
+                  if (e.key === 'Enter') commitRename(item);
+                  if (e.key === 'Escape') cancelRename();
+                }}
+              />
+            ) : (
+              <span
+                onDoubleClick={(e) => {
+                  e.stopPropagation();
+                  if (canModify(item)) startRename(item);
+                }}
+                style={{ fontWeight: item.type === 'file' && item.path === activeFile ? 'bold' : 'normal' }}
+              >
+                {item.name}
+              </span>
+            )}
+            {!hasAccess(item.access, 'write') && (
+              <Tooltip title={item.access === 'none' ? 'No access' : 'Read only'}>
+                <span style={{ display: 'flex' }}>
+                  <FaLock style={{ color: colors.locked, fontSize: '0.7rem' }} />
+                </span>
+              </Tooltip>
+            )}
+            {item.type === 'file' && item.lock && (
+              <Tooltip
+                title={item.lock.username === user?.username
+                  ? 'Checked out by you'
+                  : `Checked out by ${item.lock.displayName} since ${new Date(item.lock.acquiredAt).toLocaleString()}`}
+              >
+                <span style={{ display: 'flex' }}>
+                  <FaUserLock
+                    style={{
+                      color: item.lock.username === user?.username ? colors.checkedOutSelf : colors.checkedOut,
+                      fontSize: '0.7rem'
+                    }}
+                  />
+                </span>
+              </Tooltip>
+            )}
           </TreeItemContent>
           <TreeItemActions className="actions">
-            {item.type === 'folder' && (
+            {item.type === 'folder' && hasAccess(item.access, 'write') && (
               <Tooltip title="Add Item">
                 <IconButton 
                   onClick={(e) => {
@@ -296,13 +860,51 @@ const FileExplorer = () => {
                 </IconButton>
               </Tooltip>
             )}
-            <Tooltip title="Delete">
-              <IconButton 
-                onClick={(e) => handleDeleteClick(item, e)}
-              >
-                <FaTrash style={{ color: colors.delete }} />
-              </IconButton>
-            </Tooltip>
+            {item.type === 'file' && (
+              <Tooltip title="History">
+                <IconButton
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setHistoryItem(item);
+                  }}
+                >
+                  <FaHistory style={{ color: colors.history }} />
+                </IconButton>
+              </Tooltip>
+            )}
+            {item.type === 'file' && (
+              <Tooltip title="Export Bundle">
+                <IconButton
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleExportBundle(item);
+                  }}
+                >
+                  <FaFileExport style={{ color: colors.history }} />
+                </IconButton>
+              </Tooltip>
+            )}
+            {item.type === 'folder' && item.access === 'admin' && (
+              <Tooltip title="Permissions">
+                <IconButton
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setPermissionsFolder(item.path);
+                  }}
+                >
+                  <FaUserShield style={{ color: colors.history }} />
+                </IconButton>
+              </Tooltip>
+            )}
+            {canModify(item) && (
+              <Tooltip title="Delete">
+                <IconButton 
+                  onClick={(e) => handleDeleteClick(item, e)}
+                >
+                  <FaTrash style={{ color: colors.delete }} />
+                </IconButton>
+              </Tooltip>
+            )}
           </TreeItemActions>
         </TreeItem>
 
@@ -316,22 +918,82 @@ const FileExplorer = () => {
   };
 
   return (
-    <FileExplorerContainer>
+    <FileExplorerContainer tabIndex={0} onKeyDown={handleExplorerKeyDown}>
       <FileExplorerHeader>
         <Title>Files</Title>
         <ButtonGroup>
-          <IconButton onClick={() => handleCreateClick('file')} title="New File">
+          <IconButton
+            onClick={() => handleCreateClick('file')}
+            disabled={!canWriteFolder(createTarget)}
+            title="New File"
+          >
             <FaPlus style={{ color: colors.add }} />
           </IconButton>
-          <IconButton onClick={() => handleCreateClick('folder')} title="New Folder">
+          <IconButton
+            onClick={() => handleCreateClick('folder')}
+            disabled={!canWriteFolder(createTarget)}
+            title="New Folder"
+          >
             <FaFolderPlus style={{ color: colors.folder }} />
           </IconButton>
+          <IconButton
+            onClick={() => setImportOpen(true)}
+            disabled={importFolders.length === 0}
+            title="Import Bundle"
+          >
+            <FaFileImport style={{ color: colors.file }} />
+          </IconButton>
+          {rootAccess === 'admin' && (
+            <IconButton onClick={() => setPermissionsFolder('')} title="Root Folder Permissions">
+              <FaUserShield style={{ color: colors.history }} />
+            </IconButton>
+          )}
         </ButtonGroup>
       </FileExplorerHeader>
 
-      <div>
-        {files.map(item => renderTreeItems([item], 0))}
-      </div>
+      <TextField
+        size="small"
+        fullWidth
+        placeholder="Search diagrams"
+        value={searchQuery}
+        onChange={(e) => setSearchQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') setSearchQuery('');
+        }}
+        sx={{ mb: 1 }}
+        InputProps={{
+          startAdornment: (
+            <InputAdornment position="start">
+              <FaSearch style={{ color: colors.history }} />
+            </InputAdornment>
+          ),
+          endAdornment: searchQuery && (
+            <InputAdornment position="end">
+              <MuiIconButton size="small" onClick={() => setSearchQuery('')} title="Clear Search">
+                <FaTimes style={{ fontSize: '0.8rem' }} />
+              </MuiIconButton>
+            </InputAdornment>
+          )
+        }}
+      />
+
+      {searchQuery.trim() ? renderSearchResults() : (
+        <>
+          <div
+            onDragOver={(e) => handleDragOver('', e)}
+            onDragLeave={() => setDropTarget(null)}
+            onDrop={(e) => handleDrop('', e)}
+            style={{
+              minHeight: '4rem',
+              backgroundColor: dropTarget === '' ? colors.dropTarget : 'transparent'
+            }}
+          >
+            {files.map(item => renderTreeItems([item], 0))}
+          </div>
+
+          {renderTrash()}
+        </>
+      )}
 
       <Dialog open={openDialog} onClose={handleDialogClose}>
         <DialogTitle>
@@ -368,7 +1030,7 @@ const FileExplorer = () => {
         }}
       >
         <DialogTitle sx={{ pb: 1 }}>
-          Confirm Deletion
+          Move to Trash
         </DialogTitle>
         <DialogContent>
           <Box sx={{ pt: 1 }}>
@@ -380,9 +1042,10 @@ const FileExplorer = () => {
                   <FaFile style={{ color: colors.file }} />
                 )}
                 <span>
-                  Are you sure you want to delete{' '}
+                  Move{' '}
                   <strong>{itemToDelete.name}</strong>
-                  {itemToDelete.type === 'folder' ? ' and all its contents' : ''}?
+                  {itemToDelete.type === 'folder' ? ' and all its contents' : ''} to the trash?
+                  {' '}It can be restored from the Trash node below the tree.
                 </span>
               </div>
             )}
@@ -401,11 +1064,89 @@ const FileExplorer = () => {
                 bgcolor: '#ff7875'
               }
             }}
+          >
+            Move to Trash
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!purgeTarget} onClose={() => setPurgeTarget(null)}>
+        <DialogTitle>Delete Permanently</DialogTitle>
+        <DialogContent>
+          {purgeTarget && (
+            <span>
+              Permanently delete <strong>{purgeTarget.name}</strong>? This cannot be undone.
+            </span>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPurgeTarget(null)}>Cancel</Button>
+          <Button
+            onClick={handlePurgeConfirm}
+            variant="contained"
+            sx={{
+              bgcolor: colors.delete,
+              '&:hover': {
+                bgcolor: '#ff7875'
+              }
+            }}
           >
             Delete
           </Button>
         </DialogActions>
       </Dialog>
+
+      <Dialog open={!!moveConflict} onClose={() => setMoveConflict(null)}>
+        <DialogTitle>Name Already Taken</DialogTitle>
+        <DialogContent>
+          {moveConflict && (
+            <span>
+              <strong>{moveConflict.existingPath}</strong> already exists.
+              Keep both by giving the {moveConflict.type} a numbered name?
+            </span>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMoveConflict(null)}>Cancel</Button>
+          <Button
+            onClick={() => {
+              const { retry } = moveConflict;
+              setMoveConflict(null);
+              retry();
+            }}
+            variant="contained"
+            color="primary"
+          >
+            Keep Both
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <HistoryDialog
+        open={!!historyItem}
+        diagramPath={historyItem?.path}
+        readOnly={!!historyItem && (!hasAccess(historyItem.access, 'write') || isLockedByOthers(historyItem))}
+        onClose={() => setHistoryItem(null)}
+        onRestored={(path) => {
+          loadFiles();
+          onRevisionRestored?.(path);
+        }}
+      />
+
+      <FolderPermissionsDialog
+        open={permissionsFolder !== null}
+        folderPath={permissionsFolder ?? ''}
+        onClose={() => setPermissionsFolder(null)}
+        onSaved={loadFiles}
+      />
+
+      <ImportBundleDialog
+        open={importOpen}
+        folders={importFolders}
+        initialFolder={canWriteFolder(createTarget) ? createTarget : importFolders[0]}
+        onClose={() => setImportOpen(false)}
+        onImported={handleBundleImported}
+      />
     </FileExplorerContainer>
   );
 };
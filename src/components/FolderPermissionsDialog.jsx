@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Box,
+    TextField,
+    MenuItem,
+    Autocomplete,
+    IconButton,
+    Typography,
+    Alert
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import AddIcon from '@mui/icons-material/Add';
+import axios from 'axios';
+import Logger from '../utils/Logger';
+import toast from '../utils/toast';
+import { PERMISSION_LEVELS } from '../utils/Permissions';
+import useAuth from '../hooks/useAuth';
+
+/**
+ * Describe the rules a folder inherits
+ * @param {Array} inherited - `{ path, rule }` of ancestors with a rule, root first
+ * @returns {string} Summary of the closest inherited default
+ */
+const describeInherited = (inherited = []) => {
+    const closest = [...inherited].reverse().find(({ rule }) => rule.default);
+    if (!closest) return 'Inherits write access for everyone';
+    return `Inherits ${closest.rule.default} access from ${closest.path || 'the diagrams folder'}`;
+};
+
+/**
+ * FolderPermissionsDialog - edit who can read, write or administer a folder
+ * Subfolders inherit the rule unless they have their own.
+ */
+const FolderPermissionsDialog = ({ open, folderPath, onClose, onSaved }) => {
+    const { user } = useAuth();
+    const [defaultLevel, setDefaultLevel] = useState('');
+    const [userLevels, setUserLevels] = useState([]);
+    const [inherited, setInherited] = useState([]);
+    const [usernames, setUsernames] = useState([]);
+    const [error, setError] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        if (!open) return;
+
+        setError(null);
+        axios.get('/api/permissions', { params: { path: folderPath } })
+            .then(response => {
+                const rule = response.data.rule || {};
+                setDefaultLevel(rule.default || '');
+                setUserLevels(Object.entries(rule.users || {}).map(([username, level]) => ({ username, level })));
+                setInherited(response.data.inherited || []);
+            })
+            .catch(loadError => {
+                Logger.error('FolderPermissionsDialog: Failed to load permissions', {
+                    folderPath,
+                    error: loadError.message
+                });
+                setError(loadError.response?.data?.message || loadError.message);
+            });
+
+        // Only administrators can list accounts; others type usernames
+        if (user?.role === 'admin') {
+            axios.get('/api/users')
+                .then(response => setUsernames(response.data.users.map(account => account.username)))
+                .catch(listError => Logger.error('FolderPermissionsDialog: Failed to list users', {
+                    error: listError.message
+                }));
+        }
+    }, [open, folderPath, user]);
+
+    const updateUserLevel = (index, changes) => {
+        setUserLevels(prev => prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+    };
+
+    const folderLabel = folderPath || 'the diagrams folder';
+
+    const saveRule = async (rule) => {
+        setIsSaving(true);
+        try {
+            await axios.put('/api/permissions', { path: folderPath, rule });
+            toast.success(`Updated permissions of ${folderLabel}`);
+            onSaved?.();
+            onClose();
+        } catch (saveError) {
+            Logger.error('FolderPermissionsDialog: Failed to save permissions', {
+                folderPath,
+                error: saveError.message
+            });
+            setError(saveError.response?.data?.message || saveError.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSave = () => {
+        const users = userLevels
+            .filter(entry => entry.username.trim())
+            .reduce((acc, entry) => {
+                acc[entry.username.trim().toLowerCase()] = entry.level;
+                return acc;
+            }, {});
+        saveRule({ ...(defaultLevel && { default: defaultLevel }), users });
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+            <DialogTitle>Permissions of {folderLabel}</DialogTitle>
+            <DialogContent dividers>
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                    <TextField
+                        select
+                        label="Everyone"
+                        size="small"
+                        value={defaultLevel}
+                        onChange={(e) => setDefaultLevel(e.target.value)}
+                        helperText={describeInherited(inherited)}
+                    >
+                        <MenuItem value="">
+                            <em>Inherit</em>
+                        </MenuItem>
+                        {PERMISSION_LEVELS.map(level => (
+                            <MenuItem key={level} value={level}>{level}</MenuItem>
+                        ))}
+                    </TextField>
+
+                    <Typography variant="subtitle2">Users</Typography>
+                    {userLevels.length === 0 && (
+                        <Typography variant="body2" color="text.secondary">
+                            No user-specific access.
+                        </Typography>
+                    )}
+                    {userLevels.map((entry, index) => (
+                        <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                            <Autocomplete
+                                freeSolo
+                                options={usernames}
+                                inputValue={entry.username}
+                                onInputChange={(e, value) => updateUserLevel(index, { username: value })}
+                                renderInput={(params) => <TextField {...params} label="Username" size="small" />}
+                                sx={{ flex: 2 }}
+                            />
+                            <TextField
+                                select
+                                label="Access"
+                                size="small"
+                                value={entry.level}
+                                onChange={(e) => updateUserLevel(index, { level: e.target.value })}
+                                sx={{ flex: 1 }}
+                            >
+                                {PERMISSION_LEVELS.map(level => (
+                                    <MenuItem key={level} value={level}>{level}</MenuItem>
+                                ))}
+                            </TextField>
+                            <IconButton
+                                onClick={() => setUserLevels(prev => prev.filter((_, i) => i !== index))}
+                                title="Remove User"
+                            >
+                                <DeleteIcon fontSize="small" />
+                            </IconButton>
+                        </Box>
+                    ))}
+                    <Box>
+                        <Button
+                            startIcon={<AddIcon />}
+                            size="small"
+                            onClick={() => setUserLevels(prev => [...prev, { username: '', level: 'write' }])}
+                        >
+                            Add User
+                        </Button>
+                    </Box>
+
+                    {error && <Alert severity="error">{error}</Alert>}
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={() => saveRule(null)} color="error" disabled={isSaving} sx={{ mr: 'auto' }}>
+                    Remove Rule
+                </Button>
+                <Button onClick={onClose}>Cancel</Button>
+                <Button onClick={handleSave} variant="contained" color="primary" disabled={isSaving}>
+                    Save
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+FolderPermissionsDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    folderPath: PropTypes.string,
+    onClose: PropTypes.func.isRequired,
+    onSaved: PropTypes.func
+};
+
+export default FolderPermissionsDialog;
@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    List,
+    ListItemButton,
+    ListItemText,
+    Chip,
+    Box,
+    Typography,
+    CircularProgress
+} from '@mui/material';
+import axios from 'axios';
+import Logger from '../utils/Logger';
+import toast from '../utils/toast';
+
+/**
+ * Summarize a topology document for the revision preview
+ * @param {Object} doc - Topology document
+ * @returns {string} Node and connection counts
+ */
+const summarizeTopology = (doc) => {
+    const nodeCount = Object.keys(doc?.nodes || {}).length;
+    const connectionCount = Object.keys(doc?.connections || {}).length;
+    return `${nodeCount} node(s), ${connectionCount} connection(s)`;
+};
+
+/**
+ * HistoryDialog - lists the saved revisions of a diagram and restores one
+ * Restoring writes the old version as a new revision, so it can be undone too
+ */
+const HistoryDialog = ({ open, diagramPath, readOnly = false, onClose, onRestored }) => {
+    const [revisions, setRevisions] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [selected, setSelected] = useState(null);
+    const [preview, setPreview] = useState(null);
+    const [isRestoring, setIsRestoring] = useState(false);
+
+    useEffect(() => {
+        if (!open || !diagramPath) return;
+
+        setRevisions([]);
+        setSelected(null);
+        setPreview(null);
+        setIsLoading(true);
+
+        axios.get('/api/history', { params: { path: diagramPath } })
+            .then(response => setRevisions(response.data.revisions))
+            .catch(error => {
+                Logger.error('HistoryDialog: Failed to load revisions', {
+                    diagramPath,
+                    error: error.message
+                });
+                toast.error('Failed to load history', {
+                    description: error.response?.data?.message || error.message
+                });
+            })
+            .finally(() => setIsLoading(false));
+    }, [open, diagramPath]);
+
+    /**
+     * Select a revision and fetch its contents for the preview
+     * @param {Object} revision - Revision returned by the server
+     */
+    const handleSelect = async (revision) => {
+        setSelected(revision);
+        setPreview(null);
+        try {
+            const response = await axios.get('/api/history/revision', {
+                params: { path: diagramPath, revision: revision.id }
+            });
+            setPreview(summarizeTopology(response.data));
+        } catch (error) {
+            Logger.error('HistoryDialog: Failed to load revision', {
+                revision: revision.id,
+                error: error.message
+            });
+            setPreview('Contents unavailable');
+        }
+    };
+
+    const handleRestore = async () => {
+        if (!selected) return;
+
+        setIsRestoring(true);
+        try {
+            await axios.post('/api/history/restore', {
+                path: diagramPath,
+                revision: selected.id
+            });
+            toast.success(`Restored ${diagramPath}`, {
+                description: selected.message
+            });
+            onRestored?.(diagramPath);
+            onClose();
+        } catch (error) {
+            Logger.error('HistoryDialog: Failed to restore revision', {
+                revision: selected.id,
+                error: error.message
+            });
+            toast.error('Failed to restore revision', {
+                description: error.response?.data?.message || error.message
+            });
+        } finally {
+            setIsRestoring(false);
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+            <DialogTitle>History of {diagramPath}</DialogTitle>
+            <DialogContent dividers>
+                {isLoading && (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+                        <CircularProgress size={24} />
+                    </Box>
+                )}
+                {!isLoading && revisions.length === 0 && (
+                    <Typography variant="body2" color="text.secondary">
+                        No revisions recorded for this diagram yet.
+                    </Typography>
+                )}
+                <List dense disablePadding>
+                    {revisions.map((revision, index) => (
+                        <ListItemButton
+                            key={revision.id}
+                            selected={selected?.id === revision.id}
+                            onClick={() => handleSelect(revision)}
+                        >
+                            <ListItemText
+                                primary={revision.message}
+                                secondary={`${revision.author.name} · ${new Date(revision.date).toLocaleString()} · ${revision.id.slice(0, 7)}`}
+                            />
+                            {index === 0 && <Chip label="Current" size="small" />}
+                        </ListItemButton>
+                    ))}
+                </List>
+                {selected && (
+                    <Typography variant="body2" sx={{ mt: 2 }}>
+                        <strong>{selected.id.slice(0, 7)}</strong>: {preview || 'Loading…'}
+                    </Typography>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Close</Button>
+                <Button
+                    onClick={handleRestore}
+                    variant="contained"
+                    color="primary"
+                    disabled={readOnly || !selected || selected.id === revisions[0]?.id || isRestoring}
+                    title={readOnly ? 'Restoring requires write access' : undefined}
+                >
+                    Restore
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+HistoryDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    diagramPath: PropTypes.string,
+    readOnly: PropTypes.bool,
+    onClose: PropTypes.func.isRequired,
+    onRestored: PropTypes.func
+};
+
+export default HistoryDialog;
@@ -1,6 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
     Box,
+    IconButton,
     Accordion,
     AccordionSummary,
     AccordionDetails,
@@ -11,23 +12,42 @@ import {
     Divider
 } from '@mui/material';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import AddPhotoAlternateIcon from '@mui/icons-material/AddPhotoAlternate';
+import axios from 'axios';
 import { LAYOUT } from '../constants/layout';
+import { PATHS } from '../constants/paths';
 import { categorizeIcons, getNodeTypeFromIcon, getFullIconPath } from '../utils/IconUtils';
+import Logger from '../utils/Logger';
+import AddIconDialog from './AddIconDialog';
 
 /**
  * IconMenu Component
- * Dynamically categorizes and displays network icons from public/net_icons
+ * Displays network icons from public/net_icons, grouped and labelled by the icon manifest
  */
 const IconMenu = () => {
     const [expanded, setExpanded] = useState('Routers');
     const [iconsByCategory, setIconsByCategory] = useState({});
+    const [isAddIconOpen, setIsAddIconOpen] = useState(false);
 
-    useEffect(() => {
-        // Dynamically categorize icons
-        const categorized = categorizeIcons();
-        setIconsByCategory(categorized);
+    // Icons are listed by the server so uploads show up without a rebuild
+    const loadIcons = useCallback(async () => {
+        try {
+            const response = await axios.get(PATHS.ICONS_API);
+            setIconsByCategory(categorizeIcons(response.data.icons));
+        } catch (error) {
+            Logger.error('IconMenu: Failed to load icons', { error: error.message });
+        }
     }, []);
 
+    useEffect(() => {
+        loadIcons();
+    }, [loadIcons]);
+
+    const handleIconUploaded = ({ category }) => {
+        loadIcons();
+        if (category) setExpanded(category);
+    };
+
     const handleAccordionChange = (panel) => (event, isExpanded) => {
         setExpanded(isExpanded ? panel : false);
     };
@@ -53,7 +73,10 @@ const IconMenu = () => {
             <Box sx={{ 
                 p: 2, 
                 borderBottom: '1px solid rgba(0,0,0,0.1)',
-                backgroundColor: '#f8f9fa'
+                backgroundColor: '#f8f9fa',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between'
             }}>
                 <Typography 
                     variant="h6" 
@@ -65,6 +88,11 @@ const IconMenu = () => {
                 >
                     Network Icons
                 </Typography>
+                <Tooltip title="Add icon">
+                    <IconButton size="small" onClick={() => setIsAddIconOpen(true)} sx={{ color: '#1976d2' }}>
+                        <AddPhotoAlternateIcon fontSize="small" />
+                    </IconButton>
+                </Tooltip>
             </Box>
             <Box sx={{ 
                 flex: 1,
@@ -142,9 +170,9 @@ const IconMenu = () => {
                                 </Typography>
                                 <Grid container spacing={1}>
                                     {data.icons.map((icon) => (
-                                        <Grid item xs={4} key={icon}>
+                                        <Grid item xs={4} key={icon.filename}>
                                             <Tooltip 
-                                                title={icon.split('.')[0].toLowerCase()}
+                                                title={icon.vendor ? `${icon.label} (${icon.vendor})` : icon.label}
                                                 placement="right"
                                             >
                                                 <Paper
@@ -161,11 +189,11 @@ const IconMenu = () => {
                                                         },
                                                     }}
                                                     draggable
-                                                    onDragStart={(e) => handleDragStart(e, icon)}
+                                                    onDragStart={(e) => handleDragStart(e, icon.filename)}
                                                 >
                                                     <img
-                                                        src={`/net_icons/${icon.toLowerCase()}`}
-                                                        alt={icon}
+                                                        src={getFullIconPath(icon.filename)}
+                                                        alt={icon.label}
                                                         style={{
                                                             width: '32px',
                                                             height: '32px',
@@ -185,6 +213,12 @@ const IconMenu = () => {
                     </React.Fragment>
                 ))}
             </Box>
+            <AddIconDialog
+                open={isAddIconOpen}
+                categories={Object.keys(iconsByCategory)}
+                onClose={() => setIsAddIconOpen(false)}
+                onUploaded={handleIconUploaded}
+            />
         </Box>
     );
 };
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Box,
+    TextField,
+    Typography,
+    MenuItem,
+    Alert
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import axios from 'axios';
+import Logger from '../utils/Logger';
+import toast from '../utils/toast';
+
+const COLLISION_LABELS = {
+    diagram: 'Diagram',
+    icon: 'Icon',
+    deviceConfig: 'Device type'
+};
+
+/**
+ * Summarize how many bundled dependencies an import adds
+ * @param {Array} items - `icons` or `deviceConfigs` of an import report
+ * @returns {number} Items that are not reused as they are
+ */
+const countAdded = (items) => items.filter(item => item.action !== 'reuse').length;
+
+/**
+ * ImportBundleDialog - imports a diagram bundle exported from the file explorer
+ * The bundle is checked with a dry run as soon as it is chosen, so name
+ * collisions are listed before anything is written. Clashing icons and device
+ * types are stored under new names and the diagram is rewritten to use them.
+ */
+const ImportBundleDialog = ({ open, folders, initialFolder = '', onClose, onImported }) => {
+    const [file, setFile] = useState(null);
+    const [folder, setFolder] = useState(initialFolder);
+    const [name, setName] = useState('');
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState(null);
+    const [isImporting, setIsImporting] = useState(false);
+
+    useEffect(() => {
+        if (!open) return;
+        setFile(null);
+        setFolder(initialFolder);
+        setName('');
+        setReport(null);
+        setError(null);
+    }, [open, initialFolder]);
+
+    /**
+     * Upload the bundle
+     * @param {boolean} dryRun - Only check the bundle
+     * @returns {Promise<Object>} Import report
+     */
+    const sendBundle = (dryRun) => axios.post('/api/bundle/import', file, {
+        params: { folder, name: name.trim() || undefined, collision: 'rename', dryRun },
+        headers: { 'Content-Type': 'application/zip' }
+    }).then(response => response.data);
+
+    // Check the bundle again whenever its target changes
+    useEffect(() => {
+        if (!open || !file) return undefined;
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const data = await sendBundle(true);
+                if (cancelled) return;
+                setReport(data);
+                setError(null);
+            } catch (checkError) {
+                if (cancelled) return;
+                setReport(null);
+                setError(checkError.response?.data?.message || checkError.message);
+            }
+        }, 300);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [open, file, folder, name]);
+
+    const handleFileChange = (e) => {
+        const selected = e.target.files?.[0];
+        if (!selected) return;
+
+        setFile(selected);
+        setName('');
+        setReport(null);
+        setError(selected.name.toLowerCase().endsWith('.zip') ? null : 'Bundles are ZIP files');
+    };
+
+    const handleImport = async () => {
+        if (!file || !report) return;
+
+        setIsImporting(true);
+        try {
+            const data = await sendBundle(false);
+            toast.success(`Imported ${data.path}`, {
+                description: `${countAdded(data.icons)} icon(s) and ${countAdded(data.deviceConfigs)} device type(s) added`
+            });
+            onImported?.(data);
+            onClose();
+        } catch (importError) {
+            Logger.error('ImportBundleDialog: Failed to import bundle', {
+                file: file.name,
+                error: importError.message
+            });
+            setError(importError.response?.data?.message || importError.message);
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+            <DialogTitle>Import Bundle</DialogTitle>
+            <DialogContent>
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+                    <Button component="label" variant="outlined" startIcon={<UploadFileIcon />}>
+                        {file ? file.name : 'Choose bundle (.zip)'}
+                        <input type="file" accept=".zip,application/zip" hidden onChange={handleFileChange} />
+                    </Button>
+                    <TextField
+                        select
+                        label="Folder"
+                        size="small"
+                        value={folder}
+                        onChange={(e) => setFolder(e.target.value)}
+                    >
+                        {folders.map(folderPath => (
+                            <MenuItem key={folderPath} value={folderPath}>{folderPath || '/'}</MenuItem>
+                        ))}
+                    </TextField>
+                    <TextField
+                        label="Diagram Name"
+                        size="small"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder={report ? report.path.split('/').pop() : ''}
+                        helperText="Defaults to the name the diagram was exported under"
+                    />
+                    {report && (
+                        <Typography variant="body2" color="text.secondary">
+                            Saves as <strong>{report.path}</strong> with {report.icons.length} icon(s),
+                            {' '}{countAdded(report.icons)} of them new, and {report.deviceConfigs.length} device type(s),
+                            {' '}{countAdded(report.deviceConfigs)} of them new.
+                        </Typography>
+                    )}
+                    {report?.collisions.length > 0 && (
+                        <Alert severity="warning">
+                            These names are taken and will be stored as:
+                            <Box component="ul" sx={{ m: 0, pl: 2 }}>
+                                {report.collisions.map(collision => (
+                                    <li key={`${collision.type}:${collision.name}`}>
+                                        {COLLISION_LABELS[collision.type]} {collision.name} → {collision.storedAs}
+                                    </li>
+                                ))}
+                            </Box>
+                        </Alert>
+                    )}
+                    {report?.missingIcons.length > 0 && (
+                        <Alert severity="info">
+                            The bundle does not include {report.missingIcons.join(', ')}.
+                        </Alert>
+                    )}
+                    {error && <Alert severity="error">{error}</Alert>}
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Cancel</Button>
+                <Button
+                    onClick={handleImport}
+                    variant="contained"
+                    color="primary"
+                    disabled={!report || isImporting}
+                >
+                    Import
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+ImportBundleDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    folders: PropTypes.arrayOf(PropTypes.string).isRequired,
+    initialFolder: PropTypes.string,
+    onClose: PropTypes.func.isRequired,
+    onImported: PropTypes.func
+};
+
+export default ImportBundleDialog;
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Alert
+} from '@mui/material';
+import LockOutlinedIcon from '@mui/icons-material/LockOutlined';
+import axios from 'axios';
+import Logger from '../utils/Logger';
+
+/**
+ * LoginScreen - asks for credentials before the editor is shown
+ * While the server has no accounts it creates the first one instead, which
+ * becomes the administrator.
+ */
+const LoginScreen = ({ setupRequired, onLogin }) => {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [displayName, setDisplayName] = useState('');
+    const [error, setError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (setupRequired && password !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            const response = setupRequired
+                ? await axios.post('/api/users', {
+                    username: username.trim().toLowerCase(),
+                    password,
+                    displayName: displayName.trim() || undefined
+                })
+                : await axios.post('/api/auth/login', {
+                    username: username.trim(),
+                    password
+                });
+            onLogin(response.data);
+        } catch (submitError) {
+            Logger.error('LoginScreen: Failed to log in', {
+                username,
+                setupRequired,
+                error: submitError.message
+            });
+            setError(submitError.response?.data?.message || submitError.message);
+            setPassword('');
+            setConfirmPassword('');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <Box
+            sx={{
+                height: '100vh',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: '#f8f9fa'
+            }}
+        >
+            <Paper
+                component="form"
+                onSubmit={handleSubmit}
+                elevation={3}
+                sx={{ p: 4, width: 360, display: 'flex', flexDirection: 'column', gap: 2 }}
+            >
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, color: '#1976d2' }}>
+                    <LockOutlinedIcon />
+                    <Typography variant="h6" sx={{ fontWeight: 500 }}>
+                        {setupRequired ? 'Create Administrator' : 'Network Map Login'}
+                    </Typography>
+                </Box>
+                {setupRequired && (
+                    <Typography variant="body2" color="text.secondary">
+                        No accounts exist yet. The first account can manage all other users.
+                    </Typography>
+                )}
+                <TextField
+                    label="Username"
+                    size="small"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    autoComplete="username"
+                    autoFocus
+                    required
+                />
+                {setupRequired && (
+                    <TextField
+                        label="Display Name (optional)"
+                        size="small"
+                        value={displayName}
+                        onChange={(e) => setDisplayName(e.target.value)}
+                        autoComplete="name"
+                    />
+                )}
+                <TextField
+                    label="Password"
+                    type="password"
+                    size="small"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete={setupRequired ? 'new-password' : 'current-password'}
+                    required
+                />
+                {setupRequired && (
+                    <TextField
+                        label="Confirm Password"
+                        type="password"
+                        size="small"
+                        value={confirmPassword}
+                        onChange={(e) => setConfirmPassword(e.target.value)}
+                        autoComplete="new-password"
+                        required
+                    />
+                )}
+                {error && <Alert severity="error">{error}</Alert>}
+                <Button
+                    type="submit"
+                    variant="contained"
+                    color="primary"
+                    disabled={isSubmitting || !username.trim() || !password}
+                >
+                    {setupRequired ? 'Create Account' : 'Log In'}
+                </Button>
+            </Paper>
+        </Box>
+    );
+};
+
+LoginScreen.propTypes = {
+    setupRequired: PropTypes.bool.isRequired,
+    onLogin: PropTypes.func.isRequired
+};
+
+export default LoginScreen;
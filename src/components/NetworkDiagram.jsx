@@ -1,4 +1,4 @@
-import React, { useEffect, useRef, useState, useCallback } from 'react';
+import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import { JsPlumbCoreWrapper } from './NetworkDiagram/JsPlumbWrapper';
 import '../styles/NetworkDiagram.css';
 import { 
@@ -11,6 +11,7 @@ import toast from '../utils/toast';
 import NodeConfigModal from './NodeConfigModal';
 import NodeContextMenu from './NetworkDiagram/NodeContextMenu';
 import NetworkNode from './NetworkDiagram/NetworkNode';
+import RemoteCursors from './NetworkDiagram/RemoteCursors';
 import ConnectionManager, { useConnectionManager } from './NetworkDiagram/ConnectionManager';
 import { useNodeManager } from './NetworkDiagram/NodeManager';
 import NodeCreator from './NetworkDiagram/NodeCreator';
@@ -18,10 +19,12 @@ import JsPlumbWrapper from './NetworkDiagram/JsPlumbWrapper';
 import Logger from '../utils/Logger';
 import useDragAndDrop from '../hooks/useDragAndDrop';
 import useThemeManager from '../hooks/useThemeManager';
-import HistoryManager from '../utils/HistoryManager';
+import useCollaborators from '../hooks/useCollaborators';
+import CollaborationClient from '../utils/CollaborationClient';
+import { getIconMetadata } from '../utils/IconUtils';
 
 // Refs and basic state
-const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
+const NetworkDiagram = ({ currentTheme, onCanvasActivityChange, focusRequest = null, readOnly = false }) => {
     const containerRef = useRef(null);
     const jsPlumbInstance = useRef(null);
     const nodesRef = useRef({});
@@ -30,6 +33,7 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
     const [nodeConfigModal, setNodeConfigModal] = useState(null);
     const [deviceTypeCount, setDeviceTypeCount] = useState({});
     const [hasCanvasActivity, setHasCanvasActivity] = useState(false);
+    const [focusedNodeId, setFocusedNodeId] = useState(null);
     const [connectionState, setConnectionState] = useState({
         sourceNode: null,
         sourceEndpoint: null,
@@ -40,6 +44,47 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
     const connectionManager = useConnectionManager(jsPlumbInstance);
     const nodeManager = useNodeManager({ jsPlumbInstance, setNodes, nodesRef });
     const { activeTheme, backgroundStyles } = useThemeManager(currentTheme);
+    const collaborators = useCollaborators();
+
+    // Collaborator shown on each node they have selected or are dragging; dragging wins
+    const remoteUsers = useMemo(() => {
+        const byNode = {};
+        collaborators.forEach(({ displayName, color, selection = [], dragging = [] }) => {
+            selection.forEach(nodeId => {
+                if (!byNode[nodeId]) byNode[nodeId] = { displayName, color, isDragging: false };
+            });
+            dragging.forEach(nodeId => {
+                if (!byNode[nodeId]?.isDragging) byNode[nodeId] = { displayName, color, isDragging: true };
+            });
+        });
+        return byNode;
+    }, [collaborators]);
+
+    // Share the selected nodes with collaborators
+    useEffect(() => {
+        const contextNodeId = contextMenu?.node?.id;
+        CollaborationClient.updatePresence({
+            selection: [...new Set([focusedNodeId, contextNodeId].filter(Boolean))]
+        });
+    }, [focusedNodeId, contextMenu]);
+
+    // Share the pointer position in canvas coordinates
+    const handlePointerMove = useCallback((e) => {
+        const container = containerRef.current;
+        if (!container) return;
+
+        const rect = container.getBoundingClientRect();
+        CollaborationClient.updatePresence({
+            cursor: {
+                x: Math.round(e.clientX - rect.left + container.scrollLeft),
+                y: Math.round(e.clientY - rect.top + container.scrollTop)
+            }
+        });
+    }, []);
+
+    const handlePointerLeave = useCallback(() => {
+        CollaborationClient.updatePresence({ cursor: null });
+    }, []);
 
     // Update parent component when canvas activity changes
     useEffect(() => {
@@ -73,6 +118,26 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
         };
     }, [trackCanvasActivity, jsPlumbInstance]);
 
+    // Scroll to and highlight the node requested by a search result
+    useEffect(() => {
+        if (!focusRequest?.nodeId || !nodes.some(node => node.id === focusRequest.nodeId)) {
+            return undefined;
+        }
+
+        // Wait for the node to be laid out before scrolling to it
+        const frame = requestAnimationFrame(() => {
+            const nodeElement = document.getElementById(focusRequest.nodeId);
+            if (!nodeElement) {
+                Logger.warn('NetworkDiagram: Focused node not found', { nodeId: focusRequest.nodeId });
+                return;
+            }
+            nodeElement.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+            setFocusedNodeId(focusRequest.nodeId);
+        });
+
+        return () => cancelAnimationFrame(frame);
+    }, [focusRequest, nodes]);
+
     // Track node changes
     useEffect(() => {
         if (nodes.length > 0) {  // Only track when nodes are added, not on initial load
@@ -104,8 +169,14 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
      */
     const createNode = useCallback(async (nodeType, iconPath, position) => {
         try {
+            // The icon manifest binds icons to device configurations and default sizes
+            const metadata = await getIconMetadata(iconPath).catch(error => {
+                Logger.warn('Icon metadata unavailable', { iconPath, error: error.message });
+                return null;
+            });
+
             // Load device-specific endpoint configuration
-            const endpointConfig = await EndpointConfigLoader.loadDeviceEndpoints(iconPath);
+            const endpointConfig = await EndpointConfigLoader.loadDeviceEndpoints(iconPath, metadata?.deviceConfig);
 
             // Create node configuration
             const nodeConfig = {
@@ -113,7 +184,8 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
                 iconPath,
                 x: position.clientX,
                 y: position.clientY,
-                endpoints: endpointConfig?.interfaces || []
+                endpoints: endpointConfig?.interfaces || [],
+                size: metadata?.size || null
             };
 
             setNodeConfigModal(nodeConfig);
@@ -133,6 +205,27 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
         onNodeCreate: createNode
     });
 
+    // A read-only canvas keeps nodes in place and offers no way to change the diagram
+    useEffect(() => {
+        JsPlumbWrapper.setReadOnly(readOnly);
+        if (readOnly) {
+            setConnectionState({
+                sourceNode: null,
+                sourceEndpoint: null,
+                stage: 'IDLE'
+            });
+        }
+    }, [readOnly]);
+
+    const handleCanvasDrop = useCallback((e) => {
+        if (readOnly) {
+            e.preventDefault();
+            toast.info('The diagram is checked out by another user');
+            return;
+        }
+        handleDrop(e);
+    }, [readOnly, handleDrop]);
+
     /**
      * Handle context menu for node endpoints
      * @param {Event} e - Context menu event
@@ -285,9 +378,15 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
         const isClickOnNode = e.target.closest('.network-node');
         const isClickOnContextMenu = e.target.closest('.context-menu');
 
+        // Clicking a node selects it
+        if (isClickOnNode) {
+            setFocusedNodeId(isClickOnNode.id);
+        }
+
         // Close context menu if not clicking on a node or context menu
         if (!isClickOnNode && !isClickOnContextMenu) {
             setContextMenu(null);
+            setFocusedNodeId(null);
             
             // Reset connection state if in SOURCE_SELECTED stage
             if (connectionState.stage === 'SOURCE_SELECTED') {
@@ -335,12 +434,9 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
     }, [connectionManager]);
 
     const createMultipleNodes = useCallback(async (nodeConfig, count) => {
-        const { type, iconPath, x, y } = nodeConfig;
+        const { iconPath, x, y, endpoints, size } = nodeConfig;
         const nodes = [];
 
-        // Load device-specific endpoint configuration
-        const endpointConfig = await EndpointConfigLoader.loadDeviceEndpoints(iconPath);
-
         // Extract device type from icon path
         const deviceType = iconPath
             .split('/')
@@ -365,7 +461,8 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
                 iconPath,
                 x: nodeX,
                 y: nodeY,
-                interfaces: endpointConfig?.interfaces || []
+                interfaces: endpoints || [],
+                size
             });
 
             nodes.push(node);
@@ -506,7 +603,7 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
     }, [trackCanvasActivity, jsPlumbInstance]);
 
     const handleUndo = useCallback(() => {
-        if (HistoryManager.undo()) {
+        if (TopologyManager.history.undo()) {
             toast.success('Action undone');
         } else {
             toast.info('Nothing to undo');
@@ -514,7 +611,7 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
     }, []);
 
     const handleRedo = useCallback(() => {
-        if (HistoryManager.redo()) {
+        if (TopologyManager.history.redo()) {
             toast.success('Action redone');
         } else {
             toast.info('Nothing to redo');
@@ -524,7 +621,7 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
     // Add keyboard event listener for node deletion
     useEffect(() => {
         const handleKeyDown = (event) => {
-            if ((event.key === 'Delete' || event.key === 'Backspace') && contextMenu) {
+            if ((event.key === 'Delete' || event.key === 'Backspace') && contextMenu && !readOnly) {
                 nodeManager.deleteNode(contextMenu.node.id);
                 setContextMenu(null);
             }
@@ -532,7 +629,7 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
 
         window.addEventListener('keydown', handleKeyDown);
         return () => window.removeEventListener('keydown', handleKeyDown);
-    }, [contextMenu, nodeManager]);
+    }, [contextMenu, nodeManager, readOnly]);
 
     /**
      * Delete a node and its related connections
@@ -548,11 +645,7 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
         }
 
         // Remove all connections related to this node
-        const relatedConnections = Object.values(TopologyManager.topology.connections)
-            .filter(conn => 
-                conn.sourceNodeId === nodeId || 
-                conn.targetNodeId === nodeId
-            );
+        const relatedConnections = TopologyManager.getTopologyNodeConnections(nodeId);
 
         // Remove connections from jsPlumb
         relatedConnections.forEach(connection => {
@@ -561,10 +654,10 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
                 if (jsPlumbInstance.current) {
                     const jsPlumbConnection = jsPlumbInstance.current.getConnections()
                         .find(conn => 
-                            (conn.sourceId === connection.sourceNodeId && 
-                             conn.targetId === connection.targetNodeId) ||
-                            (conn.sourceId === connection.targetNodeId && 
-                             conn.targetId === connection.sourceNodeId)
+                            (conn.sourceId === connection.sourceNode.id && 
+                             conn.targetId === connection.targetNode.id) ||
+                            (conn.sourceId === connection.targetNode.id && 
+                             conn.targetId === connection.sourceNode.id)
                         );
                     
                     if (jsPlumbConnection) {
@@ -573,12 +666,7 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
                 }
 
                 // Remove connection from ConnectionManager
-                TopologyManager.removeConnectionTopology(
-                    TopologyManager.generateConnectionKey(
-                        { nodeId: connection.sourceNodeId },
-                        { nodeId: connection.targetNodeId }
-                    )
-                );
+                TopologyManager.removeConnectionTopology(connection.id);
             } catch (error) {
                 Logger.error('Error removing connection during node deletion', {
                     nodeId,
@@ -747,24 +835,7 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
                 // Step 5: Recreate connections after nodes are rendered
                 setTimeout(() => {
                     if (jsPlumbInstance.current) {
-                        Object.values(TopologyManager.topology.connections).forEach(conn => {
-                            const connection = {
-                                sourceNode: {
-                                    id: conn.sourceNode.id
-                                },
-                                targetNode: {
-                                    id: conn.targetNode.id
-                                },
-                                sourceInterface: {
-                                    name: conn.sourceNode.interface,
-                                    type: conn.sourceNode.interfaceType
-                                },
-                                targetInterface: {
-                                    name: conn.targetNode.interface,
-                                    type: conn.targetNode.interfaceType
-                                }
-                            };
-
+                        Object.values(TopologyManager.topology.connections).forEach(connection => {
                             const jsPlumbConn = connectionManager.renderConnection(connection);
                             if (!jsPlumbConn) {
                                 Logger.warn('NetworkDiagram: Failed to render connection', {
@@ -954,19 +1025,106 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
         };
     }, []);
 
+    // Render edits of other collaborators and keep node positions in state
+    useEffect(() => {
+        const isRemote = (meta) => meta?.origin === 'remote';
+
+        const handleNodeAdded = (nodeData, meta) => {
+            if (!isRemote(meta)) return;
+
+            const node = {
+                id: nodeData.id,
+                type: nodeData.type,
+                name: nodeData.name,
+                position: nodeData.position,
+                interfaces: nodeData.interfaces,
+                properties: nodeData.properties,
+                iconPath: nodeData.iconPath || `/net_icons/${nodeData.type}.svg`,
+                endpoints: nodeData.endpoints || []
+            };
+            setNodes(prev => (prev.some(existing => existing.id === node.id) ? prev : [...prev, node]));
+
+            // Add endpoints once the node is rendered, as for nodes created here
+            setTimeout(() => {
+                const nodeElement = document.getElementById(node.id);
+                if (!nodeElement || !jsPlumbInstance.current || !TopologyManager.getTopologyNode(node.id)) return;
+
+                const jsPlumbEndpoints = NodeCreator.createJsPlumbEndpoints({
+                    jsPlumbInstance: jsPlumbInstance.current,
+                    nodeElement,
+                    endpoints: node.endpoints
+                });
+                nodesRef.current[node.id] = { node, jsPlumbEndpoints };
+            }, 100);
+        };
+
+        const handleNodeRemoved = (node, meta) => {
+            if (isRemote(meta)) {
+                nodeManager.removeRenderedNode(node.id);
+            }
+        };
+
+        const handleNodeMoved = ({ id, position }, meta) => {
+            setNodes(prev => prev.map(node => (node.id === id ? { ...node, position } : node)));
+
+            if (isRemote(meta)) {
+                // Let React move the element before jsPlumb redraws its connections
+                requestAnimationFrame(() => {
+                    const nodeElement = document.getElementById(id);
+                    if (nodeElement && jsPlumbInstance.current) {
+                        jsPlumbInstance.current.revalidate(nodeElement);
+                    }
+                });
+            }
+        };
+
+        const handleConnectionAdded = (connection, meta) => {
+            if (!isRemote(meta)) return;
+
+            // Wait for nodes added by the same collaborator to be rendered
+            setTimeout(() => {
+                if (TopologyManager.topology.connections[connection.id] === connection) {
+                    connectionManager.renderConnection(connection);
+                }
+            }, 100);
+        };
+
+        const handleConnectionRemoved = (connection, meta) => {
+            if (isRemote(meta)) {
+                nodeManager.removeRenderedConnection(connection);
+            }
+        };
+
+        TopologyManager.on('nodeAdded', handleNodeAdded);
+        TopologyManager.on('nodeRemoved', handleNodeRemoved);
+        TopologyManager.on('nodeMoved', handleNodeMoved);
+        TopologyManager.on('connectionAdded', handleConnectionAdded);
+        TopologyManager.on('connectionRemoved', handleConnectionRemoved);
+
+        return () => {
+            TopologyManager.off('nodeAdded', handleNodeAdded);
+            TopologyManager.off('nodeRemoved', handleNodeRemoved);
+            TopologyManager.off('nodeMoved', handleNodeMoved);
+            TopologyManager.off('connectionAdded', handleConnectionAdded);
+            TopologyManager.off('connectionRemoved', handleConnectionRemoved);
+        };
+    }, [connectionManager, nodeManager]);
+
     return (
         <div className="network-diagram">
             <div
                 ref={containerRef}
-                className="diagram-container"
+                className={`diagram-container${readOnly ? ' read-only' : ''}`}
                 style={{
                     flex: 1,
                     minHeight: 'calc(100vh - 48px)',
                     ...backgroundStyles
                 }}
                 onDragOver={handleDragOver}
-                onDrop={handleDrop}
+                onDrop={handleCanvasDrop}
                 onClick={handleCanvasClick}  
+                onMouseMove={handlePointerMove}
+                onMouseLeave={handlePointerLeave}
             >
                 {nodes.map(node => (
                     <NetworkNode
@@ -974,13 +1132,18 @@ const NetworkDiagram = ({ currentTheme, onCanvasActivityChange }) => {
                         id={node.id}
                         node={node}
                         isConnectionTarget={connectionState.stage === 'SOURCE_SELECTED'}
+                        isSelected={focusedNodeId === node.id}
+                        remoteUser={remoteUsers[node.id] || null}
                         onContextMenu={handleContextMenu}
                     />
                 ))}
 
+                <RemoteCursors collaborators={collaborators} />
+
                 <NodeContextMenu 
                     contextMenu={contextMenu}
                     connectionState={connectionState}
+                    readOnly={readOnly}
                     onEndpointSelect={handleEndpointSelection}
                     onDeleteNode={nodeManager.deleteNode}
                     onClose={() => setContextMenu(null)}
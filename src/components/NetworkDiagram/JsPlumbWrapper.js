@@ -3,12 +3,16 @@ import {
     newInstance, 
     BlankEndpoint, 
     DotEndpoint,
-    AnchorLocations
+    AnchorLocations,
+    EVENT_DRAG_START,
+    EVENT_DRAG_STOP
 } from "@jsplumb/browser-ui";
 import { 
     NETWORK_DIAGRAM_CONFIG, 
     Logger 
 } from '../../utils/NetworkDiagramConfig';
+import TopologyManager from '../../utils/TopologyManager';
+import CollaborationClient from '../../utils/CollaborationClient';
 
 /**
  * Comprehensive JsPlumb Wrapper for Network Diagram
@@ -21,6 +25,7 @@ class JsPlumbWrapper {
         this.connections = [];
         this.endpoints = {};
         this.instanceCount = 0;
+        this.readOnly = false;
     }
 
     /**
@@ -55,6 +60,7 @@ class JsPlumbWrapper {
         };
 
         this.instance = newInstance(defaultConfig);
+        this.instance.elementsDraggable = !this.readOnly;
         this.containerRef = container;
         this.instanceCount = 1;
 
@@ -63,6 +69,17 @@ class JsPlumbWrapper {
         return this.instance;
     }
 
+    /**
+     * Enable or disable dragging nodes, e.g. while another user has the diagram checked out
+     * @param {boolean} readOnly - Whether nodes stay in place
+     */
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        if (this.instance) {
+            this.instance.elementsDraggable = !readOnly;
+        }
+    }
+
     /**
      * Bind standard jsPlumb events with comprehensive logging
      * @private
@@ -89,6 +106,23 @@ class JsPlumbWrapper {
                 targetId: info.targetId
             });
         });
+
+        // Show collaborators which node is being dragged
+        this.instance.bind(EVENT_DRAG_START, ({ el }) => {
+            if (el?.id) {
+                CollaborationClient.updatePresence({ dragging: [el.id] });
+            }
+        });
+
+        // Keep node positions in the topology in step with dragging
+        this.instance.bind(EVENT_DRAG_STOP, (params) => {
+            (params.elements || []).forEach(({ el, pos }) => {
+                if (el?.id && pos) {
+                    TopologyManager.moveTopologyNode(el.id, pos);
+                }
+            });
+            CollaborationClient.updatePresence({ dragging: [] });
+        });
     }
 
     /**
@@ -7,22 +7,30 @@ import PropTypes from 'prop-types';
  * @param {string} props.id Node unique identifier
  * @param {Object} props.node Node data object
  * @param {boolean} props.isConnectionTarget Whether this node is a potential connection target
+ * @param {boolean} [props.isSelected] Whether this node is highlighted, e.g. as a search result
+ * @param {Object} [props.remoteUser] Collaborator who has this node selected or is dragging it
  * @param {function} props.onContextMenu Context menu handler
  */
 const NetworkNode = ({ 
     id, 
     node, 
     isConnectionTarget, 
+    isSelected = false,
+    remoteUser = null,
     onContextMenu 
 }) => {
     return (
         <div 
             id={id}
-            className={`network-node ${isConnectionTarget ? 'connection-target-highlight' : ''}`}
+            className={`network-node ${isConnectionTarget ? 'connection-target-highlight' : ''} ${isSelected ? 'selected' : ''}`}
             style={{
                 position: 'absolute',
                 left: node.position.x,
-                top: node.position.y
+                top: node.position.y,
+                ...(remoteUser && {
+                    outline: `2px ${remoteUser.isDragging ? 'dashed' : 'solid'} ${remoteUser.color}`,
+                    outlineOffset: 2
+                })
             }}
             onContextMenu={(e) => onContextMenu(e, node)}
         >
@@ -30,6 +38,11 @@ const NetworkNode = ({
                 src={node.iconPath}
                 alt={node.type}
             />
+            {remoteUser && (
+                <span className="remote-user-label node-remote-user" style={{ backgroundColor: remoteUser.color }}>
+                    {remoteUser.displayName}
+                </span>
+            )}
         </div>
     );
 };
@@ -46,6 +59,12 @@ NetworkNode.propTypes = {
         iconPath: PropTypes.string.isRequired
     }).isRequired,
     isConnectionTarget: PropTypes.bool.isRequired,
+    isSelected: PropTypes.bool,
+    remoteUser: PropTypes.shape({
+        displayName: PropTypes.string.isRequired,
+        color: PropTypes.string.isRequired,
+        isDragging: PropTypes.bool
+    }),
     onContextMenu: PropTypes.func.isRequired
 };
 
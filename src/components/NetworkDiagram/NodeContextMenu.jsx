@@ -12,10 +12,12 @@ import DeleteIcon from '@mui/icons-material/Delete';
 
 /**
  * Context menu component for network nodes
+ * A read-only menu lists the interfaces without offering to connect or delete.
  */
 const NodeContextMenu = ({ 
     contextMenu, 
     connectionState, 
+    readOnly = false,
     onEndpointSelect, 
     onDeleteNode, 
     onClose 
@@ -45,14 +47,17 @@ const NodeContextMenu = ({
             {/* Endpoint Selection Section */}
             <MenuItem disabled>
                 <Typography variant="subtitle2">
-                    {connectionState.stage === 'SOURCE_SELECTED' 
-                        ? 'Select Destination Endpoint' 
-                        : 'Select Source Endpoint'}
+                    {readOnly
+                        ? 'Interfaces (read only)'
+                        : connectionState.stage === 'SOURCE_SELECTED' 
+                            ? 'Select Destination Endpoint' 
+                            : 'Select Source Endpoint'}
                 </Typography>
             </MenuItem>
             {contextMenu.endpoints.map((endpoint, index) => (
                 <MenuItem 
                     key={`${endpoint.name}-${index}`}
+                    disabled={readOnly}
                     onClick={() => onEndpointSelect(contextMenu.node, endpoint)}
                 >
                     {endpoint.name} ({endpoint.type})
@@ -60,28 +65,30 @@ const NodeContextMenu = ({
             ))}
 
             {/* Delete Node Option */}
-            <Divider />
-            <MenuItem 
-                onClick={() => {
-                    onDeleteNode(contextMenu.node.id);
-                    onClose();
-                }}
-                sx={{
-                    color: 'error.main',
-                    '&:hover': {
-                        backgroundColor: 'error.light',
-                        color: 'error.contrastText'
-                    }
-                }}
-            >
-                <ListItemIcon>
-                    <DeleteIcon color="error" />
-                </ListItemIcon>
-                <ListItemText 
-                    primary="Delete Node" 
-                    primaryTypographyProps={{color: 'error'}} 
-                />
-            </MenuItem>
+            {!readOnly && <Divider />}
+            {!readOnly && (
+                <MenuItem 
+                    onClick={() => {
+                        onDeleteNode(contextMenu.node.id);
+                        onClose();
+                    }}
+                    sx={{
+                        color: 'error.main',
+                        '&:hover': {
+                            backgroundColor: 'error.light',
+                            color: 'error.contrastText'
+                        }
+                    }}
+                >
+                    <ListItemIcon>
+                        <DeleteIcon color="error" />
+                    </ListItemIcon>
+                    <ListItemText 
+                        primary="Delete Node" 
+                        primaryTypographyProps={{color: 'error'}} 
+                    />
+                </MenuItem>
+            )}
         </Menu>
     );
 };
@@ -98,6 +105,7 @@ NodeContextMenu.propTypes = {
         sourceNode: PropTypes.object,
         sourceEndpoint: PropTypes.object
     }).isRequired,
+    readOnly: PropTypes.bool,
     onEndpointSelect: PropTypes.func.isRequired,
     onDeleteNode: PropTypes.func.isRequired,
     onClose: PropTypes.func.isRequired
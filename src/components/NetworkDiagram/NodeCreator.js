@@ -1,6 +1,7 @@
 import { generateUUID } from '../../utils/NetworkDiagramConfig';
 import { JsPlumbCoreWrapper } from './JsPlumbWrapper';
 import TopologyManager from '../../utils/TopologyManager';
+import { createNodeEndpoints } from '../../utils/TopologyRules';
 import Logger from '../../utils/Logger';
 
 /**
@@ -59,9 +60,10 @@ class NodeCreator {
      * @param {number} params.x - X coordinate
      * @param {number} params.y - Y coordinate
      * @param {Array} params.interfaces - Array of interface configurations
+     * @param {Object} [params.size] - Node size as `{ width, height }`
      * @returns {Object} Created node object
      */
-    static createNode({ deviceType, name, iconPath, x, y, interfaces = [] }) {
+    static createNode({ deviceType, name, iconPath, x, y, interfaces = [], size }) {
         const nodeId = generateUUID();
         
         const node = {
@@ -70,12 +72,8 @@ class NodeCreator {
             name: name,
             iconPath: iconPath,
             position: { x, y },
-            endpoints: interfaces.map(endpoint => ({
-                ...endpoint,
-                id: generateUUID(),
-                nodeId: nodeId,
-                originalName: endpoint.name
-            }))
+            ...(size && { size }),
+            endpoints: createNodeEndpoints(nodeId, interfaces, generateUUID)
         };
 
         TopologyManager.addTopologyNode(node);
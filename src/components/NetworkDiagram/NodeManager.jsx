@@ -62,39 +62,60 @@ export const useNodeManager = ({ jsPlumbInstance, setNodes, nodesRef }) => {
         }
     }, []);
 
+    /**
+     * Remove the line drawn for a connection, leaving the topology as it is
+     * @param {Object} connection - Connection whose line to remove
+     */
+    const removeRenderedConnection = useCallback((connection) => {
+        if (!jsPlumbInstance.current) return;
+
+        const jsPlumbConnection = jsPlumbInstance.current.getConnections()
+            .find(conn => 
+                (conn.sourceId === connection.sourceNode.id && 
+                 conn.targetId === connection.targetNode.id) ||
+                (conn.sourceId === connection.targetNode.id && 
+                 conn.targetId === connection.sourceNode.id)
+            );
+        
+        if (jsPlumbConnection) {
+            jsPlumbInstance.current.deleteConnection(jsPlumbConnection);
+        }
+    }, [jsPlumbInstance]);
+
+    /**
+     * Remove a node from the canvas, leaving the topology as it is
+     * @param {string} nodeId - ID of the node to remove
+     */
+    const removeRenderedNode = useCallback((nodeId) => {
+        if (jsPlumbInstance.current) {
+            const nodeElement = document.getElementById(nodeId);
+            if (nodeElement) {
+                jsPlumbInstance.current.removeAllEndpoints(nodeElement);
+                Logger.debug('NodeManager: Removed jsPlumb endpoints', { nodeId });
+            } else {
+                Logger.warn('NodeManager: Node element not found in DOM', { nodeId });
+            }
+        }
+
+        setNodes(prevNodes => prevNodes.filter(node => node.id !== nodeId));
+        delete nodesRef.current[nodeId];
+    }, [jsPlumbInstance, nodesRef, setNodes]);
+
     /**
      * Remove a connection from the diagram
      * @param {Object} connection - Connection to remove
      */
     const removeConnection = useCallback((connection) => {
         try {
-            if (jsPlumbInstance.current) {
-                const jsPlumbConnection = jsPlumbInstance.current.getConnections()
-                    .find(conn => 
-                        (conn.sourceId === connection.sourceNodeId && 
-                         conn.targetId === connection.targetNodeId) ||
-                        (conn.sourceId === connection.targetNodeId && 
-                         conn.targetId === connection.sourceNodeId)
-                    );
-                
-                if (jsPlumbConnection) {
-                    jsPlumbInstance.current.deleteConnection(jsPlumbConnection);
-                }
-            }
-
-            TopologyManager.removeConnectionTopology(
-                TopologyManager.generateConnectionKey(
-                    { nodeId: connection.sourceNodeId },
-                    { nodeId: connection.targetNodeId }
-                )
-            );
+            removeRenderedConnection(connection);
+            TopologyManager.removeConnectionTopology(connection.id);
         } catch (error) {
             Logger.error('Error removing connection', {
                 connectionId: connection.id,
                 error: error.message
             });
         }
-    }, [jsPlumbInstance]);
+    }, [removeRenderedConnection]);
 
     /**
      * Delete a node and its related connections
@@ -135,16 +156,8 @@ export const useNodeManager = ({ jsPlumbInstance, setNodes, nodesRef }) => {
             // Remove all related connections
             relatedConnections.forEach(removeConnection);
 
-            // Remove node from jsPlumb
-            if (jsPlumbInstance.current) {
-                const nodeElement = document.getElementById(nodeId);
-                if (nodeElement) {
-                    jsPlumbInstance.current.removeAllEndpoints(nodeElement);
-                    Logger.debug('NodeManager: Removed jsPlumb endpoints', { nodeId });
-                } else {
-                    Logger.warn('NodeManager: Node element not found in DOM', { nodeId });
-                }
-            }
+            // Remove node from jsPlumb, local state and node references
+            removeRenderedNode(nodeId);
 
             // Remove node from TopologyManager
             const removedNode = TopologyManager.removeTopologyNode(nodeId);
@@ -152,12 +165,6 @@ export const useNodeManager = ({ jsPlumbInstance, setNodes, nodesRef }) => {
                 Logger.warn('NodeManager: Node not found in TopologyManager', { nodeId });
             }
 
-            // Remove node from local state
-            setNodes(prevNodes => prevNodes.filter(node => node.id !== nodeId));
-
-            // Remove node reference
-            delete nodesRef.current[nodeId];
-
             // Log successful deletion
             Logger.info('NodeManager: Node deleted successfully', {
                 nodeId,
@@ -176,12 +183,14 @@ export const useNodeManager = ({ jsPlumbInstance, setNodes, nodesRef }) => {
             });
             toast.error('Failed to delete node');
         }
-    }, [jsPlumbInstance, nodesRef, removeConnection, setNodes]);
+    }, [nodesRef, removeConnection, removeRenderedNode]);
 
     return {
         createNodeEndpoints,
         deleteNode,
-        removeConnection
+        removeConnection,
+        removeRenderedConnection,
+        removeRenderedNode
     };
 };
 
@@ -0,0 +1,46 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * RemoteCursors component draws the pointers of other collaborators
+ * Positions are in canvas coordinates, like node positions.
+ * @param {Object} props Component properties
+ * @param {Array} props.collaborators Collaborators from useCollaborators
+ */
+const RemoteCursors = ({ collaborators }) => (
+    <>
+        {collaborators
+            .filter(collaborator => collaborator.cursor)
+            .map(collaborator => (
+                <div
+                    key={collaborator.clientId}
+                    className="remote-cursor"
+                    style={{
+                        left: collaborator.cursor.x,
+                        top: collaborator.cursor.y
+                    }}
+                >
+                    <svg width="16" height="16" viewBox="0 0 16 16" aria-hidden="true">
+                        <path d="M1 1 L1 13 L4.5 9.5 L7 15 L9 14 L6.5 8.5 L11 8.5 Z" fill={collaborator.color} stroke="#fff" />
+                    </svg>
+                    <span className="remote-user-label" style={{ backgroundColor: collaborator.color }}>
+                        {collaborator.displayName}
+                    </span>
+                </div>
+            ))}
+    </>
+);
+
+RemoteCursors.propTypes = {
+    collaborators: PropTypes.arrayOf(PropTypes.shape({
+        clientId: PropTypes.string.isRequired,
+        displayName: PropTypes.string.isRequired,
+        color: PropTypes.string.isRequired,
+        cursor: PropTypes.shape({
+            x: PropTypes.number.isRequired,
+            y: PropTypes.number.isRequired
+        })
+    })).isRequired
+};
+
+export default RemoteCursors;
@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    TextField,
+    MenuItem,
+    Box,
+    Typography
+} from '@mui/material';
+import axios from 'axios';
+import Logger from '../utils/Logger';
+
+/**
+ * Flatten the /api/diagrams tree into a list of folder paths
+ * @param {Array} items - Tree items returned by the server
+ * @returns {Array<string>} Folder paths
+ */
+const collectFolders = (items = []) => items
+    .filter(item => item.type === 'folder')
+    .flatMap(folder => [folder.path, ...collectFolders(folder.children)]);
+
+/**
+ * Split a diagram path into its folder and file name parts
+ * @param {string} diagramPath - Path such as `lab/core-network`
+ * @returns {Object} Folder and name
+ */
+const splitDiagramPath = (diagramPath = '') => {
+    const index = diagramPath.lastIndexOf('/');
+    return index === -1
+        ? { folder: '', name: diagramPath }
+        : { folder: diagramPath.slice(0, index), name: diagramPath.slice(index + 1) };
+};
+
+/**
+ * SaveAsDialog - asks for a folder and a name to save the topology under
+ * When the target already exists the user is asked to confirm overwriting it
+ */
+const SaveAsDialog = ({ open, defaultPath, onClose, onSave }) => {
+    const [folders, setFolders] = useState([]);
+    const [folder, setFolder] = useState('');
+    const [name, setName] = useState('');
+    const [conflictPath, setConflictPath] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        if (!open) return;
+
+        const initial = splitDiagramPath(defaultPath);
+        setFolder(initial.folder);
+        setName(initial.name);
+        setConflictPath(null);
+
+        axios.get('/api/diagrams')
+            .then(response => setFolders(collectFolders(response.data)))
+            .catch(error => Logger.error('SaveAsDialog: Failed to load folders', {
+                error: error.message
+            }));
+    }, [open, defaultPath]);
+
+    const targetPath = folder ? `${folder}/${name.trim()}` : name.trim();
+
+    /**
+     * Submit the save request
+     * @param {string} mode - Save mode, `saveAs` or `overwrite`
+     */
+    const handleSave = async (mode) => {
+        if (!name.trim()) return;
+
+        setIsSaving(true);
+        try {
+            const result = await onSave(targetPath, mode);
+            if (result === 'conflict') {
+                setConflictPath(targetPath);
+            }
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+            <DialogTitle>Save Diagram As</DialogTitle>
+            <DialogContent>
+                <Box sx={{ pt: 1, display: 'flex', flexDirection: 'column', gap: 2 }}>
+                    <TextField
+                        select
+                        label="Folder"
+                        value={folder}
+                        onChange={(e) => {
+                            setFolder(e.target.value);
+                            setConflictPath(null);
+                        }}
+                        fullWidth
+                    >
+                        <MenuItem value="">/ (root)</MenuItem>
+                        {folders.map(folderPath => (
+                            <MenuItem key={folderPath} value={folderPath}>
+                                /{folderPath}
+                            </MenuItem>
+                        ))}
+                    </TextField>
+                    <TextField
+                        autoFocus
+                        label="Diagram Name"
+                        value={name}
+                        onChange={(e) => {
+                            setName(e.target.value);
+                            setConflictPath(null);
+                        }}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') handleSave('saveAs');
+                        }}
+                        fullWidth
+                    />
+                    {conflictPath && (
+                        <Typography variant="body2" color="error">
+                            <strong>{conflictPath}</strong> already exists. Overwrite it?
+                        </Typography>
+                    )}
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Cancel</Button>
+                {conflictPath ? (
+                    <Button
+                        onClick={() => handleSave('overwrite')}
+                        variant="contained"
+                        color="error"
+                        disabled={isSaving}
+                    >
+                        Overwrite
+                    </Button>
+                ) : (
+                    <Button
+                        onClick={() => handleSave('saveAs')}
+                        variant="contained"
+                        color="primary"
+                        disabled={isSaving || !name.trim()}
+                    >
+                        Save
+                    </Button>
+                )}
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+SaveAsDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    defaultPath: PropTypes.string,
+    onClose: PropTypes.func.isRequired,
+    onSave: PropTypes.func.isRequired
+};
+
+export default SaveAsDialog;
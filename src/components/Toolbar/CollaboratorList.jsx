@@ -0,0 +1,49 @@
+import React from 'react';
+import { Avatar, AvatarGroup, Tooltip } from '@mui/material';
+import useCollaborators from '../../hooks/useCollaborators';
+
+const MAX_AVATARS = 5;
+
+/**
+ * Get the initials shown in an avatar
+ * @param {string} name - Display name
+ * @returns {string} Up to two upper case letters
+ */
+const getInitials = (name = '') => name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part.charAt(0).toUpperCase())
+    .join('') || '?';
+
+/**
+ * CollaboratorList component shows who else has the open diagram on screen
+ * Each avatar has the color of the user's cursor and outlines on the canvas.
+ */
+const CollaboratorList = () => {
+    const collaborators = useCollaborators();
+
+    if (collaborators.length === 0) return null;
+
+    return (
+        <AvatarGroup
+            max={MAX_AVATARS}
+            sx={{ ml: 2, '& .MuiAvatar-root': { width: 28, height: 28, fontSize: 12 } }}
+        >
+            {collaborators.map(collaborator => (
+                <Tooltip
+                    key={collaborator.clientId}
+                    title={collaborator.username
+                        ? `${collaborator.displayName} (${collaborator.username})`
+                        : collaborator.displayName}
+                >
+                    <Avatar sx={{ bgcolor: collaborator.color }}>
+                        {getInitials(collaborator.displayName)}
+                    </Avatar>
+                </Tooltip>
+            ))}
+        </AvatarGroup>
+    );
+};
+
+export default CollaboratorList;
@@ -0,0 +1,83 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Box, Chip, IconButton, Tooltip } from '@mui/material';
+import LockIcon from '@mui/icons-material/Lock';
+import LockOpenIcon from '@mui/icons-material/LockOpen';
+import LockResetIcon from '@mui/icons-material/LockReset';
+
+/**
+ * LockButton component checks the open diagram out and in
+ * When another user holds the lock it shows who, and folder admins can take
+ * the lock over.
+ * @param {Object} props Component properties
+ * @param {Object} props.diagramLock Result of useDiagramLock
+ */
+const LockButton = ({ diagramLock }) => {
+    const { lock, isCheckedOut, isLockedByOther, canLock, canOverride, checkOut, checkIn, overrideLock } = diagramLock;
+
+    if (isLockedByOther) {
+        return (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <Tooltip title={`Checked out by ${lock.displayName} (${lock.username}) since ${new Date(lock.acquiredAt).toLocaleString()}`}>
+                    <Chip
+                        icon={<LockIcon />}
+                        label={`Read only: ${lock.displayName}`}
+                        size="small"
+                        color="warning"
+                        variant="outlined"
+                    />
+                </Tooltip>
+                {canOverride && (
+                    <Tooltip title="Take over the checkout">
+                        <IconButton onClick={overrideLock} size="small" sx={{ color: 'warning.main' }}>
+                            <LockResetIcon fontSize="small" />
+                        </IconButton>
+                    </Tooltip>
+                )}
+            </Box>
+        );
+    }
+
+    if (isCheckedOut) {
+        return (
+            <Tooltip title="Checked out by you, click to check in">
+                <IconButton onClick={checkIn} sx={{ color: 'primary.main' }}>
+                    <LockIcon />
+                </IconButton>
+            </Tooltip>
+        );
+    }
+
+    return (
+        <Tooltip title={canLock ? 'Check out for exclusive editing' : 'Checking out requires write access'}>
+            <span>
+                <IconButton
+                    onClick={checkOut}
+                    disabled={!canLock}
+                    sx={{ color: canLock ? 'primary.main' : 'action.disabled' }}
+                >
+                    <LockOpenIcon />
+                </IconButton>
+            </span>
+        </Tooltip>
+    );
+};
+
+LockButton.propTypes = {
+    diagramLock: PropTypes.shape({
+        lock: PropTypes.shape({
+            username: PropTypes.string.isRequired,
+            displayName: PropTypes.string.isRequired,
+            acquiredAt: PropTypes.string.isRequired
+        }),
+        isCheckedOut: PropTypes.bool.isRequired,
+        isLockedByOther: PropTypes.bool.isRequired,
+        canLock: PropTypes.bool.isRequired,
+        canOverride: PropTypes.bool.isRequired,
+        checkOut: PropTypes.func.isRequired,
+        checkIn: PropTypes.func.isRequired,
+        overrideLock: PropTypes.func.isRequired
+    }).isRequired
+};
+
+export default LockButton;
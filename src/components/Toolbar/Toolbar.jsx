@@ -16,13 +16,23 @@ import {
 } from '@mui/material';
 import ThemeSelector from './ThemeSelector';
 import StatisticsPanel from './StatisticsPanel';
+import CollaboratorList from './CollaboratorList';
+import LockButton from './LockButton';
+import DeviceConfigDialog from '../DeviceConfigDialog';
+import AuditLogDialog from '../AuditLogDialog';
 import TopologyManager from '../../utils/TopologyManager';
 import Logger from '../../utils/Logger';
 import toast from '../../utils/toast';
 import SaveIcon from '@mui/icons-material/Save';
+import SaveAsIcon from '@mui/icons-material/SaveAs';
 import CloudDownloadIcon from '@mui/icons-material/CloudDownload';
 import RestartAltIcon from '@mui/icons-material/RestartAlt';
+import DeveloperBoardIcon from '@mui/icons-material/DeveloperBoard';
+import LogoutIcon from '@mui/icons-material/Logout';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
 import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import useAuth from '../../hooks/useAuth';
 
 /**
  * Toolbar Component for Network Diagram
@@ -30,20 +40,35 @@ import axios from 'axios';
  * 
  * @param {Object} props - Component props
  * @param {Function} props.onSaveDiagram - Diagram save handler
+ * @param {Function} props.onSaveDiagramAs - Diagram save-as handler
  * @param {Function} props.onLoadDiagram - Diagram load handler
+ * @param {Function} props.onResetDiagram - Called after the canvas has been reset
+ * @param {string} props.currentFile - Path of the diagram file currently open
+ * @param {Object} props.diagramLock - Edit lock of the open diagram, from useDiagramLock
  * @param {string} props.currentTheme - Current theme ID
  * @param {Function} props.onThemeChange - Theme change handler
  * @param {boolean} props.hasCanvasActivity - Whether there's canvas activity
  */
 const Toolbar = ({
     onSaveDiagram,
+    onSaveDiagramAs,
     onLoadDiagram,
+    onResetDiagram,
+    currentFile,
+    diagramLock,
     currentTheme,
     onThemeChange,
     hasCanvasActivity
 }) => {
+    // Saving in place is refused while another user has the diagram checked out
+    const canSave = hasCanvasActivity && !diagramLock?.isLockedByOther;
+
     const [isLoadDialogOpen, setIsLoadDialogOpen] = useState(false);
     const [savedDiagrams, setSavedDiagrams] = useState([]);
+    const [isDeviceConfigOpen, setIsDeviceConfigOpen] = useState(false);
+    const [isAuditLogOpen, setIsAuditLogOpen] = useState(false);
+    const navigate = useNavigate();
+    const { user, logout } = useAuth();
 
     // Fetch list of saved diagrams when dialog opens
     useEffect(() => {
@@ -77,32 +102,25 @@ const Toolbar = ({
         }
     }, [onSaveDiagram]);
 
-    // Handle diagram selection from load dialog
-    const handleDiagramSelect = async (diagram) => {
+    // Handle save diagram under a new name
+    const handleSaveDiagramAs = useCallback(() => {
         try {
-            Logger.debug('Loading topology file:', diagram.filename);
-            
-            const response = await axios.get(`/api/topology/load?filename=${diagram.filename}`);
-            
-            if (!response.data || typeof response.data !== 'object') {
-                throw new Error('Invalid response from server');
-            }
-
-            // Load topology using TopologyManager
-            const success = TopologyManager.loadTopology(response.data);
-            if (success) {
-                toast.success('Topology loaded successfully');
-                setIsLoadDialogOpen(false);
-            } else {
-                throw new Error('Failed to load topology');
-            }
-
+            Logger.info('Save diagram as triggered');
+            const config = TopologyManager.getTopology();
+            onSaveDiagramAs(config);
         } catch (error) {
-            Logger.error('Failed to load diagram:', error);
-            toast.error('Failed to load diagram', {
-                description: error.message
-            });
+            Logger.error('Failed to save diagram:', error);
+            toast.error('Failed to save diagram');
         }
+    }, [onSaveDiagramAs]);
+
+    // Handle diagram selection from load dialog
+    const handleDiagramSelect = (diagram) => {
+        Logger.debug('Opening topology file:', diagram.filename);
+
+        // The /diagram route loads the file and tracks it as the open diagram
+        navigate(`/diagram/${diagram.filename.replace(/\.json$/, '')}`);
+        setIsLoadDialogOpen(false);
     };
 
     // Format file size
@@ -124,6 +142,7 @@ const Toolbar = ({
         try {
             Logger.debug('Toolbar: Resetting topology');
             TopologyManager.resetTopology();
+            onResetDiagram?.();
             toast.success('Canvas reset successfully');
         } catch (error) {
             Logger.error('Toolbar: Failed to reset topology', {
@@ -148,19 +167,31 @@ const Toolbar = ({
             >
                 <MuiToolbar variant="dense">
                     <Box sx={{ flexGrow: 1, display: 'flex', alignItems: 'center', gap: 1 }}>
-                        <Tooltip title="Save Diagram">
+                        <Tooltip title={diagramLock?.isLockedByOther ? 'Checked out by another user, use Save As' : 'Save Diagram'}>
                             <span>
                                 <IconButton 
                                     onClick={handleSaveDiagram} 
-                                    disabled={!hasCanvasActivity}
+                                    disabled={!canSave}
                                     sx={{ 
-                                        color: hasCanvasActivity ? 'primary.main' : 'action.disabled'
+                                        color: canSave ? 'primary.main' : 'action.disabled'
                                     }}
                                 >
                                     <SaveIcon />
                                 </IconButton>
                             </span>
                         </Tooltip>
+                        <Tooltip title="Save Diagram As">
+                            <span>
+                                <IconButton 
+                                    onClick={handleSaveDiagramAs}
+                                    sx={{ 
+                                        color: 'primary.main'
+                                    }}
+                                >
+                                    <SaveAsIcon />
+                                </IconButton>
+                            </span>
+                        </Tooltip>
                         <Tooltip title="Load Diagram">
                             <span>
                                 <IconButton 
@@ -188,6 +219,41 @@ const Toolbar = ({
                                 </IconButton>
                             </span>
                         </Tooltip>
+                        <Tooltip title="Device Types">
+                            <span>
+                                <IconButton 
+                                    onClick={() => setIsDeviceConfigOpen(true)}
+                                    sx={{ 
+                                        color: 'primary.main'
+                                    }}
+                                >
+                                    <DeveloperBoardIcon />
+                                </IconButton>
+                            </span>
+                        </Tooltip>
+                        {user?.role === 'admin' && (
+                            <Tooltip title="Audit Log">
+                                <span>
+                                    <IconButton 
+                                        onClick={() => setIsAuditLogOpen(true)}
+                                        sx={{ 
+                                            color: 'primary.main'
+                                        }}
+                                    >
+                                        <FactCheckIcon />
+                                    </IconButton>
+                                </span>
+                            </Tooltip>
+                        )}
+                        <Typography 
+                            variant="body2" 
+                            color="text.secondary" 
+                            noWrap
+                            sx={{ ml: 1, maxWidth: 240 }}
+                        >
+                            {currentFile || 'Untitled diagram'}
+                        </Typography>
+                        {currentFile && diagramLock && <LockButton diagramLock={diagramLock} />}
                     </Box>
 
                     {/* Center: Network Statistics */}
@@ -195,11 +261,24 @@ const Toolbar = ({
                         <StatisticsPanel />
                     </Box>
 
-                    {/* Right side: Theme Selector */}
+                    {/* Right side: Theme Selector, collaborators and logged-in user */}
                     <ThemeSelector 
                         currentTheme={currentTheme}
                         onThemeChange={onThemeChange}
                     />
+                    <CollaboratorList />
+                    {user && (
+                        <Box sx={{ display: 'flex', alignItems: 'center', ml: 2 }}>
+                            <Typography variant="body2" color="text.secondary" noWrap sx={{ maxWidth: 160 }}>
+                                {user.displayName}
+                            </Typography>
+                            <Tooltip title={`Log out ${user.username}`}>
+                                <IconButton onClick={logout} size="small" sx={{ ml: 0.5 }}>
+                                    <LogoutIcon fontSize="small" />
+                                </IconButton>
+                            </Tooltip>
+                        </Box>
+                    )}
                 </MuiToolbar>
             </AppBar>
 
@@ -259,13 +338,27 @@ const Toolbar = ({
                     </List>
                 </DialogContent>
             </Dialog>
+
+            <DeviceConfigDialog
+                open={isDeviceConfigOpen}
+                onClose={() => setIsDeviceConfigOpen(false)}
+            />
+
+            <AuditLogDialog
+                open={isAuditLogOpen}
+                onClose={() => setIsAuditLogOpen(false)}
+            />
         </>
     );
 };
 
 Toolbar.propTypes = {
     onSaveDiagram: PropTypes.func.isRequired,
+    onSaveDiagramAs: PropTypes.func.isRequired,
     onLoadDiagram: PropTypes.func.isRequired,
+    onResetDiagram: PropTypes.func,
+    currentFile: PropTypes.string,
+    diagramLock: PropTypes.object,
     currentTheme: PropTypes.string.isRequired,
     onThemeChange: PropTypes.func.isRequired,
     hasCanvasActivity: PropTypes.bool.isRequired
@@ -1,3 +1,4 @@
 export const PATHS = {
-    NET_ICONS: '/net_icons'
+    NET_ICONS: '/net_icons',
+    ICONS_API: '/api/icons'
 };
@@ -0,0 +1,15 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Context provided by AuthProvider
+ * `{ user, logout }` where user is `{ username, displayName, email, role }`
+ */
+export const AuthContext = createContext({ user: null, logout: () => {} });
+
+/**
+ * Custom hook for reading the logged-in user
+ * @returns {Object} `{ user, logout }`
+ */
+const useAuth = () => useContext(AuthContext);
+
+export default useAuth;
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+import CollaborationClient from '../utils/CollaborationClient';
+
+/**
+ * Custom hook for the other users who have the open diagram on screen
+ * @returns {Array} Collaborators with `clientId`, `displayName`, `color`,
+ *   `cursor`, `selection` and `dragging`
+ */
+const useCollaborators = () => {
+    const [peers, setPeers] = useState(() => CollaborationClient.getPeers());
+
+    useEffect(() => {
+        CollaborationClient.on('peers', setPeers);
+        setPeers(CollaborationClient.getPeers());
+        return () => {
+            CollaborationClient.off('peers', setPeers);
+        };
+    }, []);
+
+    return peers;
+};
+
+export default useCollaborators;
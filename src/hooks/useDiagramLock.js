@@ -0,0 +1,147 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import CollaborationClient from '../utils/CollaborationClient';
+import Logger from '../utils/Logger';
+import toast from '../utils/toast';
+import useAuth from './useAuth';
+
+// The server lets a lock expire after 90 seconds without a heartbeat
+const LOCK_HEARTBEAT_MS = 30000;
+
+const NO_LOCK = { lock: null, canLock: false, canOverride: false };
+
+/**
+ * Custom hook for the exclusive edit lock of the open diagram
+ * While the current user holds the lock it is kept alive with heartbeats;
+ * switching to another diagram checks it in.
+ * @param {string|null} diagramPath - Open diagram, without extension
+ * @returns {Object} `{ lock, isCheckedOut, isLockedByOther, canLock, canOverride,
+ *   checkOut, checkIn, overrideLock }`
+ */
+const useDiagramLock = (diagramPath) => {
+    const { user } = useAuth();
+    const [status, setStatus] = useState(NO_LOCK);
+    const heldRef = useRef(false);
+
+    const isCheckedOut = !!status.lock && status.lock.username === user?.username;
+    const isLockedByOther = !!status.lock && !isCheckedOut;
+
+    useEffect(() => {
+        heldRef.current = isCheckedOut;
+    }, [isCheckedOut]);
+
+    // Read the lock of the diagram, then follow changes announced to its room
+    useEffect(() => {
+        setStatus(NO_LOCK);
+        if (!diagramPath) return undefined;
+
+        let cancelled = false;
+        axios.get('/api/locks/status', { params: { path: diagramPath } })
+            .then(response => {
+                if (cancelled) return;
+                const { lock, canLock, canOverride } = response.data;
+                setStatus({ lock, canLock, canOverride });
+            })
+            .catch(error => {
+                Logger.warn('Failed to read diagram lock', { diagramPath, error: error.message });
+            });
+
+        const handleLock = (lock) => {
+            if (heldRef.current && lock && lock.username !== user?.username) {
+                toast.warning(`${lock.displayName} took over ${diagramPath}`, {
+                    description: 'The diagram is read only until it is checked in'
+                });
+            }
+            setStatus(previous => ({ ...previous, lock }));
+        };
+
+        CollaborationClient.on('lock', handleLock);
+        return () => {
+            cancelled = true;
+            CollaborationClient.off('lock', handleLock);
+
+            // Check the diagram in when the canvas moves on to another one
+            if (heldRef.current) {
+                heldRef.current = false;
+                axios.delete('/api/locks', { params: { path: diagramPath } }).catch(error => {
+                    Logger.warn('Failed to check in diagram', { diagramPath, error: error.message });
+                });
+            }
+        };
+    }, [diagramPath, user]);
+
+    // Keep our lock alive while the diagram is open
+    useEffect(() => {
+        if (!isCheckedOut) return undefined;
+
+        const timer = setInterval(async () => {
+            try {
+                const response = await axios.post('/api/locks/heartbeat', { path: diagramPath });
+                setStatus(previous => ({ ...previous, lock: response.data.lock }));
+            } catch (error) {
+                if (error.response?.status !== 409) {
+                    Logger.warn('Diagram lock heartbeat failed', { diagramPath, error: error.message });
+                    return;
+                }
+                const { lock } = error.response.data;
+                heldRef.current = false;
+                setStatus(previous => ({ ...previous, lock }));
+                toast.warning(`${diagramPath} is no longer checked out by you`, {
+                    description: lock ? `Checked out by ${lock.displayName}` : 'The lock expired'
+                });
+            }
+        }, LOCK_HEARTBEAT_MS);
+
+        return () => clearInterval(timer);
+    }, [isCheckedOut, diagramPath]);
+
+    /**
+     * Take the lock of the diagram
+     * @param {boolean} [force] - Take it over from another user (folder admins only)
+     */
+    const requestLock = useCallback(async (force = false) => {
+        try {
+            const response = await axios.post('/api/locks', { path: diagramPath, force });
+            heldRef.current = true;
+            setStatus(previous => ({ ...previous, lock: response.data.lock }));
+            toast.success(`Checked out ${diagramPath}`, {
+                description: 'Other users can only view it until you check it in'
+            });
+        } catch (error) {
+            const { lock, message } = error.response?.data || {};
+            if (lock) {
+                setStatus(previous => ({ ...previous, lock }));
+            }
+            toast.error('Failed to check out diagram', { description: message || error.message });
+        }
+    }, [diagramPath]);
+
+    const checkOut = useCallback(() => requestLock(false), [requestLock]);
+    const overrideLock = useCallback(() => requestLock(true), [requestLock]);
+
+    const checkIn = useCallback(async () => {
+        try {
+            await axios.delete('/api/locks', { params: { path: diagramPath } });
+            heldRef.current = false;
+            setStatus(previous => ({ ...previous, lock: null }));
+            toast.info(`Checked in ${diagramPath}`);
+        } catch (error) {
+            toast.error('Failed to check in diagram', {
+                description: error.response?.data?.message || error.message
+            });
+        }
+    }, [diagramPath]);
+
+    return {
+        lock: status.lock,
+        isCheckedOut,
+        isLockedByOther,
+        canLock: status.canLock,
+        canOverride: status.canOverride,
+        checkOut,
+        checkIn,
+        overrideLock
+    };
+};
+
+export default useDiagramLock;
@@ -0,0 +1,88 @@
+import axios from 'axios';
+
+/**
+ * Login session of the current browser
+ *
+ * The bearer token from /api/auth/login is kept in localStorage and attached
+ * to every axios request. A 401 answer to an authenticated request means the
+ * token expired or the account is gone, so the session is dropped and
+ * listeners (the AuthProvider) bring back the login screen.
+ */
+
+const STORAGE_KEY = 'networkmap.session';
+
+const listeners = new Set();
+
+/**
+ * Get the stored session
+ * @returns {Object|null} `{ token, expiresAt, user }`, or null if there is no valid session
+ */
+export const getSession = () => {
+    try {
+        const session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!session?.token || new Date(session.expiresAt) <= new Date()) {
+            return null;
+        }
+        return session;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Store a session after logging in
+ * @param {Object} session - `{ token, expiresAt, user }` from the server
+ */
+export const setSession = ({ token, expiresAt, user }) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ token, expiresAt, user }));
+};
+
+/**
+ * Drop the stored session and notify listeners
+ */
+export const clearSession = () => {
+    localStorage.removeItem(STORAGE_KEY);
+    listeners.forEach(listener => listener());
+};
+
+/**
+ * Get the bearer token of the stored session
+ * @returns {string|null} Token
+ */
+export const getAuthToken = () => getSession()?.token || null;
+
+/**
+ * Subscribe to the session being dropped
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Unsubscribe function
+ */
+export const onSessionCleared = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+let installed = false;
+
+/**
+ * Attach the session token to axios requests and drop rejected sessions
+ * Safe to call more than once.
+ */
+export const installAuthInterceptors = () => {
+    if (installed) return;
+    installed = true;
+
+    axios.interceptors.request.use(config => {
+        const token = getAuthToken();
+        if (token) {
+            config.headers.Authorization = `Bearer ${token}`;
+        }
+        return config;
+    });
+
+    axios.interceptors.response.use(response => response, error => {
+        if (error.response?.status === 401 && error.config?.headers?.Authorization) {
+            clearSession();
+        }
+        return Promise.reject(error);
+    });
+};
@@ -0,0 +1,398 @@
+import Logger from './Logger';
+import toast from './toast';
+import TopologyManager from './TopologyManager';
+import { serializeTopology } from './TopologySerializer';
+import { OPERATION_TYPES, createOperation } from './TopologyOperations';
+import { getAuthToken } from './AuthSession';
+
+/**
+ * Client side of real-time collaborative editing
+ *
+ * While a diagram is open, local TopologyManager edits are sent to the server
+ * as operations and the operations of every client, including our own, come
+ * back numbered in one order. Applying them in that order keeps this canvas
+ * in step with everyone else's (see TopologyOperations for the rules).
+ * Edits made while the connection is down are sent once it is back.
+ *
+ * The same connection carries presence: the pointer position and the
+ * selected and dragged nodes of this canvas go out, and those of the other
+ * collaborators come in as `peers` events. Checking the diagram out or in
+ * is announced as `lock` events.
+ */
+
+const COLLABORATION_PATH = '/api/collab';
+
+// Delays between reconnection attempts, the last one repeats
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000];
+
+// Presence updates are sent at most this often, e.g. while the pointer moves
+const PRESENCE_INTERVAL_MS = 50;
+
+const IDLE_PRESENCE = { cursor: null, selection: [], dragging: [] };
+
+/**
+ * Stringify a value with object keys in sorted order
+ * @param {*} value - JSON-compatible value
+ * @returns {string} JSON text that does not depend on key order
+ */
+const stableStringify = (value) => JSON.stringify(value, (key, current) => {
+    if (!current || typeof current !== 'object' || Array.isArray(current)) return current;
+    return Object.keys(current).sort().reduce((acc, name) => {
+        acc[name] = current[name];
+        return acc;
+    }, {});
+});
+
+/**
+ * Check whether the canvas already shows a document
+ * @param {Object} snapshot - Document from the server
+ * @returns {boolean} Whether nodes and connections match
+ */
+const matchesCanvas = (snapshot) => {
+    const current = serializeTopology(TopologyManager.topology);
+    return stableStringify({ nodes: current.nodes, connections: current.connections })
+        === stableStringify({ nodes: snapshot.nodes || {}, connections: snapshot.connections || {} });
+};
+
+class CollaborationClient {
+    constructor() {
+        this.socket = null;
+        this.diagramPath = null;
+        this.clientId = null;
+        this.canWrite = false;
+        this.lock = null;
+        this.seq = 0;
+        this.nextOperationId = 1;
+
+        // Local operations not yet sent, while disconnected
+        this.outbox = [];
+        // Remote operations received while a snapshot is being loaded
+        this.pendingOperations = null;
+
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.eventListeners = {};
+
+        // Presence of this canvas and of the other clients by client ID
+        this.presence = { ...IDLE_PRESENCE };
+        this.presenceTimer = null;
+        this.peers = new Map();
+
+        Object.values(OPERATION_TYPES).forEach(type => {
+            TopologyManager.on(type, (data, meta) => this.#handleLocalEdit(type, data, meta));
+        });
+    }
+
+    /**
+     * Add an event listener
+     * @param {string} eventName - `saved` with `{ etag, revision, user }`,
+     *   `peers` with the list of other collaborators, or `lock` with the lock
+     *   of the diagram (null when it is not checked out)
+     * @param {Function} callback - Callback function
+     */
+    on(eventName, callback) {
+        if (!this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = [];
+        }
+        this.eventListeners[eventName].push(callback);
+        return this;
+    }
+
+    /**
+     * Remove an event listener
+     * @param {string} eventName - Name of the event
+     * @param {Function} callback - Callback function to remove
+     */
+    off(eventName, callback) {
+        if (this.eventListeners[eventName]) {
+            this.eventListeners[eventName] =
+                this.eventListeners[eventName].filter(cb => cb !== callback);
+        }
+        return this;
+    }
+
+    /**
+     * Emit an event
+     * @param {string} eventName - Name of the event
+     * @param {*} data - Event data
+     */
+    #emit(eventName, data) {
+        (this.eventListeners[eventName] || []).forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                Logger.error('CollaborationClient: Listener failed', { eventName, error: error.message });
+            }
+        });
+    }
+
+    /**
+     * Join the collaboration room of a diagram
+     * @param {string} diagramPath - Diagram path without extension
+     */
+    connect(diagramPath) {
+        if (this.diagramPath === diagramPath && this.socket) return;
+
+        this.disconnect();
+        this.diagramPath = diagramPath;
+        this.#open();
+    }
+
+    /**
+     * Leave the collaboration room
+     * Unsent edits are dropped.
+     */
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        clearTimeout(this.presenceTimer);
+        this.presenceTimer = null;
+        this.diagramPath = null;
+        this.lock = null;
+        this.outbox = [];
+        this.pendingOperations = null;
+        this.presence = { ...IDLE_PRESENCE };
+        this.#clearPeers();
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close(1000, 'Diagram closed');
+        }
+    }
+
+    /**
+     * Open the WebSocket for the current diagram
+     */
+    #open() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const params = new URLSearchParams({ path: this.diagramPath });
+        const token = getAuthToken();
+        if (token) params.set('token', token);
+
+        const socket = new WebSocket(`${protocol}//${window.location.host}${COLLABORATION_PATH}?${params}`);
+        this.socket = socket;
+
+        socket.addEventListener('message', (event) => {
+            if (this.socket === socket) this.#handleMessage(event.data);
+        });
+        socket.addEventListener('close', (event) => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.clientId = null;
+            this.#clearPeers();
+            Logger.warn('CollaborationClient: Connection closed', { code: event.code, reason: event.reason });
+            this.#scheduleReconnect();
+        });
+    }
+
+    /**
+     * Reconnect to the current diagram after a growing delay
+     */
+    #scheduleReconnect() {
+        if (!this.diagramPath) return;
+
+        const delay = RECONNECT_DELAYS_MS[Math.min(this.reconnectAttempt, RECONNECT_DELAYS_MS.length - 1)];
+        this.reconnectAttempt += 1;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.diagramPath) this.#open();
+        }, delay);
+    }
+
+    /**
+     * Send a message if the room was joined
+     * @param {Object} message - Message to send as JSON
+     * @returns {boolean} Whether the message was sent
+     */
+    #send(message) {
+        if (!this.clientId || this.socket?.readyState !== WebSocket.OPEN) return false;
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    /**
+     * Get the other collaborators on the diagram
+     * @returns {Array} `{ clientId, username, displayName, color, cursor, selection, dragging }`
+     */
+    getPeers() {
+        return [...this.peers.values()];
+    }
+
+    /**
+     * Share where this user is on the canvas
+     * @param {Object} changes - Any of `cursor` (`{ x, y }` or null), `selection` and `dragging` (node IDs)
+     */
+    updatePresence(changes) {
+        this.presence = { ...this.presence, ...changes };
+        if (this.presenceTimer || !this.clientId) return;
+
+        this.presenceTimer = setTimeout(() => {
+            this.presenceTimer = null;
+            this.#send({ type: 'presence', ...this.presence });
+        }, PRESENCE_INTERVAL_MS);
+    }
+
+    /**
+     * Forget the other collaborators, e.g. when the connection is lost
+     */
+    #clearPeers() {
+        if (this.peers.size === 0) return;
+        this.peers.clear();
+        this.#emit('peers', []);
+    }
+
+    /**
+     * Forward an edit made on this canvas
+     * @param {string} type - TopologyManager event name
+     * @param {Object} data - Event data
+     * @param {Object} meta - Event metadata with `origin`
+     */
+    #handleLocalEdit(type, data, meta) {
+        if (!this.diagramPath || meta?.origin !== 'local') return;
+
+        const op = createOperation(type, data);
+        if (!op) return;
+
+        const message = { type: 'op', id: this.nextOperationId++, op };
+        if (!this.#send(message)) {
+            this.outbox.push(message);
+        }
+    }
+
+    /**
+     * Handle a message from the server
+     * @param {string} data - Raw message
+     */
+    #handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            Logger.warn('CollaborationClient: Ignoring malformed message');
+            return;
+        }
+
+        switch (message.type) {
+            case 'welcome':
+                this.clientId = message.clientId;
+                this.canWrite = message.canWrite;
+                this.lock = message.lock || null;
+                this.#emit('lock', this.lock);
+                this.reconnectAttempt = 0;
+                this.#loadSnapshot(message.seq, message.snapshot);
+                this.outbox.splice(0).forEach(queued => this.#send(queued));
+                this.peers = new Map(message.peers.map(peer => [peer.clientId, peer]));
+                this.#emit('peers', this.getPeers());
+                this.#send({ type: 'presence', ...this.presence });
+                Logger.info('CollaborationClient: Joined diagram', {
+                    diagramPath: this.diagramPath,
+                    canWrite: this.canWrite
+                });
+                break;
+
+            case 'op':
+                this.#handleOperation(message);
+                break;
+
+            case 'snapshot':
+                this.#loadSnapshot(message.seq, message.snapshot);
+                break;
+
+            case 'rejected':
+                this.#handleRejected(message);
+                break;
+
+            case 'peerJoined':
+            case 'presence':
+                this.peers.set(message.peer.clientId, message.peer);
+                this.#emit('peers', this.getPeers());
+                break;
+
+            case 'peerLeft':
+                this.peers.delete(message.clientId);
+                this.#emit('peers', this.getPeers());
+                break;
+
+            case 'lock':
+                this.lock = message.lock;
+                this.#emit('lock', this.lock);
+                break;
+
+            case 'saved':
+                this.#emit('saved', { etag: message.etag, revision: message.revision, user: message.user });
+                break;
+
+            default:
+                Logger.warn('CollaborationClient: Server message', message);
+        }
+    }
+
+    /**
+     * Apply an operation in sequence order
+     * @param {Object} message - `{ seq, op }`
+     */
+    #handleOperation({ seq, op }) {
+        if (seq <= this.seq) return;
+        if (seq !== this.seq + 1) {
+            // A message went missing; start again from the server document
+            Logger.warn('CollaborationClient: Missed operations, resyncing', { expected: this.seq + 1, seq });
+            this.#send({ type: 'resync' });
+            return;
+        }
+
+        this.seq = seq;
+        if (this.pendingOperations) {
+            this.pendingOperations.push(op);
+        } else {
+            TopologyManager.applyRemoteOperation(op);
+        }
+    }
+
+    /**
+     * Undo the local effect of an operation the server did not accept
+     * @param {Object} message - `{ op, reason }`
+     */
+    #handleRejected({ op, reason }) {
+        Logger.warn('CollaborationClient: Operation rejected', { type: op?.type, reason });
+
+        if (op?.type === OPERATION_TYPES.CONNECTION_ADDED) {
+            // Another collaborator connected one of the interfaces first
+            TopologyManager.applyRemoteOperation({
+                type: OPERATION_TYPES.CONNECTION_REMOVED,
+                connectionId: op.connection.id
+            });
+            toast.warning('Connection was not added', { description: reason });
+            return;
+        }
+
+        // The canvas no longer matches the shared diagram
+        this.#send({ type: 'resync' });
+    }
+
+    /**
+     * Show the server document unless the canvas already matches it
+     * @param {number} seq - Sequence number of the document
+     * @param {Object} snapshot - Server document
+     */
+    #loadSnapshot(seq, snapshot) {
+        this.seq = seq;
+        if (matchesCanvas(snapshot)) return;
+
+        Logger.info('CollaborationClient: Loading shared diagram', { diagramPath: this.diagramPath, seq });
+        if (!TopologyManager.loadTopology(snapshot)) return;
+
+        // loadTopology finishes in a timer queued before this one, so hold
+        // back operations that arrive until the loaded nodes are in place
+        const pending = [];
+        this.pendingOperations = pending;
+        setTimeout(() => {
+            if (this.pendingOperations !== pending) return;
+            this.pendingOperations = null;
+            pending.forEach(op => TopologyManager.applyRemoteOperation(op));
+        }, 0);
+    }
+}
+
+// Export a singleton instance
+export default new CollaborationClient();
@@ -0,0 +1,58 @@
+import { validateSchema, toPointer } from './SchemaValidator.js';
+
+/**
+ * JSON Schema for device configurations in public/deviceconfig
+ * Published by the server at /api/device-config/schema
+ */
+export const DEVICE_CONFIG_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: '/api/device-config/schema',
+    title: 'Device configuration',
+    type: 'object',
+    required: ['deviceType', 'interfaces'],
+    properties: {
+        deviceType: { type: 'string', minLength: 1 },
+        icon: { type: 'string', minLength: 1 },
+        interfaces: {
+            type: 'array',
+            items: { $ref: '#/definitions/interface' }
+        }
+    },
+    definitions: {
+        interface: {
+            type: 'object',
+            required: ['name', 'type'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                type: { type: 'string', minLength: 1 },
+                speed: { type: 'string' }
+            }
+        }
+    }
+};
+
+/**
+ * Validate a device configuration against the schema
+ * Interface names must also be unique within the device.
+ * @param {Object} config - Device configuration
+ * @returns {Object} `{ valid, errors }` with errors as `{ pointer, message }`
+ */
+export function validateDeviceConfig(config) {
+    const { errors } = validateSchema(DEVICE_CONFIG_SCHEMA, config);
+
+    if (errors.length === 0) {
+        const seen = {};
+        config.interfaces.forEach((iface, index) => {
+            if (iface.name in seen) {
+                errors.push({
+                    pointer: toPointer('interfaces', index, 'name'),
+                    message: `duplicates interface "${iface.name}" at index ${seen[iface.name]}`
+                });
+            } else {
+                seen[iface.name] = index;
+            }
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
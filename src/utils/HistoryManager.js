@@ -1,8 +1,9 @@
-import Logger from './Logger';
+import Logger from './Logger.js';
 
 /**
  * Manages the undo/redo functionality for the network diagram
- * This implementation uses the Command pattern to track and manage changes
+ * This implementation uses the Command pattern to track and manage changes.
+ * Each TopologyManager document has its own history.
  */
 class HistoryManager {
     constructor() {
@@ -128,5 +129,4 @@ class HistoryManager {
     }
 }
 
-// Export a singleton instance
-export default new HistoryManager();
+export default HistoryManager;
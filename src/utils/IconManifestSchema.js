@@ -0,0 +1,60 @@
+import { validateSchema } from './SchemaValidator.js';
+
+/**
+ * JSON Schema for public/net_icons/manifest.json
+ * Maps icon filenames to the metadata used by the icon palette and node creation
+ */
+export const ICON_MANIFEST_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: '/api/icons/manifest/schema',
+    title: 'Icon manifest',
+    type: 'object',
+    required: ['icons'],
+    properties: {
+        icons: {
+            type: 'object',
+            additionalProperties: { $ref: '#/definitions/entry' }
+        }
+    },
+    definitions: {
+        entry: {
+            type: 'object',
+            properties: {
+                displayName: { type: 'string', minLength: 1 },
+                category: { type: 'string', minLength: 1 },
+                vendor: { type: 'string' },
+                tags: { type: 'array', items: { type: 'string', minLength: 1 } },
+                deviceConfig: { type: 'string', minLength: 1 },
+                size: {
+                    type: 'object',
+                    required: ['width', 'height'],
+                    properties: {
+                        width: { type: 'number', minimum: 1 },
+                        height: { type: 'number', minimum: 1 }
+                    }
+                }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+/**
+ * Validate a single manifest entry
+ * @param {Object} entry - Icon metadata
+ * @returns {Object} `{ valid, errors }` with errors as `{ pointer, message }`
+ */
+export function validateIconEntry(entry) {
+    const { errors } = validateSchema(ICON_MANIFEST_SCHEMA.definitions.entry, entry);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate an icon manifest
+ * @param {Object} manifest - Manifest document
+ * @returns {Object} `{ valid, errors }` with errors as `{ pointer, message }`
+ */
+export function validateIconManifest(manifest) {
+    const { errors } = validateSchema(ICON_MANIFEST_SCHEMA, manifest);
+    return { valid: errors.length === 0, errors };
+}
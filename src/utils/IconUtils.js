@@ -1,23 +1,21 @@
 import { PATHS } from '../constants/paths';
 
 /**
- * Categorize icons based on their first word
- * @returns {Object} Categorized icons object
+ * Categorize icons by their manifest category, or else by the first word of the filename
+ * @param {Array<Object>} icons - Icons from /api/icons with their manifest metadata
+ * @returns {Object} Categorized icons object; each icon keeps its metadata
  */
-export const categorizeIcons = () => {
-    // Dynamically import all icons from the public/net_icons directory
-    const iconContext = import.meta.glob('/public/net_icons/*');
-    
+export const categorizeIcons = (icons = []) => {
     const categorizedIcons = {};
 
     // Process each icon file
-    Object.keys(iconContext).forEach(iconPath => {
-        // Extract filename from the full path and convert to lowercase
-        const filename = iconPath.split('/').pop().toLowerCase();
+    icons.forEach(icon => {
+        // Icons are served and referenced in lower case
+        const filename = icon.filename.toLowerCase();
         
-        // Extract the first word from the filename (before first hyphen)
-        const category = filename.split('-')[0].charAt(0).toUpperCase() + 
-                         filename.split('-')[0].slice(1);
+        // Fall back to the first word from the filename (before first hyphen)
+        const firstWord = filename.split('-')[0].replace(/\.(svg|png)$/, '');
+        const category = icon.category || firstWord.charAt(0).toUpperCase() + firstWord.slice(1);
         
         // Create category if it doesn't exist
         if (!categorizedIcons[category]) {
@@ -29,12 +27,32 @@ export const categorizeIcons = () => {
         }
 
         // Add icon to its category
-        categorizedIcons[category].icons.push(filename);
+        categorizedIcons[category].icons.push({
+            ...icon,
+            filename,
+            label: icon.displayName || filename.replace(/\.(svg|png)$/, '')
+        });
     });
 
     return categorizedIcons;
 };
 
+/**
+ * Get the manifest metadata of an icon
+ * @param {string} iconPath - Path or filename of the icon
+ * @returns {Promise<Object|null>} Icon metadata, or null if the icon is unknown
+ */
+export const getIconMetadata = async (iconPath) => {
+    const filename = iconPath.split('/').pop().toLowerCase();
+    const response = await fetch(PATHS.ICONS_API, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`Failed to list icons: ${response.status}`);
+    }
+
+    const { icons } = await response.json();
+    return icons.find(icon => icon.filename.toLowerCase() === filename) || null;
+};
+
 /**
  * Get the node type from an icon filename
  * @param {string} iconPath - Path of the icon
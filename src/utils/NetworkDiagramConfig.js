@@ -15,6 +15,8 @@ const NETWORK_DIAGRAM_CONFIG = {
     PATHS: {
         BASE: '/networkmap',
         DEVICE_CONFIG: '/deviceconfig',
+        // Device configuration API, read on every node creation so edits apply immediately
+        DEVICE_CONFIG_API: '/api/device-config',
         ICONS: '/assets/icons',
         ENDPOINTS: '/deviceconfig/endpoints'
     },
@@ -84,23 +86,39 @@ const generateUUID = makeId;
  * Dynamically loads device-specific endpoint configurations
  */
 const EndpointConfigLoader = {
+    /**
+     * Find the device configuration bound to an icon
+     * @param {string} iconFile - Icon filename, lower case
+     * @returns {Promise<string|null>} Configuration name, or null if none is bound
+     */
+    async findConfigForIcon(iconFile) {
+        const response = await fetch(NETWORK_DIAGRAM_CONFIG.PATHS.DEVICE_CONFIG_API, { cache: 'no-store' });
+        if (!response.ok) {
+            return null;
+        }
+
+        const configs = await response.json();
+        return configs.find(config => config.icon?.toLowerCase() === iconFile)?.name || null;
+    },
+
     /**
      * Load endpoint configurations for a specific device type
+     * An explicit configuration name (from the icon manifest) wins, then a
+     * configuration bound to the icon, then the one named after the icon file.
      * @param {string} iconPath - Path to the device icon
+     * @param {string} [configName] - Device configuration to use
      * @returns {Object} Endpoint configuration for the device
      */
-    async loadDeviceEndpoints(iconPath) {
+    async loadDeviceEndpoints(iconPath, configName = null) {
         try {
-            // Extract device type by removing path and file extension, convert to lowercase
-            const deviceType = iconPath
-                .split('/')           // Split by path separator
-                .pop()                // Get the filename
-                .replace(/\.(svg|png)$/, '')  // Remove .svg or .png extension
-                .toLowerCase();        // Convert to lowercase
+            const iconFile = iconPath.split('/').pop().toLowerCase();
+
+            // Extract device type by removing the .svg or .png extension
+            const deviceType = iconFile.replace(/\.(svg|png)$/, '');
 
-            const response = await fetch(
-                `${NETWORK_DIAGRAM_CONFIG.PATHS.DEVICE_CONFIG}/${deviceType}.json`
-            );
+            const resolvedName = configName || (await this.findConfigForIcon(iconFile)) || deviceType;
+            const url = `${NETWORK_DIAGRAM_CONFIG.PATHS.DEVICE_CONFIG_API}/${encodeURIComponent(resolvedName)}`;
+            const response = await fetch(url, { cache: 'no-store' });
             
             if (!response.ok) {
                 // Log detailed error for failed endpoint configuration fetch
@@ -108,7 +126,7 @@ const EndpointConfigLoader = {
                     iconPath,
                     deviceType,
                     status: response.status,
-                    url: `${NETWORK_DIAGRAM_CONFIG.PATHS.DEVICE_CONFIG}/${deviceType}.json`
+                    url
                 });
                 return null;
             }
@@ -118,6 +136,7 @@ const EndpointConfigLoader = {
             // Log successful endpoint configuration load
             Logger.info('Endpoint Configuration Loaded', {
                 deviceType,
+                configName: resolvedName,
                 iconPath,
                 endpointCount: endpointConfig?.interfaces?.length || 0
             });
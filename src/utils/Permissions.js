@@ -0,0 +1,17 @@
+/**
+ * Folder access levels, ordered from least to most access
+ * Enforced by the server and shown by the File Explorer.
+ */
+export const PERMISSION_LEVELS = ['none', 'read', 'write', 'admin'];
+
+// Level of folders without a rule up to the root
+export const DEFAULT_PERMISSION = 'write';
+
+/**
+ * Check whether an access level includes another
+ * @param {string} level - Granted level
+ * @param {string} required - Required level
+ * @returns {boolean} Whether the granted level is sufficient
+ */
+export const hasAccess = (level, required) =>
+    PERMISSION_LEVELS.indexOf(level) >= PERMISSION_LEVELS.indexOf(required);
@@ -0,0 +1,169 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Supports the draft-07 keywords used by the schemas in this project:
+ * `type`, `enum`, `const`, `required`, `properties`, `additionalProperties`,
+ * `items`, `minItems`, `minLength`, `pattern`, `minimum`, `maximum` and local
+ * `$ref`s such as `#/definitions/<name>`.
+ *
+ * Errors are reported as `{ pointer, message }` where `pointer` is an
+ * RFC 6901 JSON pointer into the validated value.
+ */
+
+/**
+ * Escape a single JSON pointer reference token
+ * @param {string|number} token - Property name or array index
+ * @returns {string} Escaped token
+ */
+export const escapePointerToken = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Build a JSON pointer from reference tokens
+ * @param {...(string|number)} tokens - Property names or array indexes
+ * @returns {string} JSON pointer
+ */
+export const toPointer = (...tokens) => tokens.map(token => `/${escapePointerToken(token)}`).join('');
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} JSON Schema type name
+ */
+const jsonType = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+/**
+ * Check a value against a `type` keyword
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} type - Allowed type(s)
+ * @returns {boolean} Whether the value matches
+ */
+const matchesType = (value, type) => {
+    const actual = jsonType(value);
+    return [].concat(type).some(expected =>
+        expected === actual || (expected === 'number' && actual === 'integer')
+    );
+};
+
+/**
+ * Resolve a local `$ref`
+ * @param {Object} rootSchema - Schema holding the definitions
+ * @param {string} ref - Reference such as `#/definitions/node`
+ * @returns {Object} Referenced schema
+ */
+const resolveRef = (rootSchema, ref) => {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema reference: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((schema, token) => {
+        const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+        if (!schema || !(key in schema)) {
+            throw new Error(`Unresolved schema reference: ${ref}`);
+        }
+        return schema[key];
+    }, rootSchema);
+};
+
+/**
+ * Validate a value against a schema node, collecting errors
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} pointer - JSON pointer of the value
+ * @param {Object} rootSchema - Root schema for `$ref` resolution
+ * @param {Array} errors - Error accumulator
+ */
+const validateNode = (value, schema, pointer, rootSchema, errors) => {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+        errors.push({ pointer, message: 'is not allowed' });
+        return;
+    }
+
+    if (schema.$ref) {
+        validateNode(value, resolveRef(rootSchema, schema.$ref), pointer, rootSchema, errors);
+        return;
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push({ pointer, message: `must be of type ${[].concat(schema.type).join(' or ')}` });
+        return;
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        errors.push({ pointer, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if ('const' in schema && schema.const !== value) {
+        errors.push({ pointer, message: `must be ${JSON.stringify(schema.const)}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ pointer, message: `must be at least ${schema.minLength} character(s) long` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ pointer, message: `must match pattern ${schema.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ pointer, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ pointer, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ pointer, message: `must contain at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                validateNode(item, schema.items, `${pointer}${toPointer(index)}`, rootSchema, errors);
+            });
+        }
+    }
+
+    if (jsonType(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ pointer: `${pointer}${toPointer(key)}`, message: 'is required' });
+            }
+        });
+
+        Object.entries(value).forEach(([key, propertyValue]) => {
+            const propertyPointer = `${pointer}${toPointer(key)}`;
+            if (schema.properties && key in schema.properties) {
+                validateNode(propertyValue, schema.properties[key], propertyPointer, rootSchema, errors);
+            } else if (schema.additionalProperties !== undefined) {
+                validateNode(propertyValue, schema.additionalProperties, propertyPointer, rootSchema, errors);
+            }
+        });
+    }
+};
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @returns {Object} `{ valid, errors }`
+ */
+export function validateSchema(schema, value) {
+    const errors = [];
+    validateNode(value, schema, '', schema, errors);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors as readable lines
+ * @param {Array} errors - Errors returned by a validator
+ * @returns {Array<string>} Messages such as `/nodes/a/name is required`
+ */
+export const formatValidationErrors = (errors = []) =>
+    errors.map(({ pointer, message }) => `${pointer || '/'} ${message}`);
@@ -1,39 +1,65 @@
-import Logger from './Logger';
-
-// Global topology object, similar to reference project
-const GlobalTopology = {
+import Logger from './Logger.js';
+import HistoryManager from './HistoryManager.js';
+import {
+    serializeTopology,
+    deserializeTopology,
+    deserializeNode,
+    deserializeConnection
+} from './TopologySerializer.js';
+import { OPERATION_TYPES } from './TopologyOperations.js';
+import { validateTopology } from './TopologySchema.js';
+import { migrateTopology } from './TopologyMigrations.js';
+import {
+    CONNECTION_RULES,
+    checkConnection,
+    generateConnectionKey,
+    createTopologyConnection,
+    createTopologyNode
+} from './TopologyRules.js';
+import { getNetworkStatistics } from './TopologyStatistics.js';
+
+// ID of the document edited on the canvas
+export const CANVAS_DOCUMENT_ID = 'canvas';
+
+/**
+ * Create the in-memory state of an empty topology
+ * @returns {Object} Topology
+ */
+const createEmptyTopology = () => ({
     nodes: {},
     connections: {},
     lines: {},
     networks: {},
     labinfo: {},
+    document: {},
     theme: null,
     zoomLevel: null,
     panPosition: null
-};
+});
+
+/**
+ * A topology document
+ * Each instance holds its own topology, event listeners and undo history, so
+ * several documents can be open side by side. Open documents are tracked by
+ * topologyDocuments.
+ */
+export class TopologyManager {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.id] - Document ID in topologyDocuments
+     */
+    constructor({ id = null } = {}) {
+        this.id = id;
+        this.topology = createEmptyTopology();
 
-class TopologyManager {
-    // Event listeners
-    constructor() {
-        // Singleton global topology
-        this.topology = GlobalTopology;
-        
-        // Ensure topology has required properties
-        if (!this.topology.nodes) {
-            console.log('Initializing nodes in topology');
-            this.topology.nodes = {};
-        }
-        
         // Event listeners
         this.eventListeners = {};
 
+        // Undo and redo of edits made on this document
+        this.history = new HistoryManager();
+
         // Connection rules based on interface types
-        this.connectionRules = {
-            interfaceTypeConnections: {
-                'Serial': ['Serial'],
-                'Ethernet': ['Ethernet']
-            }
-        };
+        this.connectionRules = CONNECTION_RULES;
     }
 
     /**
@@ -64,14 +90,18 @@ class TopologyManager {
 
     /**
      * Emit an event
+     * Listeners receive the data and `meta.origin`: `local` for edits made on
+     * this canvas, `load` for a loaded document and `remote` for edits of
+     * other collaborators.
      * @param {string} eventName - Name of the event
      * @param {*} data - Event data
+     * @param {Object} [meta] - Event metadata
      */
-    #emit(eventName, data) {
+    #emit(eventName, data, meta = { origin: 'local' }) {
         if (this.eventListeners[eventName]) {
             this.eventListeners[eventName].forEach(callback => {
                 try {
-                    callback(data);
+                    callback(data, meta);
                 } catch (error) {
                     // Silent error handling
                 }
@@ -86,155 +116,44 @@ class TopologyManager {
      * @returns {boolean} Whether connection is valid
      */
     validateConnection(sourceInterface, targetInterface) {
-        // Validate input interfaces
-        if (!sourceInterface || !targetInterface) {
-            Logger.warn('TopologyManager: Connection Validation Failed', {
-                message: 'Source or target interface is undefined',
-                sourceInterface,
-                targetInterface
-            });
-            return false;
-        }
-
-        // Check if either endpoint is already in use
-        const isEndpointInUse = (nodeId, interfaceName) => {
-            return Object.values(this.topology.connections).some(conn => 
+        const result = checkConnection(sourceInterface, targetInterface, {
+            nodes: this.topology.nodes,
+            connections: this.topology.connections,
+            isEndpointInUse: (nodeId, interfaceName) => Object.values(this.topology.connections).some(conn =>
                 (conn.sourceNode.id === nodeId && conn.sourceInterface.name === interfaceName) ||
                 (conn.targetNode.id === nodeId && conn.targetInterface.name === interfaceName)
-            );
-        };
-
-        // Check source endpoint usage
-        if (isEndpointInUse(sourceInterface.nodeId, sourceInterface.name)) {
-            Logger.warn('TopologyManager: Connection Validation Failed', {
-                message: 'Source interface is already in use',
-                nodeId: sourceInterface.nodeId,
-                interface: sourceInterface.name
-            });
-            return false;
-        }
+            ),
+            rules: this.connectionRules
+        });
 
-        // Check target endpoint usage
-        if (isEndpointInUse(targetInterface.nodeId, targetInterface.name)) {
+        if (!result.ok) {
             Logger.warn('TopologyManager: Connection Validation Failed', {
-                message: 'Target interface is already in use',
-                nodeId: targetInterface.nodeId,
-                interface: targetInterface.name
+                message: result.reason,
+                sourceInterface,
+                targetInterface,
+                sourceType: result.sourceType,
+                targetType: result.targetType
             });
             return false;
         }
 
-        // Normalize and validate interface types with multiple fallback strategies
-        const extractInterfaceType = (interfaceObj) => {
-            // Try multiple ways to extract interface type
-            const typeExtractors = [
-                () => interfaceObj.type,  // Direct type property
-                () => interfaceObj.interfaceType,  // Alternative type property
-                () => {
-                    // Derive type from interface name (e.g., 'GigabitEthernet0/0' -> 'Ethernet')
-                    const interfaceName = interfaceObj.name || '';
-                    if (interfaceName.toLowerCase().includes('ethernet')) return 'Ethernet';
-                    if (interfaceName.toLowerCase().includes('serial')) return 'Serial';
-                    return undefined;
-                },
-                () => {
-                    // Last resort: use node configuration
-                    const node = this.topology.nodes[interfaceObj.nodeId];
-                    const matchingInterface = node?.interfaces?.find(
-                        iface => iface.name === interfaceObj.name
-                    );
-                    return matchingInterface?.type;
-                }
-            ];
-
-            // Try extractors in order
-            for (let extractor of typeExtractors) {
-                const extractedType = extractor();
-                if (extractedType) return extractedType.trim().toLowerCase();
-            }
-
-            return undefined;
-        };
-
-        const sourceType = extractInterfaceType(sourceInterface);
-        const targetType = extractInterfaceType(targetInterface);
-
-        // Detailed logging for type identification
         Logger.debug('TopologyManager: Connection Type Identification', {
-            sourceInterface: {
-                name: sourceInterface.name,
-                originalType: sourceInterface.type,
-                extractedType: sourceType
-            },
-            targetInterface: {
-                name: targetInterface.name,
-                originalType: targetInterface.type,
-                extractedType: targetType
-            }
+            sourceInterface: sourceInterface.name,
+            targetInterface: targetInterface.name,
+            sourceType: result.sourceType,
+            targetType: result.targetType
         });
-
-        // Validate types are present
-        if (!sourceType || !targetType) {
-            Logger.warn('TopologyManager: Connection Type Incompatibility', {
-                sourceType,
-                targetType,
-                message: 'Unable to determine interface types',
-                sourceInterfaceDetails: sourceInterface,
-                targetInterfaceDetails: targetInterface
-            });
-            return false;
-        }
-
-        // Update connection rules to handle case-insensitive matching
-        const allowedTypes = this.connectionRules.interfaceTypeConnections[
-            sourceType.charAt(0).toUpperCase() + sourceType.slice(1)
-        ] || this.connectionRules.interfaceTypeConnections[sourceType] || [];
-        
-        const isTypeCompatible = allowedTypes.some(
-            allowedType => allowedType.toLowerCase() === targetType
-        );
-
-        if (!isTypeCompatible) {
-            Logger.warn('TopologyManager: Connection Type Incompatibility', {
-                sourceType,
-                targetType,
-                allowedTypes,
-                message: 'Interfaces with incompatible types cannot be connected'
-            });
-            return false;
-        }
-
-        // Generate unique connection key
-        const connectionKey = this.generateConnectionKey(
-            {...sourceInterface, type: sourceType}, 
-            {...targetInterface, type: targetType}
-        );
-        
-        // Check for existing connection with same specific endpoints
-        if (this.topology.connections[connectionKey]) {
-            Logger.warn('TopologyManager: Duplicate Connection Attempt', {
-                sourceInterface: sourceInterface.name,
-                targetInterface: targetInterface.name,
-                message: 'This specific interface connection already exists'
-            });
-            return false;
-        }
-
         return true;
     }
 
     /**
      * Generate a unique connection key
-     * @param {Object} sourceInterface - Source interface
-     * @param {Object} targetInterface - Target interface
+     * @param {Object} sourceInterface - Source interface (`nodeId`, `name`)
+     * @param {Object} targetInterface - Target interface (`nodeId`, `name`)
      * @returns {string} Unique connection identifier
      */
     generateConnectionKey(sourceInterface, targetInterface) {
-        // Sort node IDs and interface names to ensure consistent key generation
-        const sortedNodeIds = [sourceInterface.nodeId, targetInterface.nodeId].sort();
-        const sortedInterfaceNames = [sourceInterface.name, targetInterface.name].sort();
-        
-        return `connection:${sortedNodeIds[0]}:${sortedNodeIds[1]}:${sortedInterfaceNames[0]}:${sortedInterfaceNames[1]}`;
+        return generateConnectionKey(sourceInterface, targetInterface);
     }
 
     /**
@@ -298,30 +217,9 @@ class TopologyManager {
             return null;
         }
 
-        // Generate unique connection ID
-        const connectionId = `${sourceNode.id}-${sourceInterface.name}-to-${targetNode.id}-${targetInterface.name}`;
-
-        // Create connection object
-        const connection = {
-            id: connectionId,
-            sourceNode: {
-                id: sourceNode.id,
-                name: sourceNode.name
-            },
-            targetNode: {
-                id: targetNode.id,
-                name: targetNode.name
-            },
-            sourceInterface: {
-                name: sourceInterface.name,
-                type: sourceInterface.type || sourceInterface.interfaceType
-            },
-            targetInterface: {
-                name: targetInterface.name,
-                type: targetInterface.type || targetInterface.interfaceType
-            },
-            timestamp: new Date().toISOString()
-        };
+        // The connection ID is the same key validateConnection checks for duplicates
+        const connection = createTopologyConnection(sourceNode, targetNode, sourceInterface, targetInterface);
+        const connectionId = connection.id;
 
         // Store connection in topology
         this.topology.connections[connectionId] = connection;
@@ -372,18 +270,7 @@ class TopologyManager {
             }
 
             // Create node with all required properties
-            this.topology.nodes[node.id] = {
-                id: node.id,
-                type: node.type,
-                name: node.name,
-                position: node.position || { x: 0, y: 0 },
-                size: node.size || { width: 100, height: 100 },
-                icon: node.icon,
-                iconPath: node.iconPath,
-                endpoints: node.endpoints || [],
-                properties: node.properties || {},
-                interfaces: node.interfaces || []
-            };
+            this.topology.nodes[node.id] = createTopologyNode(node);
 
             // Emit node added event
             this.#emit('nodeAdded', this.topology.nodes[node.id]);
@@ -513,6 +400,88 @@ class TopologyManager {
         return null;
     }
 
+    /**
+     * Record the new position of a node after it was dragged
+     * @param {string} nodeId - ID of the node
+     * @param {Object} position - `{ x, y }` relative to the canvas
+     * @returns {Object|null} Moved node or null if not found
+     */
+    moveTopologyNode(nodeId, position) {
+        const node = this.topology.nodes[nodeId];
+        if (!node) return null;
+
+        const next = { x: Math.round(position.x), y: Math.round(position.y) };
+        if (node.position?.x === next.x && node.position?.y === next.y) return node;
+
+        node.position = next;
+        this.#emit('nodeMoved', { id: nodeId, position: next });
+        return node;
+    }
+
+    /**
+     * Apply an edit made by another collaborator
+     * The operation was already checked and ordered by the server, so it is
+     * applied without connection validation. Events are emitted with origin
+     * `remote` so the canvas renders them and they are not sent back.
+     * @param {Object} op - Operation from TopologyOperations
+     * @returns {boolean} Whether the topology changed
+     */
+    applyRemoteOperation(op) {
+        const remote = { origin: 'remote' };
+
+        switch (op.type) {
+            case OPERATION_TYPES.NODE_ADDED: {
+                if (this.topology.nodes[op.node.id]) return false;
+                this.topology.nodes[op.node.id] = deserializeNode(op.node);
+                this.#emit('nodeAdded', this.topology.nodes[op.node.id], remote);
+                return true;
+            }
+
+            case OPERATION_TYPES.NODE_REMOVED: {
+                const node = this.topology.nodes[op.nodeId];
+                if (!node) return false;
+                this.getTopologyNodeConnections(op.nodeId).forEach(connection => {
+                    delete this.topology.connections[connection.id];
+                    this.#emit('connectionRemoved', connection, remote);
+                });
+                delete this.topology.nodes[op.nodeId];
+                this.#emit('nodeRemoved', node, remote);
+                return true;
+            }
+
+            case OPERATION_TYPES.NODE_MOVED: {
+                const node = this.topology.nodes[op.nodeId];
+                if (!node) return false;
+                node.position = { x: op.position.x, y: op.position.y };
+                this.#emit('nodeMoved', { id: op.nodeId, position: node.position }, remote);
+                return true;
+            }
+
+            case OPERATION_TYPES.CONNECTION_ADDED: {
+                const { connection } = op;
+                if (this.topology.connections[connection.id]) return false;
+                if (!this.topology.nodes[connection.sourceNode.id] || !this.topology.nodes[connection.targetNode.id]) {
+                    return false;
+                }
+                this.topology.connections[connection.id] = deserializeConnection(connection, this.topology.nodes);
+                this.#emit('connectionAdded', this.topology.connections[connection.id], remote);
+                return true;
+            }
+
+            case OPERATION_TYPES.CONNECTION_REMOVED: {
+                const connection = this.topology.connections[op.connectionId];
+                if (!connection) return false;
+                delete this.topology.connections[op.connectionId];
+                this.#emit('connectionRemoved', connection, remote);
+                return true;
+            }
+
+            default:
+                Logger.warn('TopologyManager: Unknown remote operation', { type: op.type });
+                return false;
+        }
+    }
+
     /**
      * Reset entire topology
      */
@@ -531,6 +500,8 @@ class TopologyManager {
                 this.topology.lines = {};
                 this.topology.networks = {};
                 this.topology.labinfo = {};
+                this.topology.document = {};
+                this.history.clear();
                 
                 // Emit loaded event to trigger re-render
                 this.#emit('topologyLoaded', {
@@ -551,31 +522,12 @@ class TopologyManager {
 
     /**
      * Get current topology data for saving
+     * Node positions come from the topology itself: the canvas records them
+     * with moveTopologyNode when a node is dropped, so no DOM access is needed
+     * and the topology can be saved outside the browser.
      * @returns {Object} Comprehensive topology configuration
      */
     getTopology() {
-        // Recalculate all node positions before saving
-        Object.entries(this.topology.nodes).forEach(([nodeId, node]) => {
-            const nodeElement = document.getElementById(nodeId);
-            const containerElement = nodeElement?.closest('.network-diagram');
-            
-            if (nodeElement && containerElement) {
-                const elementRect = nodeElement.getBoundingClientRect();
-                const containerRect = containerElement.getBoundingClientRect();
-                
-                // Calculate position relative to the container including scroll
-                node.position = {
-                    x: Math.round(elementRect.left - containerRect.left + containerElement.scrollLeft),
-                    y: Math.round(elementRect.top - containerRect.top + containerElement.scrollTop)
-                };
-                
-                Logger.debug('TopologyManager: Node position recalculated', {
-                    nodeId,
-                    position: node.position
-                });
-            }
-        });
-
         // Ensure each node has an iconPath
         Object.values(this.topology.nodes).forEach(node => {
             if (!node.iconPath && node.type) {
@@ -584,43 +536,7 @@ class TopologyManager {
         });
 
         // Capture full node and connection details for exact re-rendering
-        return {
-            version: '1.0',
-            timestamp: new Date().toISOString(),
-            nodes: Object.entries(this.topology.nodes).reduce((acc, [nodeId, node]) => {
-                acc[nodeId] = {
-                    id: node.id,
-                    type: node.type,
-                    name: node.name,
-                    position: node.position,
-                    size: node.size || { width: 100, height: 100 },
-                    icon: node.icon,
-                    iconPath: node.iconPath,
-                    endpoints: node.endpoints || [],
-                    properties: node.properties || {},
-                    interfaces: node.interfaces || []
-                };
-                return acc;
-            }, {}),
-            connections: Object.entries(this.topology.connections).reduce((acc, [connId, conn]) => {
-                acc[connId] = {
-                    id: connId,
-                    sourceNode: {
-                        id: conn.sourceNode.id,
-                        interface: conn.sourceInterface?.name,
-                        interfaceType: conn.sourceInterface?.type
-                    },
-                    targetNode: {
-                        id: conn.targetNode.id,
-                        interface: conn.targetNode?.interface,
-                        interfaceType: conn.targetNode?.interfaceType
-                    },
-                    connectionStyle: conn.connectionStyle || {},
-                    properties: conn.properties || {}
-                };
-                return acc;
-            }, {})
-        };
+        return serializeTopology(this.topology);
     }
 
     /**
@@ -656,11 +572,40 @@ class TopologyManager {
      */
     loadTopology(config) {
         try {
-            // Validate input
-            if (!config || !config.nodes || !config.connections) {
-                Logger.error('TopologyManager: Invalid topology configuration');
+            // Upgrade documents written by older versions to the current shape
+            let migration;
+            try {
+                migration = migrateTopology(config);
+            } catch (error) {
+                Logger.error('TopologyManager: Cannot migrate topology', { error: error.message });
+                this.#emit('topologyInvalid', { errors: [{ pointer: '/version', message: error.message }] });
                 return false;
             }
+            config = migration.document;
+
+            // Validate the whole document before touching the canvas so an
+            // invalid file never renders halfway
+            const validation = validateTopology(config);
+            if (!validation.valid) {
+                Logger.error('TopologyManager: Invalid topology configuration', {
+                    errors: validation.errors
+                });
+                this.#emit('topologyInvalid', { errors: validation.errors });
+                return false;
+            }
+
+            if (migration.changes.length > 0) {
+                Logger.info('TopologyManager: Migrated topology', {
+                    fromVersion: migration.fromVersion,
+                    toVersion: migration.toVersion,
+                    changes: migration.changes
+                });
+                this.#emit('topologyMigrated', {
+                    fromVersion: migration.fromVersion,
+                    toVersion: migration.toVersion,
+                    changes: migration.changes
+                });
+            }
 
             Logger.debug('TopologyManager: Starting topology load', {
                 nodeCount: Object.keys(config.nodes).length,
@@ -671,63 +616,31 @@ class TopologyManager {
             // Reset current topology before loading new one
             this.resetTopology();
 
+            const restored = deserializeTopology(config);
+            if (restored.skipped.length > 0) {
+                Logger.warn('TopologyManager: Skipping connections due to missing nodes', {
+                    connectionIds: restored.skipped
+                });
+            }
+
             // Wait for a microtask to allow reset to complete
             setTimeout(() => {
+                this.topology.document = restored.document;
+
                 // First, restore all nodes
-                Object.entries(config.nodes).forEach(([nodeId, nodeData]) => {
-                    this.topology.nodes[nodeId] = {
-                        ...nodeData,
-                        id: nodeData.id,
-                        type: nodeData.type,
-                        name: nodeData.name,
-                        position: nodeData.position || { x: 0, y: 0 },
-                        size: nodeData.size || { width: 100, height: 100 },
-                        icon: nodeData.icon,
-                        endpoints: nodeData.endpoints || [],
-                        properties: nodeData.properties || {},
-                        interfaces: nodeData.interfaces || []
-                    };
+                Object.entries(restored.nodes).forEach(([nodeId, node]) => {
+                    this.topology.nodes[nodeId] = node;
 
                     // Emit node added event
-                    this.#emit('nodeAdded', this.topology.nodes[nodeId]);
+                    this.#emit('nodeAdded', this.topology.nodes[nodeId], { origin: 'load' });
                 });
 
                 // Then restore all connections
-                Object.entries(config.connections).forEach(([connId, connData]) => {
-                    try {
-                        // Find source and target nodes
-                        const sourceNode = this.topology.nodes[connData.sourceNode.id];
-                        const targetNode = this.topology.nodes[connData.targetNode.id];
-
-                        if (!sourceNode || !targetNode) {
-                            Logger.warn('TopologyManager: Skipping connection due to missing nodes', {
-                                connectionId: connId,
-                                sourceNodeId: connData.sourceNode.id,
-                                targetNodeId: connData.targetNode.id
-                            });
-                            return;
-                        }
-
-                        // Create connection
-                        this.topology.connections[connId] = {
-                            id: connId,
-                            sourceNode: sourceNode,
-                            targetNode: targetNode,
-                            sourceInterface: connData.sourceNode.interface,
-                            targetInterface: connData.targetNode.interface,
-                            connectionStyle: connData.connectionStyle || {},
-                            properties: connData.properties || {}
-                        };
-
-                        // Emit connection added event
-                        this.#emit('connectionAdded', this.topology.connections[connId]);
-                    } catch (error) {
-                        Logger.error('TopologyManager: Failed to restore connection', {
-                            connectionId: connId,
-                            error: error.message,
-                            stack: error.stack
-                        });
-                    }
+                Object.entries(restored.connections).forEach(([connId, connection]) => {
+                    this.topology.connections[connId] = connection;
+
+                    // Emit connection added event
+                    this.#emit('connectionAdded', this.topology.connections[connId], { origin: 'load' });
                 });
 
                 // Emit topology loaded event
@@ -751,15 +664,10 @@ class TopologyManager {
 
     /**
      * Get topology network statistics
-     * @returns {Object} Network statistics
+     * @returns {Object} `{ totalNodes, totalConnections, totalEndpoints }`
      */
     getTopologyNetworkStatistics() {
-        return {
-            totalNodes: Object.keys(this.topology.nodes).length,
-            totalConnections: Object.keys(this.topology.connections).length,
-            totalEndpoints: Object.values(this.topology.nodes)
-                .reduce((total, node) => total + (node.interfaces?.length || 0), 0)
-        };
+        return getNetworkStatistics(serializeTopology(this.topology)).totals;
     }
 
     /**
@@ -916,5 +824,71 @@ class TopologyManager {
     }
 }
 
-// Export a singleton instance
-export default new TopologyManager();
+/**
+ * Registry of open topology documents
+ */
+class TopologyDocuments {
+    #documents = new Map();
+
+    /**
+     * Open a document, creating it if it is not open yet
+     * @param {string} id - Document ID
+     * @param {Object} [config] - Topology configuration to load into a new document
+     * @returns {TopologyManager} Document
+     */
+    open(id, config = null) {
+        if (!id) {
+            throw new Error('TopologyDocuments: Document must have an ID');
+        }
+
+        let manager = this.#documents.get(id);
+        if (!manager) {
+            manager = new TopologyManager({ id });
+            this.#documents.set(id, manager);
+            Logger.debug('TopologyDocuments: Document opened', { id, openDocuments: this.#documents.size });
+
+            if (config) {
+                manager.loadTopology(config);
+            }
+        }
+        return manager;
+    }
+
+    /**
+     * Get an open document
+     * @param {string} id - Document ID
+     * @returns {TopologyManager|null} Document or null if it is not open
+     */
+    get(id) {
+        return this.#documents.get(id) || null;
+    }
+
+    /**
+     * Close a document and drop its listeners and history
+     * @param {string} id - Document ID
+     * @returns {boolean} Whether the document was open
+     */
+    close(id) {
+        const manager = this.#documents.get(id);
+        if (!manager) return false;
+
+        manager.eventListeners = {};
+        manager.history.clear();
+        this.#documents.delete(id);
+        Logger.debug('TopologyDocuments: Document closed', { id, openDocuments: this.#documents.size });
+        return true;
+    }
+
+    /**
+     * List the IDs of the open documents
+     * @returns {Array<string>} Document IDs
+     */
+    list() {
+        return [...this.#documents.keys()];
+    }
+}
+
+export const topologyDocuments = new TopologyDocuments();
+
+// The document edited on the canvas
+export default topologyDocuments.open(CANVAS_DOCUMENT_ID);
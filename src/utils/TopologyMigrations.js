@@ -0,0 +1,177 @@
+import { TOPOLOGY_FORMAT_VERSION, DEFAULT_NODE_SIZE } from './TopologySerializer.js';
+
+/**
+ * Topology document migrations
+ *
+ * Each step upgrades a document from one format version to the next. Steps
+ * run in order until the document reaches the current version, and every
+ * change they make is recorded so callers can report what was upgraded.
+ *
+ * Documents without a `version` field are treated as version `0`.
+ */
+
+export const CURRENT_TOPOLOGY_VERSION = TOPOLOGY_FORMAT_VERSION;
+
+export const UNVERSIONED = '0';
+
+/**
+ * Recover interface names from a legacy connection ID of the form
+ * `<sourceNodeId>-<sourceInterface>-to-<targetNodeId>-<targetInterface>`
+ * @param {string} connectionId - Connection ID
+ * @param {string} firstNodeId - Node expected at the start of the ID
+ * @param {string} secondNodeId - Node expected after `-to-`
+ * @returns {Array<string>|null} `[firstInterface, secondInterface]` or null
+ */
+const parseLegacyConnectionId = (connectionId, firstNodeId, secondNodeId) => {
+    const prefix = `${firstNodeId}-`;
+    const separator = `-to-${secondNodeId}-`;
+    if (!connectionId.startsWith(prefix)) return null;
+
+    const separatorIndex = connectionId.indexOf(separator, prefix.length);
+    if (separatorIndex === -1) return null;
+
+    const firstInterface = connectionId.slice(prefix.length, separatorIndex);
+    const secondInterface = connectionId.slice(separatorIndex + separator.length);
+    return firstInterface && secondInterface ? [firstInterface, secondInterface] : null;
+};
+
+/**
+ * Find an interface definition on a node by name
+ * @param {Object} node - Node document
+ * @param {string} name - Interface name
+ * @returns {Object|undefined} Interface definition
+ */
+const findInterface = (node, name) =>
+    [...(node?.endpoints || []), ...(node?.interfaces || [])].find(iface => iface.name === name);
+
+/**
+ * Ordered migration steps
+ * `migrate` mutates the document and calls `record` for each change.
+ */
+const MIGRATIONS = [
+    {
+        from: UNVERSIONED,
+        to: '1.0',
+        migrate(doc, record) {
+            if (!doc.nodes || typeof doc.nodes !== 'object' || Array.isArray(doc.nodes)) {
+                doc.nodes = {};
+                record('Added empty nodes map');
+            }
+            if (!doc.connections || typeof doc.connections !== 'object' || Array.isArray(doc.connections)) {
+                doc.connections = {};
+                record('Added empty connections map');
+            }
+            Object.entries(doc.nodes).forEach(([nodeId, node]) => {
+                if (!node.id) {
+                    node.id = nodeId;
+                    record(`Set missing id on node "${nodeId}"`);
+                }
+            });
+            Object.entries(doc.connections).forEach(([connId, conn]) => {
+                if (!conn.id) {
+                    conn.id = connId;
+                    record(`Set missing id on connection "${connId}"`);
+                }
+            });
+        }
+    },
+    {
+        from: '1.0',
+        to: '1.1',
+        migrate(doc, record) {
+            Object.entries(doc.nodes).forEach(([nodeId, node]) => {
+                // Early saves only kept the device interfaces, not the endpoints built from them
+                if ((!node.endpoints || node.endpoints.length === 0) && node.interfaces?.length > 0) {
+                    node.endpoints = node.interfaces.map((iface, index) => ({
+                        ...iface,
+                        id: `${nodeId}-endpoint-${index}`,
+                        nodeId,
+                        originalName: iface.name
+                    }));
+                    record(`Built ${node.endpoints.length} endpoint(s) for node "${node.name || nodeId}" from its interfaces`);
+                }
+                if (!node.size) {
+                    node.size = { ...DEFAULT_NODE_SIZE };
+                    record(`Set default size on node "${node.name || nodeId}"`);
+                }
+                node.endpoints = node.endpoints || [];
+                node.interfaces = node.interfaces || [];
+                node.properties = node.properties || {};
+            });
+
+            Object.entries(doc.connections).forEach(([connId, conn]) => {
+                const sourceNode = doc.nodes[conn.sourceNode?.id];
+                const targetNode = doc.nodes[conn.targetNode?.id];
+
+                if (conn.sourceNode && conn.targetNode && (!conn.sourceNode.interface || !conn.targetNode.interface)) {
+                    // Interface names were dropped on save but are still encoded in the ID
+                    const forward = parseLegacyConnectionId(connId, conn.sourceNode.id, conn.targetNode.id);
+                    const reverse = parseLegacyConnectionId(connId, conn.targetNode.id, conn.sourceNode.id);
+                    const [sourceName, targetName] = forward || (reverse && [reverse[1], reverse[0]]) || [];
+
+                    if (sourceName && targetName) {
+                        conn.sourceNode.interface = conn.sourceNode.interface || sourceName;
+                        conn.targetNode.interface = conn.targetNode.interface || targetName;
+                        record(`Recovered interface names for connection "${connId}"`);
+                    }
+                }
+
+                [[conn.sourceNode, sourceNode], [conn.targetNode, targetNode]].forEach(([end, node]) => {
+                    if (end?.interface && !end.interfaceType) {
+                        const type = findInterface(node, end.interface)?.type;
+                        if (type) {
+                            end.interfaceType = type;
+                            record(`Recovered type of interface "${end.interface}" on connection "${connId}"`);
+                        }
+                    }
+                });
+
+                conn.connectionStyle = conn.connectionStyle || {};
+                conn.properties = conn.properties || {};
+            });
+        }
+    }
+];
+
+/**
+ * Get the format version of a document
+ * @param {Object} doc - Topology document
+ * @returns {string} Version string
+ */
+export const getTopologyVersion = (doc) =>
+    (doc && typeof doc.version === 'string' ? doc.version : UNVERSIONED);
+
+/**
+ * Upgrade a topology document to the current format version
+ * The input document is left untouched.
+ * @param {Object} doc - Topology document
+ * @returns {Object} `{ document, fromVersion, toVersion, changes, migrated }`
+ * @throws {Error} If the document version is unknown or newer than supported
+ */
+export function migrateTopology(doc) {
+    const fromVersion = getTopologyVersion(doc);
+    const document = JSON.parse(JSON.stringify(doc && typeof doc === 'object' ? doc : {}));
+    const changes = [];
+
+    let version = fromVersion;
+    while (version !== CURRENT_TOPOLOGY_VERSION) {
+        const step = MIGRATIONS.find(migration => migration.from === version);
+        if (!step) {
+            throw new Error(`Unsupported topology version: ${fromVersion}`);
+        }
+
+        step.migrate(document, (description) => {
+            changes.push({ from: step.from, to: step.to, description });
+        });
+        version = step.to;
+        document.version = version;
+    }
+
+    return {
+        document,
+        fromVersion,
+        toVersion: version,
+        changes,
+        migrated: fromVersion !== version
+    };
+}
@@ -0,0 +1,154 @@
+/**
+ * Topology operations for collaborative editing
+ *
+ * Edits made on one canvas travel to the other clients of the same diagram as
+ * operations on the persisted document shape (see TopologySerializer). The
+ * functions here are pure (no DOM, no logging) so the server and the browser
+ * apply them with exactly the same rules.
+ *
+ * Conflicts are resolved by order: the server gives every accepted operation
+ * a sequence number and all clients apply operations in that order, so they
+ * converge on the same document.
+ *
+ * - Removing a node also removes its connections; later operations on the
+ *   removed node are rejected
+ * - Moves are last-writer-wins: the position with the highest sequence stays
+ * - A connection is rejected when one of its nodes is missing or one of its
+ *   interfaces is already used by another connection (first in order wins)
+ * - Adding an existing node or connection and removing a missing one are
+ *   accepted no-ops, so replaying an operation is harmless
+ */
+
+import { serializeNode, serializeConnection } from './TopologySerializer.js';
+
+export const OPERATION_TYPES = {
+    NODE_ADDED: 'nodeAdded',
+    NODE_REMOVED: 'nodeRemoved',
+    NODE_MOVED: 'nodeMoved',
+    CONNECTION_ADDED: 'connectionAdded',
+    CONNECTION_REMOVED: 'connectionRemoved'
+};
+
+/**
+ * Build an operation from a TopologyManager event
+ * @param {string} type - Event name, one of OPERATION_TYPES
+ * @param {Object} data - Event data (in-memory node, connection or `{ id, position }`)
+ * @returns {Object|null} Operation, or null for unsupported events
+ */
+export function createOperation(type, data) {
+    switch (type) {
+        case OPERATION_TYPES.NODE_ADDED:
+            return { type, node: serializeNode(data) };
+        case OPERATION_TYPES.NODE_REMOVED:
+            return { type, nodeId: data.id };
+        case OPERATION_TYPES.NODE_MOVED:
+            return { type, nodeId: data.id, position: { x: data.position.x, y: data.position.y } };
+        case OPERATION_TYPES.CONNECTION_ADDED:
+            return { type, connection: serializeConnection(data) };
+        case OPERATION_TYPES.CONNECTION_REMOVED:
+            return { type, connectionId: data.id };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check the shape of an operation received from a client
+ * @param {Object} op - Operation
+ * @returns {string|null} Error message, or null if the operation is well formed
+ */
+export function checkOperation(op) {
+    if (!op || typeof op !== 'object') return 'Operation must be an object';
+
+    const isId = (value) => typeof value === 'string' && value.length > 0;
+    const isPosition = (value) => value && Number.isFinite(value.x) && Number.isFinite(value.y);
+
+    switch (op.type) {
+        case OPERATION_TYPES.NODE_ADDED:
+            return op.node && isId(op.node.id) && isPosition(op.node.position) ? null : 'Node must have an id and a position';
+        case OPERATION_TYPES.NODE_REMOVED:
+            return isId(op.nodeId) ? null : 'nodeId is required';
+        case OPERATION_TYPES.NODE_MOVED:
+            return isId(op.nodeId) && isPosition(op.position) ? null : 'nodeId and a numeric position are required';
+        case OPERATION_TYPES.CONNECTION_ADDED:
+            return op.connection && isId(op.connection.id)
+                && isId(op.connection.sourceNode?.id) && isId(op.connection.targetNode?.id)
+                ? null
+                : 'Connection must have an id, a sourceNode and a targetNode';
+        case OPERATION_TYPES.CONNECTION_REMOVED:
+            return isId(op.connectionId) ? null : 'connectionId is required';
+        default:
+            return `Unknown operation type: ${op.type}`;
+    }
+}
+
+/**
+ * Find a connection other than `exceptId` that uses an interface of a node
+ * @param {Object} connections - Persisted connections keyed by ID
+ * @param {Object} ref - `{ id, interface }` endpoint reference
+ * @param {string} exceptId - Connection ID to ignore
+ * @returns {Object|undefined} Connection using the interface
+ */
+const findEndpointUser = (connections, ref, exceptId) => Object.values(connections).find(conn =>
+    conn.id !== exceptId && ref.interface !== undefined && [conn.sourceNode, conn.targetNode].some(end =>
+        end?.id === ref.id && end?.interface === ref.interface
+    )
+);
+
+/**
+ * Apply an operation to a persisted topology document in place
+ * @param {Object} doc - Document with `nodes` and `connections`
+ * @param {Object} op - Operation from createOperation
+ * @returns {Object} `{ ok, changed, reason }`; rejected operations leave the document untouched
+ */
+export function applyOperation(doc, op) {
+    doc.nodes = doc.nodes || {};
+    doc.connections = doc.connections || {};
+
+    switch (op.type) {
+        case OPERATION_TYPES.NODE_ADDED: {
+            if (doc.nodes[op.node.id]) return { ok: true, changed: false };
+            doc.nodes[op.node.id] = JSON.parse(JSON.stringify(op.node));
+            return { ok: true, changed: true };
+        }
+
+        case OPERATION_TYPES.NODE_REMOVED: {
+            if (!doc.nodes[op.nodeId]) return { ok: true, changed: false };
+            Object.entries(doc.connections)
+                .filter(([, conn]) => conn.sourceNode?.id === op.nodeId || conn.targetNode?.id === op.nodeId)
+                .forEach(([connId]) => delete doc.connections[connId]);
+            delete doc.nodes[op.nodeId];
+            return { ok: true, changed: true };
+        }
+
+        case OPERATION_TYPES.NODE_MOVED: {
+            const node = doc.nodes[op.nodeId];
+            if (!node) return { ok: false, reason: 'Node no longer exists' };
+            node.position = { x: op.position.x, y: op.position.y };
+            return { ok: true, changed: true };
+        }
+
+        case OPERATION_TYPES.CONNECTION_ADDED: {
+            const { connection } = op;
+            if (doc.connections[connection.id]) return { ok: true, changed: false };
+            if (!doc.nodes[connection.sourceNode.id] || !doc.nodes[connection.targetNode.id]) {
+                return { ok: false, reason: 'Connected node no longer exists' };
+            }
+            if (findEndpointUser(doc.connections, connection.sourceNode, connection.id)
+                || findEndpointUser(doc.connections, connection.targetNode, connection.id)) {
+                return { ok: false, reason: 'Interface is already connected' };
+            }
+            doc.connections[connection.id] = JSON.parse(JSON.stringify(connection));
+            return { ok: true, changed: true };
+        }
+
+        case OPERATION_TYPES.CONNECTION_REMOVED: {
+            if (!doc.connections[op.connectionId]) return { ok: true, changed: false };
+            delete doc.connections[op.connectionId];
+            return { ok: true, changed: true };
+        }
+
+        default:
+            return { ok: false, reason: `Unknown operation type: ${op.type}` };
+    }
+}
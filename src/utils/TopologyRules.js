@@ -0,0 +1,217 @@
+/**
+ * Topology editing rules
+ *
+ * The rules TopologyManager applies when nodes are added and interfaces are
+ * connected on the canvas. The functions here are pure (no DOM, no logging)
+ * so the server applies exactly the same rules to edits made through the
+ * REST API.
+ */
+
+import { DEFAULT_NODE_SIZE } from './TopologySerializer.js';
+
+// Interface types each interface type may be connected to
+export const CONNECTION_RULES = {
+    interfaceTypeConnections: {
+        'Serial': ['Serial'],
+        'Ethernet': ['Ethernet']
+    }
+};
+
+// Why checkConnection refused a connection
+export const CONNECTION_ERRORS = {
+    MISSING_INTERFACE: 'missingInterface',
+    SOURCE_IN_USE: 'sourceInUse',
+    TARGET_IN_USE: 'targetInUse',
+    UNKNOWN_TYPE: 'unknownType',
+    INCOMPATIBLE_TYPES: 'incompatibleTypes',
+    DUPLICATE: 'duplicate'
+};
+
+const CONNECTION_ERROR_MESSAGES = {
+    [CONNECTION_ERRORS.MISSING_INTERFACE]: 'Source or target interface is undefined',
+    [CONNECTION_ERRORS.SOURCE_IN_USE]: 'Source interface is already in use',
+    [CONNECTION_ERRORS.TARGET_IN_USE]: 'Target interface is already in use',
+    [CONNECTION_ERRORS.UNKNOWN_TYPE]: 'Unable to determine interface types',
+    [CONNECTION_ERRORS.INCOMPATIBLE_TYPES]: 'Interfaces with incompatible types cannot be connected',
+    [CONNECTION_ERRORS.DUPLICATE]: 'This specific interface connection already exists'
+};
+
+/**
+ * Determine the type of an interface, lower case
+ * Tries the `type` and `interfaceType` fields, then the interface name
+ * (e.g. 'GigabitEthernet0/0' is Ethernet), then the interface of the same
+ * name in the node's configuration.
+ * @param {Object} iface - Interface (`nodeId`, `name`, optional `type`)
+ * @param {Object} nodes - Nodes keyed by ID
+ * @returns {string|undefined} Interface type
+ */
+export function resolveInterfaceType(iface, nodes = {}) {
+    const typeExtractors = [
+        () => iface.type,
+        () => iface.interfaceType,
+        () => {
+            const interfaceName = (iface.name || '').toLowerCase();
+            if (interfaceName.includes('ethernet')) return 'Ethernet';
+            if (interfaceName.includes('serial')) return 'Serial';
+            return undefined;
+        },
+        () => nodes[iface.nodeId]?.interfaces?.find(candidate => candidate.name === iface.name)?.type
+    ];
+
+    for (const extractor of typeExtractors) {
+        const extractedType = extractor();
+        if (extractedType) return extractedType.trim().toLowerCase();
+    }
+    return undefined;
+}
+
+/**
+ * Generate a unique connection key
+ * The key does not depend on which end is the source, so the same pair of
+ * interfaces always maps to the same connection ID.
+ * @param {Object} sourceInterface - Source interface (`nodeId`, `name`)
+ * @param {Object} targetInterface - Target interface (`nodeId`, `name`)
+ * @returns {string} Unique connection identifier
+ */
+export function generateConnectionKey(sourceInterface, targetInterface) {
+    // Sort the endpoints as node/interface pairs so each interface stays with its node
+    const [first, second] = [sourceInterface, targetInterface].sort((a, b) => {
+        const aKey = `${a.nodeId}\u0000${a.name}`;
+        const bKey = `${b.nodeId}\u0000${b.name}`;
+        return aKey < bKey ? -1 : aKey > bKey ? 1 : 0;
+    });
+
+    return `${first.nodeId}-${first.name}-to-${second.nodeId}-${second.name}`;
+}
+
+/**
+ * Check whether two interfaces may be connected
+ * Neither interface may be connected already, and their types must be
+ * compatible according to the connection rules.
+ * @param {Object} sourceInterface - Source interface (`nodeId`, `name`, optional `type`)
+ * @param {Object} targetInterface - Target interface (`nodeId`, `name`, optional `type`)
+ * @param {Object} context - Topology to check against
+ * @param {Object} context.nodes - Nodes keyed by ID
+ * @param {Object} context.connections - Connections keyed by ID
+ * @param {Function} context.isEndpointInUse - `(nodeId, interfaceName) => boolean`
+ * @param {Object} [context.rules] - Connection rules, defaults to CONNECTION_RULES
+ * @returns {Object} `{ ok, error, reason, sourceType, targetType }`
+ */
+export function checkConnection(sourceInterface, targetInterface, {
+    nodes,
+    connections,
+    isEndpointInUse,
+    rules = CONNECTION_RULES
+}) {
+    const refuse = (error, details = {}) => ({
+        ok: false,
+        error,
+        reason: CONNECTION_ERROR_MESSAGES[error],
+        ...details
+    });
+
+    if (!sourceInterface || !targetInterface) {
+        return refuse(CONNECTION_ERRORS.MISSING_INTERFACE);
+    }
+    if (isEndpointInUse(sourceInterface.nodeId, sourceInterface.name)) {
+        return refuse(CONNECTION_ERRORS.SOURCE_IN_USE);
+    }
+    if (isEndpointInUse(targetInterface.nodeId, targetInterface.name)) {
+        return refuse(CONNECTION_ERRORS.TARGET_IN_USE);
+    }
+
+    const sourceType = resolveInterfaceType(sourceInterface, nodes);
+    const targetType = resolveInterfaceType(targetInterface, nodes);
+    if (!sourceType || !targetType) {
+        return refuse(CONNECTION_ERRORS.UNKNOWN_TYPE, { sourceType, targetType });
+    }
+
+    // Rules are keyed by capitalized type names; match them case-insensitively
+    const allowedTypes = rules.interfaceTypeConnections[
+        sourceType.charAt(0).toUpperCase() + sourceType.slice(1)
+    ] || rules.interfaceTypeConnections[sourceType] || [];
+    if (!allowedTypes.some(allowedType => allowedType.toLowerCase() === targetType)) {
+        return refuse(CONNECTION_ERRORS.INCOMPATIBLE_TYPES, { sourceType, targetType, allowedTypes });
+    }
+
+    if (connections[generateConnectionKey(sourceInterface, targetInterface)]) {
+        return refuse(CONNECTION_ERRORS.DUPLICATE, { sourceType, targetType });
+    }
+
+    return { ok: true, sourceType, targetType };
+}
+
+/**
+ * Build a connection between two interfaces
+ * The ID is the connection key, the one checkConnection looks for duplicates.
+ * @param {Object} sourceNode - Source node (`id`, `name`)
+ * @param {Object} targetNode - Target node (`id`, `name`)
+ * @param {Object} sourceInterface - Source interface (`name`, `type` or `interfaceType`)
+ * @param {Object} targetInterface - Target interface (`name`, `type` or `interfaceType`)
+ * @returns {Object} Connection in the in-memory shape of TopologyManager
+ */
+export function createTopologyConnection(sourceNode, targetNode, sourceInterface, targetInterface) {
+    return {
+        id: generateConnectionKey(
+            { nodeId: sourceNode.id, name: sourceInterface.name },
+            { nodeId: targetNode.id, name: targetInterface.name }
+        ),
+        sourceNode: {
+            id: sourceNode.id,
+            name: sourceNode.name
+        },
+        targetNode: {
+            id: targetNode.id,
+            name: targetNode.name
+        },
+        sourceInterface: {
+            name: sourceInterface.name,
+            type: sourceInterface.type || sourceInterface.interfaceType
+        },
+        targetInterface: {
+            name: targetInterface.name,
+            type: targetInterface.type || targetInterface.interfaceType
+        },
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Build a node with every property the topology expects
+ * Missing fields get their defaults; the icon defaults to the one named
+ * after the node type.
+ * @param {Object} node - Node details, `id` is required
+ * @returns {Object|null} Node, or null if it has no ID
+ */
+export function createTopologyNode(node) {
+    if (!node || !node.id) return null;
+
+    return {
+        id: node.id,
+        type: node.type,
+        name: node.name,
+        position: node.position || { x: 0, y: 0 },
+        size: node.size || { ...DEFAULT_NODE_SIZE },
+        icon: node.icon,
+        iconPath: node.iconPath || (node.type ? `/net_icons/${node.type}.svg` : undefined),
+        endpoints: node.endpoints || [],
+        properties: node.properties || {},
+        interfaces: node.interfaces || []
+    };
+}
+
+/**
+ * Turn interface configurations into the endpoints of a new node
+ * @param {string} nodeId - ID of the node
+ * @param {Array} interfaces - Interface configurations (`name`, `type`, ...)
+ * @param {Function} makeId - Generates an endpoint ID
+ * @returns {Array} Endpoints
+ */
+export function createNodeEndpoints(nodeId, interfaces, makeId) {
+    return interfaces.map(endpoint => ({
+        ...endpoint,
+        id: makeId(),
+        nodeId,
+        originalName: endpoint.name
+    }));
+}
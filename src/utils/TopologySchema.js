@@ -0,0 +1,182 @@
+import { validateSchema, toPointer } from './SchemaValidator.js';
+
+/**
+ * JSON Schema for saved topology documents
+ * Published by the server at /api/topology/schema
+ */
+export const TOPOLOGY_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: '/api/topology/schema',
+    title: 'Network topology',
+    type: 'object',
+    required: ['nodes', 'connections'],
+    properties: {
+        version: { type: 'string' },
+        timestamp: { type: 'string' },
+        // Stamped by the server on every save
+        lastModifiedBy: {
+            type: 'object',
+            required: ['username'],
+            properties: {
+                username: { type: 'string', minLength: 1 },
+                name: { type: 'string' }
+            }
+        },
+        nodes: {
+            type: 'object',
+            additionalProperties: { $ref: '#/definitions/node' }
+        },
+        connections: {
+            type: 'object',
+            additionalProperties: { $ref: '#/definitions/connection' }
+        }
+    },
+    definitions: {
+        position: {
+            type: 'object',
+            required: ['x', 'y'],
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' }
+            }
+        },
+        size: {
+            type: 'object',
+            required: ['width', 'height'],
+            properties: {
+                width: { type: 'number', minimum: 0 },
+                height: { type: 'number', minimum: 0 }
+            }
+        },
+        interface: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                id: { type: 'string' },
+                nodeId: { type: 'string' },
+                name: { type: 'string', minLength: 1 },
+                originalName: { type: 'string' },
+                type: { type: 'string' },
+                speed: { type: 'string' }
+            }
+        },
+        node: {
+            type: 'object',
+            required: ['id', 'type', 'name', 'position'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                type: { type: 'string', minLength: 1 },
+                name: { type: 'string' },
+                position: { $ref: '#/definitions/position' },
+                size: { $ref: '#/definitions/size' },
+                icon: { type: ['string', 'null'] },
+                iconPath: { type: 'string' },
+                endpoints: { type: 'array', items: { $ref: '#/definitions/interface' } },
+                interfaces: { type: 'array', items: { $ref: '#/definitions/interface' } },
+                properties: { type: 'object' }
+            }
+        },
+        connectionEnd: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                interface: { type: 'string' },
+                interfaceType: { type: 'string' }
+            }
+        },
+        connection: {
+            type: 'object',
+            required: ['id', 'sourceNode', 'targetNode'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                sourceNode: { $ref: '#/definitions/connectionEnd' },
+                targetNode: { $ref: '#/definitions/connectionEnd' },
+                connectionStyle: { type: 'object' },
+                properties: { type: 'object' }
+            }
+        }
+    }
+};
+
+/**
+ * Check cross references the schema cannot express:
+ * keys match IDs, connections point at existing nodes and interfaces,
+ * and no interface is used by more than one connection.
+ * @param {Object} config - Schema-valid topology document
+ * @returns {Array} Errors as `{ pointer, message }`
+ */
+const validateReferences = (config) => {
+    const errors = [];
+    const usedInterfaces = {};
+
+    Object.entries(config.nodes).forEach(([nodeId, node]) => {
+        if (node.id !== nodeId) {
+            errors.push({
+                pointer: toPointer('nodes', nodeId, 'id'),
+                message: `does not match its key "${nodeId}"`
+            });
+        }
+    });
+
+    Object.entries(config.connections).forEach(([connId, conn]) => {
+        if (conn.id !== connId) {
+            errors.push({
+                pointer: toPointer('connections', connId, 'id'),
+                message: `does not match its key "${connId}"`
+            });
+        }
+
+        ['sourceNode', 'targetNode'].forEach(end => {
+            const ref = conn[end];
+            const node = config.nodes[ref.id];
+
+            if (!node) {
+                errors.push({
+                    pointer: toPointer('connections', connId, end, 'id'),
+                    message: `references unknown node "${ref.id}"`
+                });
+                return;
+            }
+
+            if (!ref.interface) return;
+
+            const knownInterfaces = [...(node.endpoints || []), ...(node.interfaces || [])];
+            if (knownInterfaces.length > 0 && !knownInterfaces.some(iface => iface.name === ref.interface)) {
+                errors.push({
+                    pointer: toPointer('connections', connId, end, 'interface'),
+                    message: `references unknown interface "${ref.interface}" on node "${node.name || ref.id}"`
+                });
+                return;
+            }
+
+            const interfaceKey = `${ref.id}\u0000${ref.interface}`;
+            if (usedInterfaces[interfaceKey]) {
+                errors.push({
+                    pointer: toPointer('connections', connId, end, 'interface'),
+                    message: `interface "${ref.interface}" on node "${node.name || ref.id}" is already used by connection "${usedInterfaces[interfaceKey]}"`
+                });
+            } else {
+                usedInterfaces[interfaceKey] = connId;
+            }
+        });
+    });
+
+    return errors;
+};
+
+/**
+ * Validate a topology document against the schema and its cross references
+ * @param {Object} config - Topology document
+ * @returns {Object} `{ valid, errors }` with errors as `{ pointer, message }`
+ */
+export function validateTopology(config) {
+    const { errors } = validateSchema(TOPOLOGY_SCHEMA, config);
+
+    // Only follow references once the document has the expected shape
+    if (errors.length === 0) {
+        errors.push(...validateReferences(config));
+    }
+
+    return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,199 @@
+/**
+ * Topology serialization helpers
+ *
+ * Converts between the in-memory topology kept by TopologyManager and the
+ * JSON document written to disk. The functions here are pure (no DOM, no
+ * logging) so the same code can run in the browser and in Node.
+ *
+ * Round-trip guarantee: for any document produced by `serializeTopology`,
+ * `serializeTopology(deserializeTopology(doc))` yields an identical document.
+ */
+
+export const TOPOLOGY_FORMAT_VERSION = '1.1';
+
+export const DEFAULT_NODE_SIZE = { width: 100, height: 100 };
+
+// Node fields that only exist at runtime and must never be persisted
+const RUNTIME_NODE_FIELDS = ['libraryData', 'connections'];
+
+// Connection fields that are folded into the sourceNode/targetNode objects on disk
+const RUNTIME_CONNECTION_FIELDS = ['sourceNode', 'targetNode', 'sourceInterface', 'targetInterface'];
+
+// Document fields written by serializeTopology itself
+const DOCUMENT_FIELDS = ['version', 'timestamp', 'nodes', 'connections'];
+
+/**
+ * Deep copy a JSON-compatible value
+ * @param {*} value - Value to copy
+ * @returns {*} Copied value
+ */
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Copy every field of an object except the excluded ones
+ * @param {Object} source - Source object
+ * @param {Array<string>} excluded - Field names to skip
+ * @returns {Object} Copied fields
+ */
+const copyFields = (source, excluded) => Object.entries(source || {})
+    .filter(([key, value]) => !excluded.includes(key) && value !== undefined)
+    .reduce((acc, [key, value]) => {
+        acc[key] = clone(value);
+        return acc;
+    }, {});
+
+/**
+ * Normalize an interface reference to `{ name, type }`
+ * Older in-memory connections stored the interface name as a plain string.
+ * @param {Object|string} iface - Interface object or name
+ * @returns {Object} Interface reference
+ */
+const toInterfaceRef = (iface) => {
+    if (!iface) return { name: undefined, type: undefined };
+    if (typeof iface === 'string') return { name: iface, type: undefined };
+    return { name: iface.name, type: iface.type || iface.interfaceType };
+};
+
+/**
+ * Serialize a single node
+ * @param {Object} node - In-memory node
+ * @returns {Object} Persisted node
+ */
+export function serializeNode(node) {
+    return {
+        ...copyFields(node, RUNTIME_NODE_FIELDS),
+        id: node.id,
+        type: node.type,
+        name: node.name,
+        position: clone(node.position) || { x: 0, y: 0 },
+        size: clone(node.size) || { ...DEFAULT_NODE_SIZE },
+        endpoints: clone(node.endpoints) || [],
+        properties: clone(node.properties) || {},
+        interfaces: clone(node.interfaces) || []
+    };
+}
+
+/**
+ * Serialize a single connection
+ * @param {Object} connection - In-memory connection
+ * @returns {Object} Persisted connection
+ */
+export function serializeConnection(connection) {
+    const sourceInterface = toInterfaceRef(connection.sourceInterface);
+    const targetInterface = toInterfaceRef(connection.targetInterface);
+
+    return {
+        ...copyFields(connection, RUNTIME_CONNECTION_FIELDS),
+        id: connection.id,
+        sourceNode: {
+            id: connection.sourceNode.id,
+            interface: sourceInterface.name,
+            interfaceType: sourceInterface.type
+        },
+        targetNode: {
+            id: connection.targetNode.id,
+            interface: targetInterface.name,
+            interfaceType: targetInterface.type
+        },
+        connectionStyle: clone(connection.connectionStyle) || {},
+        properties: clone(connection.properties) || {}
+    };
+}
+
+/**
+ * Serialize an in-memory topology into a document
+ * @param {Object} topology - In-memory topology (`nodes`, `connections`, `document`)
+ * @param {Object} [options] - Serialization options
+ * @param {string} [options.timestamp] - Timestamp to stamp, defaults to now
+ * @returns {Object} Topology document
+ */
+export function serializeTopology(topology, { timestamp = new Date().toISOString() } = {}) {
+    return {
+        ...copyFields(topology.document, DOCUMENT_FIELDS),
+        version: TOPOLOGY_FORMAT_VERSION,
+        timestamp,
+        nodes: Object.entries(topology.nodes || {}).reduce((acc, [nodeId, node]) => {
+            acc[nodeId] = serializeNode(node);
+            return acc;
+        }, {}),
+        connections: Object.entries(topology.connections || {}).reduce((acc, [connId, conn]) => {
+            acc[connId] = serializeConnection({ ...conn, id: conn.id || connId });
+            return acc;
+        }, {})
+    };
+}
+
+/**
+ * Restore a node from its persisted form
+ * @param {Object} data - Persisted node
+ * @returns {Object} In-memory node
+ */
+export function deserializeNode(data) {
+    return {
+        ...clone(data),
+        position: clone(data.position) || { x: 0, y: 0 },
+        size: clone(data.size) || { ...DEFAULT_NODE_SIZE },
+        endpoints: clone(data.endpoints) || [],
+        properties: clone(data.properties) || {},
+        interfaces: clone(data.interfaces) || []
+    };
+}
+
+/**
+ * Restore a connection from its persisted form
+ * @param {Object} data - Persisted connection
+ * @param {Object} nodes - In-memory nodes keyed by ID, used to resolve names
+ * @returns {Object} In-memory connection
+ */
+export function deserializeConnection(data, nodes = {}) {
+    const endpointRef = (ref = {}) => ({
+        id: ref.id,
+        name: nodes[ref.id]?.name
+    });
+
+    return {
+        ...copyFields(data, RUNTIME_CONNECTION_FIELDS),
+        sourceNode: endpointRef(data.sourceNode),
+        targetNode: endpointRef(data.targetNode),
+        sourceInterface: {
+            name: data.sourceNode?.interface,
+            type: data.sourceNode?.interfaceType
+        },
+        targetInterface: {
+            name: data.targetNode?.interface,
+            type: data.targetNode?.interfaceType
+        },
+        connectionStyle: clone(data.connectionStyle) || {},
+        properties: clone(data.properties) || {}
+    };
+}
+
+/**
+ * Restore an in-memory topology from a document
+ * Connections that reference unknown nodes are reported in `skipped`.
+ * @param {Object} config - Topology document
+ * @returns {Object} `{ nodes, connections, document, skipped }`
+ */
+export function deserializeTopology(config) {
+    const nodes = Object.entries(config.nodes || {}).reduce((acc, [nodeId, nodeData]) => {
+        acc[nodeId] = deserializeNode({ ...nodeData, id: nodeData.id || nodeId });
+        return acc;
+    }, {});
+
+    const skipped = [];
+    const connections = Object.entries(config.connections || {}).reduce((acc, [connId, connData]) => {
+        if (!nodes[connData.sourceNode?.id] || !nodes[connData.targetNode?.id]) {
+            skipped.push(connId);
+            return acc;
+        }
+        acc[connId] = deserializeConnection({ ...connData, id: connData.id || connId }, nodes);
+        return acc;
+    }, {});
+
+    return {
+        nodes,
+        connections,
+        document: copyFields(config, DOCUMENT_FIELDS),
+        skipped
+    };
+}
@@ -0,0 +1,87 @@
+/**
+ * Topology statistics
+ *
+ * Counts over a persisted topology document (see TopologySerializer): totals
+ * for the whole network, and per node and per link details. The functions
+ * here are pure (no DOM, no logging) so the canvas and the command-line tool
+ * report the same numbers.
+ */
+
+/**
+ * List the interfaces a node is known to have
+ * Endpoints placed on the canvas and configured interfaces are merged by name.
+ * @param {Object} node - Persisted node
+ * @returns {Array} Interfaces
+ */
+const listNodeInterfaces = (node) => {
+    const byName = new Map();
+    [...(node.endpoints || []), ...(node.interfaces || [])].forEach(iface => {
+        if (iface?.name && !byName.has(iface.name)) byName.set(iface.name, iface);
+    });
+    return [...byName.values()];
+};
+
+/**
+ * Compute statistics of a topology document
+ * @param {Object} doc - Document with `nodes` and `connections`
+ * @returns {Object} `{ totals, nodes, links }`: `totals` has `totalNodes`,
+ *   `totalConnections` and `totalEndpoints`; `nodes` and `links` hold one
+ *   entry per node and per connection
+ */
+export function getNetworkStatistics(doc) {
+    const nodes = doc.nodes || {};
+    const connections = Object.values(doc.connections || {});
+
+    const nodeStats = Object.values(nodes).map(node => {
+        const interfaces = listNodeInterfaces(node);
+        const links = connections.filter(conn => conn.sourceNode?.id === node.id || conn.targetNode?.id === node.id);
+        const usedInterfaces = new Set(links.flatMap(conn =>
+            [conn.sourceNode, conn.targetNode]
+                .filter(end => end?.id === node.id && end.interface)
+                .map(end => end.interface)
+        ));
+
+        return {
+            id: node.id,
+            name: node.name,
+            type: node.type,
+            interfaces: interfaces.length,
+            connectedInterfaces: usedInterfaces.size,
+            freeInterfaces: interfaces.filter(iface => !usedInterfaces.has(iface.name)).length,
+            links: links.length,
+            neighbors: [...new Set(links.map(conn =>
+                (conn.sourceNode?.id === node.id ? conn.targetNode?.id : conn.sourceNode?.id)
+            ))].map(id => nodes[id]?.name || id)
+        };
+    });
+
+    const linkStats = connections.map(conn => {
+        const describeEnd = (end = {}) => {
+            const iface = nodes[end.id] && listNodeInterfaces(nodes[end.id]).find(candidate => candidate.name === end.interface);
+            return {
+                nodeId: end.id,
+                node: nodes[end.id]?.name || end.id,
+                interface: end.interface || null,
+                type: end.interfaceType || iface?.type || null,
+                speed: iface?.speed || null
+            };
+        };
+
+        return {
+            id: conn.id,
+            source: describeEnd(conn.sourceNode),
+            target: describeEnd(conn.targetNode),
+            dangling: !nodes[conn.sourceNode?.id] || !nodes[conn.targetNode?.id]
+        };
+    });
+
+    return {
+        totals: {
+            totalNodes: nodeStats.length,
+            totalConnections: linkStats.length,
+            totalEndpoints: nodeStats.reduce((total, node) => total + node.interfaces, 0)
+        },
+        nodes: nodeStats,
+        links: linkStats
+    };
+}
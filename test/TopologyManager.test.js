@@ -0,0 +1,82 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import canvasDocument, { TopologyManager, topologyDocuments, CANVAS_DOCUMENT_ID } from '../src/utils/TopologyManager.js';
+
+const node = (id) => ({
+    id,
+    name: id,
+    type: 'switch',
+    position: { x: 0, y: 0 },
+    endpoints: [{ id: `${id}-eth0`, name: 'eth0', type: 'ethernet' }]
+});
+
+/**
+ * Build a history action that toggles a flag
+ * @param {Object} target - Object holding the flag
+ * @returns {Object} Action for HistoryManager
+ */
+const toggleAction = (target) => ({
+    description: 'Toggle',
+    execute: () => { target.on = true; },
+    undo: () => { target.on = false; }
+});
+
+describe('TopologyManager documents', () => {
+    after(() => {
+        topologyDocuments.list()
+            .filter(id => id !== CANVAS_DOCUMENT_ID)
+            .forEach(id => topologyDocuments.close(id));
+    });
+
+    it('keeps the topology and listeners of each instance apart', () => {
+        const first = new TopologyManager();
+        const second = new TopologyManager();
+        const added = { first: [], second: [] };
+        first.on('nodeAdded', ({ id }) => added.first.push(id));
+        second.on('nodeAdded', ({ id }) => added.second.push(id));
+
+        first.addTopologyNode(node('a'));
+        second.addTopologyNode(node('b'));
+
+        assert.deepEqual(first.getTopologyAllNodes().map(({ id }) => id), ['a']);
+        assert.deepEqual(second.getTopologyAllNodes().map(({ id }) => id), ['b']);
+        assert.deepEqual(added, { first: ['a'], second: ['b'] });
+        assert.notEqual(first.topology.connections, second.topology.connections);
+        assert.equal(second.moveTopologyNode('a', { x: 1, y: 1 }), null);
+    });
+
+    it('gives each instance its own undo history', () => {
+        const first = new TopologyManager();
+        const second = new TopologyManager();
+        const flag = { on: true };
+        first.history.addAction(toggleAction(flag));
+
+        assert.equal(second.history.getState().canUndo, false);
+        assert.equal(second.history.undo(), false);
+        assert.equal(flag.on, true);
+
+        assert.equal(first.history.undo(), true);
+        assert.equal(flag.on, false);
+        assert.equal(second.history.getState().canRedo, false);
+    });
+
+    it('opens each document ID once and forgets it when closed', () => {
+        const lab = topologyDocuments.open('lab');
+        lab.addTopologyNode(node('n1'));
+        assert.equal(topologyDocuments.open('lab'), lab);
+        assert.equal(topologyDocuments.open('lab').getTopologyNode('n1').id, 'n1');
+        assert.notEqual(lab, canvasDocument);
+        assert.equal(topologyDocuments.get(CANVAS_DOCUMENT_ID), canvasDocument);
+        assert.equal(canvasDocument.getTopologyNode('n1'), null);
+
+        lab.history.addAction(toggleAction({}));
+        assert.equal(canvasDocument.history.getState().canUndo, false);
+
+        assert.equal(topologyDocuments.close('lab'), true);
+        assert.equal(topologyDocuments.get('lab'), null);
+        const reopened = topologyDocuments.open('lab');
+        assert.notEqual(reopened, lab);
+        assert.deepEqual(reopened.getTopologyAllNodes(), []);
+        assert.equal(reopened.history.getState().canUndo, false);
+    });
+});
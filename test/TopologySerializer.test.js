@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { serializeTopology, deserializeTopology } from '../src/utils/TopologySerializer.js';
+import { migrateTopology } from '../src/utils/TopologyMigrations.js';
+
+const DIAGRAMS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public', 'diagrams');
+const TIMESTAMP = '2025-01-01T00:00:00.000Z';
+
+/**
+ * List the diagram fixtures in public/diagrams, folders included
+ * @param {string} dir - Directory to search
+ * @returns {Array<string>} Paths relative to public/diagrams
+ */
+const listFixtures = (dir = DIAGRAMS_DIR) => fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.'))
+    .flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return listFixtures(fullPath);
+        return entry.name.endsWith('.json') ? [path.relative(DIAGRAMS_DIR, fullPath)] : [];
+    })
+    .sort();
+
+/**
+ * Load a fixture in the current format
+ * @param {string} fixture - Path relative to public/diagrams
+ * @returns {Object} Topology document
+ */
+const loadFixture = (fixture) => migrateTopology(
+    JSON.parse(fs.readFileSync(path.join(DIAGRAMS_DIR, fixture), 'utf8'))
+).document;
+
+const roundTrip = (doc) => serializeTopology(deserializeTopology(doc), { timestamp: TIMESTAMP });
+
+describe('TopologySerializer round trip', () => {
+    const fixtures = listFixtures();
+
+    it('finds diagram fixtures', () => {
+        assert.ok(fixtures.length > 0);
+    });
+
+    for (const fixture of fixtures) {
+        describe(fixture, () => {
+            const doc = loadFixture(fixture);
+
+            it('restores every connection', () => {
+                assert.deepEqual(deserializeTopology(doc).skipped, []);
+            });
+
+            it('is stable across repeated round trips', () => {
+                const once = roundTrip(doc);
+                assert.deepEqual(roundTrip(once), once);
+            });
+
+            it('keeps every node field', () => {
+                const { nodes } = roundTrip(doc);
+                assert.deepEqual(Object.keys(nodes).sort(), Object.keys(doc.nodes).sort());
+                Object.entries(doc.nodes).forEach(([nodeId, node]) => {
+                    Object.entries(node).forEach(([field, value]) => {
+                        assert.deepEqual(nodes[nodeId][field], value, `${nodeId}.${field}`);
+                    });
+                });
+            });
+
+            it('keeps both interface ends of every connection', () => {
+                const { connections } = roundTrip(doc);
+                assert.deepEqual(Object.keys(connections).sort(), Object.keys(doc.connections).sort());
+                Object.entries(doc.connections).forEach(([connId, conn]) => {
+                    ['sourceNode', 'targetNode'].forEach(end => {
+                        assert.equal(connections[connId][end].id, conn[end].id, `${connId}.${end}.id`);
+                        assert.equal(connections[connId][end].interface, conn[end].interface, `${connId}.${end}.interface`);
+                        assert.equal(connections[connId][end].interfaceType, conn[end].interfaceType, `${connId}.${end}.interfaceType`);
+                    });
+                    assert.deepEqual(connections[connId].connectionStyle, conn.connectionStyle || {}, `${connId}.connectionStyle`);
+                    assert.deepEqual(connections[connId].properties, conn.properties || {}, `${connId}.properties`);
+                });
+            });
+        });
+    }
+});